@@ -1,49 +1,116 @@
 import React, { useRef, useState } from "react";
 import "./App.css";
+import { parseLAS, isLASFileName } from "./utils/las";
+import { readFileBuffer, decodeText, toCSV } from "./utils/csv";
+import { buildQuadtree, findNearest } from "./utils/spatialIndex";
+import { autoViewBox } from "./utils/viewBox";
+import {
+  plotArea,
+  createScales,
+  functionPath,
+  panDomain,
+  zoomDomain,
+  boxDomain,
+  pinchDomain,
+  defaultAxisSettings,
+  AXIS_TRANSFORMS,
+  DEFAULT_AXIS,
+} from "./utils/scales";
+import useElementSize from "./hooks/useElementSize";
+import ImportPreviewDialog from "./components/ImportPreviewDialog";
+import CanvasPoints from "./components/CanvasPoints";
+import PlotAxes from "./components/PlotAxes";
+import AxisControls from "./components/AxisControls";
+import ColorControls from "./components/ColorControls";
+import ColorLegend, { formatValue } from "./components/ColorLegend";
+import { buildColorScale, MISSING_COLOR } from "./utils/colorMaps";
+import {
+  selectionOp,
+  combineSelection,
+  invertSelection,
+  pointsInShape,
+} from "./utils/selection";
+import { downloadBlob, baseName } from "./utils/download";
+import { toNumber, uniqueColumnName } from "./utils/columns";
+import SelectionPanel from "./components/SelectionPanel";
+import ScatterMatrix from "./components/ScatterMatrix";
+import FitPanel, { FIT_COLORS } from "./components/FitPanel";
+import { fitModel } from "./utils/regression";
+import OverlayLayer from "./components/OverlayLayer";
+import OverlayPanel from "./components/OverlayPanel";
+import { parseOverlay, polygonClassifier } from "./utils/overlays";
+import ExportDialog from "./components/ExportDialog";
+import SessionControls from "./components/SessionControls";
+import FilterBar from "./components/FilterBar";
+import { filterRows } from "./utils/filters";
+import ColumnEditor from "./components/ColumnEditor";
+import MarginalPlot, { MARGINAL_SIZE } from "./components/MarginalPlot";
+import DensityControls, { binSizePx } from "./components/DensityControls";
+import DensityLayer from "./components/DensityLayer";
+import { binPoints, binColorScale, densityGrid, contourPath } from "./utils/binning";
+import SeriesList, { SeriesSwatch } from "./components/SeriesList";
+import DataTable from "./components/DataTable";
+import StatsPanel from "./components/StatsPanel";
+import OutlierPanel from "./components/OutlierPanel";
+import { detectOutliers } from "./utils/outliers";
+import ClusterPanel from "./components/ClusterPanel";
+import useClusterWorker from "./hooks/useClusterWorker";
+import useStableList from "./hooks/useStableList";
+import AnnotationLayer from "./components/AnnotationLayer";
+import AnnotationPanel from "./components/AnnotationPanel";
+import { createAnnotation, placeAnnotations, remapAnnotations, restoreAnnotations } from "./utils/annotations";
+import { THEMES, systemTheme, themeVariables } from "./utils/themes";
+import { describePlot, orderByX, stepPoint, describePoint } from "./utils/plotSummary";
+import Marker from "./components/Marker";
+import { createViewHistory, recordView, undoView, redoView } from "./utils/viewHistory";
+import { mergeTables, createSeries, removeSeriesRows, rowSeriesIds, splitSeries, joinSeries } from "./utils/series";
+import { computeColumn } from "./utils/formulas";
+import {
+  applyNullValues,
+  profileColumns,
+  describeColumnProblem,
+  describeInvalidValues,
+  COLUMN_TYPES,
+  NUMERIC_TYPES,
+} from "./utils/profile";
+import ColumnProfile from "./components/ColumnProfile";
+import useSessionPersistence from "./hooks/useSessionPersistence";
+import { createSession, parseSession, encodeViewHash } from "./utils/session";
 
-// Utility function to read and parse CSV data
-// PUBLIC_INTERFACE
-function parseCSV(file, delimiter = ",") {
-  /** Reads a CSV File object and returns a Promise resolving to { headers, rows }
-   *  Handles quoted fields and commas
-   */
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = event => {
-      try {
-        const text = event.target.result;
-        // Split into rows
-        const lines = text.split(/\r?\n/).filter(line => line.trim() !== "");
-        if (!lines.length) return reject(new Error("CSV is empty"));
-        // Use a regex to correctly parse quoted values with separator inside quotes
-        const csvRowRegex =
-          /(?:,|\s|^)(?:"((?:[^"]|"")*)"|([^",\r\n]*))/g;
-        const parseLine = line => {
-          const result = [];
-          let match;
-          let regex = new RegExp(csvRowRegex.source, "g");
-          while ((match = regex.exec(line)) !== null) {
-            let val = match[1] !== undefined
-              ? match[1].replace(/""/g, '"')
-              : match[2];
-            if (val !== undefined)
-              result.push(val.trim());
-          }
-          // Remove empty leading column if present
-          if (result.length && result[0] === "") result.shift();
-          return result;
-        };
-        const headers = parseLine(lines[0]);
-        const rows = lines.slice(1).map(parseLine);
-        resolve({ headers, rows });
-      } catch (err) {
-        reject(err);
-      }
-    };
-    reader.onerror = () => reject(new Error("Failed to read file"));
-    reader.readAsText(file);
-  });
-}
+// Above this many points the plot is drawn on a canvas instead of one SVG
+// element per point (see the "Renderer" selector)
+const CANVAS_POINT_THRESHOLD = 5000;
+// Hover hit-test radius for the canvas renderer, in screen pixels
+const HOVER_RADIUS_PX = 6;
+// Shift-drag boxes narrower than this (per axis) do not zoom that axis
+const MIN_ZOOM_BOX_PX = 5;
+// Keyboard navigation: pan step as a fraction of the plot area (Shift: coarse)
+const KEY_PAN_FRACTION = 0.1;
+const KEY_PAN_FRACTION_COARSE = 0.5;
+const KEY_ZOOM_FACTOR = 0.8;
+// The view is added to the undo history once it has been still this long
+const VIEW_SETTLE_MS = 400;
+// Marker radius in screen pixels, independent of zoom
+const POINT_RADIUS_PX = 4;
+// Keyboard point stepping: points per step with > and <
+const KEY_POINT_STEP_COARSE = 10;
+// Chosen colour theme, kept in the browser across sessions
+const THEME_STORAGE_KEY = "crossplotter-theme";
+// Kept in the accessibility tree but not drawn
+const VISUALLY_HIDDEN = {
+  position: "absolute",
+  width: "1px",
+  height: "1px",
+  overflow: "hidden",
+  clip: "rect(0 0 0 0)",
+  whiteSpace: "nowrap",
+};
+// Density contour levels, as fractions of the peak density
+const CONTOUR_LEVELS = [0.1, 0.3, 0.5, 0.7, 0.9];
+// Marginal histogram bin count: default and limits
+const DEFAULT_MARGINAL_BINS = 30;
+const MIN_MARGINAL_BINS = 5;
+const MAX_MARGINAL_BINS = 100;
 
 // PUBLIC_INTERFACE: Main App
 function App() {
@@ -53,6 +120,18 @@ function App() {
   const [plotX, setPlotX] = useState("");
   const [plotY, setPlotY] = useState("");
   const [fileName, setFileName] = useState("");
+  const [columnUnits, setColumnUnits] = useState([]); // aligned with csvHeaders
+  const [wellInfo, setWellInfo] = useState(null); // LAS ~WELL section
+  // Delimited files awaiting preview confirmation, one dialog at a time
+  const [importQueue, setImportQueue] = useState([]);
+  const pendingImport = importQueue[0] || null;
+  const nextImportId = useRef(1);
+  // Loaded files, in legend order (see utils/series)
+  const [series, setSeries] = useState([]);
+  const nextSeriesId = useRef(1);
+  // Bumped when files are loaded, added, removed or restored (not when
+  // derived columns are appended); the plot autoscales on each change
+  const [datasetVersion, setDatasetVersion] = useState(0);
   const [error, setError] = useState("");
   const [viewBox, setViewBox] = useState({
     xmin: -1,
@@ -61,161 +140,1190 @@ function App() {
     ymax: 1,
   });
   const [dragAnchor, setDragAnchor] = useState(null); // for panning
+  // Axes that wheel, keyboard, pinch and box zoom act on: "xy" | "x" | "y"
+  const [zoomAxes, setZoomAxes] = useState("xy");
+  // Settled views for back/forward navigation (see utils/viewHistory)
+  const [viewHistory, setViewHistory] = useState(() => createViewHistory());
+  const touchGesture = useRef(null); // { scales, center, spread, count } at gesture start
+  const [renderer, setRenderer] = useState("auto"); // "auto" | "svg" | "canvas"
+  const [hoveredPoint, setHoveredPoint] = useState(null); // canvas renderer only
+  const [showGrid, setShowGrid] = useState(true);
+  // Per-axis scale type, direction and manual bounds (see utils/scales)
+  const [axisSettings, setAxisSettings] = useState({ x: DEFAULT_AXIS, y: DEFAULT_AXIS });
+  // Third column mapped onto point colour; min/max clip a continuous colormap
+  const [colorBy, setColorBy] = useState("");
+  const [colorSettings, setColorSettings] = useState({ map: "viridis", min: "", max: "" });
+  // Mouse drag mode: "pan", or drawing a "box"/"lasso" selection
+  const [interactionMode, setInteractionMode] = useState("pan");
+  const [selection, setSelection] = useState(() => new Set()); // selected row indices
+  const [selectionDraft, setSelectionDraft] = useState(null); // shape being drawn
+  // "plot" (single crossplot) or "matrix" (scatterplot matrix of matrixColumns)
+  const [viewMode, setViewMode] = useState("plot");
+  const [matrixColumns, setMatrixColumns] = useState([]);
+  // Trend-line definitions: { id, model, degree, method, scope, color }
+  const [fits, setFits] = useState([]);
+  const nextFitId = useRef(1);
+  // Reference geometry over the plot; kept when another file is loaded
+  const [overlays, setOverlays] = useState([]);
+  const [overlayError, setOverlayError] = useState("");
+  const nextOverlayId = useRef(1);
+  // Text notes on rows or plot locations (see utils/annotations)
+  const [annotations, setAnnotations] = useState([]);
+  const nextAnnotationId = useRef(1);
+  const [annotationFocus, setAnnotationFocus] = useState(null); // id of the note just placed
+  const [annotationDrag, setAnnotationDrag] = useState(null); // label being moved
+  const [exportOpen, setExportOpen] = useState(false);
+  // Named row filters (see utils/filters)
+  const [filters, setFilters] = useState([]);
+  const nextFilterId = useRef(1);
+  // Marginal distribution panels: kind "none" | "histogram" | "kde"
+  const [marginals, setMarginals] = useState({ kind: "none", bins: DEFAULT_MARGINAL_BINS });
+  const [marginalHover, setMarginalHover] = useState(null); // hovered bin { axis, from, to } in px
+  // Density display: points aggregated into screen-space bins
+  const [density, setDensity] = useState({
+    enabled: false,
+    shape: "hex",
+    size: 16,
+    value: "count", // "count" | "mean" (of the numeric "Color by" column)
+    map: "viridis",
+    log: false,
+    contours: false,
+  });
+  // Data table link: row under the cursor in the table, row pinned by a
+  // click (in the table or on the plot), and the last scroll-to-row request
+  const [tableHover, setTableHover] = useState(null);
+  const [pinnedRow, setPinnedRow] = useState(null);
+  const [tableScroll, setTableScroll] = useState(null);
+  // Row last reached by stepping through the points from the keyboard
+  const [steppedRow, setSteppedRow] = useState(null);
+  // Outlier detection on the X/Y pair (see utils/outliers); threshold is kept
+  // as typed, blank for the method default
+  const [outlierSettings, setOutlierSettings] = useState({
+    enabled: false,
+    method: "zscore",
+    threshold: "",
+    exclude: false,
+  });
+  // Set when outlier exclusion changes, so the next points are autoscaled
+  const rescaleOutliers = useRef(false);
+  // Restored view box, applied instead of autoscaling once its points plot
+  const restoredViewBox = useRef(null);
+  // View from a shared link, waiting for a file that has its columns
+  const pendingHashView = useRef(null);
   const svgRef = useRef();
+  const [plotRef, plotSize] = useElementSize(svgRef);
+
+  // Colour theme (see utils/themes); the system preference until one is chosen
+  const [themeName, setThemeName] = useState(() => {
+    try {
+      const saved = window.localStorage.getItem(THEME_STORAGE_KEY);
+      if (THEMES[saved]) return saved;
+    } catch (err) {
+      // Storage may be blocked; fall back to the system preference
+    }
+    return systemTheme();
+  });
+  const theme = THEMES[themeName];
+  // PUBLIC_INTERFACE
+  const handleThemeChange = name => {
+    setThemeName(name);
+    try {
+      window.localStorage.setItem(THEME_STORAGE_KEY, name);
+    } catch (err) {
+      // Not remembered, but still applied
+    }
+  };
+  // Exported figures keep a white page, so dark themes export in light colours
+  const figureTheme = theme.dark ? THEMES.light : theme;
 
-  // Theming colors (primary, accent, secondary)
-  const theme = {
-    accent: "#ff9800",
-    primary: "#1976d2",
-    secondary: "#424242",
-    background: "#fff",
-    text: "#252525",
+  // Replace the loaded dataset (and all series) with one file
+  const applyDataset = (name, data) => {
+    const { headers = [], rows = [], units = [], well = null } = data;
+    restoredViewBox.current = null;
+    nextSeriesId.current = 1;
+    setDatasetVersion(v => v + 1);
+    setSeries(headers.length ? [createSeries(nextSeriesId.current++, name, 0, { headers, rows, well })] : []);
+    setFileName(name);
+    setPlotX("");
+    setPlotY("");
+    setAxisSettings({ x: DEFAULT_AXIS, y: DEFAULT_AXIS });
+    setColorBy("");
+    setSelection(new Set());
+    setPinnedRow(null);
+    setMatrixColumns([]);
+    setFits([]);
+    setFilters([]);
+    setAnnotations([]);
+    setCsvHeaders(headers);
+    setCsvRows(rows);
+    setColumnUnits(units);
+    setWellInfo(well);
+    const hashView = pendingHashView.current;
+    if (hashView && headers.includes(hashView.plotX) && headers.includes(hashView.plotY)) {
+      pendingHashView.current = null;
+      applyView(hashView, headers);
+    }
   };
 
-  // CSV Upload handler
+  // Apply a saved or shared view to a dataset with the given headers and
+  // row count; columns the dataset lacks are dropped
+  const applyView = (view, headers, rowCount = 0) => {
+    const known = col => (headers.includes(col) ? col : "");
+    setPlotX(known(view.plotX));
+    setPlotY(known(view.plotY));
+    if (view.axisSettings) setAxisSettings(view.axisSettings);
+    if (view.colorBy !== undefined) setColorBy(known(view.colorBy));
+    if (view.colorSettings) setColorSettings(view.colorSettings);
+    if (view.renderer) setRenderer(view.renderer);
+    if (view.showGrid !== undefined) setShowGrid(view.showGrid);
+    if (view.marginals) setMarginals(view.marginals);
+    if (view.density) setDensity(view.density);
+    if (view.outliers) setOutlierSettings(view.outliers);
+    if (view.viewMode) setViewMode(view.viewMode);
+    if (view.matrixColumns) setMatrixColumns(view.matrixColumns.filter(c => headers.includes(c)));
+    if (view.selection) setSelection(new Set(view.selection));
+    if (view.fits) {
+      setFits(view.fits);
+      nextFitId.current = Math.max(0, ...view.fits.map(f => f.id)) + 1;
+    }
+    if (view.filters) {
+      setFilters(view.filters);
+      nextFilterId.current = Math.max(0, ...view.filters.map(f => f.id)) + 1;
+    }
+    if (view.overlays) {
+      setOverlays(view.overlays);
+      nextOverlayId.current = Math.max(0, ...view.overlays.map(o => o.id)) + 1;
+    }
+    if (view.annotations) {
+      const restored = restoreAnnotations(view.annotations, rowCount);
+      setAnnotations(restored);
+      nextAnnotationId.current = restored.length + 1;
+    }
+    restoredViewBox.current =
+      view.viewBox && known(view.plotX) && known(view.plotY) ? view.viewBox : null;
+  };
+
+  // Restore a session (auto-saved or opened from a file). A view from the
+  // page URL takes precedence when the dataset has its columns, otherwise it
+  // waits for the next loaded file.
+  const restoreSession = ({ dataset, view, hashView = null }) => {
+    const headers = dataset && Array.isArray(dataset.headers) ? dataset.headers : null;
+    const hashFits = hashView && headers && headers.includes(hashView.plotX) && headers.includes(hashView.plotY);
+    pendingHashView.current = hashFits ? null : hashView;
+    if (!headers) return;
+    setImportQueue([]);
+    setDatasetVersion(v => v + 1);
+    setFileName(dataset.fileName || "");
+    setCsvHeaders(headers);
+    setCsvRows(dataset.rows || []);
+    setPinnedRow(null);
+    // Sessions from before multi-file support hold a single file
+    const restored = Array.isArray(dataset.series)
+      ? joinSeries(dataset.series, view && view.series)
+      : [createSeries(1, dataset.fileName || "", 0, { headers, rows: dataset.rows || [], well: dataset.well })];
+    setSeries(restored);
+    nextSeriesId.current = Math.max(0, ...restored.map(s => s.id)) + 1;
+    setColumnUnits(dataset.units || []);
+    setWellInfo(dataset.well || null);
+    applyView({ ...(view || {}), ...(hashFits ? hashView : {}) }, headers, (dataset.rows || []).length);
+  };
+
+  // Add files as series. The first file into an empty workspace starts a new
+  // dataset; later ones are appended with columns matched by name.
+  const addDatasets = loaded => {
+    if (!loaded.length) return;
+    const fresh = !series.length;
+    const [first, ...rest] = loaded;
+    if (fresh) applyDataset(first.name, first.data);
+    const queue = fresh ? rest : loaded;
+    if (!queue.length) return;
+    let table = fresh
+      ? { headers: first.data.headers, rows: first.data.rows, units: first.data.units || [] }
+      : { headers: csvHeaders, rows: csvRows, units: columnUnits };
+    const added = [];
+    for (const { name, data } of queue) {
+      added.push(createSeries(nextSeriesId.current++, name, table.rows.length, data));
+      table = mergeTables(table, { units: [], ...data });
+    }
+    setSeries(list => [...list, ...added]);
+    setDatasetVersion(v => v + 1);
+    setCsvHeaders(table.headers);
+    setCsvRows(table.rows);
+    setColumnUnits(table.units);
+  };
+
+  // CSV/LAS Upload handler (several files at once, or more files later).
+  // LAS files load directly, delimited files go through the import preview so
+  // the detected dialect can be overridden.
   // PUBLIC_INTERFACE
   const handleFileChange = async e => {
-    const file = e.target.files[0];
-    if (!file) return;
+    const files = [...e.target.files];
+    if (!files.length) return;
+    // Allow re-selecting the same file after cancelling the preview
+    e.target.value = "";
     setError("");
-    setFileName(file.name);
-    setPlotX("");
-    setPlotY("");
+    const loaded = [];
+    const queued = [];
+    const errors = [];
+    for (const file of files) {
+      const isLAS = isLASFileName(file.name);
+      try {
+        if (isLAS) {
+          loaded.push({ name: file.name, data: await parseLAS(file) });
+        } else {
+          queued.push({ id: nextImportId.current++, fileName: file.name, buffer: await readFileBuffer(file) });
+        }
+      } catch (err) {
+        errors.push(`Failed to parse ${file.name} as ${isLAS ? "LAS" : "CSV"}: ${err.message}`);
+      }
+    }
+    if (errors.length) setError(errors.join("\n"));
+    addDatasets(loaded);
+    if (queued.length) setImportQueue(q => [...q, ...queued]);
+  };
+
+  // PUBLIC_INTERFACE
+  const handleImportConfirm = result => {
+    addDatasets([{ name: pendingImport.fileName, data: result }]);
+    setImportQueue(q => q.slice(1));
+  };
+
+  // Series legend edits: show/hide, rename, marker, colour
+  // PUBLIC_INTERFACE
+  const handleSeriesChange = (id, patch) =>
+    setSeries(list => list.map(s => (s.id === id ? { ...s, ...patch } : s)));
+
+  // PUBLIC_INTERFACE
+  const handleSeriesMove = (id, delta) =>
+    setSeries(list => {
+      const i = list.findIndex(s => s.id === id);
+      const j = i + delta;
+      if (i === -1 || j < 0 || j >= list.length) return list;
+      const next = [...list];
+      [next[i], next[j]] = [next[j], next[i]];
+      return next;
+    });
+
+  // Remove one file's rows; the selection follows the remaining rows
+  // PUBLIC_INTERFACE
+  const handleSeriesRemove = id => {
+    if (series.length === 1) {
+      applyDataset("", {});
+      return;
+    }
+    const { rows, series: rest, remap } = removeSeriesRows(csvRows, series, id);
+    setCsvRows(rows);
+    setSeries(rest);
+    setDatasetVersion(v => v + 1);
+    setSelection(sel => new Set([...sel].map(remap).filter(idx => idx !== -1)));
+    setPinnedRow(row => (row === null || remap(row) === -1 ? null : remap(row)));
+    setAnnotations(list => remapAnnotations(list, remap));
+    if (series[0].id === id || !fileName) setFileName(rest[0].fileName);
+  };
+
+  // Add a derived column to the loaded dataset
+  const appendColumn = (name, values) => {
+    setCsvHeaders(h => [...h, name]);
+    setCsvRows(rows => rows.map((row, i) => [...row, values[i]]));
+    setColumnUnits(u => [...csvHeaders.map((_, i) => u[i] || ""), ""]);
+  };
+
+  // Column label for selectors, e.g. "GR (API)" for LAS curves
+  const columnLabel = idx =>
+    columnUnits[idx] ? `${csvHeaders[idx]} (${columnUnits[idx]})` : csvHeaders[idx];
+  const wellName =
+    series.length > 1
+      ? [...new Set(series.map(s => s.well).filter(Boolean))].join(", ")
+      : wellInfo && wellInfo.WELL
+      ? wellInfo.WELL.value
+      : "";
+
+  // Column selection also picks sensible axis defaults (log resistivity, depth down)
+  const selectAxisColumn = (axis, col) => {
+    (axis === "x" ? setPlotX : setPlotY)(col);
+    const unit = columnUnits[csvHeaders.indexOf(col)];
+    setAxisSettings(a => ({ ...a, [axis]: defaultAxisSettings(col, unit, axis) }));
+  };
+
+  // Loaded rows with each file's null values blanked; every view reads
+  // these. csvRows keeps the file contents for sessions and downloads.
+  const nullBlocks = useStableList(series.map(({ start, count, nulls }) => ({ start, count, nulls })));
+  const { dataRows, nullCounts } = React.useMemo(() => {
+    const { rows, replaced } = applyNullValues(csvRows, nullBlocks);
+    return { dataRows: rows, nullCounts: replaced };
+  }, [nullBlocks, csvRows]);
+  // Inferred type, missing and unparsable value counts of each column
+  const columnProfiles = React.useMemo(
+    () => profileColumns(csvHeaders, dataRows, nullCounts),
+    [csvHeaders, dataRows, nullCounts]
+  );
+
+  // Columns inferred as numeric (axis and matrix candidates)
+  const numericHeaders = React.useMemo(
+    () => csvHeaders.filter((_, i) => columnProfiles[i] && NUMERIC_TYPES.includes(columnProfiles[i].type)),
+    [csvHeaders, columnProfiles]
+  );
+
+  // Formula column from the "New column" editor; returns the per-row report
+  // PUBLIC_INTERFACE
+  const handleAddComputedColumn = (name, formula) => {
+    const result = computeColumn(formula, csvHeaders, dataRows, numericHeaders);
+    const column = uniqueColumnName(name, csvHeaders);
+    appendColumn(column, result.values);
+    return { ...result, column };
+  };
+
+  // PUBLIC_INTERFACE
+  const handleViewModeChange = mode => {
+    if (mode === "matrix" && !matrixColumns.length) {
+      setMatrixColumns(numericHeaders.slice(0, 4));
+    }
+    setViewMode(mode);
+  };
+
+  // Matrix cell click: show that pair in the full-size interactive plot
+  // PUBLIC_INTERFACE
+  const handleOpenPair = (xCol, yCol) => {
+    selectAxisColumn("x", xCol);
+    selectAxisColumn("y", yCol);
+    setViewMode("plot");
+  };
+
+  const toggleMatrixColumn = col =>
+    setMatrixColumns(cols =>
+      cols.includes(col)
+        ? cols.filter(c => c !== col)
+        : csvHeaders.filter(h => h === col || cols.includes(h))
+    );
+
+  // Series id of each row. Keyed on the row blocks only, so renaming or
+  // restyling a series does not re-derive the points (and autoscale).
+  const rowBlocks = useStableList(series.map(({ id, start, count }) => ({ id, start, count })));
+  const rowSeries = React.useMemo(() => rowSeriesIds(rowBlocks, csvRows.length), [rowBlocks, csvRows.length]);
+  const multiSeries = series.length > 1;
+
+  // Numeric rows of the selected columns
+  const numericPoints = React.useMemo(() => {
+    if (!plotX || !plotY || !csvHeaders.length) return [];
+    const xIdx = csvHeaders.indexOf(plotX);
+    const yIdx = csvHeaders.indexOf(plotY);
+    return dataRows.map((row, i) => ({
+      x: toNumber(row[xIdx]),
+      y: toNumber(row[yIdx]),
+      idx: i,
+      series: rowSeries[i],
+      raw: row,
+    })).filter(d => !isNaN(d.x) && !isNaN(d.y));
+  }, [plotX, plotY, csvHeaders, dataRows, rowSeries]);
+
+  // Colour mapping over the whole "Color by" column, so colours stay put
+  // when the X/Y columns change
+  const colorIdx = colorBy ? csvHeaders.indexOf(colorBy) : -1;
+  const colorScale = React.useMemo(() => {
+    const cIdx = colorBy ? csvHeaders.indexOf(colorBy) : -1;
+    if (cIdx === -1) return null;
+    const bound = v => (v === "" ? null : Number(v));
+    return buildColorScale(dataRows.map(row => row[cIdx]), {
+      map: colorSettings.map,
+      min: bound(colorSettings.min),
+      max: bound(colorSettings.max),
+      palette: theme.categorical,
+    });
+  }, [colorBy, colorSettings, csvHeaders, dataRows, theme]);
+  // Without a "Color by" column, several series are told apart by colour;
+  // they always get their own marker shapes
+  const colorOf = React.useMemo(() => {
+    if (colorScale) return d => colorScale.color(d.raw[colorIdx]);
+    if (!multiSeries) return null;
+    const colors = new Map(series.map(s => [s.id, s.color]));
+    return d => colors.get(d.series) || MISSING_COLOR;
+  }, [colorScale, colorIdx, multiSeries, series]);
+  const shapeOf = React.useMemo(() => {
+    if (!multiSeries) return null;
+    const shapes = new Map(series.map(s => [s.id, s.shape]));
+    return d => shapes.get(d.series) || "circle";
+  }, [multiSeries, series]);
+
+  // Row filters, evaluated over every row so the matrix view can use them too
+  const filterResult = React.useMemo(
+    () => filterRows(dataRows, filters, csvHeaders, numericHeaders),
+    [dataRows, filters, csvHeaders, numericHeaders]
+  );
+  const filtersActive = filters.some(f => f.enabled) && filterResult.passed < csvRows.length;
+
+  // Numeric rows that the axis scales can show (non-positive values cannot
+  // be placed on a log axis)
+  const { plottable, logExcluded } = React.useMemo(() => {
+    const validX = AXIS_TRANSFORMS[axisSettings.x.scale].valid;
+    const validY = AXIS_TRANSFORMS[axisSettings.y.scale].valid;
+    const excluded = { x: 0, y: 0 };
+    const points = numericPoints.filter(d => {
+      const okX = validX(d.x), okY = validY(d.y);
+      if (!okX) excluded.x++;
+      if (!okY) excluded.y++;
+      return okX && okY;
+    });
+    return { plottable: points, logExcluded: excluded };
+  }, [numericPoints, axisSettings.x.scale, axisSettings.y.scale]);
+
+  // Rows of visible series, drawn bottom to top in reverse legend order
+  const seriesPoints = React.useMemo(() => {
+    if (series.length < 2 && series.every(s => s.visible)) return plottable;
+    const rank = new Map(series.map((s, i) => [s.id, s.visible ? i : -1]));
+    return plottable
+      .filter(d => rank.get(d.series) !== -1)
+      .sort((a, b) => (rank.get(b.series) || 0) - (rank.get(a.series) || 0));
+  }, [plottable, series]);
+
+  // Plot points: plottable rows of visible series passing the filters
+  const filteredPoints = React.useMemo(
+    () => (filtersActive ? seriesPoints.filter(d => filterResult.mask[d.idx]) : seriesPoints),
+    [seriesPoints, filtersActive, filterResult]
+  );
+  const filteredOut = seriesPoints.length - filteredPoints.length;
+
+  // Outliers among those points, judged in the axes' scale space; excluded
+  // ones leave the plot, fits and autoscaling but stay in the data
+  const outlierResult = React.useMemo(() => {
+    if (!outlierSettings.enabled) return { outliers: new Set(), error: "" };
+    return detectOutliers(filteredPoints, outlierSettings, {
+      x: AXIS_TRANSFORMS[axisSettings.x.scale].forward,
+      y: AXIS_TRANSFORMS[axisSettings.y.scale].forward,
+    });
+  }, [outlierSettings, filteredPoints, axisSettings.x.scale, axisSettings.y.scale]);
+  const outliers = outlierResult.outliers;
+  const excludeOutliers = outlierSettings.enabled && outlierSettings.exclude && outliers.size > 0;
+  const plotPoints = React.useMemo(
+    () => (excludeOutliers ? filteredPoints.filter(d => !outliers.has(d.idx)) : filteredPoints),
+    [excludeOutliers, filteredPoints, outliers]
+  );
+  // Flagged points still on the plot, marked with a cross
+  const outlierPoints = React.useMemo(
+    () => (excludeOutliers || !outliers.size ? [] : plotPoints.filter(d => outliers.has(d.idx))),
+    [excludeOutliers, outliers, plotPoints]
+  );
+
+  // Rows the matrix view shows: filters and hidden series
+  const rowMask = React.useMemo(() => {
+    const hidden = series.filter(s => !s.visible);
+    if (!hidden.length) return filtersActive ? filterResult.mask : null;
+    const mask = filtersActive ? Uint8Array.from(filterResult.mask) : new Uint8Array(csvRows.length).fill(1);
+    for (const s of hidden) mask.fill(0, s.start, s.start + s.count);
+    return mask;
+  }, [series, filtersActive, filterResult, csvRows.length]);
+  // Why each row is missing from the plot (null if plotted), for the data
+  // table; rows dropped for their values are flagged as warnings
+  const rowNotes = React.useMemo(() => {
+    if (!plotX || !plotY) return null;
+    const n = dataRows.length;
+    const plotted = new Uint8Array(n);
+    const onAxes = new Uint8Array(n);
+    plotPoints.forEach(d => (plotted[d.idx] = 1));
+    plottable.forEach(d => (onAxes[d.idx] = 1));
+    const xIdx = csvHeaders.indexOf(plotX);
+    const yIdx = csvHeaders.indexOf(plotY);
+    const hidden = new Set(series.filter(s => !s.visible).map(s => s.id));
+    return dataRows.map((row, i) => {
+      if (plotted[i]) return null;
+      const axes = [[plotX, xIdx], [plotY, yIdx]];
+      const blank = c => !String(row[c] ?? "").trim();
+      const invalid = axes.filter(([, c]) => !blank(c) && isNaN(toNumber(row[c])));
+      if (invalid.length) {
+        const values = invalid.map(([h, c]) => `${h} "${row[c]}"`).join(" and ");
+        return { text: `Not plotted: ${values} ${invalid.length > 1 ? "are not numbers" : "is not a number"}`, warn: true };
+      }
+      const missing = axes.filter(([, c]) => blank(c));
+      if (missing.length) return { text: `Not plotted: no ${missing.map(([h]) => h).join(" or ")} value`, warn: true };
+      if (!onAxes[i]) return { text: "Not plotted: non-positive value on a log axis", warn: true };
+      if (hidden.has(rowSeries[i])) return { text: "Series hidden", warn: false };
+      return { text: outliers.has(i) ? "Excluded as an outlier" : "Filtered out", warn: false };
+    });
+  }, [plotX, plotY, dataRows, csvHeaders, plotPoints, plottable, series, rowSeries, outliers]);
+  // Rows the statistics describe: the selection, else the rows passing the
+  // filters in visible series, else all rows (null)
+  const statsRows = React.useMemo(() => {
+    if (selection.size) return [...selection].sort((a, b) => a - b);
+    if (!rowMask) return null;
+    const out = [];
+    rowMask.forEach((keep, i) => keep && out.push(i));
+    return out;
+  }, [selection, rowMask]);
+  const statsScope = selection.size
+    ? `${selection.size} selected ${selection.size === 1 ? "row" : "rows"}`
+    : statsRows
+    ? `${statsRows.length} of ${csvRows.length} rows after filters`
+    : `all ${csvRows.length} rows`;
+  // Read by the autoscale effect, which only re-runs for new axes, axis
+  // settings or datasets, so that editing a filter or the null values or
+  // appending a column does not reset the zoom
+  const plotPointsRef = useRef(plotPoints);
+  plotPointsRef.current = plotPoints;
+  const plottableRef = useRef(plottable);
+  plottableRef.current = plottable;
+
+  // Canvas rendering for large point sets; hover then uses a quadtree
+  // (not needed when the points are binned)
+  const useCanvas =
+    !density.enabled &&
+    (renderer === "canvas" || (renderer === "auto" && plotPoints.length > CANVAS_POINT_THRESHOLD));
+  const pointIndex = React.useMemo(
+    () => (useCanvas ? buildQuadtree(plotPoints) : null),
+    [useCanvas, plotPoints]
+  );
+
+  // Pixel-space mapping of the current view box (y-up)
+  const area = React.useMemo(
+    () => plotArea(plotSize.width, plotSize.height),
+    [plotSize]
+  );
+  const scales = React.useMemo(
+    () => createScales(viewBox, area, axisSettings),
+    [viewBox, area, axisSettings]
+  );
+
+  // Density bins over the current view (recomputed as it zooms), coloured by
+  // count or by the mean of the numeric "Color by" column
+  const meanColumn = colorScale && colorScale.type === "continuous" ? colorBy : "";
+  const binByMean = density.value === "mean" && Boolean(meanColumn);
+  const densityBins = React.useMemo(() => {
+    if (!density.enabled) return [];
+    return binPoints(plotPoints, scales.x, scales.y, area, {
+      shape: density.shape,
+      size: binSizePx(density),
+      valueFor: binByMean ? d => toNumber(d.raw[colorIdx]) : null,
+    });
+  }, [density, plotPoints, scales, area, binByMean, colorIdx]);
+  const binStatistic = React.useCallback(
+    bin => (binByMean ? (bin.value ? bin.value.mean : NaN) : bin.count),
+    [binByMean]
+  );
+  const binColors = React.useMemo(
+    () => binColorScale(densityBins.map(binStatistic), { map: density.map, log: density.log }),
+    [densityBins, binStatistic, density.map, density.log]
+  );
+  const densityContours = React.useMemo(() => {
+    if (!density.enabled || !density.contours) return [];
+    const grid = densityGrid(plotPoints, scales.x, scales.y, area, { sigma: binSizePx(density) / 2 });
+    const peak = Math.max(0, ...grid.values);
+    return peak > 0 ? CONTOUR_LEVELS.map(f => contourPath(grid, f * peak)) : [];
+  }, [density, plotPoints, scales, area]);
+
+  // Plotted point of the row hovered or pinned in the data table
+  const tableRow = tableHover !== null ? tableHover : pinnedRow;
+  const tablePoint = React.useMemo(
+    () => (tableRow === null ? null : plotPoints.find(d => d.idx === tableRow) || null),
+    [tableRow, plotPoints]
+  );
+
+  // Keyboard stepping goes through the plotted points in X order; the
+  // readout describes the stepped point while it stays pinned
+  const orderedPoints = React.useMemo(() => orderByX(plotPoints), [plotPoints]);
+  const pointReadout = React.useMemo(() => {
+    if (steppedRow === null || steppedRow !== pinnedRow) return "";
+    const position = orderedPoints.findIndex(d => d.idx === steppedRow);
+    if (position === -1) return `Row ${steppedRow + 1} is not on the plot`;
+    const d = orderedPoints[position];
+    const details = [];
+    const cIdx = colorBy ? csvHeaders.indexOf(colorBy) : -1;
+    if (cIdx !== -1) details.push([colorBy, d.raw[cIdx] || "—"]);
+    for (const a of annotations) if (a.row === d.idx && a.text) details.push(["Note", a.text]);
+    return describePoint(d, {
+      position,
+      count: orderedPoints.length,
+      xLabel: plotX,
+      yLabel: plotY,
+      details,
+      format: formatValue,
+    });
+  }, [steppedRow, pinnedRow, orderedPoints, colorBy, csvHeaders, annotations, plotX, plotY]);
+
+  // Annotations drawable on this plot, anchored at their rows' points
+  const placedAnnotations = React.useMemo(() => {
+    if (!annotations.length) return [];
+    const plotted = new Set(plotPoints.map(d => d.idx));
+    return placeAnnotations(annotations, { rows: dataRows, headers: csvHeaders, plotX, plotY, plotted });
+  }, [annotations, plotPoints, dataRows, csvHeaders, plotX, plotY]);
+
+  // Marginal panels; the plot gives up room on its right for the Y one
+  const showMarginals = marginals.kind !== "none";
+  const plotCssWidth = showMarginals ? `calc(100% - ${MARGINAL_SIZE}px)` : "100%";
+  // The bins field is kept as typed; out-of-range entries are clamped
+  const marginalBins = Math.min(
+    MAX_MARGINAL_BINS,
+    Math.max(MIN_MARGINAL_BINS, Math.round(Number(marginals.bins)) || DEFAULT_MARGINAL_BINS)
+  );
+  // Points in the marginal bin under the cursor
+  const marginalHighlight = React.useMemo(() => {
+    if (!showMarginals || !marginalHover) return [];
+    const { axis, from, to } = marginalHover;
+    return plotPoints.filter(d => {
+      const p = scales[axis](d[axis]);
+      return p >= from && p < to;
+    });
+  }, [showMarginals, marginalHover, plotPoints, scales]);
+
+  // Trend lines over all plotted points, the selection or the visible area
+  const fitResults = React.useMemo(
+    () =>
+      fits.map(spec => {
+        let points = plotPoints;
+        if (spec.scope === "selection") {
+          points = plotPoints.filter(d => selection.has(d.idx));
+        } else if (spec.scope === "visible") {
+          const [x0, x1] = [Math.min(viewBox.xmin, viewBox.xmax), Math.max(viewBox.xmin, viewBox.xmax)];
+          const [y0, y1] = [Math.min(viewBox.ymin, viewBox.ymax), Math.max(viewBox.ymin, viewBox.ymax)];
+          points = plotPoints.filter(d => d.x >= x0 && d.x <= x1 && d.y >= y0 && d.y <= y1);
+        }
+        if (!points.length) return { error: spec.scope === "selection" ? "No selected points" : "No points" };
+        try {
+          return { fit: fitModel(points, spec) };
+        } catch (err) {
+          return { error: err.message };
+        }
+      }),
+    [fits, plotPoints, selection, viewBox]
+  );
+
+  // PUBLIC_INTERFACE
+  const handleAddFit = spec => {
+    const id = nextFitId.current++;
+    setFits(list => [...list, { ...spec, id, color: FIT_COLORS[(id - 1) % FIT_COLORS.length] }]);
+  };
+
+  // PUBLIC_INTERFACE
+  const handleAddOverlay = (definition, fallbackName) => {
     try {
-      const { headers, rows } = await parseCSV(file);
-      setCsvHeaders(headers);
-      setCsvRows(rows);
+      const overlay = parseOverlay(definition, fallbackName);
+      const id = nextOverlayId.current++;
+      setOverlays(list => [...list, { ...overlay, id, visible: true }]);
+      setOverlayError("");
     } catch (err) {
-      setCsvHeaders([]);
-      setCsvRows([]);
-      setError("Failed to parse CSV: " + err.message);
+      setOverlayError(err.message);
     }
   };
 
-  // When new columns selected, reset viewbox
-  React.useEffect(() => {
-    if (!plotX || !plotY) return;
-    // Try to auto-scale to data
+  // PUBLIC_INTERFACE
+  const handleOverlayUpload = async file => {
+    try {
+      const { text } = decodeText(await readFileBuffer(file));
+      handleAddOverlay(text, baseName(file.name));
+    } catch (err) {
+      setOverlayError(`Failed to read ${file.name}: ${err.message}`);
+    }
+  };
+
+  // Label each row with the overlay polygon its current X/Y falls in, as a
+  // new column, and colour the plot by it
+  // PUBLIC_INTERFACE
+  const handleClassifyOverlay = id => {
+    const overlay = overlays.find(o => o.id === id);
+    const classify = polygonClassifier(overlay.items, scales.x, scales.y);
     const xIdx = csvHeaders.indexOf(plotX);
     const yIdx = csvHeaders.indexOf(plotY);
-    if (xIdx === -1 || yIdx === -1) return;
-    const pts = csvRows
-      .map(row => [Number(row[xIdx]), Number(row[yIdx])])
-      .filter(([x, y]) => !isNaN(x) && !isNaN(y));
-    if (!pts.length) return;
-    const xs = pts.map(p => p[0]);
-    const ys = pts.map(p => p[1]);
-    const padFrac = 0.05;
-    const xmin = Math.min(...xs), xmax = Math.max(...xs);
-    const ymin = Math.min(...ys), ymax = Math.max(...ys);
-    const xPad = (xmax - xmin) * padFrac || 1;
-    const yPad = (ymax - ymin) * padFrac || 1;
-    setViewBox({
-      xmin: xmin - xPad,
-      xmax: xmax + xPad,
-      ymin: ymin - yPad,
-      ymax: ymax + yPad,
-    });
-  }, [plotX, plotY, csvHeaders, csvRows]);
+    const name = uniqueColumnName(`${overlay.name} class`, csvHeaders);
+    appendColumn(name, dataRows.map(row => classify(toNumber(row[xIdx]), toNumber(row[yIdx]))));
+    setColorBy(name);
+  };
+
+  // Cluster labels as a new column, and colour the plot by it
+  // PUBLIC_INTERFACE
+  const handleAddClusterColumn = (label, values) => {
+    const name = uniqueColumnName(label, csvHeaders);
+    appendColumn(name, values);
+    setColorBy(name);
+    return name;
+  };
+
+  // When new columns, axis settings or data are selected, reset viewbox
+  React.useEffect(() => {
+    const numeric = plottableRef.current;
+    if (!numeric.length) return;
+    // Views of other columns or axis settings are not navigable history
+    const points = plotPointsRef.current;
+    const view = restoredViewBox.current || autoViewBox(points.length ? points : numeric, axisSettings);
+    restoredViewBox.current = null;
+    setViewBox(view);
+    setViewHistory(createViewHistory(view));
+  }, [plotX, plotY, axisSettings, datasetVersion]);
+
+  // Rescale once after outliers are excluded or brought back
+  React.useEffect(() => {
+    if (!rescaleOutliers.current || !plotPoints.length) return;
+    rescaleOutliers.current = false;
+    setViewBox(autoViewBox(plotPoints, axisSettings));
+  }, [plotPoints, axisSettings]);
+
+  // PUBLIC_INTERFACE
+  const handleOutlierChange = patch => {
+    const next = { ...outlierSettings, ...patch };
+    const excluding = s => s.enabled && s.exclude;
+    if (excluding(next) !== excluding(outlierSettings)) rescaleOutliers.current = true;
+    setOutlierSettings(next);
+  };
+
+  // Outlier flags as a new column: 1 outlier, 0 tested, blank not tested
+  // PUBLIC_INTERFACE
+  const handleAddOutlierColumn = () => {
+    const tested = new Set(filteredPoints.map(d => d.idx));
+    const name = uniqueColumnName(`${plotX}-${plotY} outlier`, csvHeaders);
+    appendColumn(name, csvRows.map((_, i) => (outliers.has(i) ? "1" : tested.has(i) ? "0" : "")));
+  };
+
+  // Record the view for undo once navigation pauses (not mid-drag)
+  React.useEffect(() => {
+    if (dragAnchor) return undefined;
+    const timer = setTimeout(() => setViewHistory(h => recordView(h, viewBox)), VIEW_SETTLE_MS);
+    return () => clearTimeout(timer);
+  }, [viewBox, dragAnchor]);
+
+  // Session persistence: IndexedDB auto-save/restore and the URL hash. The
+  // dataset keeps each series' rows; legend settings go with the view.
+  const seriesLayout = useStableList(splitSeries(series).layout);
+  const datasetSnapshot = React.useMemo(
+    () => ({ fileName, headers: csvHeaders, rows: csvRows, units: columnUnits, well: wellInfo, series: seriesLayout }),
+    [fileName, csvHeaders, csvRows, columnUnits, wellInfo, seriesLayout]
+  );
+  const viewSnapshot = React.useMemo(
+    () => ({
+      plotX,
+      plotY,
+      viewBox,
+      axisSettings,
+      colorBy,
+      colorSettings,
+      renderer,
+      showGrid,
+      marginals,
+      density,
+      outliers: outlierSettings,
+      viewMode,
+      matrixColumns,
+      selection: [...selection],
+      fits,
+      filters,
+      overlays,
+      annotations,
+      series: splitSeries(series).display,
+    }),
+    [plotX, plotY, viewBox, axisSettings, colorBy, colorSettings, renderer, showGrid, marginals, density, outlierSettings, viewMode, matrixColumns, selection, fits, filters, overlays, annotations, series]
+  );
+  const forgetSession = useSessionPersistence(datasetSnapshot, viewSnapshot, restoreSession);
+  const runClustering = useClusterWorker();
+
+  // PUBLIC_INTERFACE
+  const handleSaveSession = () => {
+    const session = createSession(datasetSnapshot, viewSnapshot);
+    downloadBlob(JSON.stringify(session), "application/json", `${baseName(fileName)}_session.json`);
+  };
+
+  // PUBLIC_INTERFACE
+  const handleOpenSession = async file => {
+    try {
+      const { text } = decodeText(await readFileBuffer(file));
+      restoreSession(parseSession(text));
+      setError("");
+    } catch (err) {
+      setError(`Failed to open session ${file.name}: ${err.message}`);
+    }
+  };
+
+  // PUBLIC_INTERFACE
+  const handleCopyViewLink = () => {
+    const { origin, pathname, search } = window.location;
+    return navigator.clipboard.writeText(`${origin}${pathname}${search}#${encodeViewHash(viewSnapshot)}`);
+  };
+
+  // PUBLIC_INTERFACE
+  const handleClearSession = () => {
+    applyDataset("", {});
+    setOverlays([]);
+    forgetSession();
+    window.history.replaceState(null, "", window.location.pathname + window.location.search);
+  };
 
   // Handlers for zoom/pan interaction
+
+  // Zoom by factor (<1 zooms in) around a pixel position, in each axis'
+  // scale space (linear or log), on the axes chosen by zoomAxes
+  const zoomAround = (px, py, factor) => {
+    const [xmin, xmax] = zoomAxes !== "y" ? zoomDomain(scales.x, px, factor) : [viewBox.xmin, viewBox.xmax];
+    const [ymin, ymax] = zoomAxes !== "x" ? zoomDomain(scales.y, py, factor) : [viewBox.ymin, viewBox.ymax];
+    setViewBox({ xmin, xmax, ymin, ymax });
+  };
+
+  // Zoom to a dragged rectangle given by two pixel corners
+  const zoomToBox = ([x0, y0], [x1, y1]) => {
+    const zoomX = zoomAxes !== "y" && Math.abs(x1 - x0) >= MIN_ZOOM_BOX_PX;
+    const zoomY = zoomAxes !== "x" && Math.abs(y1 - y0) >= MIN_ZOOM_BOX_PX;
+    if (!zoomX && !zoomY) return;
+    const [xmin, xmax] = zoomX ? boxDomain(scales.x, x0, x1) : [viewBox.xmin, viewBox.xmax];
+    const [ymin, ymax] = zoomY ? boxDomain(scales.y, y0, y1) : [viewBox.ymin, viewBox.ymax];
+    setViewBox({ xmin, xmax, ymin, ymax });
+  };
+
+  // PUBLIC_INTERFACE
+  const handleResetView = () =>
+    setViewBox(autoViewBox(plotPoints.length ? plotPoints : plottable, axisSettings));
+
+  // Back/forward through the view history. The current view is recorded
+  // first in case the last navigation has not settled yet.
+  // PUBLIC_INTERFACE
+  const handleViewUndo = () => {
+    const next = undoView(recordView(viewHistory, viewBox));
+    setViewHistory(next);
+    setViewBox(next.present);
+  };
+  // PUBLIC_INTERFACE
+  const handleViewRedo = () => {
+    const next = redoView(recordView(viewHistory, viewBox));
+    setViewHistory(next);
+    setViewBox(next.present);
+  };
+  const canUndoView = recordView(viewHistory, viewBox).past.length > 0;
+  const canRedoView = viewHistory.future.length > 0 && recordView(viewHistory, viewBox) === viewHistory;
+
   // PUBLIC_INTERFACE
   const handleWheel = e => {
     // Zoom on cursor point
     if (!plotX || !plotY) return;
     e.preventDefault();
-    const { left, top, width, height } = svgRef.current.getBoundingClientRect();
-    const mouseX = e.clientX - left;
-    const mouseY = e.clientY - top;
-    const { xmin, xmax, ymin, ymax } = viewBox;
-    const wx = mouseX / width;
-    const wy = mouseY / height;
-    const scale = e.deltaY < 0 ? 0.85 : 1.15;
-    // Cursor-centered zoom
-    const nxmin = wx * (xmin * scale) + (1 - wx) * xmin;
-    const nxmax = wx * (xmax * scale) + (1 - wx) * xmax;
-    const nymin = (1 - wy) * ymin + wy * (ymin * scale);
-    const nymax = (1 - wy) * ymax + wy * (ymax * scale);
-    setViewBox({
-      xmin: nxmin,
-      xmax: nxmax,
-      ymin: nymin,
-      ymax: nymax,
-    });
+    const [mouseX, mouseY] = svgPoint(e);
+    zoomAround(mouseX, mouseY, e.deltaY < 0 ? 0.85 : 1.15);
+  };
+
+  // Keyboard navigation on the focused plot: arrows pan (Shift: further),
+  // +/- zoom around the centre, 0 resets, Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y)
+  // step through the view history. Period/comma step to the next/previous
+  // point in X order (> and <: ten at a time), ] and [ jump to the last and
+  // first, Enter shows the point's row in the data table and Escape lets go.
+  // PUBLIC_INTERFACE
+  const handlePlotKeyDown = e => {
+    if (!plotX || !plotY) return;
+    const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    const step = e.shiftKey ? KEY_PAN_FRACTION_COARSE : KEY_PAN_FRACTION;
+    const panBy = (dx, dy) => {
+      const [xmin, xmax] = panDomain(scales.x, dx * area.width);
+      const [ymin, ymax] = panDomain(scales.y, dy * area.height);
+      setViewBox({ xmin, xmax, ymin, ymax });
+    };
+    const centerX = area.left + area.width / 2;
+    const centerY = area.top + area.height / 2;
+    // Pins the point reached, panning it into view when it lies outside
+    const stepTo = move => {
+      const at = stepPoint(orderedPoints, pinnedRow, move);
+      if (at === -1) return;
+      const d = orderedPoints[at];
+      const px = scales.x(d.x);
+      const py = scales.y(d.y);
+      if (px < area.left || px > area.left + area.width || py < area.top || py > area.top + area.height) {
+        const [xmin, xmax] = panDomain(scales.x, centerX - px);
+        const [ymin, ymax] = panDomain(scales.y, centerY - py);
+        setViewBox({ xmin, xmax, ymin, ymax });
+      }
+      setPinnedRow(d.idx);
+      setSteppedRow(d.idx);
+    };
+    if (e.ctrlKey || e.metaKey) {
+      if (key === "z" && !e.shiftKey) handleViewUndo();
+      else if (key === "z" || key === "y") handleViewRedo();
+      else return;
+    } else if (e.altKey) {
+      return;
+    } else if (key === "ArrowLeft") panBy(step, 0);
+    else if (key === "ArrowRight") panBy(-step, 0);
+    else if (key === "ArrowUp") panBy(0, step);
+    else if (key === "ArrowDown") panBy(0, -step);
+    else if (key === "+" || key === "=") zoomAround(centerX, centerY, KEY_ZOOM_FACTOR);
+    else if (key === "-" || key === "_") zoomAround(centerX, centerY, 1 / KEY_ZOOM_FACTOR);
+    else if (key === "0" || key === "Home") handleResetView();
+    else if (key === "." || key === ",") stepTo(key === "." ? 1 : -1);
+    else if (key === ">" || key === "<") stepTo(key === ">" ? KEY_POINT_STEP_COARSE : -KEY_POINT_STEP_COARSE);
+    else if (key === "]" || key === "[") stepTo(key === "]" ? "last" : "first");
+    else if (key === "Enter" && pinnedRow !== null) setTableScroll({ idx: pinnedRow });
+    else if (key === "Escape" && pinnedRow !== null) {
+      setPinnedRow(null);
+      setSteppedRow(null);
+    } else return;
+    e.preventDefault();
+  };
+
+  // Touch: one finger pans, two fingers pan and pinch-zoom. Each move is
+  // applied to the scales at the start of the gesture, which restarts when a
+  // finger is added or lifted.
+  const touchState = e => {
+    const pts = [...e.touches].slice(0, 2).map(t => svgPoint(t));
+    const center = [0, 1].map(k => pts.reduce((sum, p) => sum + p[k], 0) / pts.length);
+    const spread = pts.length > 1 ? Math.hypot(pts[0][0] - pts[1][0], pts[0][1] - pts[1][1]) : 0;
+    return { center, spread, count: pts.length };
+  };
+  // Also handles touchend/touchcancel, continuing with the remaining fingers
+  // PUBLIC_INTERFACE
+  const handleTouchStart = e => {
+    if (!plotX || !plotY || !e.touches.length) {
+      touchGesture.current = null;
+      return;
+    }
+    touchGesture.current = { scales, ...touchState(e) };
+  };
+  // PUBLIC_INTERFACE
+  const handleTouchMove = e => {
+    const start = touchGesture.current;
+    if (!start) return;
+    const now = touchState(e);
+    if (now.count !== start.count) {
+      handleTouchStart(e);
+      return;
+    }
+    const factor = start.spread > 10 && now.spread > 10 ? now.spread / start.spread : 1;
+    const [xmin, xmax] = pinchDomain(start.scales.x, start.center[0], now.center[0], zoomAxes === "y" ? 1 : factor);
+    const [ymin, ymax] = pinchDomain(start.scales.y, start.center[1], now.center[1], zoomAxes === "x" ? 1 : factor);
+    setViewBox({ xmin, xmax, ymin, ymax });
   };
 
   // PUBLIC_INTERFACE
   const handleMouseDown = e => {
     if (!plotX || !plotY) return;
     e.preventDefault();
-    setDragAnchor({ x: e.clientX, y: e.clientY, view: { ...viewBox } });
+    if (interactionMode === "annotate") {
+      handleAnnotateClick(e);
+      return;
+    }
+    // Shift-drag in pan mode zooms to the dragged rectangle
+    if (interactionMode !== "pan" || e.shiftKey) {
+      const start = svgPoint(e);
+      setSelectionDraft({
+        type: interactionMode === "pan" ? "zoom" : interactionMode,
+        op: selectionOp(e),
+        from: start,
+        to: start,
+        path: [start],
+      });
+      return;
+    }
+    setDragAnchor({ x: e.clientX, y: e.clientY, scales });
   };
   // PUBLIC_INTERFACE
   const handleMouseMove = e => {
-    if (!dragAnchor) return;
+    if (annotationDrag) {
+      const { id, x, y, dx, dy } = annotationDrag;
+      updateAnnotation(id, { dx: dx + e.clientX - x, dy: dy + e.clientY - y });
+      return;
+    }
+    if (selectionDraft) {
+      const pt = svgPoint(e);
+      setSelectionDraft(d => ({ ...d, to: pt, path: d.type === "lasso" ? [...d.path, pt] : d.path }));
+      return;
+    }
+    if (!dragAnchor) {
+      if (pointIndex) handleCanvasHover(e);
+      return;
+    }
     e.preventDefault();
     const dx = e.clientX - dragAnchor.x;
     const dy = e.clientY - dragAnchor.y;
-    const { xmin, xmax, ymin, ymax } = dragAnchor.view;
-    const svg = svgRef.current;
-    const w = svg.clientWidth;
-    const h = svg.clientHeight;
-    const xrange = xmax - xmin, yrange = ymax - ymin;
-    // negative dx because svg x increases right, positive user drag moves left
-    setViewBox({
-      xmin: xmin - (dx / w) * xrange,
-      xmax: xmax - (dx / w) * xrange,
-      ymin: ymin + (dy / h) * yrange,
-      ymax: ymax + (dy / h) * yrange,
-    });
+    // Content follows the cursor; the drag-start scales handle log and
+    // reversed axes
+    const [xmin, xmax] = panDomain(dragAnchor.scales.x, dx);
+    const [ymin, ymax] = panDomain(dragAnchor.scales.y, dy);
+    setViewBox({ xmin, xmax, ymin, ymax });
+  };
+  // PUBLIC_INTERFACE
+  const handleMouseUp = e => {
+    setDragAnchor(null);
+    setAnnotationDrag(null);
+    // A click without dragging pins the point under the cursor and scrolls
+    // the data table to its row
+    if (e && dragAnchor && Math.abs(e.clientX - dragAnchor.x) + Math.abs(e.clientY - dragAnchor.y) < 3) {
+      const d = density.enabled ? null : pointAt(e);
+      setPinnedRow(d ? d.idx : null);
+      if (d) setTableScroll({ idx: d.idx });
+    }
+    if (selectionDraft) {
+      if (selectionDraft.type === "zoom") {
+        zoomToBox(selectionDraft.from, selectionDraft.to);
+      } else {
+        const hits = pointsInShape(plotPoints, selectionDraft, scales.x, scales.y);
+        setSelection(prev => combineSelection(prev, hits, selectionDraft.op));
+      }
+      setSelectionDraft(null);
+    }
   };
   // PUBLIC_INTERFACE
-  const handleMouseUp = () => setDragAnchor(null);
+  const handleMouseLeave = () => {
+    handleMouseUp(null);
+    if (pointIndex) handlePointMouseOut();
+  };
 
-  // Plot points data
-  const plotPoints = React.useMemo(() => {
-    if (!plotX || !plotY || !csvHeaders.length) return [];
-    const xIdx = csvHeaders.indexOf(plotX);
-    const yIdx = csvHeaders.indexOf(plotY);
-    return csvRows.map((row, i) => ({
-      x: Number(row[xIdx]),
-      y: Number(row[yIdx]),
-      idx: i,
-      raw: row,
-    })).filter(d => !isNaN(d.x) && !isNaN(d.y));
-  }, [plotX, plotY, csvHeaders, csvRows]);
+  // In Annotate mode a click on a label starts moving it; elsewhere it adds
+  // a note to the point under the cursor, or to that spot of the plot
+  const handleAnnotateClick = e => {
+    const label = e.target.closest && e.target.closest("[data-annotation]");
+    if (label) {
+      const note = annotations.find(a => a.id === Number(label.getAttribute("data-annotation")));
+      setAnnotationDrag({ id: note.id, x: e.clientX, y: e.clientY, dx: note.dx, dy: note.dy });
+      return;
+    }
+    const d = density.enabled ? null : pointAt(e);
+    const [px, py] = svgPoint(e);
+    if (!d && (px < area.left || px > area.right || py < area.top || py > area.bottom)) return;
+    const id = nextAnnotationId.current++;
+    const target = d ? { row: d.idx } : { x: scales.x.invert(px), y: scales.y.invert(py), columns: [plotX, plotY] };
+    setAnnotations(list => [...list, createAnnotation(id, target)]);
+    setAnnotationFocus(id);
+  };
+  const updateAnnotation = (id, patch) =>
+    setAnnotations(list => list.map(a => (a.id === id ? { ...a, ...patch } : a)));
+  // Where a note is attached, for the annotation list
+  const describeAnnotation = a =>
+    a.row === null
+      ? `at ${a.columns[0]} ${formatValue(a.x)}, ${a.columns[1]} ${formatValue(a.y)}`
+      : `row ${a.row + 1}${csvRows[a.row] ? ` (${csvHeaders[0]} ${csvRows[a.row][0]})` : ""}`;
+
+  // Download the selected rows with all columns
+  // PUBLIC_INTERFACE
+  const handleDownloadSelection = () => {
+    const rows = [...selection].sort((a, b) => a - b).map(idx => csvRows[idx]);
+    downloadBlob(toCSV(csvHeaders, rows), "text/csv", `${baseName(fileName)}_selection.csv`);
+  };
+
+  // Download a derived table (statistics, correlations) as CSV
+  // PUBLIC_INTERFACE
+  const handleDownloadTable = (suffix, headers, rows) =>
+    downloadBlob(toCSV(headers, rows), "text/csv", `${baseName(fileName)}_${suffix}.csv`);
+
+  // Cursor position in SVG pixel coordinates
+  const svgPoint = e => {
+    const svg = svgRef.current;
+    const rect = svg.getBoundingClientRect();
+    return [e.clientX - rect.left - svg.clientLeft, e.clientY - rect.top - svg.clientTop];
+  };
+
+  // Nearest plotted point within HOVER_RADIUS_PX of the cursor, or null
+  const pointAt = e => {
+    const [px, py] = svgPoint(e);
+    if (pointIndex) return findNearest(pointIndex, px, py, HOVER_RADIUS_PX, scales.x, scales.y);
+    let best = null;
+    let bestDist = HOVER_RADIUS_PX * HOVER_RADIUS_PX;
+    for (const d of plotPoints) {
+      const dx = scales.x(d.x) - px, dy = scales.y(d.y) - py;
+      if (dx * dx + dy * dy <= bestDist) {
+        bestDist = dx * dx + dy * dy;
+        best = d;
+      }
+    }
+    return best;
+  };
 
   // Tooltip state and handler
-  const [tooltip, setTooltip] = useState({ show: false, x: 0, y: 0, content: "" });
+  const [tooltip, setTooltip] = useState({ show: false, x: 0, y: 0, rows: [] });
 
   // PUBLIC_INTERFACE
   const handlePointMouseOver = (e, d) => {
+    if (pointIndex) setHoveredPoint(d);
     const svg = svgRef.current;
     const { left, top } = svg.getBoundingClientRect();
     // Add vertical offset for tooltip above cursor
+    const rows = [[plotX, d.x], [plotY, d.y]];
+    if (colorIdx !== -1) rows.push([colorBy, d.raw[colorIdx] || "—"]);
+    setTooltip({
+      show: true,
+      x: e.clientX - left,
+      y: e.clientY - top - 32 - (rows.length - 2) * 12,
+      rows,
+      color: colorOf ? colorOf(d) : null,
+    });
+  };
+  const handlePointMouseOut = () => {
+    setTooltip(t => ({ ...t, show: false }));
+    setHoveredPoint(null);
+  };
+
+  // Density bin hover: count and the value ranges inside the bin
+  // PUBLIC_INTERFACE
+  const handleBinMouseOver = (e, bin) => {
+    const { left, top } = svgRef.current.getBoundingClientRect();
+    const range = ([lo, hi]) => (lo === hi ? formatValue(lo) : `${formatValue(lo)} – ${formatValue(hi)}`);
+    const rows = [["Count", bin.count], [plotX, range(bin.x)], [plotY, range(bin.y)]];
+    if (binByMean) {
+      rows.push([`Mean ${colorBy}`, bin.value ? `${formatValue(bin.value.mean)} (${range([bin.value.min, bin.value.max])})` : "—"]);
+    }
     setTooltip({
       show: true,
       x: e.clientX - left,
-      y: e.clientY - top - 32,
-      content:
-        `<strong>${plotX}:</strong> ${d.x}<br/><strong>${plotY}:</strong> ${d.y}`
+      y: e.clientY - top - 32 - (rows.length - 2) * 12,
+      rows,
+      color: null,
     });
   };
-  const handlePointMouseOut = () =>
-    setTooltip({ ...tooltip, show: false });
+
+  // Canvas renderer hover: nearest point within HOVER_RADIUS_PX of the cursor
+  const handleCanvasHover = e => {
+    const [px, py] = svgPoint(e);
+    const d = findNearest(pointIndex, px, py, HOVER_RADIUS_PX, scales.x, scales.y);
+    if (d) {
+      if (d !== hoveredPoint) handlePointMouseOver(e, d);
+    } else if (hoveredPoint) {
+      handlePointMouseOut();
+    }
+  };
+
+  const logExcludedMessage = ["x", "y"]
+    .filter(axis => logExcluded[axis])
+    .map(axis => `${logExcluded[axis]} rows with non-positive ${axis === "x" ? plotX : plotY} not shown on the log axis.`)
+    .join(" ");
+
+  // Why the axis columns have no (or only some) numbers, from their profiles
+  const axisProfiles = [...new Set([plotX, plotY].filter(Boolean))].map(
+    col => columnProfiles[csvHeaders.indexOf(col)]
+  );
+  const axisProblems = axisProfiles.map(describeColumnProblem).filter(Boolean);
+  const invalidValuesMessage = axisProfiles.map(describeInvalidValues).filter(Boolean).join(" ");
+
+  // Axis selector options: numeric columns, then the others marked with
+  // their inferred type
+  const axisOptions = axis => {
+    const isNumeric = idx => columnProfiles[idx] && NUMERIC_TYPES.includes(columnProfiles[idx].type);
+    const indices = csvHeaders.map((_, idx) => idx);
+    const others = indices.filter(idx => !isNumeric(idx));
+    return [
+      ...indices.filter(isNumeric).map(idx => (
+        <option key={axis + idx} value={csvHeaders[idx]}>
+          {columnLabel(idx)}
+        </option>
+      )),
+      others.length > 0 && (
+        <optgroup key={axis + "-other"} label="Not numeric">
+          {others.map(idx => (
+            <option key={axis + idx} value={csvHeaders[idx]}>
+              {`${columnLabel(idx)} (${COLUMN_TYPES[columnProfiles[idx].type]})`}
+            </option>
+          ))}
+        </optgroup>
+      ),
+    ];
+  };
+
+  const xTitle = columnLabel(csvHeaders.indexOf(plotX));
+  const yTitle = columnLabel(csvHeaders.indexOf(plotY));
+  // Screen-reader summary of the plotted points
+  const plotSummary = React.useMemo(
+    () =>
+      describePlot({
+        points: plotPoints,
+        xLabel: xTitle,
+        yLabel: yTitle,
+        hidden: seriesPoints.length - plotPoints.length,
+        format: formatValue,
+      }),
+    [plotPoints, seriesPoints, xTitle, yTitle]
+  );
 
   // Export sample CSV (for convenience)
   // PUBLIC_INTERFACE
   const handleSample = () => {
     const sample =
       "Depth,GR,RES,BulkDensity\n1000,80,55,2.65\n1002,85,50,2.67\n1004,88,75,2.68\n1006,90,44,2.64\n1008,76,120,2.66\n1010,81,52,2.63";
-    const blob = new Blob([sample], { type: "text/csv" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = "sample.csv";
-    a.click();
-    URL.revokeObjectURL(url);
+    downloadBlob(sample, "text/csv", "sample.csv");
   };
 
   // Layout
@@ -226,6 +1334,7 @@ function App() {
         minHeight: "100vh",
         background: theme.background,
         color: theme.text,
+        ...themeVariables(theme),
         fontFamily:
           "'Segoe UI', 'Roboto', 'Helvetica Neue', Arial, sans-serif",
         display: "flex",
@@ -234,11 +1343,51 @@ function App() {
         padding: "0",
       }}
     >
+      {pendingImport && (
+        <ImportPreviewDialog
+          key={pendingImport.id}
+          fileName={pendingImport.fileName}
+          buffer={pendingImport.buffer}
+          theme={theme}
+          onConfirm={handleImportConfirm}
+          onCancel={() => setImportQueue(q => q.slice(1))}
+        />
+      )}
+      {exportOpen && (
+        <ExportDialog
+          figureProps={{
+            viewBox,
+            axisSettings,
+            points: plotPoints,
+            colorOf,
+            shapeOf,
+            series: multiSeries ? series.filter(s => s.visible) : [],
+            colorScale,
+            colorTitle: columnLabel(csvHeaders.indexOf(colorBy)),
+            selection,
+            overlays,
+            fits: fits.map((spec, i) => ({ spec, fit: fitResults[i].fit })).filter(f => f.fit),
+            annotations: placedAnnotations,
+            xTitle,
+            yTitle,
+            showGrid,
+            pointRadius: POINT_RADIUS_PX,
+            selectedStroke: figureTheme.selected,
+            theme: figureTheme,
+          }}
+          defaultTitle={fileName}
+          subtitle={`${yTitle} vs ${xTitle}${wellName ? ` — ${wellName}` : ""}`}
+          fileStem={`${baseName(fileName)}_${plotY}_vs_${plotX}`}
+          theme={theme}
+          onClose={() => setExportOpen(false)}
+        />
+      )}
       {/* Topbar */}
       <div
         style={{
           width: "100%",
-          background: theme.primary,
+          position: "relative",
+          background: theme.header,
           color: "#fff",
           padding: "18px 0 10px 0",
           display: "flex",
@@ -260,8 +1409,23 @@ function App() {
           CSV Crossplot Explorer
         </h1>
         <p style={{ color: "#e0e0e0", margin: "0.3em 0 0.5em 0", fontSize: "1em" }}>
-          Upload a CSV, pick columns, explore interactive crossplots.
+          Upload a CSV or LAS file, pick columns, explore interactive crossplots.
         </p>
+        {wellName && (
+          <p style={{ color: "#fff", margin: "0 0 0.4em 0", fontWeight: 600 }}>
+            Well: {wellName}
+          </p>
+        )}
+        <label style={{ position: "absolute", top: "10px", right: "14px", fontSize: "0.9em" }}>
+          Theme{" "}
+          <select aria-label="Theme" value={themeName} onChange={e => handleThemeChange(e.target.value)}>
+            {Object.entries(THEMES).map(([name, t]) => (
+              <option key={name} value={name}>
+                {t.label}
+              </option>
+            ))}
+          </select>
+        </label>
       </div>
 
       {/* Card: Upload/Controls */}
@@ -269,7 +1433,7 @@ function App() {
         className="dashboard-card"
         style={{
           boxShadow: "0 2px 12px rgba(50,60,80,0.10)",
-          background: "#fff",
+          background: "var(--surface)",
           borderRadius: "15px",
           padding: "30px 24px 20px 24px",
           width: "95%",
@@ -293,37 +1457,47 @@ function App() {
               letterSpacing: "0.2px",
             }}
           >
-            Upload CSV file
+            {series.length ? "Add CSV or LAS files" : "Upload CSV or LAS files"}
           </label>
           <input
             id="file-upload"
             type="file"
-            accept=".csv,text/csv"
+            multiple
+            accept=".csv,.las,text/csv"
             onChange={handleFileChange}
             style={{
               width: "100%",
-              background: "#fafbfc",
-              border: "1px solid #e2e8f0",
+              background: "var(--surface-alt)",
+              border: "1px solid var(--border)",
               borderRadius: "7px",
               padding: "10px",
               fontSize: "1em",
-              color: "#555",
+              color: "var(--muted)",
               marginBottom: "0.7em",
               cursor: "pointer",
             }}
           />
-          <div style={{ textAlign: "left", marginTop: "2px", color: "#888" }}>
-            {fileName && (
-              <>
-                <span style={{ fontSize: "0.97em", color: theme.secondary }}>
-                  {fileName}
-                </span>
-                <span style={{ marginLeft: "18px" }}>
-                  {`(${csvHeaders.length} columns, ${csvRows.length} rows)`}
-                </span>
-              </>
-            )}
-          </div>
+          {series.length > 0 && (
+            <SeriesList
+              series={series}
+              onChange={handleSeriesChange}
+              onMove={handleSeriesMove}
+              onRemove={handleSeriesRemove}
+              theme={theme}
+            />
+          )}
+          {csvHeaders.length > 0 && (
+            <ColumnProfile profiles={columnProfiles} rowCount={csvRows.length} theme={theme} />
+          )}
+          <SessionControls
+            hasData={csvHeaders.length > 0}
+            canLink={Boolean(plotX && plotY) && typeof navigator.clipboard !== "undefined"}
+            onSave={handleSaveSession}
+            onOpen={handleOpenSession}
+            onCopyLink={handleCopyViewLink}
+            onClear={handleClearSession}
+            theme={theme}
+          />
           <button
             className="download-sample-btn"
             onClick={handleSample}
@@ -331,7 +1505,7 @@ function App() {
               marginTop: "9px",
               padding: "4px 12px",
               background: theme.accent,
-              color: "#fff",
+              color: theme.onAccent,
               fontWeight: 600,
               border: "none",
               borderRadius: "6px",
@@ -347,12 +1521,13 @@ function App() {
             <div
               style={{
                 marginTop: "8px",
-                color: "#c62828",
-                background: "#ffe0e0",
-                border: "1px solid #faa",
+                color: "var(--danger)",
+                background: "var(--surface-alt)",
+                border: "1px solid var(--danger)",
                 padding: "8px",
                 borderRadius: "7px",
                 fontSize: "0.97em",
+                whiteSpace: "pre-line",
               }}
             >
               {error}
@@ -374,10 +1549,13 @@ function App() {
             }}
           >
             <div style={{ display: "flex", flexDirection: "column", alignItems: "start" }}>
-              <label style={{ fontWeight: 500, color: theme.primary }}>X-axis:</label>
+              <label htmlFor="x-axis-column" style={{ fontWeight: 500, color: theme.primary }}>
+                X-axis:
+              </label>
               <select
+                id="x-axis-column"
                 value={plotX}
-                onChange={e => { setPlotX(e.target.value); }}
+                onChange={e => selectAxisColumn("x", e.target.value)}
                 style={{
                   fontSize: "1em",
                   minWidth: "120px",
@@ -387,18 +1565,17 @@ function App() {
                 }}
               >
                 <option value="">Select column...</option>
-                {csvHeaders.map((col, idx) => (
-                  <option key={"x" + idx} value={col}>
-                    {col}
-                  </option>
-                ))}
+                {axisOptions("x")}
               </select>
             </div>
             <div style={{ display: "flex", flexDirection: "column", alignItems: "start" }}>
-              <label style={{ fontWeight: 500, color: theme.primary }}>Y-axis:</label>
+              <label htmlFor="y-axis-column" style={{ fontWeight: 500, color: theme.primary }}>
+                Y-axis:
+              </label>
               <select
+                id="y-axis-column"
                 value={plotY}
-                onChange={e => { setPlotY(e.target.value); }}
+                onChange={e => selectAxisColumn("y", e.target.value)}
                 style={{
                   fontSize: "1em",
                   minWidth: "120px",
@@ -408,15 +1585,140 @@ function App() {
                 }}
               >
                 <option value="">Select column...</option>
+                {axisOptions("y")}
+              </select>
+            </div>
+            <div style={{ display: "flex", flexDirection: "column", alignItems: "start" }}>
+              <label htmlFor="color-by-column" style={{ fontWeight: 500, color: theme.primary }}>
+                Color by:
+              </label>
+              <select
+                id="color-by-column"
+                value={colorBy}
+                onChange={e => setColorBy(e.target.value)}
+                style={{
+                  fontSize: "1em",
+                  minWidth: "120px",
+                  padding: "7px 13px",
+                  border: `2px solid ${theme.primary}`,
+                  borderRadius: "6px",
+                }}
+              >
+                <option value="">None</option>
                 {csvHeaders.map((col, idx) => (
-                  <option key={"y" + idx} value={col}>
-                    {col}
+                  <option key={"c" + idx} value={col}>
+                    {columnLabel(idx)}
                   </option>
                 ))}
               </select>
             </div>
           </div>
         )}
+        {/* View mode */}
+        {csvHeaders.length > 1 && (
+          <div
+            role="group"
+            aria-label="View mode"
+            style={{ marginTop: "18px", display: "flex", gap: "6px", fontSize: "0.95em" }}
+          >
+            {[["plot", "Crossplot"], ["matrix", "Scatter matrix"]].map(([mode, label]) => (
+              <button
+                key={mode}
+                aria-pressed={viewMode === mode}
+                onClick={() => handleViewModeChange(mode)}
+                style={{
+                  padding: "4px 12px",
+                  borderRadius: "6px",
+                  cursor: "pointer",
+                  border: `1px solid ${theme.primary}66`,
+                  background: viewMode === mode ? theme.primary : "var(--surface)",
+                  color: viewMode === mode ? theme.onPrimary : theme.primary,
+                  fontWeight: 500,
+                }}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        )}
+        {viewMode === "matrix" && csvHeaders.length > 1 && (
+          <div
+            className="matrix-columns"
+            style={{
+              marginTop: "12px",
+              width: "100%",
+              display: "flex",
+              flexWrap: "wrap",
+              gap: "6px 14px",
+              fontSize: "0.95em",
+            }}
+          >
+            <span style={{ fontWeight: 500, color: theme.primary }}>Matrix columns:</span>
+            {numericHeaders.map(col => (
+              <label key={col}>
+                <input
+                  type="checkbox"
+                  checked={matrixColumns.includes(col)}
+                  onChange={() => toggleMatrixColumn(col)}
+                />{" "}
+                {columnLabel(csvHeaders.indexOf(col))}
+              </label>
+            ))}
+          </div>
+        )}
+        {/* Axis scale settings */}
+        {viewMode === "plot" && plotX && plotY && (
+          <div
+            className="axis-settings"
+            style={{
+              marginTop: "16px",
+              width: "100%",
+              display: "flex",
+              flexDirection: "column",
+              gap: "8px",
+            }}
+          >
+            {["x", "y"].map(axis => (
+              <AxisControls
+                key={axis}
+                label={axis === "x" ? "X-axis" : "Y-axis"}
+                settings={axisSettings[axis]}
+                onChange={settings => setAxisSettings(a => ({ ...a, [axis]: settings }))}
+                theme={theme}
+              />
+            ))}
+            {colorScale && colorScale.type === "continuous" && (
+              <ColorControls
+                settings={colorSettings}
+                dataRange={colorScale.dataRange}
+                onChange={setColorSettings}
+                theme={theme}
+              />
+            )}
+            <DensityControls settings={density} meanColumn={meanColumn} onChange={setDensity} theme={theme} />
+          </div>
+        )}
+        {csvHeaders.length > 0 && (
+          <FilterBar
+            filters={filters}
+            result={filterResult}
+            headers={csvHeaders}
+            rows={dataRows}
+            numericHeaders={numericHeaders}
+            onAdd={filter => setFilters(list => [...list, { ...filter, id: nextFilterId.current++, enabled: true }])}
+            onChange={(id, patch) => setFilters(list => list.map(f => (f.id === id ? { ...f, ...patch } : f)))}
+            onRemove={id => setFilters(list => list.filter(f => f.id !== id))}
+            theme={theme}
+          />
+        )}
+        {csvHeaders.length > 0 && (
+          <ColumnEditor
+            headers={csvHeaders}
+            numericHeaders={numericHeaders}
+            onAdd={handleAddComputedColumn}
+            theme={theme}
+          />
+        )}
       </div>
 
       {/* Plot area */}
@@ -432,14 +1734,50 @@ function App() {
           alignItems: "center",
         }}
       >
-        {plotX && plotY && plotPoints.length ? (
+        {viewMode === "matrix" && csvHeaders.length > 1 ? (
+          <div
+            className="matrix-area"
+            style={{
+              width: "98%",
+              background: "var(--surface-alt)",
+              border: `1.7px solid ${theme.primary}33`,
+              borderRadius: "16px",
+              padding: "16px",
+              marginBottom: "30px",
+              boxSizing: "border-box",
+            }}
+          >
+            <ScatterMatrix
+              columns={matrixColumns}
+              headers={csvHeaders}
+              rows={dataRows}
+              mask={rowMask}
+              labelOf={col => columnLabel(csvHeaders.indexOf(col))}
+              selection={selection}
+              onBrush={(hits, op) => setSelection(prev => combineSelection(prev, hits, op))}
+              onOpenPair={handleOpenPair}
+              theme={theme}
+            />
+            <SelectionPanel
+              selection={selection}
+              onInvert={() => setSelection(s => invertSelection(s, csvRows.map((_, idx) => ({ idx }))))}
+              onClear={() => setSelection(new Set())}
+              onDownload={handleDownloadSelection}
+              theme={theme}
+            />
+            <div style={{ marginTop: "8px", fontSize: "0.93em", color: "var(--notice-text)", textAlign: "center" }}>
+              Drag in a cell to brush rows (Shift add, Alt subtract, Ctrl toggle) &nbsp;&bull;&nbsp;
+              Click a cell to open it as a crossplot
+            </div>
+          </div>
+        ) : plotX && plotY && plottable.length ? (
           <div
             className="svg-plot-area"
             style={{
               width: "98%",
               maxWidth: "740px",
               minHeight: "320px",
-              background: "#fafbfc",
+              background: "var(--surface-alt)",
               border: `1.7px solid ${theme.primary}33`,
               borderRadius: "16px",
               padding: "19px 11px 22px 36px",
@@ -449,6 +1787,95 @@ function App() {
               position: "relative",
             }}
           >
+            {/* Drag mode toolbar */}
+            <div
+              role="toolbar"
+              aria-label="Plot drag mode"
+              style={{ display: "flex", gap: "6px", marginBottom: "8px", fontSize: "0.93em" }}
+            >
+              {[["pan", "Pan"], ["box", "Box select"], ["lasso", "Lasso select"], ["annotate", "Annotate"]].map(([mode, label]) => (
+                <button
+                  key={mode}
+                  aria-pressed={interactionMode === mode}
+                  onClick={() => setInteractionMode(mode)}
+                  style={{
+                    padding: "3px 10px",
+                    borderRadius: "6px",
+                    cursor: "pointer",
+                    border: `1px solid ${theme.primary}66`,
+                    background: interactionMode === mode ? theme.primary : "var(--surface)",
+                    color: interactionMode === mode ? theme.onPrimary : theme.primary,
+                    fontWeight: 500,
+                  }}
+                >
+                  {label}
+                </button>
+              ))}
+              <label style={{ display: "inline-flex", alignItems: "center", gap: "4px", marginLeft: "6px" }}>
+                Zoom:
+                <select aria-label="Zoom axes" value={zoomAxes} onChange={e => setZoomAxes(e.target.value)}>
+                  <option value="xy">X and Y</option>
+                  <option value="x">X only</option>
+                  <option value="y">Y only</option>
+                </select>
+              </label>
+              {[
+                ["Undo view change (Ctrl+Z)", "↶", handleViewUndo, canUndoView],
+                ["Redo view change (Ctrl+Shift+Z)", "↷", handleViewRedo, canRedoView],
+              ].map(([label, icon, onClick, enabled]) => (
+                <button
+                  key={icon}
+                  aria-label={label}
+                  title={label}
+                  disabled={!enabled}
+                  onClick={onClick}
+                  style={{
+                    padding: "3px 9px",
+                    borderRadius: "6px",
+                    cursor: enabled ? "pointer" : "default",
+                    border: `1px solid ${theme.primary}66`,
+                    background: "var(--surface)",
+                    color: enabled ? theme.primary : "var(--muted)",
+                    fontWeight: 600,
+                  }}
+                >
+                  {icon}
+                </button>
+              ))}
+              <button
+                onClick={() => setExportOpen(true)}
+                style={{
+                  marginLeft: "auto",
+                  padding: "3px 10px",
+                  borderRadius: "6px",
+                  cursor: "pointer",
+                  border: `1px solid ${theme.accent}`,
+                  background: "var(--surface)",
+                  color: theme.secondary,
+                  fontWeight: 500,
+                }}
+              >
+                Export image…
+              </button>
+            </div>
+            {/* X marginal, offset by the plot's border */}
+            {showMarginals && (
+              <div style={{ width: "100%", paddingLeft: "1.5px", boxSizing: "border-box" }}>
+                <MarginalPlot
+                  axis="x"
+                  points={plotPoints}
+                  selection={selection}
+                  scale={scales.x}
+                  area={area}
+                  length={plotSize.width}
+                  kind={marginals.kind}
+                  bins={marginalBins}
+                  hoverBand={marginalHover}
+                  onHoverBand={setMarginalHover}
+                  theme={theme}
+                />
+              </div>
+            )}
             {/* Crossplot SVG */}
             <div
               style={{
@@ -458,150 +1885,238 @@ function App() {
                 touchAction: "pan-x pan-y",
               }}
             >
+              {useCanvas && (
+                <CanvasPoints
+                  points={plotPoints}
+                  xScale={scales.x}
+                  yScale={scales.y}
+                  area={area}
+                  width={plotSize.width}
+                  height={plotSize.height}
+                  overlayRef={svgRef}
+                  radius={POINT_RADIUS_PX}
+                  colorOf={colorOf}
+                  shapeOf={shapeOf}
+                  fill={theme.pointFill + "CC"}
+                  stroke={theme.pointStroke + "BB"}
+                  selected={selection}
+                  selectedStroke={theme.selected}
+                />
+              )}
               <svg
-                ref={svgRef}
+                ref={plotRef}
                 tabIndex={0}
-                width="100%"
+                role="application"
+                aria-roledescription="crossplot"
+                aria-label={`${yTitle} vs ${xTitle} crossplot`}
+                aria-describedby="plot-summary plot-keys"
+                width={plotCssWidth}
                 height="320"
-                viewBox={`${viewBox.xmin} ${viewBox.ymin} ${viewBox.xmax - viewBox.xmin} ${viewBox.ymax - viewBox.ymin}`}
                 style={{
                   border: `1.5px solid ${theme.secondary}22`,
-                  background: "#fff",
+                  background: useCanvas ? "transparent" : "var(--surface)",
                   borderRadius: "13px",
-                  width: "100%",
+                  position: "relative",
+                  width: plotCssWidth,
                   height: "320px",
-                  cursor: dragAnchor ? "move" : "crosshair",
+                  cursor: dragAnchor || annotationDrag ? "move" : interactionMode === "annotate" ? "cell" : "crosshair",
+                  userSelect: "none",
+                  touchAction: "none",
                   boxShadow: "0 0 12px rgba(120,150,140,0.07)",
                 }}
                 onWheel={handleWheel}
                 onMouseDown={handleMouseDown}
                 onMouseMove={handleMouseMove}
                 onMouseUp={handleMouseUp}
-                onMouseLeave={handleMouseUp}
-                onDoubleClick={() => {
-                  // Reset zoom
-                  setViewBox(
-                    (() => {
-                      const xs = plotPoints.map(p => p.x), ys = plotPoints.map(p => p.y);
-                      const padFrac = 0.05;
-                      const xmin = Math.min(...xs), xmax = Math.max(...xs);
-                      const ymin = Math.min(...ys), ymax = Math.max(...ys);
-                      const xPad = (xmax - xmin) * padFrac || 1;
-                      const yPad = (ymax - ymin) * padFrac || 1;
-                      return {
-                        xmin: xmin - xPad,
-                        xmax: xmax + xPad,
-                        ymin: ymin - yPad,
-                        ymax: ymax + yPad,
-                      };
-                    })()
-                  );
-                }}
+                onMouseLeave={handleMouseLeave}
+                onDoubleClick={handleResetView}
+                onKeyDown={handlePlotKeyDown}
+                onTouchStart={handleTouchStart}
+                onTouchMove={handleTouchMove}
+                onTouchEnd={handleTouchStart}
+                onTouchCancel={handleTouchStart}
               >
-                {/* Axes */}
-                <g>
-                  {/* X axis */}
-                  <line
-                    x1={viewBox.xmin}
-                    x2={viewBox.xmax}
-                    y1={0}
-                    y2={0}
-                    stroke={theme.secondary}
-                    strokeDasharray="3,2"
-                    strokeWidth="0.6"
-                  />
-                  {/* Y axis */}
-                  <line
-                    x1={0}
-                    x2={0}
-                    y1={viewBox.ymin}
-                    y2={viewBox.ymax}
-                    stroke={theme.secondary}
-                    strokeDasharray="3,2"
-                    strokeWidth="0.6"
-                  />
+                <defs>
+                  <clipPath id="plot-area-clip">
+                    <rect x={area.left} y={area.top} width={area.width} height={area.height} />
+                  </clipPath>
+                </defs>
+                <PlotAxes
+                  xScale={scales.x}
+                  yScale={scales.y}
+                  area={area}
+                  xTitle={xTitle}
+                  yTitle={yTitle}
+                  showGrid={showGrid}
+                  theme={theme}
+                />
+                <g clipPath="url(#plot-area-clip)">
+                  <OverlayLayer overlays={overlays} xScale={scales.x} yScale={scales.y} theme={theme} />
                 </g>
-                {/* Plot points */}
-                <g>
-                  {plotPoints.map((d, idx) => (
-                    <circle
-                      key={idx}
-                      cx={d.x}
-                      cy={d.y}
-                      r={Math.max(1.5, (viewBox.xmax - viewBox.xmin) / 160)}
-                      fill={theme.accent + "CC"}
-                      stroke={theme.primary + "BB"}
-                      strokeWidth="0.7"
-                      onMouseOver={e => handlePointMouseOver(e, d)}
-                      onMouseOut={handlePointMouseOut}
+                {/* Plot points (drawn on the canvas underneath in canvas mode), or density bins */}
+                <g clipPath="url(#plot-area-clip)">
+                  {density.enabled ? (
+                    <DensityLayer
+                      bins={densityBins}
+                      shape={density.shape}
+                      size={binSizePx(density)}
+                      colorOf={bin => binColors.color(binStatistic(bin))}
+                      contours={densityContours}
+                      onBinOver={handleBinMouseOver}
+                      onBinOut={handlePointMouseOut}
+                      theme={theme}
                     />
-                  ))}
-                </g>
-                {/* Axis ticks/labels */}
-                {/* X axis */}
-                <g>
-                  {(() => {
-                    const range = viewBox.xmax - viewBox.xmin;
-                    const ticks = 5;
-                    return Array.from({ length: ticks + 1 }).map((_, i) => {
-                      const x = viewBox.xmin + (i / ticks) * range;
-                      return (
-                        <g key={i}>
-                          <line
-                            x1={x}
-                            y1={viewBox.ymin}
-                            x2={x}
-                            y2={viewBox.ymin + 1 / 20 * (viewBox.ymax - viewBox.ymin)}
-                            stroke={theme.primary}
-                            strokeWidth="0.4"
-                          />
-                          <text
-                            x={x}
-                            y={viewBox.ymin - 0.01 * (viewBox.ymax - viewBox.ymin)}
-                            textAnchor="middle"
-                            fontSize="0.038em"
-                            fill={theme.secondary}
-                          >
-                            {Number(x).toFixed(2)}
-                          </text>
-                        </g>
-                      );
-                    });
-                  })()}
+                  ) : useCanvas ? (
+                    hoveredPoint && (
+                      <circle
+                        cx={scales.x(hoveredPoint.x)}
+                        cy={scales.y(hoveredPoint.y)}
+                        r={POINT_RADIUS_PX * 1.6}
+                        fill="none"
+                        stroke={theme.primary}
+                        strokeWidth="1.5"
+                      />
+                    )
+                  ) : (
+                    plotPoints.map((d, idx) => (
+                      <Marker
+                        key={idx}
+                        shape={shapeOf ? shapeOf(d) : "circle"}
+                        x={scales.x(d.x)}
+                        y={scales.y(d.y)}
+                        r={POINT_RADIUS_PX}
+                        fill={colorOf ? colorOf(d) : theme.pointFill + "CC"}
+                        stroke={selection.has(d.idx) ? theme.selected : theme.pointStroke + "BB"}
+                        strokeWidth={selection.has(d.idx) ? 2.5 : 1}
+                        onMouseOver={e => handlePointMouseOver(e, d)}
+                        onMouseOut={handlePointMouseOut}
+                      />
+                    ))
+                  )}
                 </g>
-                {/* Y axis */}
-                <g>
-                  {(() => {
-                    const range = viewBox.ymax - viewBox.ymin;
-                    const ticks = 5;
-                    return Array.from({ length: ticks + 1 }).map((_, i) => {
-                      const y = viewBox.ymin + (i / ticks) * range;
-                      return (
-                        <g key={i}>
-                          <line
-                            x1={viewBox.xmin}
-                            y1={y}
-                            x2={viewBox.xmin + 1 / 32 * (viewBox.xmax - viewBox.xmin)}
-                            y2={y}
-                            stroke={theme.primary}
-                            strokeWidth="0.4"
-                          />
-                          <text
-                            x={viewBox.xmin - 0.01 * (viewBox.xmax - viewBox.xmin)}
-                            y={y}
-                            dominantBaseline="middle"
-                            textAnchor="end"
-                            fontSize="0.038em"
-                            fill={theme.secondary}
-                          >
-                            {Number(y).toFixed(2)}
-                          </text>
-                        </g>
-                      );
-                    });
-                  })()}
+                {/* Points in the hovered marginal bin */}
+                {marginalHighlight.length > 0 && (
+                  <g clipPath="url(#plot-area-clip)" pointerEvents="none">
+                    {marginalHighlight.slice(0, CANVAS_POINT_THRESHOLD).map(d => (
+                      <circle
+                        key={d.idx}
+                        cx={scales.x(d.x)}
+                        cy={scales.y(d.y)}
+                        r={POINT_RADIUS_PX + 1.5}
+                        fill="none"
+                        stroke={theme.primary}
+                        strokeWidth="2"
+                      />
+                    ))}
+                  </g>
+                )}
+                {/* Outlier crosses */}
+                {outlierPoints.length > 0 && (
+                  <g clipPath="url(#plot-area-clip)" pointerEvents="none" stroke={theme.danger} strokeWidth="1.8">
+                    {outlierPoints.slice(0, CANVAS_POINT_THRESHOLD).map(d => {
+                      const x = scales.x(d.x), y = scales.y(d.y), r = POINT_RADIUS_PX + 2;
+                      return <path key={d.idx} d={`M${x - r},${y - r}L${x + r},${y + r}M${x - r},${y + r}L${x + r},${y - r}`} />;
+                    })}
+                  </g>
+                )}
+                {/* Point of the row hovered or pinned in the data table */}
+                {tablePoint && (
+                  <g pointerEvents="none">
+                    <circle
+                      cx={scales.x(tablePoint.x)}
+                      cy={scales.y(tablePoint.y)}
+                      r={POINT_RADIUS_PX * 2.4}
+                      fill="none"
+                      stroke="#fff"
+                      strokeWidth="4"
+                    />
+                    <circle
+                      cx={scales.x(tablePoint.x)}
+                      cy={scales.y(tablePoint.y)}
+                      r={POINT_RADIUS_PX * 2.4}
+                      fill="none"
+                      stroke={theme.accent}
+                      strokeWidth="2"
+                    />
+                  </g>
+                )}
+                {/* Trend lines */}
+                <g clipPath="url(#plot-area-clip)" pointerEvents="none">
+                  {fits.map((spec, i) =>
+                    fitResults[i].fit ? (
+                      <path
+                        key={spec.id}
+                        d={functionPath(fitResults[i].fit.predict, scales.x, scales.y)}
+                        fill="none"
+                        stroke={spec.color}
+                        strokeWidth="2"
+                      />
+                    ) : null
+                  )}
                 </g>
+                {/* Annotations; labels can be dragged in Annotate mode */}
+                {placedAnnotations.length > 0 && (
+                  <AnnotationLayer
+                    annotations={placedAnnotations}
+                    xScale={scales.x}
+                    yScale={scales.y}
+                    area={area}
+                    draggable={interactionMode === "annotate"}
+                  />
+                )}
+                {/* Selection shape being drawn */}
+                {/* Shift-drag zoom rectangle, full height or width for one-axis zoom */}
+                {selectionDraft && selectionDraft.type === "zoom" && (
+                  <rect
+                    x={zoomAxes === "y" ? area.left : Math.min(selectionDraft.from[0], selectionDraft.to[0])}
+                    y={zoomAxes === "x" ? area.top : Math.min(selectionDraft.from[1], selectionDraft.to[1])}
+                    width={zoomAxes === "y" ? area.width : Math.abs(selectionDraft.to[0] - selectionDraft.from[0])}
+                    height={zoomAxes === "x" ? area.height : Math.abs(selectionDraft.to[1] - selectionDraft.from[1])}
+                    fill={theme.secondary + "12"}
+                    stroke={theme.secondary}
+                    strokeDasharray="2,3"
+                    pointerEvents="none"
+                  />
+                )}
+                {selectionDraft && selectionDraft.type === "box" && (
+                  <rect
+                    x={Math.min(selectionDraft.from[0], selectionDraft.to[0])}
+                    y={Math.min(selectionDraft.from[1], selectionDraft.to[1])}
+                    width={Math.abs(selectionDraft.to[0] - selectionDraft.from[0])}
+                    height={Math.abs(selectionDraft.to[1] - selectionDraft.from[1])}
+                    fill={theme.primary + "1A"}
+                    stroke={theme.primary}
+                    strokeDasharray="4,3"
+                    pointerEvents="none"
+                  />
+                )}
+                {selectionDraft && selectionDraft.type === "lasso" && (
+                  <polygon
+                    points={selectionDraft.path.map(p => p.join(",")).join(" ")}
+                    fill={theme.primary + "1A"}
+                    stroke={theme.primary}
+                    strokeDasharray="4,3"
+                    pointerEvents="none"
+                  />
+                )}
               </svg>
+              {showMarginals && (
+                <div style={{ position: "absolute", right: 0, top: "1.5px" }}>
+                  <MarginalPlot
+                    axis="y"
+                    points={plotPoints}
+                    selection={selection}
+                    scale={scales.y}
+                    area={area}
+                    length={plotSize.height}
+                    kind={marginals.kind}
+                    bins={marginalBins}
+                    hoverBand={marginalHover}
+                    onHoverBand={setMarginalHover}
+                    theme={theme}
+                  />
+                </div>
+              )}
               {/* Tooltip */}
               {tooltip.show && (
                 <div
@@ -611,8 +2126,8 @@ function App() {
                     left: tooltip.x,
                     top: tooltip.y,
                     minWidth: "100px",
-                    background: "#fffbe6",
-                    color: "#373737",
+                    background: "var(--notice)",
+                    color: theme.text,
                     borderRadius: "7px",
                     padding: "9px 12px",
                     boxShadow: "0 2px 12px rgba(100,70,5,0.10)",
@@ -621,14 +2136,43 @@ function App() {
                     zIndex: 100,
                     whiteSpace: "nowrap"
                   }}
-                  dangerouslySetInnerHTML={{ __html: tooltip.content }}
-                />
+                >
+                  {tooltip.rows.map(([label, value], i) => (
+                    <div key={i}>
+                      {i === 2 && tooltip.color && (
+                        <span
+                          style={{
+                            display: "inline-block",
+                            width: "9px",
+                            height: "9px",
+                            borderRadius: "50%",
+                            marginRight: "5px",
+                            background: tooltip.color,
+                          }}
+                        />
+                      )}
+                      <strong>{label}:</strong> {value}
+                    </div>
+                  ))}
+                </div>
               )}
             </div>
+            <p id="plot-summary" style={VISUALLY_HIDDEN}>
+              {plotSummary}
+            </p>
+            <div
+              role="status"
+              aria-live="polite"
+              style={{ width: "100%", minHeight: "1.2em", marginTop: "4px", fontSize: "0.93em", color: theme.secondary }}
+            >
+              {pointReadout}
+            </div>
             {/* Legends */}
             <div
               style={{
                 display: "flex",
+                flexWrap: "wrap",
+                gap: "6px 14px",
                 width: "100%",
                 justifyContent: "space-between",
                 marginTop: "10px",
@@ -638,32 +2182,188 @@ function App() {
               }}
             >
               <span>
-                <span style={{ color: theme.primary }}>X:</span> {plotX}
+                <span style={{ color: theme.primary }}>X:</span> {xTitle}
               </span>
               <span>
-                <span style={{ color: theme.primary }}>Y:</span> {plotY}
+                <span style={{ color: theme.primary }}>Y:</span> {yTitle}
               </span>
+              {multiSeries && (
+                <span style={{ display: "inline-flex", flexWrap: "wrap", alignItems: "center", gap: "4px 10px" }}>
+                  {series.map(s => (
+                    <button
+                      key={s.id}
+                      aria-pressed={s.visible}
+                      title={s.visible ? "Hide series" : "Show series"}
+                      onClick={() => handleSeriesChange(s.id, { visible: !s.visible })}
+                      style={{
+                        display: "inline-flex",
+                        alignItems: "center",
+                        gap: "4px",
+                        padding: 0,
+                        border: "none",
+                        background: "none",
+                        cursor: "pointer",
+                        font: "inherit",
+                        fontWeight: 400,
+                        color: s.visible ? theme.secondary : "var(--muted)",
+                        textDecoration: s.visible ? "none" : "line-through",
+                      }}
+                    >
+                      <SeriesSwatch series={s} size={12} />
+                      {s.name}
+                    </button>
+                  ))}
+                </span>
+              )}
+              {density.enabled ? (
+                <ColorLegend
+                  colorScale={{ type: "continuous", ...binColors }}
+                  title={`${binByMean ? `Mean ${columnLabel(colorIdx)}` : "Count"} per bin${density.log ? " (log)" : ""}`}
+                  theme={theme}
+                />
+              ) : (
+                <ColorLegend
+                  colorScale={colorScale}
+                  title={columnLabel(csvHeaders.indexOf(colorBy))}
+                  theme={theme}
+                />
+              )}
               <span style={{ color: theme.accent, fontWeight: 600 }}>
                 {plotPoints.length} points
+                {filteredOut > 0 && (
+                  <span style={{ color: "var(--muted)", fontWeight: 400 }}>{` (${filteredOut} filtered out)`}</span>
+                )}
+                {excludeOutliers && (
+                  <span style={{ color: "var(--muted)", fontWeight: 400 }}>{` (${outliers.size} outliers excluded)`}</span>
+                )}
               </span>
+              <label style={{ fontWeight: 400, fontSize: "0.95em" }}>
+                <input
+                  type="checkbox"
+                  checked={showGrid}
+                  onChange={e => setShowGrid(e.target.checked)}
+                />{" "}
+                Grid
+              </label>
+              <label style={{ fontWeight: 400, fontSize: "0.95em" }}>
+                Marginals:{" "}
+                <select
+                  aria-label="Marginals"
+                  value={marginals.kind}
+                  onChange={e => {
+                    setMarginals(m => ({ ...m, kind: e.target.value }));
+                    setMarginalHover(null);
+                  }}
+                >
+                  <option value="none">None</option>
+                  <option value="histogram">Histogram</option>
+                  <option value="kde">Density (KDE)</option>
+                </select>
+                {showMarginals && (
+                  <input
+                    type="number"
+                    aria-label="Marginal bins"
+                    title="Histogram bins (also the hover band width)"
+                    min={MIN_MARGINAL_BINS}
+                    max={MAX_MARGINAL_BINS}
+                    value={marginals.bins}
+                    onChange={e => setMarginals(m => ({ ...m, bins: e.target.value }))}
+                    style={{ width: "52px", marginLeft: "4px" }}
+                  />
+                )}
+              </label>
+              <label style={{ fontWeight: 400, fontSize: "0.95em" }}>
+                Renderer:{" "}
+                <select aria-label="Renderer" value={renderer} onChange={e => setRenderer(e.target.value)}>
+                  <option value="auto">
+                    {`Auto (${useCanvas ? "canvas" : "SVG"})`}
+                  </option>
+                  <option value="svg">SVG</option>
+                  <option value="canvas">Canvas</option>
+                </select>
+              </label>
             </div>
+            {(logExcludedMessage || invalidValuesMessage) && (
+              <div
+                role="status"
+                style={{
+                  width: "100%",
+                  marginTop: "8px",
+                  fontSize: "0.93em",
+                  color: "var(--notice-text)",
+                  background: "var(--notice)",
+                  borderRadius: "8px",
+                  padding: "6px 10px",
+                  boxSizing: "border-box",
+                }}
+              >
+                {[logExcludedMessage, invalidValuesMessage].filter(Boolean).join(" ")}
+              </div>
+            )}
+            <SelectionPanel
+              selection={selection}
+              onInvert={() => setSelection(s => invertSelection(s, plotPoints))}
+              onClear={() => setSelection(new Set())}
+              onDownload={handleDownloadSelection}
+              theme={theme}
+            />
+            <OverlayPanel
+              overlays={overlays}
+              error={overlayError}
+              onAddDefinition={def => handleAddOverlay(def)}
+              onUpload={handleOverlayUpload}
+              onToggle={id => setOverlays(list => list.map(o => (o.id === id ? { ...o, visible: !o.visible } : o)))}
+              onRemove={id => setOverlays(list => list.filter(o => o.id !== id))}
+              onClassify={handleClassifyOverlay}
+              theme={theme}
+            />
+            <AnnotationPanel
+              annotations={annotations}
+              shownIds={new Set(placedAnnotations.map(a => a.id))}
+              describe={describeAnnotation}
+              focusId={annotationFocus}
+              onChange={updateAnnotation}
+              onRemove={id => setAnnotations(list => list.filter(a => a.id !== id))}
+              onClear={() => setAnnotations([])}
+              theme={theme}
+            />
+            <OutlierPanel
+              settings={outlierSettings}
+              result={outlierResult}
+              tested={filteredPoints.length}
+              onChange={handleOutlierChange}
+              onAddColumn={handleAddOutlierColumn}
+              theme={theme}
+            />
+            <FitPanel
+              fits={fits}
+              results={fitResults}
+              onAdd={handleAddFit}
+              onRemove={id => setFits(list => list.filter(f => f.id !== id))}
+              theme={theme}
+            />
             {/* Controls guide */}
             <div
               style={{
                 width: "100%",
                 marginTop: "9px",
                 fontSize: "0.97em",
-                color: "#876b24",
-                background: "#fff9f0",
+                color: "var(--notice-text)",
+                background: "var(--notice)",
                 borderRadius: "8px",
                 textAlign: "center",
                 padding: "7px",
               }}
             >
               <span style={{ color: theme.accent, fontWeight: 600 }}>Controls:</span>{" "}
-              <span>
-                Zoom: Mouse wheel &nbsp;&bull;&nbsp; Pan: Drag &nbsp;&bull;&nbsp;
-                Reset: Double-click
+              <span id="plot-keys">
+                Zoom: Mouse wheel, +/−, pinch or Shift-drag a box &nbsp;&bull;&nbsp;
+                Pan: Drag, arrow keys or two fingers &nbsp;&bull;&nbsp;
+                Reset: Double-click or 0 &nbsp;&bull;&nbsp; Undo/redo view: Ctrl+Z / Ctrl+Shift+Z &nbsp;&bull;&nbsp;
+                Click a point: show its row &nbsp;&bull;&nbsp; Annotate: click a point or spot, drag labels
+                &nbsp;&bull;&nbsp; Select: Shift add, Alt subtract,
+                Ctrl toggle &nbsp;&bull;&nbsp; Step through points in X order: . and , (&gt; and &lt; by ten, ] and [
+                to the ends), Enter shows the row, Esc lets go
               </span>
             </div>
           </div>
@@ -673,20 +2373,32 @@ function App() {
               margin: "30px auto",
               fontSize: "1.13em",
               color: theme.secondary,
-              background: "#fff5f3",
+              background: "var(--notice)",
               padding: "19px 40px",
               borderRadius: "11px",
             }}
           >
             No valid numeric data for the selected columns.
+            {[
+              ...axisProblems,
+              invalidValuesMessage,
+              !axisProblems.length && !logExcludedMessage && `No row has numbers in both ${plotX} and ${plotY}.`,
+              logExcludedMessage,
+            ]
+              .filter(Boolean)
+              .map(text => (
+                <div key={text} style={{ fontSize: "0.9em", marginTop: "6px" }}>
+                  {text}
+                </div>
+              ))}
           </div>
         ) : (
           <div
             style={{
               margin: "48px auto",
               fontSize: "1.07em",
-              color: "#4f5e7e",
-              background: "#f5f8fa",
+              color: theme.secondary,
+              background: "var(--surface-alt)",
               padding: "30px 45px",
               borderRadius: "15px",
               maxWidth: "640px",
@@ -701,7 +2413,7 @@ function App() {
             <span
               style={{
                 display: "block",
-                color: "#9ca8bf",
+                color: "var(--muted)",
                 marginTop: "11px",
                 fontSize: "0.98em",
               }}
@@ -710,14 +2422,52 @@ function App() {
             </span>
           </div>
         )}
+        {csvRows.length > 0 && (
+          <DataTable
+            headers={csvHeaders}
+            units={columnUnits}
+            rows={dataRows}
+            rowNotes={viewMode === "plot" ? rowNotes : null}
+            selection={selection}
+            highlighted={tableRow}
+            scrollRequest={tableScroll}
+            onRowHover={setTableHover}
+            onRowClick={idx => setPinnedRow(row => (row === idx ? null : idx))}
+            theme={theme}
+          />
+        )}
+        {csvRows.length > 0 && (
+          <StatsPanel
+            headers={csvHeaders}
+            rows={dataRows}
+            columns={numericHeaders}
+            rowIndices={statsRows}
+            scopeLabel={statsScope}
+            labelOf={col => columnLabel(csvHeaders.indexOf(col))}
+            onPickPair={handleOpenPair}
+            onDownload={handleDownloadTable}
+            theme={theme}
+          />
+        )}
+        {csvRows.length > 0 && (
+          <ClusterPanel
+            headers={csvHeaders}
+            rows={dataRows}
+            columns={numericHeaders}
+            labelOf={col => columnLabel(csvHeaders.indexOf(col))}
+            run={runClustering}
+            onAddColumn={handleAddClusterColumn}
+            theme={theme}
+          />
+        )}
       </div>
       <footer
         style={{
           marginTop: "auto",
           width: "100%",
-          borderTop: "1.5px solid #e9e9ee",
-          background: "#f8f9fb",
-          color: "#888",
+          borderTop: "1.5px solid var(--border)",
+          background: "var(--surface-alt)",
+          color: "var(--muted)",
           fontSize: "0.96em",
           textAlign: "center",
           padding: "14px 0 14px 0"
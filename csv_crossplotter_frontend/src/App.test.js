@@ -1,4 +1,4 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import App from './App';
 
 test('renders learn react link', () => {
@@ -6,3 +6,61 @@ test('renders learn react link', () => {
   const linkElement = screen.getByText(/learn react/i);
   expect(linkElement).toBeInTheDocument();
 });
+
+const LAS = `~V
+VERS. 2.0 :
+WRAP. NO :
+~W
+NULL. -999.25 :
+WELL. VIEW-1 : WELL
+~C
+DEPT.M :
+GR.API :
+RES.OHMM :
+~A
+1000 80 55
+1002 85 60
+1004 88 75
+`;
+
+test('appending a column keeps the current view', async () => {
+  const { container } = render(<App />);
+  const file = new File([LAS], 'w.las', { type: 'text/plain' });
+  fireEvent.change(container.querySelector('#file-upload'), { target: { files: [file] } });
+  await waitFor(() => screen.getByText(/VIEW-1/));
+  fireEvent.change(screen.getByLabelText('X-axis:'), { target: { value: 'GR' } });
+  fireEvent.change(screen.getByLabelText('Y-axis:'), { target: { value: 'RES' } });
+  const svg = container.querySelector('svg[tabindex="0"]');
+  const undo = screen.getByLabelText('Undo view change (Ctrl+Z)');
+  fireEvent.keyDown(svg, { key: '+' });
+  expect(undo.disabled).toBe(false);
+  const ticks = () => [...svg.querySelectorAll('text')].map(t => t.textContent).join(' ');
+  const zoomed = ticks();
+  fireEvent.click(screen.getByText('New column…'));
+  fireEvent.change(screen.getByLabelText('Column name'), { target: { value: 'GR2' } });
+  fireEvent.change(screen.getByLabelText('Column formula'), { target: { value: 'GR * 2' } });
+  fireEvent.click(screen.getByText('Add column'));
+  await waitFor(() => expect(screen.getByLabelText('X-axis:').textContent).toMatch(/GR2/));
+  expect(ticks()).toBe(zoomed);
+  expect(undo.disabled).toBe(false);
+});
+
+test('null values apply on Enter and keep the current view', async () => {
+  const { container } = render(<App />);
+  const file = new File([LAS], 'w.las', { type: 'text/plain' });
+  fireEvent.change(container.querySelector('#file-upload'), { target: { files: [file] } });
+  await waitFor(() => screen.getByText(/VIEW-1/));
+  fireEvent.change(screen.getByLabelText('X-axis:'), { target: { value: 'GR' } });
+  fireEvent.change(screen.getByLabelText('Y-axis:'), { target: { value: 'RES' } });
+  const svg = container.querySelector('svg[tabindex="0"]');
+  fireEvent.keyDown(svg, { key: '+' });
+  const points = () => svg.querySelectorAll('circle[r="4"]').length;
+  expect(points()).toBe(3);
+  const nulls = screen.getByLabelText('VIEW-1 null values');
+  fireEvent.change(nulls, { target: { value: '8' } });
+  fireEvent.change(nulls, { target: { value: '88' } });
+  expect(points()).toBe(3);
+  fireEvent.keyDown(nulls, { key: 'Enter' });
+  await waitFor(() => expect(points()).toBe(2));
+  expect(screen.getByLabelText('Undo view change (Ctrl+Z)').disabled).toBe(false);
+});
@@ -0,0 +1,57 @@
+import React from "react";
+
+const FONT_PX = 11;
+
+// PUBLIC_INTERFACE
+function AnnotationLayer({ annotations, xScale, yScale, area, draggable = false, fontSize = FONT_PX }) {
+  /** Draws placed annotations (see placeAnnotations): a ring around the
+   *  annotated point or a dot at a free location, the label at its pixel
+   *  offset (dx, dy) and an optional leader line. Annotations whose anchor
+   *  is outside the plot area are skipped; labels may overhang it. With
+   *  draggable, labels take pointer events and carry data-annotation ids.
+   */
+  return (
+    <g className="plot-annotations" pointerEvents="none">
+      {annotations.map(a => {
+        const x = xScale(a.ax), y = yScale(a.ay);
+        if (!isFinite(x) || !isFinite(y) || x < area.left || x > area.right || y < area.top || y > area.bottom) return null;
+        const lx = x + a.dx, ly = y + a.dy;
+        const gap = Math.hypot(a.dx, a.dy);
+        // The leader stops short of the ring and the label
+        const trim = (from, to) => (gap > 12 ? from + ((to - from) * 7) / gap : from);
+        return (
+          <g key={a.id}>
+            {a.row === null ? (
+              <circle cx={x} cy={y} r="2.5" fill={a.color} />
+            ) : (
+              <circle cx={x} cy={y} r="6" fill="none" stroke={a.color} strokeWidth="1.5" />
+            )}
+            {a.leader && gap > 12 && (
+              <line x1={trim(x, lx)} y1={trim(y, ly)} x2={lx} y2={ly} stroke={a.color} strokeWidth="1" />
+            )}
+            {a.text && (
+              <text
+                x={lx + (a.dx < 0 ? -2 : 2)}
+                y={ly}
+                textAnchor={a.dx < 0 ? "end" : "start"}
+                dominantBaseline="middle"
+                fontSize={fontSize}
+                fill={a.color}
+                stroke="#fff"
+                strokeWidth="3"
+                paintOrder="stroke"
+                data-annotation={draggable ? a.id : undefined}
+                pointerEvents={draggable ? "all" : "none"}
+                style={draggable ? { cursor: "move" } : undefined}
+              >
+                {a.text}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </g>
+  );
+}
+
+export default AnnotationLayer;
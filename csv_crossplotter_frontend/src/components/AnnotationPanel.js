@@ -0,0 +1,89 @@
+import React, { useEffect, useRef } from "react";
+
+const buttonStyle = {
+  padding: "3px 10px",
+  background: "var(--surface)",
+  border: "1px solid var(--border)",
+  borderRadius: "6px",
+  cursor: "pointer",
+  fontSize: "0.93em",
+};
+
+// PUBLIC_INTERFACE
+function AnnotationPanel({ annotations, shownIds, describe, focusId, onChange, onRemove, onClear, theme }) {
+  /** Lists the annotations for editing: text, colour and leader line, where
+   *  each is attached (describe(annotation)) and whether it shows on the
+   *  current plot (shownIds). The annotation with focusId, just placed, gets
+   *  keyboard focus. onChange(id, patch), onRemove(id), onClear().
+   */
+  const focusRef = useRef(null);
+  useEffect(() => {
+    if (focusRef.current) focusRef.current.focus();
+  }, [focusId]);
+
+  return (
+    <div
+      style={{
+        width: "100%",
+        marginTop: "8px",
+        padding: "7px 10px",
+        boxSizing: "border-box",
+        border: `1px solid ${theme.primary}33`,
+        borderRadius: "8px",
+        fontSize: "0.93em",
+      }}
+    >
+      <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: "6px 10px" }}>
+        <span style={{ fontWeight: 600, color: theme.primary }}>Annotations:</span>
+        <span style={{ color: "var(--muted)" }}>
+          {annotations.length
+            ? `${annotations.length} (drag a label in Annotate mode to move it)`
+            : "In Annotate mode, click a point or an empty spot to add a note"}
+        </span>
+        {annotations.length > 0 && (
+          <button style={{ ...buttonStyle, marginLeft: "auto" }} onClick={onClear}>
+            Remove all
+          </button>
+        )}
+      </div>
+      {annotations.map(a => {
+        const where = describe(a);
+        return (
+          <div
+            key={a.id}
+            style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: "4px 10px", marginTop: "6px" }}
+          >
+            <input
+              ref={a.id === focusId ? focusRef : null}
+              aria-label={`Annotation text, ${where}`}
+              placeholder="Note text"
+              value={a.text}
+              onChange={e => onChange(a.id, { text: e.target.value })}
+              style={{ flex: "1 1 160px", minWidth: 0 }}
+            />
+            <input
+              type="color"
+              aria-label={`Annotation color, ${where}`}
+              value={a.color}
+              onChange={e => onChange(a.id, { color: e.target.value })}
+              style={{ width: "32px", height: "22px", padding: 0, border: "none" }}
+            />
+            <label>
+              <input type="checkbox" checked={a.leader} onChange={e => onChange(a.id, { leader: e.target.checked })} />{" "}
+              Leader line
+            </label>
+            <span style={{ color: shownIds.has(a.id) ? theme.secondary : "var(--muted)" }}>
+              {where}
+              {!shownIds.has(a.id) && " (not on this plot)"}
+            </span>
+            <button style={buttonStyle} aria-label={`Remove annotation, ${where}`} onClick={() => onRemove(a.id)}>
+              ✕
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default AnnotationPanel;
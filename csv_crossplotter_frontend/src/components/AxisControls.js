@@ -0,0 +1,64 @@
+import React from "react";
+
+const inputStyle = {
+  width: "72px",
+  padding: "3px 6px",
+  border: "1px solid var(--border)",
+  borderRadius: "5px",
+  fontSize: "0.95em",
+};
+
+// PUBLIC_INTERFACE
+function AxisControls({ label, settings, onChange, theme }) {
+  /** Scale type, direction and manual bounds for one axis. Empty min/max
+   *  fields keep the automatic 5% padded range.
+   */
+  const update = patch => onChange({ ...settings, ...patch });
+  return (
+    <div
+      style={{
+        display: "flex",
+        flexWrap: "wrap",
+        alignItems: "center",
+        gap: "10px",
+        fontSize: "0.95em",
+      }}
+    >
+      <span style={{ fontWeight: 500, color: theme.primary, minWidth: "52px" }}>{label}</span>
+      <label>
+        <input
+          type="checkbox"
+          checked={settings.scale === "log"}
+          onChange={e => update({ scale: e.target.checked ? "log" : "linear" })}
+        />{" "}
+        Log10
+      </label>
+      <label>
+        <input
+          type="checkbox"
+          checked={settings.reversed}
+          onChange={e => update({ reversed: e.target.checked })}
+        />{" "}
+        Reversed
+      </label>
+      <input
+        type="number"
+        placeholder="min (auto)"
+        aria-label={`${label} minimum`}
+        value={settings.min}
+        onChange={e => update({ min: e.target.value })}
+        style={inputStyle}
+      />
+      <input
+        type="number"
+        placeholder="max (auto)"
+        aria-label={`${label} maximum`}
+        value={settings.max}
+        onChange={e => update({ max: e.target.value })}
+        style={inputStyle}
+      />
+    </div>
+  );
+}
+
+export default AxisControls;
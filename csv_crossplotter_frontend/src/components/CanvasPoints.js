@@ -0,0 +1,109 @@
+import React, { useEffect, useRef } from "react";
+import { traceMarker } from "../utils/markers";
+
+// PUBLIC_INTERFACE
+function CanvasPoints({
+  points,
+  xScale,
+  yScale,
+  area,
+  width,
+  height,
+  overlayRef,
+  radius,
+  fill,
+  stroke,
+  colorOf,
+  shapeOf,
+  selected,
+  selectedStroke,
+}) {
+  /** Draws plot points onto a canvas placed under the SVG referenced by
+   *  overlayRef, matching its client box. Used instead of per-point SVG
+   *  circles for large point sets. Points are clipped to the plot area;
+   *  radius is in pixels. colorOf(point), when given, overrides fill, and
+   *  shapeOf(point) picks a marker shape other than a circle; points whose
+   *  idx is in the selected Set get an extra ring.
+   */
+  const canvasRef = useRef();
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const svg = overlayRef.current;
+    if (!canvas || !svg || !width || !height) return undefined;
+
+    const draw = () => {
+      const dpr = window.devicePixelRatio || 1;
+      canvas.style.left = svg.clientLeft + "px";
+      canvas.style.top = svg.clientTop + "px";
+      canvas.style.width = width + "px";
+      canvas.style.height = height + "px";
+      canvas.width = Math.round(width * dpr);
+      canvas.height = Math.round(height * dpr);
+      const ctx = canvas.getContext("2d");
+      if (!ctx) return;
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      ctx.clearRect(0, 0, width, height);
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(area.left, area.top, area.width, area.height);
+      ctx.clip();
+
+      // One path per colour keeps the draw call count small
+      const paths = new Map();
+      for (const p of points) {
+        const px = xScale(p.x), py = yScale(p.y);
+        if (px < area.left - radius || px > area.right + radius) continue;
+        if (py < area.top - radius || py > area.bottom + radius) continue;
+        const color = colorOf ? colorOf(p) : fill;
+        let path = paths.get(color);
+        if (!path) {
+          path = new Path2D();
+          paths.set(color, path);
+        }
+        traceMarker(path, shapeOf ? shapeOf(p) : "circle", px, py, radius);
+      }
+      ctx.lineWidth = 1;
+      ctx.strokeStyle = stroke;
+      paths.forEach((path, color) => {
+        ctx.fillStyle = color;
+        ctx.fill(path);
+        ctx.stroke(path);
+      });
+      if (selected && selected.size) {
+        const ring = new Path2D();
+        const r = radius + 1.5;
+        for (const p of points) {
+          if (!selected.has(p.idx)) continue;
+          const px = xScale(p.x), py = yScale(p.y);
+          ring.moveTo(px + r, py);
+          ring.arc(px, py, r, 0, 2 * Math.PI);
+        }
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = selectedStroke;
+        ctx.stroke(ring);
+      }
+      ctx.restore();
+    };
+
+    const frame = window.requestAnimationFrame(draw);
+    return () => window.cancelAnimationFrame(frame);
+  }, [points, xScale, yScale, area, width, height, overlayRef, radius, fill, stroke, colorOf, shapeOf, selected, selectedStroke]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      aria-hidden="true"
+      style={{
+        position: "absolute",
+        left: 0,
+        top: 0,
+        background: "var(--surface)",
+        borderRadius: "12px",
+        pointerEvents: "none",
+      }}
+    />
+  );
+}
+
+export default CanvasPoints;
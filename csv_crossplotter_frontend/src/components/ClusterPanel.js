@@ -0,0 +1,228 @@
+import React, { useEffect, useRef, useState } from "react";
+import { formatValue } from "./ColorLegend";
+import { CLUSTER_METHODS, CURVE_SAMPLE, MAX_CLUSTERS, clusterMatrix } from "../utils/clustering";
+
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 140;
+const PAD = { left: 58, right: 12, top: 10, bottom: 28 };
+
+const buttonStyle = {
+  padding: "3px 10px",
+  background: "var(--surface)",
+  border: "1px solid var(--border)",
+  borderRadius: "6px",
+  cursor: "pointer",
+  fontSize: "0.93em",
+};
+
+// PUBLIC_INTERFACE
+function ClusterPanel({ headers, rows, columns, labelOf, run, onAddColumn, theme }) {
+  /** Collapsible electrofacies clustering: k-means or a Gaussian mixture on
+   *  the chosen numeric columns (optionally standardized), run in a worker
+   *  through run(request) (see useClusterWorker). Adds the clusters as a
+   *  column of labels C1..Ck, blank where a chosen column has no value, via
+   *  onAddColumn(name, values). An elbow (k-means) or BIC (mixture) chart
+   *  over k = 1..MAX_CLUSTERS helps choose k; clicking a point picks it.
+   */
+  const [chosen, setChosen] = useState([]);
+  const [method, setMethod] = useState("kmeans");
+  const [k, setK] = useState(3);
+  const [standardize, setStandardize] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState({ text: "", error: false });
+  const [curve, setCurve] = useState(null);
+  // Latest rows, to drop results computed on rows that have since changed
+  const rowsRef = useRef(rows);
+  rowsRef.current = rows;
+
+  // Forget chosen columns that are gone, and a curve for other settings
+  useEffect(() => setChosen(c => c.filter(col => columns.includes(col))), [columns]);
+  useEffect(() => setCurve(null), [chosen, method, standardize, rows]);
+
+  const kValue = Math.max(2, Math.min(MAX_CLUSTERS, Math.round(Number(k)) || 2));
+  const toggleColumn = col =>
+    setChosen(c => (c.includes(col) ? c.filter(x => x !== col) : columns.filter(x => x === col || c.includes(x))));
+
+  // Runs a request and passes a current, successful reply to onDone(reply,
+  // matrix). Any failure (the worker, its lazy import or onDone) frees the
+  // buttons and shows the error.
+  const request = (kind, onDone) => {
+    const matrix = clusterMatrix(rows, chosen.map(col => headers.indexOf(col)), standardize);
+    const started = rows;
+    setBusy(true);
+    setStatus({ text: kind === "curve" ? `Fitting k = 1 to ${MAX_CLUSTERS}…` : "Clustering…", error: false });
+    return run({ kind, method, k: kValue, maxK: MAX_CLUSTERS, data: matrix.data, n: matrix.n, d: matrix.d })
+      .then(reply => {
+        setBusy(false);
+        if (rowsRef.current !== started) {
+          setStatus({ text: "The data changed while clustering; run it again.", error: true });
+        } else if (reply.error) {
+          setStatus({ text: reply.error, error: true });
+        } else {
+          onDone(reply, matrix);
+        }
+      })
+      .catch(err => {
+        setBusy(false);
+        setStatus({ text: err.message, error: true });
+      });
+  };
+
+  const handleCurve = () =>
+    request("curve", (reply, matrix) => {
+      setCurve(reply.curve);
+      setStatus({
+        text: matrix.n > CURVE_SAMPLE ? `Fitted on ${CURVE_SAMPLE} of ${matrix.n} rows` : "",
+        error: false,
+      });
+    });
+
+  const handleCluster = () =>
+    request("cluster", (reply, matrix) => {
+      setK(kValue);
+      const values = rows.map(() => "");
+      matrix.rowIndices.forEach((i, r) => (values[i] = `C${reply.labels[r] + 1}`));
+      const name = onAddColumn(`${CLUSTER_METHODS[method].label} cluster`, values);
+      const skipped = rows.length - matrix.n;
+      setStatus({
+        text: `Added ${name}: ${matrix.n} rows in ${kValue} clusters${skipped ? `, ${skipped} rows skipped (missing values)` : ""}`,
+        error: false,
+      });
+    });
+
+  const ready = chosen.length > 0 && !busy;
+
+  return (
+    <details style={{ width: "98%", maxWidth: "740px", margin: "0 auto 30px", textAlign: "left", color: theme.secondary }}>
+      <summary style={{ cursor: "pointer", fontWeight: 600, color: theme.primary }}>
+        Clustering <span style={{ fontWeight: 400, color: "var(--muted)" }}>(electrofacies)</span>
+      </summary>
+      <div style={{ fontSize: "0.92em" }}>
+        <fieldset style={{ border: "none", margin: "6px 0", padding: 0 }}>
+          <legend style={{ padding: 0, marginBottom: "3px" }}>Columns to cluster on:</legend>
+          {!columns.length && <span style={{ color: "var(--muted)" }}>No numeric columns.</span>}
+          <div style={{ display: "flex", flexWrap: "wrap", gap: "2px 12px" }}>
+            {columns.map(col => (
+              <label key={col}>
+                <input type="checkbox" checked={chosen.includes(col)} onChange={() => toggleColumn(col)} /> {labelOf(col)}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+        <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: "6px 12px", margin: "8px 0" }}>
+          <select aria-label="Clustering method" value={method} onChange={e => setMethod(e.target.value)}>
+            {Object.entries(CLUSTER_METHODS).map(([key, m]) => (
+              <option key={key} value={key}>
+                {m.label}
+              </option>
+            ))}
+          </select>
+          <label>
+            k{" "}
+            <input
+              type="number"
+              aria-label="Number of clusters"
+              min="2"
+              max={MAX_CLUSTERS}
+              value={k}
+              onChange={e => setK(e.target.value)}
+              onBlur={() => setK(kValue)}
+              style={{ width: "48px" }}
+            />
+          </label>
+          <label>
+            <input type="checkbox" checked={standardize} onChange={e => setStandardize(e.target.checked)} /> Standardize
+            columns
+          </label>
+          <span style={{ marginLeft: "auto", display: "inline-flex", gap: "6px" }}>
+            <button style={buttonStyle} disabled={!ready} onClick={handleCurve}>
+              {method === "gmm" ? "BIC chart" : "Elbow chart"}
+            </button>
+            <button
+              style={{ ...buttonStyle, borderColor: theme.primary, color: theme.primary }}
+              disabled={!ready}
+              onClick={handleCluster}
+            >
+              Add cluster column
+            </button>
+          </span>
+        </div>
+        <div role="status" style={{ minHeight: "1.2em", color: status.error ? "var(--danger)" : "var(--muted)" }}>
+          {status.text}
+        </div>
+        {curve && <CurveChart curve={curve} method={method} k={kValue} onPick={setK} theme={theme} />}
+      </div>
+    </details>
+  );
+}
+
+// Score against k; lower is better for both (look for the elbow of the sum
+// of squares, the minimum of BIC)
+function CurveChart({ curve, method, k, onPick, theme }) {
+  const score = CLUSTER_METHODS[method].score;
+  const values = curve.map(p => p.value);
+  const lo = Math.min(...values), hi = Math.max(...values);
+  const maxK = curve[curve.length - 1].k;
+  const x = kk => PAD.left + ((kk - 1) / Math.max(1, maxK - 1)) * (CHART_WIDTH - PAD.left - PAD.right);
+  const y = v => PAD.top + (1 - (v - lo) / (hi - lo || 1)) * (CHART_HEIGHT - PAD.top - PAD.bottom);
+  const best = method === "gmm" ? curve[values.indexOf(lo)].k : null;
+  return (
+    <figure style={{ margin: "6px 0" }}>
+      <svg width={CHART_WIDTH} height={CHART_HEIGHT} role="group" aria-label={`${score} by number of clusters`}>
+        <g fill={theme.secondary} fontSize="10">
+          <text x={PAD.left - 4} y={y(hi)} textAnchor="end" dominantBaseline="middle">
+            {formatValue(hi)}
+          </text>
+          <text x={PAD.left - 4} y={y(lo)} textAnchor="end" dominantBaseline="middle">
+            {formatValue(lo)}
+          </text>
+          {curve.map(p => (
+            <text key={p.k} x={x(p.k)} y={CHART_HEIGHT - PAD.bottom + 13} textAnchor="middle">
+              {p.k}
+            </text>
+          ))}
+          <text x={(PAD.left + CHART_WIDTH - PAD.right) / 2} y={CHART_HEIGHT - 2} textAnchor="middle">
+            Number of clusters (k)
+          </text>
+        </g>
+        <polyline
+          points={curve.map(p => `${x(p.k)},${y(p.value)}`).join(" ")}
+          fill="none"
+          stroke={theme.primary}
+          strokeWidth="1.5"
+        />
+        {curve.map(p => {
+          const label = `k = ${p.k}: ${score} ${formatValue(p.value)}`;
+          return (
+            <circle
+              key={p.k}
+              cx={x(p.k)}
+              cy={y(p.value)}
+              r={p.k === k ? 5 : 3.5}
+              fill={p.k === k ? theme.primary : "#fff"}
+              stroke={theme.primary}
+              role="button"
+              tabIndex={0}
+              aria-label={label}
+              onClick={() => onPick(p.k)}
+              onKeyDown={e => {
+                if (e.key !== "Enter" && e.key !== " ") return;
+                e.preventDefault();
+                onPick(p.k);
+              }}
+              style={{ cursor: "pointer" }}
+            >
+              <title>{label}</title>
+            </circle>
+          );
+        })}
+      </svg>
+      <figcaption style={{ color: "var(--muted)" }}>
+        {score}
+        {best ? `, lowest at k = ${best}` : "; pick k where the curve bends"}. Click a point to use that k.
+      </figcaption>
+    </figure>
+  );
+}
+
+export default ClusterPanel;
@@ -0,0 +1,56 @@
+import React from "react";
+import { COLOR_MAPS } from "../utils/colorMaps";
+
+const inputStyle = {
+  width: "72px",
+  padding: "3px 6px",
+  border: "1px solid var(--border)",
+  borderRadius: "5px",
+  fontSize: "0.95em",
+};
+
+// PUBLIC_INTERFACE
+function ColorControls({ settings, dataRange, onChange, theme }) {
+  /** Colormap choice and clipping range for a numeric "Color by" column.
+   *  Empty min/max fields use the column's data range.
+   */
+  const update = patch => onChange({ ...settings, ...patch });
+  return (
+    <div
+      style={{
+        display: "flex",
+        flexWrap: "wrap",
+        alignItems: "center",
+        gap: "10px",
+        fontSize: "0.95em",
+      }}
+    >
+      <span style={{ fontWeight: 500, color: theme.primary, minWidth: "52px" }}>Color</span>
+      <select aria-label="Colormap" value={settings.map} onChange={e => update({ map: e.target.value })}>
+        {Object.keys(COLOR_MAPS).map(name => (
+          <option key={name} value={name}>
+            {name}
+          </option>
+        ))}
+      </select>
+      <input
+        type="number"
+        placeholder={dataRange ? String(dataRange[0]) : "min"}
+        aria-label="Color range minimum"
+        value={settings.min}
+        onChange={e => update({ min: e.target.value })}
+        style={inputStyle}
+      />
+      <input
+        type="number"
+        placeholder={dataRange ? String(dataRange[1]) : "max"}
+        aria-label="Color range maximum"
+        value={settings.max}
+        onChange={e => update({ max: e.target.value })}
+        style={inputStyle}
+      />
+    </div>
+  );
+}
+
+export default ColorControls;
@@ -0,0 +1,68 @@
+import React from "react";
+import { colorMapStops } from "../utils/colorMaps";
+
+const BAR_WIDTH = 160;
+const BAR_HEIGHT = 10;
+
+// Compact number for the colorbar end labels
+// PUBLIC_INTERFACE
+export function formatValue(v) {
+  const a = Math.abs(v);
+  return a >= 1e4 || (a !== 0 && a < 1e-2) ? v.toExponential(2) : String(+v.toFixed(3));
+}
+
+// PUBLIC_INTERFACE
+function ColorLegend({ colorScale, title, theme }) {
+  /** Colorbar (continuous) or category swatches (categorical) for the
+   *  "Color by" column, shown in the legend row under the plot.
+   */
+  if (!colorScale) return null;
+
+  if (colorScale.type === "continuous") {
+    const stops = colorMapStops(colorScale.map);
+    const [lo, hi] = colorScale.domain;
+    const gradientId = "colorbar-" + colorScale.map;
+    return (
+      <span style={{ display: "inline-flex", alignItems: "center", gap: "6px" }}>
+        <span style={{ color: theme.primary }}>Color:</span> {title}
+        <span style={{ fontSize: "0.85em" }}>{formatValue(lo)}</span>
+        <svg width={BAR_WIDTH} height={BAR_HEIGHT} aria-hidden="true">
+          <defs>
+            <linearGradient id={gradientId}>
+              {stops.map((c, i) => (
+                <stop key={i} offset={i / (stops.length - 1)} stopColor={c} />
+              ))}
+            </linearGradient>
+          </defs>
+          <rect width={BAR_WIDTH} height={BAR_HEIGHT} rx="2" fill={`url(#${gradientId})`} />
+        </svg>
+        <span style={{ fontSize: "0.85em" }}>{formatValue(hi)}</span>
+      </span>
+    );
+  }
+
+  return (
+    <span style={{ display: "inline-flex", flexWrap: "wrap", alignItems: "center", gap: "4px 10px" }}>
+      <span>
+        <span style={{ color: theme.primary }}>Color:</span> {title}
+      </span>
+      {colorScale.categories.map(c => (
+        <span key={c.value} style={{ display: "inline-flex", alignItems: "center", gap: "4px", fontWeight: 400 }}>
+          <span
+            style={{
+              width: "10px",
+              height: "10px",
+              borderRadius: "50%",
+              background: c.color,
+              display: "inline-block",
+            }}
+          />
+          {c.value}
+          <span style={{ color: "var(--muted)", fontSize: "0.85em" }}>({c.count})</span>
+        </span>
+      ))}
+    </span>
+  );
+}
+
+export default ColorLegend;
@@ -0,0 +1,193 @@
+import React, { useMemo, useState } from "react";
+import { FORMULA_LIBRARY, defaultParams, fillFormula, compileRowExpression } from "../utils/formulas";
+
+const buttonStyle = {
+  padding: "3px 10px",
+  background: "var(--surface)",
+  border: "1px solid var(--border)",
+  borderRadius: "6px",
+  cursor: "pointer",
+  fontSize: "0.93em",
+};
+
+const plural = (n, word) => `${n} row${n === 1 ? "" : "s"} ${word}`;
+
+// "Added VSH. 1 row blank (missing inputs). 2 rows could not be computed: row 4: result is NaN; ..."
+function reportText(report) {
+  const parts = [`Added ${report.column}.`];
+  if (report.blank) parts.push(`${plural(report.blank, "left blank")} (missing inputs).`);
+  if (report.errorCount) {
+    const listed = report.errors.map(e => `row ${e.row}: ${e.message}`).join("; ");
+    const more = report.errorCount > report.errors.length ? "; …" : "";
+    parts.push(`${plural(report.errorCount, "could not be computed")}: ${listed}${more}`);
+  }
+  return parts.join(" ");
+}
+
+// PUBLIC_INTERFACE
+function ColumnEditor({ headers, numericHeaders, onAdd, theme }) {
+  /** "New column" editor: a formula over existing columns (log10, exp, pow,
+   *  min/max, clamp, if, ...) or a library formula with editable parameters.
+   *  onAdd(name, formula) appends the column and returns computeColumn()'s
+   *  report plus the final column name; rows that fail are listed, not fatal.
+   */
+  const [open, setOpen] = useState(false);
+  const [entryIndex, setEntryIndex] = useState(-1); // -1 = custom formula
+  const [params, setParams] = useState({});
+  const [name, setName] = useState("");
+  const [formula, setFormula] = useState("");
+  const [report, setReport] = useState(null);
+
+  const entry = FORMULA_LIBRARY[entryIndex] || null;
+
+  const formulaError = useMemo(() => {
+    if (!formula.trim()) return "";
+    try {
+      compileRowExpression(formula, headers, numericHeaders);
+      return "";
+    } catch (err) {
+      return err.message;
+    }
+  }, [formula, headers, numericHeaders]);
+
+  // Library formulas are rewritten whenever a parameter changes
+  const applyEntry = (e, values) => {
+    setParams(values);
+    try {
+      setFormula(fillFormula(e, values));
+    } catch (err) {
+      setFormula("");
+      setReport({ error: err.message });
+    }
+  };
+
+  const chooseEntry = index => {
+    setEntryIndex(index);
+    setReport(null);
+    const e = FORMULA_LIBRARY[index];
+    if (!e) return;
+    setName(e.column);
+    applyEntry(e, defaultParams(e, headers));
+  };
+
+  const setParam = (key, value) => {
+    setReport(null);
+    applyEntry(entry, { ...params, [key]: value });
+  };
+
+  const add = () => {
+    if (!formula.trim() || formulaError) return;
+    try {
+      setReport(onAdd(name.trim() || "NEW", formula));
+    } catch (err) {
+      setReport({ error: err.message });
+    }
+  };
+
+  if (!open) {
+    return (
+      <div style={{ width: "100%", marginTop: "8px", textAlign: "left" }}>
+        <button style={buttonStyle} onClick={() => setOpen(true)}>
+          New column…
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div
+      role="group"
+      aria-label="New column"
+      style={{
+        width: "100%",
+        marginTop: "8px",
+        padding: "8px 10px",
+        boxSizing: "border-box",
+        border: `1px solid ${theme.primary}33`,
+        borderRadius: "8px",
+        fontSize: "0.93em",
+        textAlign: "left",
+      }}
+    >
+      <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: "6px 8px" }}>
+        <span style={{ fontWeight: 600, color: theme.primary }}>New column:</span>
+        <select aria-label="Formula library" value={entryIndex} onChange={e => chooseEntry(Number(e.target.value))}>
+          <option value={-1}>Custom formula</option>
+          {FORMULA_LIBRARY.map((e, i) => (
+            <option key={e.name} value={i}>
+              {e.name}
+            </option>
+          ))}
+        </select>
+        {entry && <span style={{ color: "var(--muted)" }}>{entry.description}</span>}
+        <button style={{ ...buttonStyle, marginLeft: "auto" }} aria-label="Close column editor" onClick={() => setOpen(false)}>
+          ✕
+        </button>
+      </div>
+      {entry && (
+        <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: "4px 10px", marginTop: "6px" }}>
+          {entry.params.map(p => (
+            <label key={p.key}>
+              {p.label}{" "}
+              {p.column ? (
+                <select value={params[p.key] ?? ""} onChange={e => setParam(p.key, e.target.value)}>
+                  {headers.map(h => (
+                    <option key={h} value={h}>
+                      {h}
+                    </option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  type="number"
+                  value={params[p.key] ?? ""}
+                  onChange={e => setParam(p.key, e.target.value)}
+                  style={{ width: "70px" }}
+                />
+              )}
+            </label>
+          ))}
+        </div>
+      )}
+      <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: "6px 8px", marginTop: "6px" }}>
+        <input
+          aria-label="Column name"
+          value={name}
+          placeholder="Name"
+          onChange={e => setName(e.target.value)}
+          style={{ width: "100px", padding: "3px 6px" }}
+        />
+        <span>=</span>
+        <input
+          aria-label="Column formula"
+          value={formula}
+          placeholder="e.g. clamp((GR - 20) / (120 - 20), 0, 1)"
+          onChange={e => {
+            setFormula(e.target.value);
+            setReport(null);
+          }}
+          onKeyDown={e => e.key === "Enter" && add()}
+          style={{ flex: "1 1 240px", padding: "3px 6px", borderColor: formulaError ? "var(--danger)" : undefined }}
+        />
+        <button style={buttonStyle} onClick={add} disabled={!formula.trim() || Boolean(formulaError)}>
+          Add column
+        </button>
+      </div>
+      {formulaError && <div style={{ color: "var(--danger)", marginTop: "5px" }}>{formulaError}</div>}
+      {report && (
+        <div
+          role="status"
+          style={{ marginTop: "5px", color: report.error || report.errorCount ? "var(--danger)" : theme.secondary }}
+        >
+          {report.error || reportText(report)}
+        </div>
+      )}
+      <div style={{ marginTop: "5px", color: "var(--muted)" }}>
+        Functions: log10, ln, exp, pow, sqrt, abs, min, max, clamp(x, lo, hi), if(cond, a, b). Quote names with
+        spaces in backticks.
+      </div>
+    </div>
+  );
+}
+
+export default ColumnEditor;
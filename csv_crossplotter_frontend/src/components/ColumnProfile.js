@@ -0,0 +1,67 @@
+import React from "react";
+import { COLUMN_TYPES, NUMERIC_TYPES } from "../utils/profile";
+
+const cellStyle = {
+  padding: "2px 8px",
+  borderBottom: "1px solid var(--border)",
+  whiteSpace: "nowrap",
+  textAlign: "left",
+};
+
+// PUBLIC_INTERFACE
+function ColumnProfile({ profiles, rowCount, theme }) {
+  /** Collapsible report of the column profiles (utils/profile): inferred
+   *  type, missing values (with how many were null values) and values that
+   *  are not numbers in numeric columns.
+   */
+  const counts = {};
+  profiles.forEach(p => (counts[p.type] = (counts[p.type] || 0) + 1));
+  const missing = profiles.reduce((sum, p) => sum + p.missing, 0);
+  const nulls = profiles.reduce((sum, p) => sum + p.nulls, 0);
+  const invalid = profiles.reduce((sum, p) => sum + p.invalid, 0);
+  const typeSummary = Object.keys(COLUMN_TYPES)
+    .filter(type => counts[type])
+    .map(type => `${counts[type]} ${COLUMN_TYPES[type]}`)
+    .join(", ");
+
+  return (
+    <details style={{ marginTop: "6px", textAlign: "left", fontSize: "0.92em", color: theme.secondary }}>
+      <summary style={{ cursor: "pointer" }}>
+        {`Columns: ${typeSummary} · ${missing} missing values`}
+        {nulls > 0 && ` (${nulls} null values)`}
+        {invalid > 0 && <span style={{ color: "var(--notice-text)" }}>{` · ${invalid} not numbers`}</span>}
+      </summary>
+      <div style={{ overflowX: "auto", marginTop: "4px" }}>
+        <table aria-label="Column profile" style={{ borderCollapse: "collapse" }}>
+          <thead>
+            <tr style={{ background: "var(--surface-alt)" }}>
+              {["Column", "Type", "Missing", "Null values", "Not numbers"].map(h => (
+                <th key={h} style={cellStyle}>
+                  {h}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {profiles.map(p => (
+              <tr key={p.name}>
+                <td style={{ ...cellStyle, fontWeight: 600 }}>{p.name}</td>
+                <td style={{ ...cellStyle, color: NUMERIC_TYPES.includes(p.type) ? theme.primary : "var(--muted)" }}>
+                  {COLUMN_TYPES[p.type]}
+                  {p.distinct !== null && !NUMERIC_TYPES.includes(p.type) && p.type !== "empty" && ` (${p.distinct})`}
+                </td>
+                <td style={cellStyle}>{p.missing ? `${p.missing} of ${rowCount}` : "—"}</td>
+                <td style={cellStyle}>{p.nulls || "—"}</td>
+                <td style={{ ...cellStyle, color: p.invalid ? "var(--notice-text)" : undefined }} title={p.invalidExamples.join(", ")}>
+                  {p.invalid ? `${p.invalid} (e.g. ${p.invalidExamples.map(v => `"${v}"`).join(", ")})` : "—"}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </details>
+  );
+}
+
+export default ColumnProfile;
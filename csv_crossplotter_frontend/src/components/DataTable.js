@@ -0,0 +1,258 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { searchRows, sortRowIndices, visibleRowRange, scrollTopForRow } from "../utils/dataTable";
+
+// Fixed row height so the visible window can be computed from the scroll offset
+const ROW_HEIGHT = 24;
+const VIEW_HEIGHT = 264;
+const COLUMN_WIDTH = 104;
+const INDEX_WIDTH = 64;
+
+const cellStyle = {
+  flex: "none",
+  width: `${COLUMN_WIDTH}px`,
+  padding: "0 6px",
+  boxSizing: "border-box",
+  overflow: "hidden",
+  textOverflow: "ellipsis",
+  whiteSpace: "nowrap",
+};
+
+// PUBLIC_INTERFACE
+function DataTable({
+  headers,
+  units,
+  rows,
+  rowNotes,
+  selection,
+  highlighted,
+  scrollRequest,
+  onRowHover,
+  onRowClick,
+  theme,
+}) {
+  /** The loaded rows as a virtualized table (only the rows in view are
+   *  rendered) with search, click-to-sort headers and column show/hide.
+   *  rowNotes[i] is null for a plotted row, otherwise { text, warn } saying
+   *  why it is not on the plot; warn marks rows dropped for their values.
+   *  scrollRequest { idx } (a new object each time) scrolls to a row.
+   */
+  const [query, setQuery] = useState("");
+  const [sort, setSort] = useState(null); // { column, direction }
+  const [hidden, setHidden] = useState(() => new Set()); // hidden column names
+  const [notesOnly, setNotesOnly] = useState(false);
+  const [scrollTop, setScrollTop] = useState(0);
+  const scrollRef = useRef(null);
+
+  const shown = useMemo(
+    () => headers.map((h, i) => i).filter(i => !hidden.has(headers[i])),
+    [headers, hidden]
+  );
+  const notPlotted = useMemo(() => (rowNotes ? rowNotes.filter(Boolean).length : 0), [rowNotes]);
+
+  // Row indices in display order
+  const order = useMemo(() => {
+    let indices = searchRows(rows, query, shown);
+    if (notesOnly && rowNotes) indices = indices.filter(i => rowNotes[i]);
+    const column = sort ? headers.indexOf(sort.column) : -1;
+    return column === -1 ? indices : sortRowIndices(rows, indices, column, sort.direction);
+  }, [rows, query, shown, notesOnly, rowNotes, sort, headers]);
+
+  // Read by the scroll effect, which only runs on a new request, not when
+  // the order changes
+  const orderRef = useRef(order);
+  orderRef.current = order;
+
+  // Scroll a row clicked on the plot into view
+  useEffect(() => {
+    const el = scrollRef.current;
+    if (!scrollRequest || !el) return;
+    const position = orderRef.current.indexOf(scrollRequest.idx);
+    if (position === -1) return;
+    el.scrollTop = scrollTopForRow(position, el.scrollTop, VIEW_HEIGHT - ROW_HEIGHT, ROW_HEIGHT);
+    setScrollTop(el.scrollTop);
+  }, [scrollRequest]);
+
+  const [start, end] = visibleRowRange(scrollTop, VIEW_HEIGHT - ROW_HEIGHT, ROW_HEIGHT, order.length);
+  const rowWidth = INDEX_WIDTH + shown.length * COLUMN_WIDTH;
+
+  const toggleSort = column =>
+    setSort(s =>
+      !s || s.column !== column
+        ? { column, direction: "asc" }
+        : s.direction === "asc"
+        ? { column, direction: "desc" }
+        : null
+    );
+  const toggleColumn = name =>
+    setHidden(set => {
+      const next = new Set(set);
+      if (next.has(name)) next.delete(name);
+      else next.add(name);
+      return next;
+    });
+
+  return (
+    <div
+      style={{
+        width: "98%",
+        maxWidth: "740px",
+        margin: "0 auto 30px",
+        textAlign: "left",
+        fontSize: "0.93em",
+        color: theme.secondary,
+      }}
+    >
+      <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: "6px 12px", marginBottom: "6px" }}>
+        <strong style={{ color: theme.primary }}>Data</strong>
+        <input
+          type="search"
+          aria-label="Search rows"
+          placeholder="Search…"
+          value={query}
+          onChange={e => setQuery(e.target.value)}
+          style={{ width: "160px" }}
+        />
+        <details style={{ position: "relative" }}>
+          <summary style={{ cursor: "pointer" }}>{`Columns (${shown.length}/${headers.length})`}</summary>
+          <div
+            style={{
+              position: "absolute",
+              zIndex: 20,
+              background: "var(--surface)",
+              border: "1px solid var(--border)",
+              borderRadius: "6px",
+              padding: "6px 10px",
+              maxHeight: "220px",
+              overflowY: "auto",
+              boxShadow: "0 2px 10px rgba(0,0,0,0.08)",
+            }}
+          >
+            {headers.map(h => (
+              <label key={h} style={{ display: "block", whiteSpace: "nowrap" }}>
+                <input type="checkbox" checked={!hidden.has(h)} onChange={() => toggleColumn(h)} /> {h}
+              </label>
+            ))}
+          </div>
+        </details>
+        {rowNotes && (
+          <label>
+            <input type="checkbox" checked={notesOnly} onChange={e => setNotesOnly(e.target.checked)} /> Only rows not
+            plotted ({notPlotted})
+          </label>
+        )}
+        <span style={{ marginLeft: "auto", color: "var(--muted)" }} role="status">
+          {order.length === rows.length ? `${rows.length} rows` : `${order.length} of ${rows.length} rows`}
+        </span>
+      </div>
+      <div
+        ref={scrollRef}
+        role="table"
+        aria-label="Data table"
+        aria-rowcount={order.length + 1}
+        onScroll={e => setScrollTop(e.currentTarget.scrollTop)}
+        onMouseLeave={() => onRowHover(null)}
+        style={{
+          height: `${VIEW_HEIGHT}px`,
+          overflow: "auto",
+          border: `1px solid ${theme.primary}33`,
+          borderRadius: "8px",
+          background: "var(--surface)",
+        }}
+      >
+        <div style={{ position: "relative", width: `${rowWidth}px`, minWidth: "100%", height: `${(order.length + 1) * ROW_HEIGHT}px` }}>
+          <div
+            role="row"
+            style={{
+              position: "sticky",
+              top: 0,
+              zIndex: 1,
+              display: "flex",
+              height: `${ROW_HEIGHT}px`,
+              lineHeight: `${ROW_HEIGHT}px`,
+              background: "var(--surface-alt)",
+              borderBottom: "1px solid var(--border)",
+              fontWeight: 600,
+            }}
+          >
+            <div role="columnheader" style={{ ...cellStyle, width: `${INDEX_WIDTH}px` }}>
+              Row
+            </div>
+            {shown.map(i => {
+              const sorted = sort && sort.column === headers[i] ? sort.direction : null;
+              return (
+                <div
+                  key={headers[i]}
+                  role="columnheader"
+                  aria-sort={sorted === "asc" ? "ascending" : sorted === "desc" ? "descending" : "none"}
+                  style={cellStyle}
+                >
+                  <button
+                    onClick={() => toggleSort(headers[i])}
+                    title={units && units[i] ? `${headers[i]} (${units[i]})` : headers[i]}
+                    style={{ border: "none", background: "none", padding: 0, font: "inherit", cursor: "pointer", color: "inherit" }}
+                  >
+                    {headers[i]}
+                    {sorted === "asc" ? " ▲" : sorted === "desc" ? " ▼" : ""}
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+          {order.slice(start, end).map((idx, k) => {
+            const note = rowNotes && rowNotes[idx];
+            const active = idx === highlighted;
+            const background = active
+              ? `${theme.accent}33`
+              : selection.has(idx)
+              ? `${theme.primary}22`
+              : note && note.warn
+              ? "var(--notice)"
+              : "transparent";
+            return (
+              <div
+                key={idx}
+                role="row"
+                aria-rowindex={start + k + 2}
+                aria-selected={selection.has(idx)}
+                title={note ? note.text : undefined}
+                onMouseEnter={() => onRowHover(idx)}
+                onClick={() => onRowClick(idx)}
+                style={{
+                  position: "absolute",
+                  top: `${(start + k + 1) * ROW_HEIGHT}px`,
+                  left: 0,
+                  right: 0,
+                  display: "flex",
+                  height: `${ROW_HEIGHT}px`,
+                  lineHeight: `${ROW_HEIGHT}px`,
+                  cursor: "pointer",
+                  background,
+                  color: note && !note.warn ? "var(--muted)" : undefined,
+                  borderBottom: "1px solid var(--border)",
+                  outline: active ? `1.5px solid ${theme.accent}` : "none",
+                  outlineOffset: "-1.5px",
+                }}
+              >
+                <div role="cell" style={{ ...cellStyle, width: `${INDEX_WIDTH}px`, color: "var(--muted)" }}>
+                  {note && note.warn && (
+                    <span aria-label={note.text} style={{ color: "var(--notice-text)", marginRight: "3px" }}>
+                      ⚠
+                    </span>
+                  )}
+                  {idx + 1}
+                </div>
+                {shown.map(i => (
+                  <div key={headers[i]} role="cell" style={cellStyle}>
+                    {rows[idx][i]}
+                  </div>
+                ))}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default DataTable;
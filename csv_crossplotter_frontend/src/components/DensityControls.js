@@ -0,0 +1,83 @@
+import React from "react";
+import { COLOR_MAPS } from "../utils/colorMaps";
+
+const MIN_BIN_PX = 4;
+const MAX_BIN_PX = 80;
+
+// PUBLIC_INTERFACE
+function DensityControls({ settings, meanColumn, onChange, theme }) {
+  /** Density display options: hexagonal or square bins of a pixel size,
+   *  coloured by count or by the mean of meanColumn (the numeric "Color by"
+   *  column, when there is one), optional log colour scale and contours.
+   */
+  const update = patch => onChange({ ...settings, ...patch });
+  return (
+    <div
+      style={{
+        display: "flex",
+        flexWrap: "wrap",
+        alignItems: "center",
+        gap: "6px 10px",
+        fontSize: "0.95em",
+      }}
+    >
+      <span style={{ fontWeight: 500, color: theme.primary, minWidth: "52px" }}>Density</span>
+      <label>
+        <input type="checkbox" checked={settings.enabled} onChange={e => update({ enabled: e.target.checked })} /> Bin
+        points
+      </label>
+      {settings.enabled && (
+        <>
+          <select aria-label="Bin shape" value={settings.shape} onChange={e => update({ shape: e.target.value })}>
+            <option value="hex">Hexagons</option>
+            <option value="square">Squares</option>
+          </select>
+          <label>
+            Size{" "}
+            <input
+              type="number"
+              aria-label="Bin size in pixels"
+              min={MIN_BIN_PX}
+              max={MAX_BIN_PX}
+              value={settings.size}
+              onChange={e => update({ size: e.target.value })}
+              style={{ width: "52px" }}
+            />{" "}
+            px
+          </label>
+          <select aria-label="Bin colour" value={settings.value} onChange={e => update({ value: e.target.value })}>
+            <option value="count">Colour by count</option>
+            {meanColumn && <option value="mean">{`Colour by mean ${meanColumn}`}</option>}
+          </select>
+          <select aria-label="Bin colormap" value={settings.map} onChange={e => update({ map: e.target.value })}>
+            {Object.keys(COLOR_MAPS).map(name => (
+              <option key={name} value={name}>
+                {name}
+              </option>
+            ))}
+          </select>
+          <label>
+            <input type="checkbox" checked={settings.log} onChange={e => update({ log: e.target.checked })} /> Log
+            colour
+          </label>
+          <label>
+            <input
+              type="checkbox"
+              checked={settings.contours}
+              onChange={e => update({ contours: e.target.checked })}
+            />{" "}
+            Contours
+          </label>
+        </>
+      )}
+    </div>
+  );
+}
+
+// PUBLIC_INTERFACE
+export function binSizePx(settings) {
+  /** The bin size setting as a usable pixel size (the field is kept as typed) */
+  return Math.min(MAX_BIN_PX, Math.max(MIN_BIN_PX, Number(settings.size) || MIN_BIN_PX));
+}
+
+export default DensityControls;
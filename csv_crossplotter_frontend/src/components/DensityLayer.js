@@ -0,0 +1,34 @@
+import React from "react";
+import { binShapePath } from "../utils/binning";
+
+// PUBLIC_INTERFACE
+function DensityLayer({ bins, shape, size, colorOf, contours, onBinOver, onBinOut, theme }) {
+  /** Density display: one filled hexagon or square per bin (binPoints output,
+   *  coloured by colorOf(bin)), then optional contour paths on top. Hover
+   *  callbacks receive (event, bin).
+   */
+  const cellPath = binShapePath(shape, size);
+  return (
+    <g className="density-layer">
+      {bins.map(bin => (
+        <path
+          key={bin.key}
+          d={cellPath}
+          transform={`translate(${bin.cx},${bin.cy})`}
+          fill={colorOf(bin)}
+          stroke="#fff"
+          strokeWidth="0.5"
+          onMouseOver={e => onBinOver(e, bin)}
+          onMouseOut={onBinOut}
+        />
+      ))}
+      {contours.length > 0 && (
+        <g fill="none" stroke={theme.secondary} strokeWidth="1.2" strokeOpacity="0.8" pointerEvents="none">
+          {contours.map((d, i) => d && <path key={i} d={d} />)}
+        </g>
+      )}
+    </g>
+  );
+}
+
+export default DensityLayer;
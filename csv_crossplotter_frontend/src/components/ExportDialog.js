@@ -0,0 +1,210 @@
+import React, { useState } from "react";
+import { renderToStaticMarkup } from "react-dom/server";
+import ExportFigure from "./ExportFigure";
+import { CSS_DPI, svgToPNG, figureFileName } from "../utils/figureExport";
+import { downloadBlob } from "../utils/download";
+
+const DPI_OPTIONS = [72, 150, 300, 600];
+// Largest canvas side browsers reliably allocate
+const MAX_PNG_SIDE = 16384;
+
+const fieldStyle = {
+  display: "flex",
+  flexDirection: "column",
+  alignItems: "start",
+  gap: "3px",
+  fontSize: "0.95em",
+};
+
+// PUBLIC_INTERFACE
+function ExportDialog({ figureProps, defaultTitle, subtitle, fileStem, theme, onClose }) {
+  /** Modal for exporting the current crossplot as SVG or PNG: figure size in
+   *  inches, PNG resolution and an optional title block, with a live preview.
+   *  figureProps are passed through to ExportFigure.
+   */
+  const [format, setFormat] = useState("png");
+  const [size, setSize] = useState({ width: 6.5, height: 4.5 });
+  const [dpi, setDpi] = useState(300);
+  const [showTitle, setShowTitle] = useState(true);
+  const [title, setTitle] = useState(defaultTitle);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const width = Math.round(size.width * CSS_DPI);
+  const height = Math.round(size.height * CSS_DPI);
+  const pixels = [Math.round(size.width * dpi), Math.round(size.height * dpi)];
+  const tooLarge = format === "png" && Math.max(...pixels) > MAX_PNG_SIDE;
+  const titleProps = showTitle ? { title: title || " ", subtitle } : {};
+
+  const setDimension = (key, value) => {
+    const inches = Number(value);
+    if (inches > 0 && inches <= 40) setSize(s => ({ ...s, [key]: inches }));
+  };
+
+  const handleExport = async () => {
+    const markup =
+      '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      renderToStaticMarkup(
+        <ExportFigure
+          {...figureProps}
+          {...titleProps}
+          width={width}
+          height={height}
+          sizeAttrs={{ width: `${size.width}in`, height: `${size.height}in` }}
+        />
+      );
+    const name = figureFileName([fileStem], format);
+    if (format === "svg") {
+      downloadBlob(markup, "image/svg+xml", name);
+      onClose();
+      return;
+    }
+    setBusy(true);
+    setError("");
+    try {
+      downloadBlob(await svgToPNG(markup, width, height, dpi), "image/png", name);
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      aria-label="Export image"
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: "rgba(20,30,45,0.45)",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        zIndex: 1000,
+      }}
+      onKeyDown={e => e.key === "Escape" && onClose()}
+    >
+      <div
+        style={{
+          background: "var(--surface)",
+          borderRadius: "15px",
+          boxShadow: "0 6px 30px rgba(30,40,60,0.25)",
+          padding: "22px 24px",
+          width: "92%",
+          maxWidth: "760px",
+          maxHeight: "90vh",
+          overflow: "auto",
+          color: theme.text,
+        }}
+      >
+        <h2 style={{ margin: "0 0 14px 0", color: theme.primary, fontSize: "1.3em" }}>Export image</h2>
+
+        <div style={{ display: "flex", flexWrap: "wrap", gap: "18px", alignItems: "end", marginBottom: "14px" }}>
+          <label style={fieldStyle}>
+            Format
+            <select value={format} onChange={e => setFormat(e.target.value)}>
+              <option value="png">PNG</option>
+              <option value="svg">SVG</option>
+            </select>
+          </label>
+          <label style={fieldStyle}>
+            Width (in)
+            <input
+              type="number"
+              min="1"
+              step="0.5"
+              value={size.width}
+              onChange={e => setDimension("width", e.target.value)}
+              style={{ width: "70px" }}
+            />
+          </label>
+          <label style={fieldStyle}>
+            Height (in)
+            <input
+              type="number"
+              min="1"
+              step="0.5"
+              value={size.height}
+              onChange={e => setDimension("height", e.target.value)}
+              style={{ width: "70px" }}
+            />
+          </label>
+          {format === "png" && (
+            <label style={fieldStyle}>
+              Resolution
+              <select value={dpi} onChange={e => setDpi(Number(e.target.value))}>
+                {DPI_OPTIONS.map(d => (
+                  <option key={d} value={d}>
+                    {d} DPI
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+          <label style={{ fontSize: "0.95em" }}>
+            <input type="checkbox" checked={showTitle} onChange={e => setShowTitle(e.target.checked)} /> Title block
+          </label>
+          {showTitle && (
+            <label style={fieldStyle}>
+              Title
+              <input value={title} onChange={e => setTitle(e.target.value)} style={{ width: "200px" }} />
+            </label>
+          )}
+        </div>
+
+        {/* Preview at the export layout, scaled to the dialog */}
+        <div style={{ border: "1px solid var(--border)", borderRadius: "8px", overflow: "hidden" }}>
+          <ExportFigure
+            {...figureProps}
+            {...titleProps}
+            width={width}
+            height={height}
+            sizeAttrs={{ width: "100%", style: { display: "block", height: "auto" } }}
+          />
+        </div>
+        <div style={{ color: tooLarge ? "var(--danger)" : "var(--muted)", fontSize: "0.9em", marginTop: "6px" }}>
+          {format === "png"
+            ? `${pixels[0]} × ${pixels[1]} px${tooLarge ? " — too large, reduce size or DPI" : ""}`
+            : `${size.width} × ${size.height} in, vector`}
+        </div>
+        {error && <div style={{ color: "var(--danger)", marginTop: "6px" }}>{error}</div>}
+
+        <div style={{ display: "flex", justifyContent: "flex-end", gap: "10px", marginTop: "16px" }}>
+          <button
+            onClick={onClose}
+            style={{
+              padding: "6px 14px",
+              background: "var(--surface)",
+              color: theme.secondary,
+              border: "1px solid var(--border)",
+              borderRadius: "6px",
+              cursor: "pointer",
+            }}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={busy || tooLarge}
+            style={{
+              padding: "6px 14px",
+              background: theme.primary,
+              color: theme.onPrimary,
+              fontWeight: 600,
+              border: "none",
+              borderRadius: "6px",
+              cursor: "pointer",
+            }}
+          >
+            {busy ? "Exporting…" : `Export ${format.toUpperCase()}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ExportDialog;
@@ -0,0 +1,239 @@
+import React from "react";
+import PlotAxes from "./PlotAxes";
+import OverlayLayer from "./OverlayLayer";
+import Marker from "./Marker";
+import AnnotationLayer from "./AnnotationLayer";
+import { formatValue } from "./ColorLegend";
+import { plotArea, createScales, functionPath } from "../utils/scales";
+import { colorMapStops } from "../utils/colorMaps";
+import { FIT_MODELS, formatCoefficient } from "../utils/regression";
+import { wrapText } from "../utils/figureExport";
+
+const FONT_FAMILY = "Helvetica, Arial, sans-serif";
+const TITLE_PX = 15;
+const SUBTITLE_PX = 11;
+const LEGEND_WIDTH = 170;
+const LEGEND_PX = 10;
+const LINE_PX = 13;
+const COLORBAR_WIDTH = 12;
+const CLIP_ID = "export-plot-clip";
+
+// Right-hand legend column: series, colorbar or category swatches, then
+// trend lines. Entries that do not fit the available height are dropped.
+function Legend({ x, y, height, series, colorScale, colorTitle, fits, theme }) {
+  const items = [];
+  let cy = y;
+  for (const s of series) {
+    if (cy + LINE_PX > y + height) break;
+    items.push(
+      <g key={"s" + s.id}>
+        <Marker
+          shape={s.shape}
+          x={x + 5}
+          y={cy + 5}
+          r={4}
+          fill={colorScale ? "#fff" : s.color}
+          stroke={theme.secondary}
+          strokeWidth="0.8"
+        />
+        <text x={x + 14} y={cy + LEGEND_PX - 1} fontSize={LEGEND_PX} fill={theme.secondary}>
+          {s.name}
+        </text>
+      </g>
+    );
+    cy += LINE_PX;
+  }
+  if (series.length) cy += 8;
+  if (colorScale) {
+    items.push(
+      <text key="ct" x={x} y={cy + LEGEND_PX} fontSize={LEGEND_PX + 1} fontWeight="600" fill={theme.secondary}>
+        {colorTitle}
+      </text>
+    );
+    cy += LINE_PX + 4;
+    if (colorScale.type === "continuous") {
+      const stops = colorMapStops(colorScale.map);
+      const barH = Math.max(40, Math.min(140, height / 2));
+      items.push(
+        <g key="cb">
+          <defs>
+            <linearGradient id="export-colorbar" x1="0" y1="1" x2="0" y2="0">
+              {stops.map((c, i) => (
+                <stop key={i} offset={i / (stops.length - 1)} stopColor={c} />
+              ))}
+            </linearGradient>
+          </defs>
+          <rect x={x} y={cy} width={COLORBAR_WIDTH} height={barH} fill="url(#export-colorbar)" stroke={theme.secondary + "66"} />
+          <text x={x + COLORBAR_WIDTH + 4} y={cy + LEGEND_PX} fontSize={LEGEND_PX} fill={theme.secondary}>
+            {formatValue(colorScale.domain[1])}
+          </text>
+          <text x={x + COLORBAR_WIDTH + 4} y={cy + barH} fontSize={LEGEND_PX} fill={theme.secondary}>
+            {formatValue(colorScale.domain[0])}
+          </text>
+        </g>
+      );
+      cy += barH + 12;
+    } else {
+      for (const c of colorScale.categories) {
+        if (cy + LINE_PX > y + height) break;
+        items.push(
+          <g key={"c" + c.value}>
+            <circle cx={x + 5} cy={cy + 5} r="4" fill={c.color} />
+            <text x={x + 14} y={cy + LEGEND_PX - 1} fontSize={LEGEND_PX} fill={theme.secondary}>
+              {`${c.value} (${c.count})`}
+            </text>
+          </g>
+        );
+        cy += LINE_PX;
+      }
+      cy += 8;
+    }
+  }
+  for (const { spec, fit } of fits) {
+    const lines = [
+      `${FIT_MODELS[fit.model]} ${fit.method.toUpperCase()}`,
+      ...wrapText(fit.equation, 30),
+      `R² = ${formatCoefficient(fit.r2)}, n = ${fit.n}`,
+    ];
+    if (cy + lines.length * LINE_PX > y + height) break;
+    const top = cy;
+    items.push(
+      <g key={"f" + spec.id}>
+        <line x1={x} x2={x + 16} y1={top + 5} y2={top + 5} stroke={spec.color} strokeWidth="2" />
+        {lines.map((text, i) => (
+          <text key={i} x={x + 20} y={top + LEGEND_PX - 1 + i * LINE_PX} fontSize={LEGEND_PX} fill={theme.secondary}>
+            {text}
+          </text>
+        ))}
+      </g>
+    );
+    cy += lines.length * LINE_PX + 6;
+  }
+  return <g className="export-legend">{items}</g>;
+}
+
+// PUBLIC_INTERFACE
+function ExportFigure({
+  width,
+  height,
+  sizeAttrs,
+  title,
+  subtitle,
+  viewBox,
+  axisSettings,
+  points,
+  colorOf,
+  shapeOf = null,
+  series = [],
+  colorScale,
+  colorTitle,
+  selection,
+  overlays,
+  fits,
+  annotations = [],
+  xTitle,
+  yTitle,
+  showGrid,
+  pointRadius,
+  selectedStroke,
+  theme,
+}) {
+  /** Static SVG of the crossplot for export: the current view box, axes,
+   *  points, overlays, trend lines, annotations, legend and an optional title
+   *  block, laid out in a width x height CSS-pixel figure. sizeAttrs sets the
+   *  root width/height attributes (e.g. "3.5in"); no interactive chrome is
+   *  drawn.
+   */
+  const titleHeight = title ? TITLE_PX + 10 + (subtitle ? SUBTITLE_PX + 4 : 0) : 0;
+  const legendWidth = colorScale || fits.length || series.length ? LEGEND_WIDTH : 0;
+  const area = plotArea(width - legendWidth, height - titleHeight);
+  const scales = createScales(viewBox, area, axisSettings);
+  // Only points inside the plot area go into the file
+  const shown = points.filter(d => {
+    const px = scales.x(d.x), py = scales.y(d.y);
+    return (
+      px >= area.left - pointRadius &&
+      px <= area.right + pointRadius &&
+      py >= area.top - pointRadius &&
+      py <= area.bottom + pointRadius
+    );
+  });
+
+  return (
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      viewBox={`0 0 ${width} ${height}`}
+      {...sizeAttrs}
+      fontFamily={FONT_FAMILY}
+    >
+      <rect width={width} height={height} fill="#fff" />
+      {title && (
+        <g>
+          <text x={width / 2} y={TITLE_PX + 4} textAnchor="middle" fontSize={TITLE_PX} fontWeight="600" fill={theme.text}>
+            {title}
+          </text>
+          {subtitle && (
+            <text
+              x={width / 2}
+              y={TITLE_PX + SUBTITLE_PX + 8}
+              textAnchor="middle"
+              fontSize={SUBTITLE_PX}
+              fill={theme.secondary}
+            >
+              {subtitle}
+            </text>
+          )}
+        </g>
+      )}
+      <g transform={`translate(0,${titleHeight})`}>
+        <defs>
+          <clipPath id={CLIP_ID}>
+            <rect x={area.left} y={area.top} width={area.width} height={area.height} />
+          </clipPath>
+        </defs>
+        <PlotAxes
+          xScale={scales.x}
+          yScale={scales.y}
+          area={area}
+          xTitle={xTitle}
+          yTitle={yTitle}
+          showGrid={showGrid}
+          theme={theme}
+        />
+        <g clipPath={`url(#${CLIP_ID})`}>
+          <OverlayLayer overlays={overlays} xScale={scales.x} yScale={scales.y} theme={theme} />
+          {shown.map(d => (
+            <Marker
+              key={d.idx}
+              shape={shapeOf ? shapeOf(d) : "circle"}
+              x={scales.x(d.x).toFixed(2)}
+              y={scales.y(d.y).toFixed(2)}
+              r={pointRadius}
+              fill={colorOf ? colorOf(d) : theme.accent + "CC"}
+              stroke={selection.has(d.idx) ? selectedStroke : theme.primary + "BB"}
+              strokeWidth={selection.has(d.idx) ? 2 : 0.8}
+            />
+          ))}
+          {fits.map(({ spec, fit }) => (
+            <path key={spec.id} d={functionPath(fit.predict, scales.x, scales.y, 1)} fill="none" stroke={spec.color} strokeWidth="2" />
+          ))}
+        </g>
+        <AnnotationLayer annotations={annotations} xScale={scales.x} yScale={scales.y} area={area} />
+        {legendWidth > 0 && (
+          <Legend
+            x={area.right + 16}
+            y={area.top}
+            height={area.height + 30}
+            series={series}
+            colorScale={colorScale}
+            colorTitle={colorTitle}
+            fits={fits}
+            theme={theme}
+          />
+        )}
+      </g>
+    </svg>
+  );
+}
+
+export default ExportFigure;
@@ -0,0 +1,187 @@
+import React, { useMemo, useState } from "react";
+import { numericColumn } from "../utils/columns";
+import { extent } from "../utils/histogram";
+import { nextFilterName } from "../utils/filters";
+
+const SLIDER_STEPS = 500;
+
+const buttonStyle = {
+  padding: "3px 10px",
+  background: "var(--surface)",
+  border: "1px solid var(--border)",
+  borderRadius: "6px",
+  cursor: "pointer",
+  fontSize: "0.93em",
+};
+
+// Two sliders over a column's data range; either side can be typed in
+function RangeFilterControls({ filter, range, onChange }) {
+  const [lo, hi] = range || [0, 1];
+  const step = (hi - lo) / SLIDER_STEPS || 1;
+  const value = (key, fallback) => (filter[key] === "" ? fallback : filter[key]);
+  const set = (key, v) => onChange({ [key]: v === "" ? "" : Number(v) });
+  return (
+    <span style={{ display: "inline-flex", flexWrap: "wrap", alignItems: "center", gap: "4px 8px" }}>
+      <input
+        type="number"
+        aria-label={`${filter.column} minimum`}
+        value={filter.min}
+        placeholder={String(lo)}
+        onChange={e => set("min", e.target.value)}
+        style={{ width: "80px" }}
+      />
+      <input
+        type="range"
+        aria-label={`${filter.column} from`}
+        min={lo}
+        max={hi}
+        step={step}
+        value={value("min", lo)}
+        onChange={e => set("min", Math.min(Number(e.target.value), value("max", hi)))}
+      />
+      <input
+        type="range"
+        aria-label={`${filter.column} to`}
+        min={lo}
+        max={hi}
+        step={step}
+        value={value("max", hi)}
+        onChange={e => set("max", Math.max(Number(e.target.value), value("min", lo)))}
+      />
+      <input
+        type="number"
+        aria-label={`${filter.column} maximum`}
+        value={filter.max}
+        placeholder={String(hi)}
+        onChange={e => set("max", e.target.value)}
+        style={{ width: "80px" }}
+      />
+    </span>
+  );
+}
+
+// PUBLIC_INTERFACE
+function FilterBar({ filters, result, headers, rows, numericHeaders, onAdd, onChange, onRemove, theme }) {
+  /** Named, toggleable row filters: safe expressions over column names (e.g.
+   *  "DEPT between 1200 and 1350 and GR < 75") and range sliders on numeric
+   *  columns. result is filterRows() output for the per-filter counts and
+   *  errors.
+   */
+  const [expression, setExpression] = useState("");
+  const [rangeColumn, setRangeColumn] = useState("");
+
+  const rangeColumns = filters.filter(f => f.type === "range").map(f => f.column).join("\n");
+  const ranges = useMemo(() => {
+    const out = {};
+    for (const col of rangeColumns ? rangeColumns.split("\n") : []) {
+      out[col] = extent(numericColumn(rows, headers.indexOf(col)));
+    }
+    return out;
+  }, [rangeColumns, rows, headers]);
+
+  const nextName = nextFilterName(filters);
+
+  const addExpression = () => {
+    if (!expression.trim()) return;
+    onAdd({ type: "expression", name: nextName, expression: expression.trim() });
+    setExpression("");
+  };
+
+  const addRange = () => {
+    const column = rangeColumn || numericHeaders[0];
+    if (column) onAdd({ type: "range", name: column, column, min: "", max: "" });
+  };
+
+  return (
+    <div
+      style={{
+        width: "100%",
+        marginTop: "12px",
+        padding: "8px 10px",
+        boxSizing: "border-box",
+        border: `1px solid ${theme.primary}33`,
+        borderRadius: "8px",
+        fontSize: "0.93em",
+        textAlign: "left",
+      }}
+    >
+      <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: "6px 8px" }}>
+        <span style={{ fontWeight: 600, color: theme.primary }}>Filters:</span>
+        <input
+          aria-label="Filter expression"
+          value={expression}
+          placeholder="e.g. DEPT between 1200 and 1350 and GR < 75"
+          onChange={e => setExpression(e.target.value)}
+          onKeyDown={e => e.key === "Enter" && addExpression()}
+          style={{ flex: "1 1 220px", padding: "3px 6px" }}
+        />
+        <button style={buttonStyle} onClick={addExpression}>
+          Add filter
+        </button>
+        <select aria-label="Range filter column" value={rangeColumn} onChange={e => setRangeColumn(e.target.value)}>
+          {numericHeaders.map(h => (
+            <option key={h} value={h}>
+              {h}
+            </option>
+          ))}
+        </select>
+        <button style={buttonStyle} onClick={addRange} disabled={!numericHeaders.length}>
+          Add range
+        </button>
+      </div>
+      {filters.map(filter => {
+        const error = result.errors[filter.id];
+        return (
+          <div
+            key={filter.id}
+            style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: "4px 8px", marginTop: "6px" }}
+          >
+            <input
+              type="checkbox"
+              aria-label={`Enable ${filter.name}`}
+              checked={filter.enabled}
+              onChange={e => onChange(filter.id, { enabled: e.target.checked })}
+            />
+            <input
+              aria-label="Filter name"
+              value={filter.name}
+              onChange={e => onChange(filter.id, { name: e.target.value })}
+              style={{ width: "90px", fontWeight: 600, border: "1px solid transparent", background: "transparent" }}
+            />
+            {filter.type === "range" ? (
+              <RangeFilterControls
+                filter={filter}
+                range={ranges[filter.column]}
+                onChange={patch => onChange(filter.id, patch)}
+              />
+            ) : (
+              <input
+                aria-label={`${filter.name} expression`}
+                value={filter.expression}
+                onChange={e => onChange(filter.id, { expression: e.target.value })}
+                style={{ flex: "1 1 200px", padding: "2px 6px", borderColor: error ? "var(--danger)" : undefined }}
+              />
+            )}
+            {error ? (
+              <span style={{ color: "var(--danger)" }}>{error}</span>
+            ) : (
+              filter.enabled && (
+                <span style={{ color: "var(--muted)" }}>{`−${result.removedBy[filter.id] || 0} rows`}</span>
+              )
+            )}
+            <button style={buttonStyle} aria-label={`Remove ${filter.name}`} onClick={() => onRemove(filter.id)}>
+              ✕
+            </button>
+          </div>
+        );
+      })}
+      {filters.length > 0 && (
+        <div style={{ marginTop: "6px", color: theme.secondary }}>
+          {`${result.passed} of ${rows.length} rows pass the filters`}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FilterBar;
@@ -0,0 +1,132 @@
+import React, { useState } from "react";
+import { FIT_MODELS, RMA_MODELS, coefficientsText, formatCoefficient } from "../utils/regression";
+
+// Line colours for successive fits; distinct from the point accent colour
+export const FIT_COLORS = ["#d62728", "#2ca02c", "#9467bd", "#17becf", "#8c564b", "#e377c2"];
+
+const SCOPES = { all: "All points", selection: "Selection", visible: "Visible area" };
+
+const buttonStyle = {
+  padding: "3px 10px",
+  background: "var(--surface)",
+  border: "1px solid var(--border)",
+  borderRadius: "6px",
+  cursor: "pointer",
+  fontSize: "0.93em",
+};
+
+// Short description of a fit definition, e.g. "Polynomial (2) · RMA · Selection"
+function fitLabel(spec) {
+  const parts = [spec.model === "polynomial" ? `${FIT_MODELS.polynomial} (${spec.degree})` : FIT_MODELS[spec.model]];
+  if (RMA_MODELS.includes(spec.model)) parts.push(spec.method.toUpperCase());
+  parts.push(SCOPES[spec.scope]);
+  return parts.join(" · ");
+}
+
+// PUBLIC_INTERFACE
+function FitPanel({ fits, results, onAdd, onRemove, theme }) {
+  /** Trend-line controls: choose a model, degree, OLS/RMA method and the
+   *  points to fit (all, selection or visible area), then list each fit's
+   *  equation, R² and RMSE. results[i] is { fit } or { error } for fits[i].
+   */
+  const [draft, setDraft] = useState({ model: "linear", degree: 2, method: "ols", scope: "all" });
+  const [copiedId, setCopiedId] = useState(null);
+
+  const update = patch => setDraft(d => ({ ...d, ...patch }));
+
+  const handleCopy = (id, fit) => {
+    if (!navigator.clipboard) return;
+    navigator.clipboard.writeText(coefficientsText(fit)).then(() => setCopiedId(id), () => {});
+  };
+
+  return (
+    <div
+      style={{
+        width: "100%",
+        marginTop: "8px",
+        padding: "7px 10px",
+        boxSizing: "border-box",
+        border: `1px solid ${theme.primary}33`,
+        borderRadius: "8px",
+        fontSize: "0.93em",
+      }}
+    >
+      <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: "6px 10px" }}>
+        <span style={{ fontWeight: 600, color: theme.primary }}>Trend line:</span>
+        <select aria-label="Fit model" value={draft.model} onChange={e => update({ model: e.target.value })}>
+          {Object.entries(FIT_MODELS).map(([key, label]) => (
+            <option key={key} value={key}>
+              {label}
+            </option>
+          ))}
+        </select>
+        {draft.model === "polynomial" && (
+          <label>
+            Degree{" "}
+            <select value={draft.degree} onChange={e => update({ degree: Number(e.target.value) })}>
+              {[2, 3, 4, 5].map(n => (
+                <option key={n} value={n}>
+                  {n}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+        {RMA_MODELS.includes(draft.model) && (
+          <select aria-label="Regression method" value={draft.method} onChange={e => update({ method: e.target.value })}>
+            <option value="ols">Least squares (OLS)</option>
+            <option value="rma">Reduced major axis (RMA)</option>
+          </select>
+        )}
+        <select aria-label="Points to fit" value={draft.scope} onChange={e => update({ scope: e.target.value })}>
+          {Object.entries(SCOPES).map(([key, label]) => (
+            <option key={key} value={key}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <button
+          style={{ ...buttonStyle, background: theme.primary, color: theme.onPrimary, border: "none", fontWeight: 600 }}
+          onClick={() => onAdd(draft)}
+        >
+          Add fit
+        </button>
+      </div>
+      {fits.map((spec, i) => {
+        const { fit, error } = results[i] || {};
+        return (
+          <div
+            key={spec.id}
+            style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: "4px 10px", marginTop: "6px" }}
+          >
+            <span style={{ display: "inline-block", width: "18px", height: "3px", background: spec.color }} />
+            <span style={{ color: theme.secondary }}>{fitLabel(spec)}</span>
+            {fit ? (
+              <>
+                <code style={{ color: theme.text }}>{fit.equation}</code>
+                <span>
+                  R² = {formatCoefficient(fit.r2)} &nbsp; RMSE = {formatCoefficient(fit.rmse)} &nbsp; n = {fit.n}
+                  {fit.skipped > 0 && (
+                    <span style={{ color: "var(--notice-text)" }} title="Outside the model's domain (e.g. non-positive for log)">
+                      {" "}({fit.skipped} skipped)
+                    </span>
+                  )}
+                </span>
+                <button style={buttonStyle} onClick={() => handleCopy(spec.id, fit)}>
+                  {copiedId === spec.id ? "Copied" : "Copy coefficients"}
+                </button>
+              </>
+            ) : (
+              <span style={{ color: "var(--danger)" }}>{error}</span>
+            )}
+            <button style={buttonStyle} aria-label={`Remove ${fitLabel(spec)}`} onClick={() => onRemove(spec.id)}>
+              ✕
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default FitPanel;
@@ -0,0 +1,239 @@
+import React, { useMemo, useState } from "react";
+import {
+  decodeText,
+  detectCSVOptions,
+  parseCSVText,
+  ENCODINGS,
+} from "../utils/csv";
+
+const DELIMITER_LABELS = {
+  ",": "Comma (,)",
+  ";": "Semicolon (;)",
+  "\t": "Tab",
+  "|": "Pipe (|)",
+};
+
+const PREVIEW_ROWS = 8;
+
+const fieldStyle = {
+  display: "flex",
+  flexDirection: "column",
+  alignItems: "start",
+  gap: "3px",
+  fontSize: "0.95em",
+};
+
+const cellStyle = {
+  padding: "3px 8px",
+  borderBottom: "1px solid var(--border)",
+  whiteSpace: "nowrap",
+  maxWidth: "160px",
+  overflow: "hidden",
+  textOverflow: "ellipsis",
+};
+
+// PUBLIC_INTERFACE
+function ImportPreviewDialog({ fileName, buffer, theme, onConfirm, onCancel }) {
+  /** Modal showing the detected import options for a delimited file with a live
+   *  table preview. onConfirm receives { headers, rows, units, options, encoding }.
+   */
+  const [encoding, setEncoding] = useState(() => decodeText(buffer).encoding);
+  const text = useMemo(() => decodeText(buffer, encoding).text, [buffer, encoding]);
+  const [options, setOptions] = useState(() => detectCSVOptions(text));
+
+  const preview = useMemo(() => {
+    try {
+      return { result: parseCSVText(text, options), error: "" };
+    } catch (err) {
+      return { result: null, error: err.message };
+    }
+  }, [text, options]);
+
+  const setOption = (key, value) => setOptions(o => ({ ...o, [key]: value }));
+
+  const handleConfirm = () => {
+    if (preview.result) onConfirm({ ...preview.result, encoding });
+  };
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      aria-label="Import preview"
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: "rgba(20,30,45,0.45)",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        zIndex: 1000,
+      }}
+      onKeyDown={e => e.key === "Escape" && onCancel()}
+    >
+      <div
+        style={{
+          background: "var(--surface)",
+          borderRadius: "15px",
+          boxShadow: "0 6px 30px rgba(30,40,60,0.25)",
+          padding: "22px 24px",
+          width: "92%",
+          maxWidth: "760px",
+          maxHeight: "90vh",
+          overflow: "auto",
+          color: theme.text,
+        }}
+      >
+        <h2 style={{ margin: "0 0 4px 0", color: theme.primary, fontSize: "1.3em" }}>
+          Import preview
+        </h2>
+        <div style={{ color: "var(--muted)", fontSize: "0.95em", marginBottom: "14px" }}>
+          {fileName}
+        </div>
+
+        {/* Detected options, all overridable */}
+        <div
+          style={{
+            display: "flex",
+            flexWrap: "wrap",
+            gap: "18px",
+            alignItems: "end",
+            marginBottom: "14px",
+          }}
+        >
+          <label style={fieldStyle}>
+            Delimiter
+            <select
+              value={options.delimiter}
+              onChange={e => setOption("delimiter", e.target.value)}
+            >
+              {Object.entries(DELIMITER_LABELS).map(([value, label]) => (
+                <option key={label} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label style={fieldStyle}>
+            Encoding
+            <select value={encoding} onChange={e => setEncoding(e.target.value)}>
+              {ENCODINGS.map(enc => (
+                <option key={enc} value={enc}>
+                  {enc}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label style={fieldStyle}>
+            Skip lines
+            <input
+              type="number"
+              min="0"
+              value={options.skipLines}
+              onChange={e => setOption("skipLines", Math.max(0, Number(e.target.value) || 0))}
+              style={{ width: "70px" }}
+            />
+          </label>
+          <label style={{ fontSize: "0.95em" }}>
+            <input
+              type="checkbox"
+              checked={options.hasHeader}
+              onChange={e => setOption("hasHeader", e.target.checked)}
+            />{" "}
+            Header row
+          </label>
+          <label style={{ fontSize: "0.95em" }}>
+            <input
+              type="checkbox"
+              checked={options.unitsRow}
+              disabled={!options.hasHeader}
+              onChange={e => setOption("unitsRow", e.target.checked)}
+            />{" "}
+            Units row
+          </label>
+          <label style={{ fontSize: "0.95em" }}>
+            <input
+              type="checkbox"
+              checked={options.decimalComma}
+              onChange={e => setOption("decimalComma", e.target.checked)}
+            />{" "}
+            Decimal comma
+          </label>
+        </div>
+
+        {/* Table preview */}
+        {preview.error ? (
+          <div style={{ color: "var(--danger)", marginBottom: "12px" }}>{preview.error}</div>
+        ) : (
+          <div style={{ overflowX: "auto", border: "1px solid var(--border)", borderRadius: "8px" }}>
+            <table style={{ borderCollapse: "collapse", fontSize: "0.9em", width: "100%" }}>
+              <thead>
+                <tr style={{ background: "var(--surface-alt)", color: theme.primary }}>
+                  {preview.result.headers.map((h, i) => (
+                    <th key={i} style={{ ...cellStyle, textAlign: "left" }}>
+                      {h}
+                      {preview.result.units[i] && (
+                        <span style={{ color: "var(--muted)", fontWeight: 400 }}>
+                          {` (${preview.result.units[i]})`}
+                        </span>
+                      )}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {preview.result.rows.slice(0, PREVIEW_ROWS).map((row, r) => (
+                  <tr key={r}>
+                    {row.map((v, c) => (
+                      <td key={c} style={cellStyle} title={v}>
+                        {v === "" ? <span style={{ color: "var(--muted)" }}>—</span> : v}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {preview.result && (
+          <div style={{ color: "var(--muted)", fontSize: "0.9em", marginTop: "6px" }}>
+            {`${preview.result.headers.length} columns, ${preview.result.rows.length} rows`}
+          </div>
+        )}
+
+        <div style={{ display: "flex", justifyContent: "flex-end", gap: "10px", marginTop: "16px" }}>
+          <button
+            onClick={onCancel}
+            style={{
+              padding: "6px 14px",
+              background: "var(--surface)",
+              color: theme.secondary,
+              border: "1px solid var(--border)",
+              borderRadius: "6px",
+              cursor: "pointer",
+            }}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleConfirm}
+            disabled={!preview.result}
+            style={{
+              padding: "6px 14px",
+              background: theme.primary,
+              color: theme.onPrimary,
+              fontWeight: 600,
+              border: "none",
+              borderRadius: "6px",
+              cursor: "pointer",
+            }}
+          >
+            Import
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ImportPreviewDialog;
@@ -0,0 +1,115 @@
+import React, { useMemo } from "react";
+import { pixelHistogram, pixelDensity, silvermanBandwidth } from "../utils/marginals";
+
+export const MARGINAL_SIZE = 64; // panel thickness, px
+
+const SELECTED_FILL = "#111";
+
+// PUBLIC_INTERFACE
+function MarginalPlot({ axis, points, selection, scale, area, length, kind, bins, hoverBand, onHoverBand, theme }) {
+  /** Histogram or kernel density of the plotted points' X (panel above the
+   *  plot) or Y (panel to its right) values, laid out on the plot's own scale
+   *  so it follows zoom and pan. Selected points are drawn on top in a darker
+   *  shade. Hovering reports the bin under the cursor as a pixel band
+   *  { axis, from, to } (null on leave) so the plot can highlight its points.
+   */
+  const horizontal = axis === "x";
+  const [start, end] = horizontal ? [area.left, area.right] : [area.top, area.bottom];
+  const binWidth = (end - start) / bins;
+
+  const pixels = useMemo(() => points.map(d => scale(d[axis])), [points, scale, axis]);
+  const selectedPixels = useMemo(
+    () => (selection.size ? points.filter(d => selection.has(d.idx)).map(d => scale(d[axis])) : []),
+    [points, selection, scale, axis]
+  );
+
+  const shapes = useMemo(() => {
+    if (kind === "kde") {
+      const bandwidth = silvermanBandwidth(pixels);
+      const all = pixelDensity(pixels, start, end, { bandwidth });
+      const sel = selectedPixels.length ? pixelDensity(selectedPixels, start, end, { bandwidth }) : null;
+      return { kind, all, sel, max: Math.max(0, ...all.density) };
+    }
+    const all = pixelHistogram(pixels, start, end, bins);
+    const sel = selectedPixels.length ? pixelHistogram(selectedPixels, start, end, bins) : null;
+    return { kind, all, sel, max: Math.max(0, ...all) };
+  }, [kind, pixels, selectedPixels, start, end, bins]);
+
+  // Distance from the baseline (next to the plot) for a value
+  const depth = MARGINAL_SIZE - 4;
+  const size = v => (shapes.max ? (v / shapes.max) * depth : 0);
+  // Panel coordinates of (position along the axis, distance from baseline)
+  const at = (p, v) => (horizontal ? [p, MARGINAL_SIZE - v] : [v, p]);
+  const rect = (from, to, v, key, fill) => {
+    const [x0, y0] = at(from, size(v));
+    const [x1, y1] = at(to, 0);
+    return (
+      <rect
+        key={key}
+        x={Math.min(x0, x1)}
+        y={Math.min(y0, y1)}
+        width={Math.abs(x1 - x0)}
+        height={Math.abs(y1 - y0)}
+        fill={fill}
+      />
+    );
+  };
+  const areaPath = ({ positions, density }) =>
+    [at(positions[0], 0), ...positions.map((p, i) => at(p, size(density[i]))), at(positions[positions.length - 1], 0)]
+      .map(([x, y], i) => `${i ? "L" : "M"}${x.toFixed(1)},${y.toFixed(1)}`)
+      .join("") + "Z";
+
+  const handleMouseMove = e => {
+    const box = e.currentTarget.getBoundingClientRect();
+    const p = horizontal ? e.clientX - box.left : e.clientY - box.top;
+    const k = Math.floor((p - start) / binWidth);
+    if (k < 0 || k >= bins) {
+      if (hoverBand) onHoverBand(null);
+      return;
+    }
+    if (!hoverBand || hoverBand.axis !== axis || hoverBand.from !== start + k * binWidth) {
+      onHoverBand({ axis, from: start + k * binWidth, to: start + (k + 1) * binWidth });
+    }
+  };
+
+  const hovered = hoverBand && hoverBand.axis === axis ? hoverBand : null;
+  const fill = theme.accent + "99";
+
+  return (
+    <svg
+      role="img"
+      aria-label={`${axis.toUpperCase()} ${kind === "kde" ? "density" : "histogram"}`}
+      width={horizontal ? length : MARGINAL_SIZE}
+      height={horizontal ? MARGINAL_SIZE : length}
+      style={{ display: "block", overflow: "hidden" }}
+      onMouseMove={handleMouseMove}
+      onMouseLeave={() => onHoverBand(null)}
+    >
+      {hovered && rect(hovered.from, hovered.to, shapes.max, "hover", theme.primary + "22")}
+      {shapes.kind === "kde" ? (
+        <>
+          <path d={areaPath(shapes.all)} fill={fill} stroke={theme.accent} strokeWidth="1" />
+          {shapes.sel && <path d={areaPath(shapes.sel)} fill={SELECTED_FILL + "66"} stroke={SELECTED_FILL} strokeWidth="1" />}
+        </>
+      ) : (
+        <>
+          {shapes.all.map((c, k) => c > 0 && rect(start + k * binWidth, start + (k + 1) * binWidth - 1, c, k, fill))}
+          {shapes.sel &&
+            shapes.sel.map(
+              (c, k) => c > 0 && rect(start + k * binWidth, start + (k + 1) * binWidth - 1, c, `s${k}`, SELECTED_FILL + "88")
+            )}
+        </>
+      )}
+      <line
+        x1={at(start, 0)[0]}
+        y1={at(start, 0)[1]}
+        x2={at(end, 0)[0]}
+        y2={at(end, 0)[1]}
+        stroke={theme.secondary + "66"}
+        strokeWidth="1"
+      />
+    </svg>
+  );
+}
+
+export default MarginalPlot;
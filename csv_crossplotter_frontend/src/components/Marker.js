@@ -0,0 +1,13 @@
+import React from "react";
+import { markerPath } from "../utils/markers";
+
+// PUBLIC_INTERFACE
+function Marker({ shape = "circle", x, y, r, ...rest }) {
+  /** One point marker at (x, y): an SVG circle, or a path for the other
+   *  series shapes. Remaining props (fill, stroke, handlers) pass through.
+   */
+  if (shape === "circle") return <circle cx={x} cy={y} r={r} {...rest} />;
+  return <path d={markerPath(shape, r)} transform={`translate(${x},${y})`} {...rest} />;
+}
+
+export default Marker;
@@ -0,0 +1,79 @@
+import React from "react";
+import { OUTLIER_METHODS } from "../utils/outliers";
+
+const buttonStyle = {
+  padding: "3px 10px",
+  background: "var(--surface)",
+  border: "1px solid var(--border)",
+  borderRadius: "6px",
+  cursor: "pointer",
+  fontSize: "0.93em",
+};
+
+// PUBLIC_INTERFACE
+function OutlierPanel({ settings, result, tested, onChange, onAddColumn, theme }) {
+  /** Outlier detection controls for the current X/Y pair: method, threshold
+   *  (blank for the method default), whether to exclude the flagged points
+   *  from the plot, fits and autoscaling, and adding the flags as a column.
+   *  result is detectOutliers() output over the tested point count.
+   */
+  const method = OUTLIER_METHODS[settings.method];
+  return (
+    <div
+      style={{
+        width: "100%",
+        marginTop: "8px",
+        padding: "7px 10px",
+        boxSizing: "border-box",
+        border: `1px solid ${theme.primary}33`,
+        borderRadius: "8px",
+        fontSize: "0.93em",
+        display: "flex",
+        flexWrap: "wrap",
+        alignItems: "center",
+        gap: "6px 10px",
+      }}
+    >
+      <label style={{ fontWeight: 600, color: theme.primary }}>
+        <input type="checkbox" checked={settings.enabled} onChange={e => onChange({ enabled: e.target.checked })} />{" "}
+        Outliers
+      </label>
+      {settings.enabled && (
+        <>
+          <select aria-label="Outlier method" value={settings.method} onChange={e => onChange({ method: e.target.value })}>
+            {Object.entries(OUTLIER_METHODS).map(([key, m]) => (
+              <option key={key} value={key}>
+                {m.label}
+              </option>
+            ))}
+          </select>
+          <label title={method.unit}>
+            Threshold{" "}
+            <input
+              type="number"
+              aria-label="Outlier threshold"
+              min="0"
+              step="0.1"
+              placeholder={String(method.threshold)}
+              value={settings.threshold}
+              onChange={e => onChange({ threshold: e.target.value })}
+              style={{ width: "58px" }}
+            />
+          </label>
+          <label>
+            <input type="checkbox" checked={settings.exclude} onChange={e => onChange({ exclude: e.target.checked })} />{" "}
+            Exclude from plot, fits and autoscale
+          </label>
+          <span role="status" style={{ color: result.error ? "var(--danger)" : "var(--muted)" }}>
+            {result.error || `${result.outliers.size} of ${tested} points flagged`}
+          </span>
+          <button style={{ ...buttonStyle, marginLeft: "auto" }} disabled={!!result.error} onClick={onAddColumn}>
+            Add flag column
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default OutlierPanel;
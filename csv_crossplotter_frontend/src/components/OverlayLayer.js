@@ -0,0 +1,67 @@
+import React from "react";
+import { polylinePath } from "../utils/scales";
+
+const LABEL_FONT_PX = 11;
+
+// Pixel position for an item's label: polygon vertex centroid, or the last
+// drawable vertex of a line
+function labelPosition(item, xScale, yScale) {
+  const pts = item.points
+    .filter(Boolean)
+    .map(([x, y]) => [xScale(x), yScale(y)])
+    .filter(([px, py]) => isFinite(px) && isFinite(py));
+  if (!pts.length) return null;
+  if (!item.closed) return { x: pts[pts.length - 1][0] + 4, y: pts[pts.length - 1][1] - 4, anchor: "start" };
+  const x = pts.reduce((s, p) => s + p[0], 0) / pts.length;
+  const y = pts.reduce((s, p) => s + p[1], 0) / pts.length;
+  return { x, y, anchor: "middle" };
+}
+
+// PUBLIC_INTERFACE
+function OverlayLayer({ overlays, xScale, yScale, theme }) {
+  /** Draws the visible overlays' lines, curves and polygons in data
+   *  coordinates, so they zoom and pan with the points. Labels keep a fixed
+   *  pixel size.
+   */
+  return (
+    <g className="plot-overlays" pointerEvents="none">
+      {overlays
+        .filter(o => o.visible)
+        .map(overlay => (
+          <g key={overlay.id}>
+            {overlay.items.map((item, i) => {
+              const color = item.color || theme.secondary;
+              const label = item.label && labelPosition(item, xScale, yScale);
+              return (
+                <g key={i}>
+                  <path
+                    d={polylinePath(item.points, xScale, yScale, item.closed)}
+                    fill={item.closed ? item.fill || color + "1F" : "none"}
+                    stroke={color}
+                    strokeWidth="1.6"
+                    strokeDasharray={item.dash || undefined}
+                  />
+                  {label && (
+                    <text
+                      x={label.x}
+                      y={label.y}
+                      textAnchor={label.anchor}
+                      fontSize={LABEL_FONT_PX}
+                      fill={color}
+                      stroke="#fff"
+                      strokeWidth="3"
+                      paintOrder="stroke"
+                    >
+                      {item.label}
+                    </text>
+                  )}
+                </g>
+              );
+            })}
+          </g>
+        ))}
+    </g>
+  );
+}
+
+export default OverlayLayer;
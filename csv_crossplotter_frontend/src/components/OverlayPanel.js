@@ -0,0 +1,100 @@
+import React, { useState } from "react";
+import { OVERLAY_LIBRARY } from "../utils/overlayLibrary";
+
+const buttonStyle = {
+  padding: "3px 10px",
+  background: "var(--surface)",
+  border: "1px solid var(--border)",
+  borderRadius: "6px",
+  cursor: "pointer",
+  fontSize: "0.93em",
+};
+
+// PUBLIC_INTERFACE
+function OverlayPanel({ overlays, error, onAddDefinition, onUpload, onToggle, onRemove, onClassify, theme }) {
+  /** Overlay controls: add a built-in overlay or upload overlay JSON, show or
+   *  hide and remove loaded overlays, and turn an overlay's polygons into a
+   *  classification column.
+   */
+  const [libraryIndex, setLibraryIndex] = useState(0);
+
+  return (
+    <div
+      style={{
+        width: "100%",
+        marginTop: "8px",
+        padding: "7px 10px",
+        boxSizing: "border-box",
+        border: `1px solid ${theme.primary}33`,
+        borderRadius: "8px",
+        fontSize: "0.93em",
+      }}
+    >
+      <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: "6px 10px" }}>
+        <span style={{ fontWeight: 600, color: theme.primary }}>Overlays:</span>
+        <select
+          aria-label="Built-in overlay"
+          value={libraryIndex}
+          onChange={e => setLibraryIndex(Number(e.target.value))}
+        >
+          {OVERLAY_LIBRARY.map((def, i) => (
+            <option key={def.name} value={i}>
+              {def.name}
+            </option>
+          ))}
+        </select>
+        <button style={buttonStyle} onClick={() => onAddDefinition(OVERLAY_LIBRARY[libraryIndex])}>
+          Add
+        </button>
+        <label style={{ ...buttonStyle, display: "inline-block" }}>
+          Load JSON…
+          <input
+            type="file"
+            accept=".json,application/json"
+            style={{ display: "none" }}
+            onChange={e => {
+              const file = e.target.files[0];
+              e.target.value = "";
+              if (file) onUpload(file);
+            }}
+          />
+        </label>
+      </div>
+      {error && (
+        <div role="alert" style={{ color: "var(--danger)", marginTop: "5px" }}>
+          {error}
+        </div>
+      )}
+      {overlays.map(overlay => {
+        const polygons = overlay.items.filter(item => item.closed).length;
+        const axes = overlay.x || overlay.y ? ` (for ${overlay.y || "?"} vs ${overlay.x || "?"})` : "";
+        return (
+          <div
+            key={overlay.id}
+            style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: "4px 10px", marginTop: "6px" }}
+          >
+            <label title={overlay.description}>
+              <input type="checkbox" checked={overlay.visible} onChange={() => onToggle(overlay.id)} />{" "}
+              {overlay.name}
+              <span style={{ color: "var(--muted)" }}>{axes}</span>
+            </label>
+            {polygons > 0 && (
+              <button
+                style={buttonStyle}
+                title="Add a column with the label of the polygon each row falls in, using the current X/Y columns"
+                onClick={() => onClassify(overlay.id)}
+              >
+                Classify into column
+              </button>
+            )}
+            <button style={buttonStyle} aria-label={`Remove ${overlay.name}`} onClick={() => onRemove(overlay.id)}>
+              ✕
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default OverlayPanel;
@@ -0,0 +1,97 @@
+import React from "react";
+import { tickCount } from "../utils/scales";
+
+const TICK_SIZE = 5;
+const TICK_FONT_PX = 11;
+const TITLE_FONT_PX = 13;
+
+// PUBLIC_INTERFACE
+function PlotAxes({ xScale, yScale, area, xTitle, yTitle, showGrid, theme }) {
+  /** Pixel-space axes for the crossplot: frame, nice ticks with labels,
+   *  optional gridlines and axis titles. Text sizes are fixed in pixels so
+   *  they do not change while zooming.
+   */
+  const xTicks = xScale.ticks(tickCount(area.width, 80));
+  const yTicks = yScale.ticks(tickCount(area.height, 45));
+  const xFormat = xScale.tickFormat(tickCount(area.width, 80));
+  const yFormat = yScale.tickFormat(tickCount(area.height, 45));
+
+  return (
+    <g className="plot-axes" fontFamily="inherit" pointerEvents="none">
+      {showGrid && (
+        <g stroke={theme.secondary + "22"} strokeWidth="1">
+          {xTicks.map((t, i) => (
+            <line key={"gx" + i} x1={xScale(t)} x2={xScale(t)} y1={area.top} y2={area.bottom} />
+          ))}
+          {yTicks.map((t, i) => (
+            <line key={"gy" + i} x1={area.left} x2={area.right} y1={yScale(t)} y2={yScale(t)} />
+          ))}
+        </g>
+      )}
+      <rect
+        x={area.left}
+        y={area.top}
+        width={area.width}
+        height={area.height}
+        fill="none"
+        stroke={theme.secondary + "66"}
+        strokeWidth="1"
+      />
+      {/* X axis */}
+      <g>
+        {xTicks.map((t, i) => (
+          <g key={"x" + i} transform={`translate(${xScale(t)},${area.bottom})`}>
+            <line y2={TICK_SIZE} stroke={theme.primary} strokeWidth="1" />
+            <text
+              y={TICK_SIZE + 3}
+              dominantBaseline="hanging"
+              textAnchor="middle"
+              fontSize={TICK_FONT_PX}
+              fill={theme.secondary}
+            >
+              {xFormat(t)}
+            </text>
+          </g>
+        ))}
+        <text
+          x={area.left + area.width / 2}
+          y={area.bottom + TICK_SIZE + TICK_FONT_PX + 20}
+          textAnchor="middle"
+          fontSize={TITLE_FONT_PX}
+          fontWeight="600"
+          fill={theme.primary}
+        >
+          {xTitle}
+        </text>
+      </g>
+      {/* Y axis */}
+      <g>
+        {yTicks.map((t, i) => (
+          <g key={"y" + i} transform={`translate(${area.left},${yScale(t)})`}>
+            <line x2={-TICK_SIZE} stroke={theme.primary} strokeWidth="1" />
+            <text
+              x={-TICK_SIZE - 3}
+              dominantBaseline="middle"
+              textAnchor="end"
+              fontSize={TICK_FONT_PX}
+              fill={theme.secondary}
+            >
+              {yFormat(t)}
+            </text>
+          </g>
+        ))}
+        <text
+          transform={`translate(${area.left - 48},${area.top + area.height / 2}) rotate(-90)`}
+          textAnchor="middle"
+          fontSize={TITLE_FONT_PX}
+          fontWeight="600"
+          fill={theme.primary}
+        >
+          {yTitle}
+        </text>
+      </g>
+    </g>
+  );
+}
+
+export default PlotAxes;
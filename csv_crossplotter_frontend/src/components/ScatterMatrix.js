@@ -0,0 +1,272 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { scaleLinear } from "d3-scale";
+import { numericColumn } from "../utils/columns";
+import { extent, histogram } from "../utils/histogram";
+import { selectionOp } from "../utils/selection";
+import useElementSize from "../hooks/useElementSize";
+
+// Cells draw at most this many unselected rows (an even stride sample);
+// selected rows are always drawn in full
+const MAX_CELL_POINTS = 20000;
+const HIST_BINS = 20;
+const CELL_PAD = 6;
+const MIN_CELL = 70;
+const MAX_CELL = 170;
+// Drags shorter than this (px) count as a click on the cell
+const CLICK_TOLERANCE = 3;
+
+// Padded [lo, hi] of a column for its cell scales
+function paddedDomain(values) {
+  const ext = extent(values);
+  if (!ext) return [0, 1];
+  const pad = (ext[1] - ext[0]) * 0.05 || 1;
+  return [ext[0] - pad, ext[1] + pad];
+}
+
+// PUBLIC_INTERFACE
+function MatrixCell({ xCol, yCol, size, sample, mask, selection, theme, onBrush, onClick, title }) {
+  /** One scatterplot-matrix cell: a crossplot of yCol against xCol, or the
+   *  histogram of xCol on the diagonal (yCol null). Rows with mask[i] === 0
+   *  are left out. Dragging brushes a range, a plain click calls onClick.
+   */
+  const canvasRef = useRef();
+  const [brush, setBrush] = useState(null);
+
+  const x = useMemo(
+    () => scaleLinear().domain(xCol.domain).range([CELL_PAD, size - CELL_PAD]),
+    [xCol, size]
+  );
+  const y = useMemo(
+    () => (yCol ? scaleLinear().domain(yCol.domain).range([size - CELL_PAD, CELL_PAD]) : null),
+    [yCol, size]
+  );
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas && canvas.getContext("2d");
+    if (!ctx) return;
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = size * dpr;
+    canvas.height = size * dpr;
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, size, size);
+    const hasSelection = selection.size > 0;
+    const shown = i => !mask || mask[i];
+
+    if (!yCol) {
+      // Diagonal: histogram of all rows, selected rows overlaid
+      const range = [xCol.domain[0], xCol.domain[1]];
+      const all = histogram(mask ? xCol.values.filter((_, i) => mask[i]) : xCol.values, HIST_BINS, range);
+      const max = Math.max(1, ...all.counts);
+      const barW = (size - 2 * CELL_PAD) / HIST_BINS;
+      const drawBars = (counts, color) => {
+        ctx.fillStyle = color;
+        counts.forEach((c, i) => {
+          const h = (c / max) * (size - 2 * CELL_PAD - 14);
+          ctx.fillRect(CELL_PAD + i * barW, size - CELL_PAD - h, Math.max(1, barW - 1), h);
+        });
+      };
+      drawBars(all.counts, hasSelection ? theme.primary + "44" : theme.primary + "99");
+      if (hasSelection) {
+        const selectedValues = [...selection].filter(shown).map(i => xCol.values[i]);
+        drawBars(histogram(selectedValues, HIST_BINS, range).counts, theme.accent);
+      }
+      return;
+    }
+
+    ctx.fillStyle = hasSelection ? theme.primary + "33" : theme.primary + "88";
+    for (const i of sample) {
+      const vx = xCol.values[i], vy = yCol.values[i];
+      if (isNaN(vx) || isNaN(vy)) continue;
+      ctx.fillRect(x(vx) - 1, y(vy) - 1, 2, 2);
+    }
+    if (hasSelection) {
+      ctx.fillStyle = theme.accent;
+      for (const i of selection) {
+        if (!shown(i)) continue;
+        const vx = xCol.values[i], vy = yCol.values[i];
+        if (vx === undefined || isNaN(vx) || isNaN(vy)) continue;
+        ctx.fillRect(x(vx) - 1.5, y(vy) - 1.5, 3, 3);
+      }
+    }
+  }, [xCol, yCol, x, y, size, sample, mask, selection, theme]);
+
+  const local = e => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    return [e.clientX - rect.left, e.clientY - rect.top];
+  };
+  const handleMouseDown = e => {
+    e.preventDefault();
+    const p = local(e);
+    setBrush({ from: p, to: p, op: selectionOp(e) });
+  };
+  const handleMouseMove = e => {
+    if (brush) setBrush({ ...brush, to: local(e) });
+  };
+  const handleMouseUp = () => {
+    if (!brush) return;
+    setBrush(null);
+    const [fx, fy] = brush.from, [tx, ty] = brush.to;
+    if (Math.abs(tx - fx) < CLICK_TOLERANCE && Math.abs(ty - fy) < CLICK_TOLERANCE) {
+      onClick();
+      return;
+    }
+    const [x0, x1] = [x.invert(Math.min(fx, tx)), x.invert(Math.max(fx, tx))];
+    const [y0, y1] = y ? [y.invert(Math.max(fy, ty)), y.invert(Math.min(fy, ty))] : [null, null];
+    const hits = [];
+    for (let i = 0; i < xCol.values.length; i++) {
+      if (mask && !mask[i]) continue;
+      const vx = xCol.values[i];
+      if (!(vx >= x0 && vx <= x1)) continue;
+      if (y && !(yCol.values[i] >= y0 && yCol.values[i] <= y1)) continue;
+      hits.push(i);
+    }
+    onBrush(hits, brush.op);
+  };
+
+  // A histogram brush spans the full cell height
+  const brushRect = brush && {
+    left: Math.min(brush.from[0], brush.to[0]),
+    top: y ? Math.min(brush.from[1], brush.to[1]) : 0,
+    width: Math.abs(brush.to[0] - brush.from[0]),
+    height: y ? Math.abs(brush.to[1] - brush.from[1]) : size,
+  };
+
+  return (
+    <div
+      title={title}
+      onMouseDown={handleMouseDown}
+      onMouseMove={handleMouseMove}
+      onMouseUp={handleMouseUp}
+      onMouseLeave={() => setBrush(null)}
+      style={{
+        position: "relative",
+        width: size,
+        height: size,
+        border: `1px solid ${theme.secondary}33`,
+        background: yCol ? "var(--surface)" : "var(--surface-alt)",
+        cursor: "crosshair",
+        boxSizing: "content-box",
+      }}
+    >
+      <canvas ref={canvasRef} style={{ width: size, height: size, display: "block" }} />
+      {!yCol && (
+        <div
+          style={{
+            position: "absolute",
+            top: 3,
+            left: 0,
+            right: 0,
+            textAlign: "center",
+            fontSize: "11px",
+            fontWeight: 600,
+            color: theme.primary,
+            pointerEvents: "none",
+            overflow: "hidden",
+            textOverflow: "ellipsis",
+            whiteSpace: "nowrap",
+          }}
+        >
+          {title}
+        </div>
+      )}
+      {brushRect && (
+        <div
+          style={{
+            position: "absolute",
+            ...brushRect,
+            background: theme.primary + "1A",
+            border: `1px dashed ${theme.primary}`,
+            pointerEvents: "none",
+          }}
+        />
+      )}
+    </div>
+  );
+}
+
+// PUBLIC_INTERFACE
+function ScatterMatrix({ columns, headers, rows, mask, labelOf, selection, onBrush, onOpenPair, theme }) {
+  /** Scatterplot matrix of the given column names with histograms on the
+   *  diagonal. Brushing any cell reports (rowIndices, op) through onBrush so
+   *  the shared selection highlights in every cell; clicking an off-diagonal
+   *  cell calls onOpenPair(xColumn, yColumn). mask (optional Uint8Array)
+   *  hides filtered-out rows.
+   */
+  const wrapperRef = useRef();
+  const [wrapperCallback, wrapperSize] = useElementSize(wrapperRef);
+
+  const data = useMemo(
+    () =>
+      columns.map(name => {
+        const values = numericColumn(rows, headers.indexOf(name));
+        return { name, values, domain: paddedDomain(values) };
+      }),
+    [columns, headers, rows]
+  );
+
+  // Unmasked rows, thinned to an even stride sample for drawing
+  const { sample, kept } = useMemo(() => {
+    const all = [];
+    for (let i = 0; i < rows.length; i++) if (!mask || mask[i]) all.push(i);
+    const stride = Math.max(1, Math.ceil(all.length / MAX_CELL_POINTS));
+    return { sample: stride === 1 ? all : all.filter((_, k) => k % stride === 0), kept: all.length };
+  }, [rows, mask]);
+
+  const n = data.length;
+  const size = Math.max(
+    MIN_CELL,
+    Math.min(MAX_CELL, Math.floor((wrapperSize.width || n * MAX_CELL) / Math.max(1, n)) - 4)
+  );
+
+  return (
+    <div ref={wrapperCallback} style={{ width: "100%", overflowX: "auto" }}>
+      {n < 2 ? (
+        <div style={{ color: theme.secondary, padding: "12px" }}>
+          Pick at least two numeric columns for the matrix.
+        </div>
+      ) : (
+        <div
+          role="grid"
+          aria-label="Scatterplot matrix"
+          style={{
+            display: "grid",
+            gridTemplateColumns: `repeat(${n}, ${size + 2}px)`,
+            gap: "2px",
+            justifyContent: "center",
+            userSelect: "none",
+          }}
+        >
+          {data.map((rowCol, r) =>
+            data.map((colCol, c) => (
+              <MatrixCell
+                key={`${r}-${c}`}
+                xCol={colCol}
+                yCol={r === c ? null : rowCol}
+                size={size}
+                sample={sample}
+                mask={mask}
+                selection={selection}
+                theme={theme}
+                onBrush={onBrush}
+                onClick={() => r !== c && onOpenPair(colCol.name, rowCol.name)}
+                title={
+                  r === c
+                    ? labelOf(colCol.name)
+                    : `${labelOf(rowCol.name)} vs ${labelOf(colCol.name)} (click to open)`
+                }
+              />
+            ))
+          )}
+        </div>
+      )}
+      {kept > sample.length && (
+        <div style={{ color: "var(--muted)", fontSize: "0.88em", textAlign: "center", marginTop: "6px" }}>
+          {`Cells show a ${sample.length}-row sample; selected rows are always drawn.`}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ScatterMatrix;
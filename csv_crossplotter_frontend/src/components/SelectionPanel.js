@@ -0,0 +1,58 @@
+import React from "react";
+import { formatIndexRanges } from "../utils/selection";
+
+const buttonStyle = {
+  padding: "3px 10px",
+  background: "var(--surface)",
+  border: "1px solid var(--border)",
+  borderRadius: "6px",
+  cursor: "pointer",
+  fontSize: "0.93em",
+};
+
+// PUBLIC_INTERFACE
+function SelectionPanel({ selection, onInvert, onClear, onDownload, theme }) {
+  /** Summary of the selected rows (count and row indices) with invert, clear
+   *  and download-as-CSV actions. Renders nothing while the selection is empty.
+   */
+  if (!selection.size) return null;
+  return (
+    <div
+      style={{
+        width: "100%",
+        marginTop: "8px",
+        padding: "7px 10px",
+        boxSizing: "border-box",
+        background: `${theme.primary}14`,
+        border: `1px solid ${theme.primary}33`,
+        borderRadius: "8px",
+        display: "flex",
+        flexWrap: "wrap",
+        alignItems: "center",
+        gap: "8px 12px",
+        fontSize: "0.95em",
+      }}
+    >
+      <span style={{ fontWeight: 600, color: theme.primary }}>
+        {selection.size} {selection.size === 1 ? "row" : "rows"} selected
+      </span>
+      <span style={{ color: "var(--muted)", flex: "1 1 200px" }} title="Row indices">
+        Row indices: {formatIndexRanges(selection)}
+      </span>
+      <button style={buttonStyle} onClick={onInvert}>
+        Invert
+      </button>
+      <button style={buttonStyle} onClick={onClear}>
+        Clear
+      </button>
+      <button
+        style={{ ...buttonStyle, background: theme.accent, color: theme.onAccent, border: "none", fontWeight: 600 }}
+        onClick={onDownload}
+      >
+        Download selected rows (CSV)
+      </button>
+    </div>
+  );
+}
+
+export default SelectionPanel;
@@ -0,0 +1,131 @@
+import React, { useState } from "react";
+import Marker from "./Marker";
+import { MARKER_SHAPES } from "../utils/markers";
+
+const buttonStyle = {
+  padding: "1px 7px",
+  background: "var(--surface)",
+  border: "1px solid var(--border)",
+  borderRadius: "5px",
+  cursor: "pointer",
+  fontSize: "0.9em",
+};
+
+// PUBLIC_INTERFACE
+export function SeriesSwatch({ series, size = 14 }) {
+  /** Marker of a series in its shape and colour, for legends */
+  return (
+    <svg width={size} height={size} aria-hidden="true" style={{ verticalAlign: "middle", flex: "none" }}>
+      <Marker shape={series.shape} x={size / 2} y={size / 2} r={size / 2 - 2.5} fill={series.color} stroke="#333" strokeWidth="0.8" />
+    </svg>
+  );
+}
+
+// Null value list of one file, applied on Enter or when the box loses focus
+// so partial input ("-", "-9") does not blank values while typing. Keyed on
+// the applied list, so a restored session resets the draft.
+function NullValuesInput({ series, onCommit }) {
+  const [draft, setDraft] = useState(series.nulls || "");
+  const commit = () => draft !== (series.nulls || "") && onCommit(draft);
+  return (
+    <input
+      aria-label={`${series.name} null values`}
+      title="Comma-separated values that mean missing, e.g. -999.25, NA (applied on Enter)"
+      placeholder="none"
+      value={draft}
+      onChange={e => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={e => e.key === "Enter" && commit()}
+      style={{ width: "110px" }}
+    />
+  );
+}
+
+// PUBLIC_INTERFACE
+function SeriesList({ series, onChange, onMove, onRemove, theme }) {
+  /** Per-file list of the loaded series, also the series legend: show/hide,
+   *  rename, marker shape and colour, reorder (top is drawn on top) and
+   *  remove. Each entry shows its file's own column and row counts and its
+   *  null values (cells blanked as missing, see utils/profile).
+   */
+  return (
+    <ul aria-label="Loaded files" style={{ listStyle: "none", margin: "2px 0 0", padding: 0, textAlign: "left" }}>
+      {series.map((s, i) => (
+        <li
+          key={s.id}
+          style={{
+            display: "flex",
+            flexWrap: "wrap",
+            alignItems: "center",
+            gap: "4px 8px",
+            padding: "3px 0",
+            color: s.visible ? theme.secondary : "var(--muted)",
+          }}
+        >
+          <input
+            type="checkbox"
+            aria-label={`Show ${s.name}`}
+            checked={s.visible}
+            onChange={e => onChange(s.id, { visible: e.target.checked })}
+          />
+          <SeriesSwatch series={s} />
+          <input
+            aria-label="Series name"
+            value={s.name}
+            onChange={e => onChange(s.id, { name: e.target.value })}
+            style={{ width: "110px", fontWeight: 600, border: "1px solid transparent", background: "transparent" }}
+          />
+          <span style={{ fontSize: "0.9em", color: "var(--muted)" }}>
+            {`${s.fileName} (${s.columns} columns, ${s.count} rows)`}
+          </span>
+          <label style={{ fontSize: "0.9em", color: "var(--muted)", display: "inline-flex", alignItems: "center", gap: "4px" }}>
+            Null values:
+            <NullValuesInput key={s.nulls || ""} series={s} onCommit={nulls => onChange(s.id, { nulls })} />
+          </label>
+          {series.length > 1 && (
+            <span style={{ marginLeft: "auto", display: "inline-flex", gap: "4px", alignItems: "center" }}>
+              <select
+                aria-label={`${s.name} marker`}
+                value={s.shape}
+                onChange={e => onChange(s.id, { shape: e.target.value })}
+              >
+                {MARKER_SHAPES.map(shape => (
+                  <option key={shape} value={shape}>
+                    {shape}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="color"
+                aria-label={`${s.name} colour`}
+                value={s.color}
+                onChange={e => onChange(s.id, { color: e.target.value })}
+                style={{ width: "26px", height: "20px", padding: 0, border: "none" }}
+              />
+              <button style={buttonStyle} aria-label={`Move ${s.name} up`} disabled={i === 0} onClick={() => onMove(s.id, -1)}>
+                ↑
+              </button>
+              <button
+                style={buttonStyle}
+                aria-label={`Move ${s.name} down`}
+                disabled={i === series.length - 1}
+                onClick={() => onMove(s.id, 1)}
+              >
+                ↓
+              </button>
+            </span>
+          )}
+          <button
+            style={{ ...buttonStyle, marginLeft: series.length > 1 ? 0 : "auto" }}
+            aria-label={`Remove ${s.name}`}
+            onClick={() => onRemove(s.id)}
+          >
+            ✕
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default SeriesList;
@@ -0,0 +1,67 @@
+import React, { useState } from "react";
+
+const buttonStyle = {
+  padding: "3px 10px",
+  background: "var(--surface)",
+  border: "1px solid var(--border)",
+  borderRadius: "6px",
+  cursor: "pointer",
+  fontSize: "0.93em",
+};
+
+// PUBLIC_INTERFACE
+function SessionControls({ hasData, canLink, onSave, onOpen, onCopyLink, onClear, theme }) {
+  /** Session actions in the upload card: save the session as JSON, open a
+   *  saved session file, copy a link to the current view, and clear the
+   *  auto-saved session.
+   */
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = () => {
+    onCopyLink().then(() => setCopied(true), () => {});
+  };
+
+  return (
+    <div
+      style={{
+        display: "flex",
+        flexWrap: "wrap",
+        alignItems: "center",
+        gap: "6px 8px",
+        marginTop: "9px",
+        fontSize: "0.95em",
+      }}
+    >
+      <span style={{ color: theme.primary, fontWeight: 600 }}>Session:</span>
+      <button style={buttonStyle} disabled={!hasData} onClick={onSave}>
+        Save session
+      </button>
+      <label style={{ ...buttonStyle, display: "inline-block" }}>
+        Open session…
+        <input
+          type="file"
+          accept=".json,application/json"
+          style={{ display: "none" }}
+          onChange={e => {
+            const file = e.target.files[0];
+            e.target.value = "";
+            if (file) onOpen(file);
+          }}
+        />
+      </label>
+      <button
+        style={buttonStyle}
+        disabled={!canLink}
+        title="Link with the columns, zoom and axis settings; open it and load the same file"
+        onClick={handleCopy}
+      >
+        {copied ? "Link copied" : "Copy view link"}
+      </button>
+      <button style={buttonStyle} disabled={!hasData} onClick={onClear}>
+        Clear session
+      </button>
+    </div>
+  );
+}
+
+export default SessionControls;
@@ -0,0 +1,202 @@
+import React, { useMemo, useState } from "react";
+import { scaleLinear } from "d3-scale";
+import { formatValue } from "./ColorLegend";
+import { toNumber } from "../utils/columns";
+import { COLOR_MAPS } from "../utils/colorMaps";
+import { describeValues, correlationMatrix, statisticsTable, PERCENTILES } from "../utils/statistics";
+
+const HEATMAP_SIZE = 360;
+const MAX_CELL = 44;
+const LABEL_SPACE = 84;
+
+const buttonStyle = {
+  padding: "3px 10px",
+  background: "var(--surface)",
+  border: "1px solid var(--border)",
+  borderRadius: "6px",
+  cursor: "pointer",
+  fontSize: "0.93em",
+};
+
+const cellStyle = {
+  padding: "2px 7px",
+  borderBottom: "1px solid var(--border)",
+  whiteSpace: "nowrap",
+  textAlign: "right",
+};
+
+// -1 (blue) through 0 (white) to +1 (red)
+const STOPS = COLOR_MAPS.diverging;
+const correlationColor = scaleLinear()
+  .domain(STOPS.map((_, i) => -1 + (2 * i) / (STOPS.length - 1)))
+  .range(STOPS);
+
+const show = v => (Number.isFinite(v) ? formatValue(v) : "—");
+
+// PUBLIC_INTERFACE
+function StatsPanel({ headers, rows, columns, rowIndices, scopeLabel, labelOf, onPickPair, onDownload, theme }) {
+  /** Collapsible statistics of the numeric columns over rowIndices (null
+   *  for all rows): count, missing, range, mean, median, standard deviation
+   *  and percentiles, plus a Pearson or Spearman correlation heatmap whose
+   *  cells open that pair as the crossplot (onPickPair(x, y)). Nothing is
+   *  computed while collapsed. onDownload(suffix, headers, rows) saves CSV.
+   */
+  const [open, setOpen] = useState(false);
+  const [method, setMethod] = useState("pearson");
+
+  const values = useMemo(() => {
+    if (!open) return [];
+    const scope = rowIndices || rows.map((_, i) => i);
+    return columns.map(col => {
+      const c = headers.indexOf(col);
+      return Float64Array.from(scope, i => toNumber(rows[i][c]));
+    });
+  }, [open, columns, headers, rows, rowIndices]);
+  const stats = useMemo(() => values.map(describeValues), [values]);
+  const matrix = useMemo(() => correlationMatrix(values, method), [values, method]);
+
+  const cell = Math.min(MAX_CELL, HEATMAP_SIZE / Math.max(1, columns.length));
+  const methodName = method === "pearson" ? "Pearson" : "Spearman";
+
+  const downloadStats = () => {
+    const table = statisticsTable(columns, stats);
+    onDownload("statistics", table.headers, table.rows);
+  };
+  const downloadCorrelations = () =>
+    onDownload(
+      `${method}_correlation`,
+      ["", ...columns],
+      columns.map((col, i) => [col, ...matrix[i].map(({ r }) => (Number.isFinite(r) ? r.toFixed(4) : ""))])
+    );
+
+  return (
+    <details
+      open={open}
+      onToggle={e => setOpen(e.currentTarget.open)}
+      style={{ width: "98%", maxWidth: "740px", margin: "0 auto 30px", textAlign: "left", color: theme.secondary }}
+    >
+      <summary style={{ cursor: "pointer", fontWeight: 600, color: theme.primary }}>
+        Statistics <span style={{ fontWeight: 400, color: "var(--muted)" }}>({scopeLabel})</span>
+      </summary>
+      {open && !columns.length && <div style={{ marginTop: "6px", color: "var(--muted)" }}>No numeric columns.</div>}
+      {open && columns.length > 0 && (
+        <div style={{ fontSize: "0.92em" }}>
+          <div style={{ overflowX: "auto", margin: "6px 0" }}>
+            <table aria-label="Column statistics" style={{ borderCollapse: "collapse" }}>
+              <thead>
+                <tr style={{ background: "var(--surface-alt)" }}>
+                  {["Column", "Count", "Missing", "Min", "Max", "Mean", "Median", "Std", ...PERCENTILES.map(p => `P${p}`)].map(h => (
+                    <th key={h} style={{ ...cellStyle, textAlign: h === "Column" ? "left" : "right" }}>
+                      {h}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {columns.map((col, i) => {
+                  const s = stats[i];
+                  return (
+                    <tr key={col}>
+                      <td style={{ ...cellStyle, textAlign: "left", fontWeight: 600 }}>{labelOf(col)}</td>
+                      <td style={cellStyle}>{s.count}</td>
+                      <td style={cellStyle}>{s.missing}</td>
+                      {[s.min, s.max, s.mean, s.median, s.std, ...PERCENTILES.map(p => s.percentiles[p])].map((v, k) => (
+                        <td key={k} style={cellStyle}>
+                          {show(v)}
+                        </td>
+                      ))}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: "6px 12px", margin: "8px 0" }}>
+            <label>
+              Correlation:{" "}
+              <select aria-label="Correlation method" value={method} onChange={e => setMethod(e.target.value)}>
+                <option value="pearson">Pearson</option>
+                <option value="spearman">Spearman (rank)</option>
+              </select>
+            </label>
+            <span style={{ color: "var(--muted)" }}>Click a cell to crossplot that pair</span>
+            <span style={{ marginLeft: "auto", display: "inline-flex", gap: "6px" }}>
+              <button style={buttonStyle} onClick={downloadStats}>
+                Statistics (CSV)
+              </button>
+              <button style={buttonStyle} onClick={downloadCorrelations}>
+                Correlations (CSV)
+              </button>
+            </span>
+          </div>
+          <svg
+            width={LABEL_SPACE + cell * columns.length + 4}
+            height={LABEL_SPACE + cell * columns.length + 4}
+            role="group"
+            aria-label={`${methodName} correlation matrix`}
+            style={{ display: "block", fontSize: "11px" }}
+          >
+            {columns.map((col, i) => (
+              <g key={col} fill={theme.secondary}>
+                <text x={LABEL_SPACE - 5} y={LABEL_SPACE + (i + 0.5) * cell} textAnchor="end" dominantBaseline="middle">
+                  {col}
+                </text>
+                <text
+                  transform={`translate(${LABEL_SPACE + (i + 0.5) * cell},${LABEL_SPACE - 5}) rotate(-45)`}
+                  textAnchor="start"
+                >
+                  {col}
+                </text>
+              </g>
+            ))}
+            {columns.map((rowCol, i) =>
+              columns.map((col, j) => {
+                const { r, n } = matrix[i][j];
+                const label = `${col} vs ${rowCol}: ${methodName} r = ${Number.isFinite(r) ? r.toFixed(2) : "n/a"} (n = ${n})`;
+                const pick = () => onPickPair(col, rowCol);
+                return (
+                  <g
+                    key={`${i}-${j}`}
+                    role="button"
+                    tabIndex={0}
+                    aria-label={label}
+                    onClick={pick}
+                    onKeyDown={e => {
+                      if (e.key !== "Enter" && e.key !== " ") return;
+                      e.preventDefault();
+                      pick();
+                    }}
+                    style={{ cursor: "pointer" }}
+                  >
+                    <title>{label}</title>
+                    <rect
+                      x={LABEL_SPACE + j * cell}
+                      y={LABEL_SPACE + i * cell}
+                      width={cell - 1}
+                      height={cell - 1}
+                      fill={Number.isFinite(r) ? correlationColor(r) : "#eee"}
+                    />
+                    {cell >= 28 && Number.isFinite(r) && (
+                      <text
+                        x={LABEL_SPACE + (j + 0.5) * cell}
+                        y={LABEL_SPACE + (i + 0.5) * cell}
+                        textAnchor="middle"
+                        dominantBaseline="middle"
+                        fill={Math.abs(r) > 0.6 ? "#fff" : "#333"}
+                        pointerEvents="none"
+                      >
+                        {r.toFixed(2)}
+                      </text>
+                    )}
+                  </g>
+                );
+              })
+            )}
+          </svg>
+        </div>
+      )}
+    </details>
+  );
+}
+
+export default StatsPanel;
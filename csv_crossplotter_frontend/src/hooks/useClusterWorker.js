@@ -0,0 +1,63 @@
+import { useCallback, useEffect, useRef } from "react";
+import { handleClusterRequest } from "../utils/clustering";
+
+// PUBLIC_INTERFACE
+function useClusterWorker() {
+  /** Returns run(request), which sends a clustering request (see
+   *  handleClusterRequest) to a Web Worker and resolves with its reply. The
+   *  request's data buffer is transferred, not copied. The worker starts on
+   *  first use and stops on unmount; without Web Worker support the request
+   *  runs on the main thread after a tick.
+   */
+  const workerRef = useRef(null);
+  const pending = useRef(new Map());
+  const nextId = useRef(0);
+
+  useEffect(() => {
+    const waiting = pending.current;
+    return () => {
+      if (workerRef.current) workerRef.current.then(worker => worker && worker.terminate());
+      workerRef.current = null;
+      waiting.clear();
+    };
+  }, []);
+
+  return useCallback(request => {
+    const id = ++nextId.current;
+    if (typeof Worker === "undefined") {
+      return new Promise(resolve => setTimeout(() => resolve(handleClusterRequest({ ...request, id })), 0));
+    }
+    if (!workerRef.current) {
+      const loading = import("../workers/createClusteringWorker").then(({ default: create }) => {
+        const worker = create();
+        worker.onmessage = ({ data }) => {
+          const resolve = pending.current.get(data.id);
+          pending.current.delete(data.id);
+          if (resolve) resolve(data);
+        };
+        // A crashed worker fails what it was given and is replaced next time
+        worker.onerror = () => {
+          pending.current.forEach((resolve, key) => resolve({ id: key, error: "Clustering failed" }));
+          pending.current.clear();
+          worker.terminate();
+          workerRef.current = null;
+        };
+        return worker;
+      });
+      // A failed import rejects this run and is retried on the next
+      loading.catch(() => {
+        if (workerRef.current === loading) workerRef.current = null;
+      });
+      workerRef.current = loading;
+    }
+    return workerRef.current.then(
+      worker =>
+        new Promise(resolve => {
+          pending.current.set(id, resolve);
+          worker.postMessage({ ...request, id }, [request.data.buffer]);
+        })
+    );
+  }, []);
+}
+
+export default useClusterWorker;
@@ -0,0 +1,42 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+// PUBLIC_INTERFACE
+function useElementSize(targetRef) {
+  /** Tracks the client size of an element. Returns [ref callback, { width, height }].
+   *  The callback also assigns targetRef.current, so callers keep using their own
+   *  ref for event coordinate math.
+   */
+  const [size, setSize] = useState({ width: 0, height: 0 });
+  const [node, setNode] = useState(null);
+  const observerRef = useRef(null);
+
+  const refCallback = useCallback(
+    el => {
+      if (targetRef) targetRef.current = el;
+      setNode(el);
+    },
+    [targetRef]
+  );
+
+  useEffect(() => {
+    if (!node) return undefined;
+    const measure = () =>
+      setSize(s =>
+        s.width === node.clientWidth && s.height === node.clientHeight
+          ? s
+          : { width: node.clientWidth, height: node.clientHeight }
+      );
+    measure();
+    if (typeof ResizeObserver !== "undefined") {
+      observerRef.current = new ResizeObserver(measure);
+      observerRef.current.observe(node);
+      return () => observerRef.current.disconnect();
+    }
+    window.addEventListener("resize", measure);
+    return () => window.removeEventListener("resize", measure);
+  }, [node]);
+
+  return [refCallback, size];
+}
+
+export default useElementSize;
@@ -0,0 +1,59 @@
+import { useCallback, useEffect, useRef } from "react";
+import { storeGet, storePut, storeClear } from "../utils/sessionStore";
+import { encodeViewHash, decodeViewHash } from "../utils/session";
+
+// View changes (pan, zoom, selection) are saved after this quiet period
+const VIEW_SAVE_DELAY_MS = 600;
+
+// PUBLIC_INTERFACE
+function useSessionPersistence(dataset, view, onRestore) {
+  /** Auto-saves the dataset and view to IndexedDB and mirrors the view in the
+   *  URL hash. On mount, calls onRestore({ dataset, view, hashView }) with the
+   *  saved records (null when none) and the view encoded in the page URL.
+   *  Nothing is saved until that restore has run, so the empty initial state
+   *  cannot overwrite a saved session. Returns a function that forgets the
+   *  saved session.
+   */
+  const ready = useRef(false);
+  const onRestoreRef = useRef(onRestore);
+  onRestoreRef.current = onRestore;
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([storeGet("dataset"), storeGet("view")])
+      .catch(() => [null, null])
+      .then(([savedDataset, savedView]) => {
+        if (cancelled) return;
+        onRestoreRef.current({
+          dataset: savedDataset,
+          view: savedView,
+          hashView: decodeViewHash(window.location.hash),
+        });
+        ready.current = true;
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // The dataset changes rarely but can be large: saved on its own
+  useEffect(() => {
+    if (ready.current) storePut("dataset", dataset).catch(() => {});
+  }, [dataset]);
+
+  useEffect(() => {
+    if (!ready.current) return undefined;
+    const timer = setTimeout(() => {
+      storePut("view", view).catch(() => {});
+      // Keep a shared link's hash until a file with its columns is plotted
+      if (view.plotX && view.plotY) {
+        window.history.replaceState(null, "", `#${encodeViewHash(view)}`);
+      }
+    }, VIEW_SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [view]);
+
+  return useCallback(() => storeClear().catch(() => {}), []);
+}
+
+export default useSessionPersistence;
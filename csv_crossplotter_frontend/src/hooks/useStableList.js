@@ -0,0 +1,13 @@
+import { useMemo } from "react";
+
+// PUBLIC_INTERFACE
+function useStableList(list) {
+  /** Returns an equal copy of list (plain JSON data) that keeps its identity
+   *  while the entries' values stay the same, so memos keyed on it skip
+   *  unrelated changes
+   */
+  const key = JSON.stringify(list);
+  return useMemo(() => JSON.parse(key), [key]);
+}
+
+export default useStableList;
@@ -0,0 +1,73 @@
+// Text annotations on the crossplot ("washout", "core point"). A point
+// annotation belongs to a row index, so it follows that sample through axis
+// changes and zoom; a free annotation is pinned to data coordinates of the
+// X/Y columns it was placed on and shows only while those are plotted.
+import { toNumber } from "./columns";
+
+export const ANNOTATION_COLORS = ["#222222", "#d32f2f", "#1565c0", "#2e7d32", "#ef6c00", "#6a1b9a"];
+// Label offset from its anchor, in pixels
+export const DEFAULT_LABEL_OFFSET = { dx: 14, dy: -16 };
+
+// PUBLIC_INTERFACE
+export function createAnnotation(id, target) {
+  /** New annotation for target { row } (a point) or { x, y, columns:
+   *  [xColumn, yColumn] } (a free location), with empty text, the first
+   *  colour, a leader line and the default label offset.
+   */
+  const base = { id, text: "", color: ANNOTATION_COLORS[0], leader: true, ...DEFAULT_LABEL_OFFSET };
+  if (Number.isInteger(target.row)) return { ...base, row: target.row };
+  return { ...base, row: null, x: target.x, y: target.y, columns: target.columns };
+}
+
+// PUBLIC_INTERFACE
+export function placeAnnotations(annotations, { rows, headers, plotX, plotY, plotted }) {
+  /** The annotations drawable on the plot of plotX/plotY, each with its
+   *  anchor in data coordinates (ax, ay). Point annotations need their row
+   *  in the plotted set of row indices; free ones need the same columns.
+   */
+  const xIdx = headers.indexOf(plotX), yIdx = headers.indexOf(plotY);
+  if (xIdx === -1 || yIdx === -1) return [];
+  const placed = [];
+  for (const a of annotations) {
+    if (a.row === null) {
+      if (a.columns[0] === plotX && a.columns[1] === plotY) placed.push({ ...a, ax: a.x, ay: a.y });
+    } else if (plotted.has(a.row)) {
+      placed.push({ ...a, ax: toNumber(rows[a.row][xIdx]), ay: toNumber(rows[a.row][yIdx]) });
+    }
+  }
+  return placed;
+}
+
+// PUBLIC_INTERFACE
+export function remapAnnotations(annotations, remap) {
+  /** Annotations after rows were removed: remap(row) gives the new index or
+   *  -1, and annotations of removed rows are dropped.
+   */
+  return annotations
+    .map(a => (a.row === null ? a : { ...a, row: remap(a.row) }))
+    .filter(a => a.row === null || a.row !== -1);
+}
+
+// PUBLIC_INTERFACE
+export function restoreAnnotations(list, rowCount) {
+  /** Annotations read back from a saved session, dropping malformed entries
+   *  and rows beyond rowCount; ids are renumbered from 1.
+   */
+  if (!Array.isArray(list)) return [];
+  const finite = v => typeof v === "number" && Number.isFinite(v);
+  return list
+    .filter(a => a && typeof a === "object")
+    .filter(a =>
+      a.row === null
+        ? finite(a.x) && finite(a.y) && Array.isArray(a.columns) && a.columns.length === 2
+        : Number.isInteger(a.row) && a.row >= 0 && a.row < rowCount
+    )
+    .map((a, i) => ({
+      ...createAnnotation(i + 1, a),
+      text: String(a.text ?? ""),
+      color: /^#[0-9a-f]{6}$/i.test(a.color) ? a.color : ANNOTATION_COLORS[0],
+      leader: a.leader !== false,
+      dx: finite(a.dx) ? a.dx : DEFAULT_LABEL_OFFSET.dx,
+      dy: finite(a.dy) ? a.dy : DEFAULT_LABEL_OFFSET.dy,
+    }));
+}
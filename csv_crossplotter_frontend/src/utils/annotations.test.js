@@ -0,0 +1,52 @@
+import { createAnnotation, placeAnnotations, remapAnnotations, restoreAnnotations } from "./annotations";
+
+const headers = ["DEPT", "GR", "RES"];
+const rows = [
+  ["1000", "80", "55"],
+  ["1002", "85", ""],
+  ["1004", "88", "75"],
+];
+
+test("point annotations follow their row, free ones their columns", () => {
+  const notes = [
+    { ...createAnnotation(1, { row: 2 }), text: "washout" },
+    createAnnotation(2, { row: 1 }),
+    createAnnotation(3, { x: 82, y: 60, columns: ["GR", "RES"] }),
+  ];
+  const plotted = new Set([0, 2]);
+  const onGrRes = placeAnnotations(notes, { rows, headers, plotX: "GR", plotY: "RES", plotted });
+  expect(onGrRes.map(a => [a.id, a.ax, a.ay])).toEqual([
+    [1, 88, 75],
+    [3, 82, 60],
+  ]);
+  const onDepth = placeAnnotations(notes, { rows, headers, plotX: "DEPT", plotY: "GR", plotted });
+  expect(onDepth.map(a => [a.id, a.ax, a.ay])).toEqual([[1, 1004, 88]]);
+  expect(placeAnnotations(notes, { rows, headers, plotX: "", plotY: "GR", plotted })).toEqual([]);
+});
+
+test("annotations of removed rows are dropped", () => {
+  const notes = [createAnnotation(1, { row: 0 }), createAnnotation(2, { row: 2 }), createAnnotation(3, { x: 1, y: 2, columns: ["A", "B"] })];
+  const remapped = remapAnnotations(notes, row => (row === 0 ? -1 : row - 1));
+  expect(remapped.map(a => [a.id, a.row])).toEqual([
+    [2, 1],
+    [3, null],
+  ]);
+});
+
+test("restoring validates saved annotations", () => {
+  const restored = restoreAnnotations(
+    [
+      { row: 1, text: "core point", color: "#1565c0", leader: false, dx: 5, dy: 6 },
+      { row: 9, text: "beyond the rows" },
+      { row: null, x: 1, y: "2", columns: ["A", "B"] },
+      { row: null, x: 1, y: 2, columns: ["A", "B"], color: "red" },
+      null,
+    ],
+    3
+  );
+  expect(restored).toEqual([
+    { id: 1, row: 1, text: "core point", color: "#1565c0", leader: false, dx: 5, dy: 6 },
+    { id: 2, row: null, x: 1, y: 2, columns: ["A", "B"], text: "", color: "#222222", leader: true, dx: 14, dy: -16 },
+  ]);
+  expect(restoreAnnotations("nope", 3)).toEqual([]);
+});
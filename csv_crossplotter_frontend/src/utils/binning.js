@@ -0,0 +1,193 @@
+// 2D density display: points aggregated into hexagonal or square bins laid
+// out in screen pixels over the plot area (so bins re-aggregate on zoom and
+// keep their on-screen size), plus density contours from a smoothed grid.
+import { scaleLinear } from "d3-scale";
+import { colorMapStops } from "./colorMaps";
+
+const SQRT3 = Math.sqrt(3);
+
+// Hexagons are pointy-topped; size is the distance between neighbouring
+// centres in a row (the hexagon's width), so radius = size / √3.
+function hexCell(px, py, size) {
+  const r = size / SQRT3;
+  const dx = size, dy = 1.5 * r;
+  let row = Math.round(py / dy);
+  let col = Math.round(px / dx - (row & 1) / 2);
+  // Near a row boundary the nearest centre may be in the neighbouring row
+  const fy = py / dy - row;
+  if (Math.abs(fy) * 3 > 1) {
+    const fx = px / dx - (row & 1) / 2 - col;
+    const row2 = row + (fy < 0 ? -1 : 1);
+    const col2 = Math.round(px / dx - (row2 & 1) / 2);
+    const fx2 = px / dx - (row2 & 1) / 2 - col2, fy2 = py / dy - row2;
+    if (fx * fx + fy * fy * 0.75 > fx2 * fx2 + fy2 * fy2 * 0.75) {
+      row = row2;
+      col = col2;
+    }
+  }
+  return { key: `${col},${row}`, cx: (col + (row & 1) / 2) * dx, cy: row * dy };
+}
+
+function squareCell(px, py, size) {
+  const col = Math.floor(px / size), row = Math.floor(py / size);
+  return { key: `${col},${row}`, cx: (col + 0.5) * size, cy: (row + 0.5) * size };
+}
+
+// PUBLIC_INTERFACE
+export function binPoints(points, xScale, yScale, area, { shape = "hex", size = 16, valueFor = null } = {}) {
+  /** Aggregates points falling in the plot area into bins of size pixels.
+   *  Returns [{ key, cx, cy, count, x: [min, max], y: [min, max], value }]
+   *  with centres in plot pixels; value, when valueFor(point) is given, is
+   *  { mean, min, max, n } over the finite values (null when there are none).
+   */
+  const cellOf = shape === "square" ? squareCell : hexCell;
+  const bins = new Map();
+  for (const d of points) {
+    const px = xScale(d.x), py = yScale(d.y);
+    if (!(px >= area.left && px <= area.right && py >= area.top && py <= area.bottom)) continue;
+    const cell = cellOf(px - area.left, py - area.top, size);
+    let bin = bins.get(cell.key);
+    if (!bin) {
+      bin = {
+        key: cell.key,
+        cx: cell.cx + area.left,
+        cy: cell.cy + area.top,
+        count: 0,
+        x: [d.x, d.x],
+        y: [d.y, d.y],
+        sum: 0,
+        value: null,
+      };
+      bins.set(cell.key, bin);
+    }
+    bin.count++;
+    if (d.x < bin.x[0]) bin.x[0] = d.x;
+    if (d.x > bin.x[1]) bin.x[1] = d.x;
+    if (d.y < bin.y[0]) bin.y[0] = d.y;
+    if (d.y > bin.y[1]) bin.y[1] = d.y;
+    const v = valueFor ? valueFor(d) : NaN;
+    if (isFinite(v)) {
+      if (!bin.value) bin.value = { mean: 0, min: v, max: v, n: 0 };
+      bin.value.n++;
+      bin.sum += v;
+      bin.value.min = Math.min(bin.value.min, v);
+      bin.value.max = Math.max(bin.value.max, v);
+    }
+  }
+  const out = [...bins.values()];
+  for (const bin of out) {
+    if (bin.value) bin.value.mean = bin.sum / bin.value.n;
+    delete bin.sum;
+  }
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export function binShapePath(shape, size) {
+  /** SVG path of one bin centred on (0, 0) */
+  if (shape === "square") {
+    const h = size / 2;
+    return `M${-h},${-h}H${h}V${h}H${-h}Z`;
+  }
+  const r = size / SQRT3;
+  const corners = [0, 1, 2, 3, 4, 5].map(i => {
+    const a = (Math.PI / 3) * i + Math.PI / 6;
+    return `${(r * Math.cos(a)).toFixed(2)},${(r * Math.sin(a)).toFixed(2)}`;
+  });
+  return `M${corners.join("L")}Z`;
+}
+
+// PUBLIC_INTERFACE
+export function binColorScale(values, { map = "viridis", log = false } = {}) {
+  /** Colour for a bin statistic over the range of values; with log the
+   *  ramp is logarithmic (non-positive values get the low end). Returns
+   *  { color(v), domain: [lo, hi], log, map }.
+   */
+  let lo = Infinity, hi = -Infinity;
+  for (const v of values) {
+    if (!isFinite(v) || (log && v <= 0)) continue;
+    lo = Math.min(lo, v);
+    hi = Math.max(hi, v);
+  }
+  if (!(lo <= hi)) lo = hi = log ? 1 : 0;
+  const stops = colorMapStops(map);
+  const ramp = scaleLinear()
+    .domain(stops.map((_, i) => i / (stops.length - 1)))
+    .range(stops);
+  const t = log
+    ? v => (hi > lo ? (Math.log(Math.max(v, lo)) - Math.log(lo)) / (Math.log(hi) - Math.log(lo)) : 1)
+    : v => (hi > lo ? (v - lo) / (hi - lo) : 1);
+  return { color: v => ramp(Math.min(1, Math.max(0, t(v)))), domain: [lo, hi], log, map };
+}
+
+// PUBLIC_INTERFACE
+export function densityGrid(points, xScale, yScale, area, { cell = 4, sigma = 8 } = {}) {
+  /** Smoothed point density on a pixel grid over the plot area: counts per
+   *  cell, blurred with a separable Gaussian of sigma pixels. Returns
+   *  { values: Float64Array (row-major), cols, rows, cell, left, top }.
+   */
+  const cols = Math.max(2, Math.ceil(area.width / cell) + 1);
+  const rows = Math.max(2, Math.ceil(area.height / cell) + 1);
+  let values = new Float64Array(cols * rows);
+  for (const d of points) {
+    const c = Math.round((xScale(d.x) - area.left) / cell);
+    const r = Math.round((yScale(d.y) - area.top) / cell);
+    if (c >= 0 && c < cols && r >= 0 && r < rows) values[r * cols + c]++;
+  }
+  const s = sigma / cell;
+  const reach = Math.max(1, Math.ceil(3 * s));
+  const kernel = Array.from({ length: 2 * reach + 1 }, (_, i) => Math.exp(-0.5 * ((i - reach) / s) ** 2));
+  const blur = (src, along) => {
+    const out = new Float64Array(src.length);
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        let sum = 0;
+        for (let k = -reach; k <= reach; k++) {
+          const cc = along === "x" ? c + k : c, rr = along === "y" ? r + k : r;
+          if (cc < 0 || cc >= cols || rr < 0 || rr >= rows) continue;
+          sum += src[rr * cols + cc] * kernel[k + reach];
+        }
+        out[r * cols + c] = sum;
+      }
+    }
+    return out;
+  };
+  values = blur(blur(values, "x"), "y");
+  return { values, cols, rows, cell, left: area.left, top: area.top };
+}
+
+// Marching-squares edge pairs per case (corners: 1 = top-left, 2 = top-right,
+// 4 = bottom-right, 8 = bottom-left; edges: 0 top, 1 right, 2 bottom, 3 left)
+const CASES = [
+  [], [[3, 0]], [[0, 1]], [[3, 1]], [[1, 2]], [[3, 0], [1, 2]], [[0, 2]], [[3, 2]],
+  [[2, 3]], [[2, 0]], [[0, 1], [2, 3]], [[2, 1]], [[1, 3]], [[1, 0]], [[0, 3]], [],
+];
+
+// PUBLIC_INTERFACE
+export function contourPath(grid, level) {
+  /** SVG path (separate segments) of the iso-line at level through a
+   *  densityGrid, in plot pixels. Empty string when the level is not crossed.
+   */
+  const { values, cols, rows, cell, left, top } = grid;
+  const v = (c, r) => values[r * cols + c];
+  const parts = [];
+  for (let r = 0; r < rows - 1; r++) {
+    for (let c = 0; c < cols - 1; c++) {
+      const tl = v(c, r), tr = v(c + 1, r), br = v(c + 1, r + 1), bl = v(c, r + 1);
+      const index = (tl >= level ? 1 : 0) | (tr >= level ? 2 : 0) | (br >= level ? 4 : 0) | (bl >= level ? 8 : 0);
+      if (!CASES[index].length) continue;
+      const lerp = (a, b) => (a === b ? 0.5 : (level - a) / (b - a));
+      const point = edge => {
+        const [x, y] = [
+          [c + lerp(tl, tr), r],
+          [c + 1, r + lerp(tr, br)],
+          [c + lerp(bl, br), r + 1],
+          [c, r + lerp(tl, bl)],
+        ][edge];
+        return `${(left + x * cell).toFixed(1)},${(top + y * cell).toFixed(1)}`;
+      };
+      for (const [a, b] of CASES[index]) parts.push(`M${point(a)}L${point(b)}`);
+    }
+  }
+  return parts.join("");
+}
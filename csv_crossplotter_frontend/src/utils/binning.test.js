@@ -0,0 +1,53 @@
+import { scaleLinear } from "d3-scale";
+import { binPoints, binShapePath, binColorScale, densityGrid, contourPath } from "./binning";
+
+const area = { left: 0, top: 0, right: 100, bottom: 100, width: 100, height: 100 };
+const identity = scaleLinear().domain([0, 100]).range([0, 100]);
+
+test("square bins count points and track ranges in the plot area", () => {
+  const points = [
+    { x: 1, y: 1, v: 10 },
+    { x: 9, y: 5, v: 20 },
+    { x: 15, y: 5, v: NaN },
+    { x: 150, y: 5, v: 1 }, // outside the area
+  ];
+  const bins = binPoints(points, identity, identity, area, { shape: "square", size: 10, valueFor: d => d.v });
+  expect(bins.map(b => [b.cx, b.cy, b.count])).toEqual([[5, 5, 2], [15, 5, 1]]);
+  expect(bins[0].x).toEqual([1, 9]);
+  expect(bins[0].y).toEqual([1, 5]);
+  expect(bins[0].value).toEqual({ mean: 15, min: 10, max: 20, n: 2 });
+  expect(bins[1].value).toBeNull();
+});
+
+test("hex bins assign points to the nearest hexagon centre", () => {
+  const size = 20, r = size / Math.sqrt(3);
+  const near = (x, y) => binPoints([{ x, y }], identity, identity, area, { size })[0];
+  expect(near(1, 1)).toMatchObject({ cx: 0, cy: 0 });
+  expect(near(19, 2)).toMatchObject({ cx: 20, cy: 0 });
+  // Odd rows are shifted half a hexagon to the right
+  expect(near(11, 1.5 * r - 1)).toMatchObject({ cx: 10, cy: 1.5 * r });
+  // Just below the top vertex of hexagon (0, 0) vs the upper-left corner region
+  expect(near(9, 0.75 * r)).toMatchObject({ cx: 10, cy: 1.5 * r });
+  expect(binShapePath("square", 4)).toBe("M-2,-2H2V2H-2Z");
+  expect(binShapePath("hex", size).split("L")).toHaveLength(6);
+});
+
+test("bin colour scale, linear and log", () => {
+  const lin = binColorScale([1, 10, 100]);
+  expect(lin.domain).toEqual([1, 100]);
+  expect(lin.color(1)).toBe("rgb(68, 1, 84)");
+  expect(lin.color(100)).toBe("rgb(253, 231, 37)");
+  const log = binColorScale([1, 10, 100], { log: true, map: "plasma" });
+  expect(log.color(10)).toBe(binColorScale([0, 1, 2], { map: "plasma" }).color(1));
+});
+
+test("density contours enclose the cluster", () => {
+  const points = Array.from({ length: 50 }, (_, i) => ({ x: 50 + (i % 5), y: 50 + Math.floor(i / 10) }));
+  const grid = densityGrid(points, identity, identity, area, { cell: 2, sigma: 4 });
+  const max = Math.max(...grid.values);
+  const path = contourPath(grid, max / 2);
+  const xs = path.match(/[\d.]+(?=,)/g).map(Number);
+  expect(Math.min(...xs)).toBeGreaterThan(40);
+  expect(Math.max(...xs)).toBeLessThan(62);
+  expect(contourPath(grid, max * 2)).toBe("");
+});
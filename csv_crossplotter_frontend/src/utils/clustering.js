@@ -0,0 +1,322 @@
+// Unsupervised clustering of rows on several numeric columns (electrofacies):
+// k-means and a full-covariance Gaussian mixture. The work runs in a Web
+// Worker (workers/clustering.worker.js) through handleClusterRequest; rows are
+// passed as one flat Float64Array of n rows × d columns.
+import { toNumber } from "./columns";
+
+export const CLUSTER_METHODS = {
+  kmeans: { label: "k-means", score: "Within-cluster sum of squares" },
+  gmm: { label: "Gaussian mixture", score: "BIC" },
+};
+export const MAX_CLUSTERS = 12;
+// The elbow/BIC curve is fitted to an evenly spaced sample of large files
+export const CURVE_SAMPLE = 5000;
+
+const MAX_ITERATIONS = 100;
+const RESTARTS = 4;
+const TOLERANCE = 1e-6;
+
+// PUBLIC_INTERFACE
+export function clusterMatrix(rows, columnIndices, standardize) {
+  /** { data, n, d, rowIndices } of the rows where every chosen column is a
+   *  number; with standardize, each column is scaled to zero mean and unit
+   *  standard deviation so curves in different units weigh the same.
+   */
+  const d = columnIndices.length;
+  const rowIndices = [];
+  rows.forEach((row, i) => {
+    if (columnIndices.every(c => Number.isFinite(toNumber(row[c])))) rowIndices.push(i);
+  });
+  const n = rowIndices.length;
+  const data = new Float64Array(n * d);
+  rowIndices.forEach((i, r) => columnIndices.forEach((c, j) => (data[r * d + j] = toNumber(rows[i][c]))));
+  if (standardize && n > 1) {
+    for (let j = 0; j < d; j++) {
+      let mean = 0, squares = 0;
+      for (let r = 0; r < n; r++) mean += data[r * d + j];
+      mean /= n;
+      for (let r = 0; r < n; r++) squares += (data[r * d + j] - mean) ** 2;
+      const std = Math.sqrt(squares / (n - 1)) || 1;
+      for (let r = 0; r < n; r++) data[r * d + j] = (data[r * d + j] - mean) / std;
+    }
+  }
+  return { data, n, d, rowIndices: Int32Array.from(rowIndices) };
+}
+
+// Seeded generator (mulberry32), so the same request gives the same clusters
+function random(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function distance2(data, r, centers, c, d) {
+  let s = 0;
+  for (let j = 0; j < d; j++) {
+    const diff = data[r * d + j] - centers[c * d + j];
+    s += diff * diff;
+  }
+  return s;
+}
+
+// k-means++ seeding: each new center is drawn with probability proportional
+// to the squared distance from the nearest center so far
+function seedCenters(data, n, d, k, rand) {
+  const centers = new Float64Array(k * d);
+  const nearest = new Float64Array(n).fill(Infinity);
+  let pick = Math.floor(rand() * n);
+  for (let c = 0; c < k; c++) {
+    for (let j = 0; j < d; j++) centers[c * d + j] = data[pick * d + j];
+    let total = 0;
+    for (let r = 0; r < n; r++) {
+      nearest[r] = Math.min(nearest[r], distance2(data, r, centers, c, d));
+      total += nearest[r];
+    }
+    let target = rand() * total;
+    pick = n - 1;
+    for (let r = 0; r < n && total > 0; r++) {
+      target -= nearest[r];
+      if (target <= 0) {
+        pick = r;
+        break;
+      }
+    }
+  }
+  return centers;
+}
+
+function kmeansOnce(data, n, d, k, rand) {
+  const centers = seedCenters(data, n, d, k, rand);
+  const labels = new Int32Array(n).fill(-1);
+  const sums = new Float64Array(k * d);
+  const counts = new Int32Array(k);
+  let inertia = 0;
+  for (let iter = 0; iter < MAX_ITERATIONS; iter++) {
+    let changed = false;
+    inertia = 0;
+    for (let r = 0; r < n; r++) {
+      let best = 0, bestD = Infinity;
+      for (let c = 0; c < k; c++) {
+        const dist = distance2(data, r, centers, c, d);
+        if (dist < bestD) {
+          best = c;
+          bestD = dist;
+        }
+      }
+      if (labels[r] !== best) {
+        labels[r] = best;
+        changed = true;
+      }
+      inertia += bestD;
+    }
+    if (!changed) break;
+    sums.fill(0);
+    counts.fill(0);
+    for (let r = 0; r < n; r++) {
+      counts[labels[r]]++;
+      for (let j = 0; j < d; j++) sums[labels[r] * d + j] += data[r * d + j];
+    }
+    for (let c = 0; c < k; c++) {
+      // An emptied cluster keeps its old center
+      if (counts[c]) for (let j = 0; j < d; j++) centers[c * d + j] = sums[c * d + j] / counts[c];
+    }
+  }
+  return { labels, centers, inertia };
+}
+
+// PUBLIC_INTERFACE
+export function kmeans(data, n, d, k, seed = 1) {
+  /** { labels, centers, inertia }: the best of several k-means++ restarts,
+   *  inertia being the within-cluster sum of squared distances
+   */
+  const rand = random(seed);
+  let best = null;
+  for (let i = 0; i < RESTARTS; i++) {
+    const run = kmeansOnce(data, n, d, k, rand);
+    if (!best || run.inertia < best.inertia) best = run;
+  }
+  return best;
+}
+
+// Lower-triangular Cholesky factor of a d×d covariance (row-major), or null
+// when it is not positive definite
+function cholesky(cov, d) {
+  const L = new Float64Array(d * d);
+  for (let i = 0; i < d; i++) {
+    for (let j = 0; j <= i; j++) {
+      let s = cov[i * d + j];
+      for (let m = 0; m < j; m++) s -= L[i * d + m] * L[j * d + m];
+      if (i === j) {
+        if (!(s > 0)) return null;
+        L[i * d + i] = Math.sqrt(s);
+      } else L[i * d + j] = s / L[j * d + j];
+    }
+  }
+  return L;
+}
+
+// PUBLIC_INTERFACE
+export function gaussianMixture(data, n, d, k, seed = 1) {
+  /** { labels, logLikelihood, bic } of a k-component Gaussian mixture with
+   *  full covariances, started from k-means and fitted by EM. labels are the
+   *  most probable component of each row. A small ridge keeps covariances of
+   *  tight or degenerate clusters invertible.
+   */
+  const start = kmeans(data, n, d, k, seed);
+  const resp = new Float64Array(n * k);
+  for (let r = 0; r < n; r++) resp[r * k + start.labels[r]] = 1;
+  const means = new Float64Array(k * d);
+  const covs = Array.from({ length: k }, () => new Float64Array(d * d));
+  const weights = new Float64Array(k);
+  const logDensity = new Float64Array(k);
+
+  // Ridge relative to the overall variance
+  let variance = 0;
+  for (let j = 0; j < d; j++) {
+    let m = 0, s = 0;
+    for (let r = 0; r < n; r++) m += data[r * d + j];
+    m /= n;
+    for (let r = 0; r < n; r++) s += (data[r * d + j] - m) ** 2;
+    variance += s / n / d;
+  }
+  const ridge = 1e-6 * (variance || 1);
+
+  let logLikelihood = -Infinity;
+  for (let iter = 0; iter < MAX_ITERATIONS; iter++) {
+    // M step
+    for (let c = 0; c < k; c++) {
+      let w = 0;
+      means.fill(0, c * d, c * d + d);
+      for (let r = 0; r < n; r++) {
+        const p = resp[r * k + c];
+        w += p;
+        for (let j = 0; j < d; j++) means[c * d + j] += p * data[r * d + j];
+      }
+      weights[c] = Math.max(w, 1e-10) / n;
+      for (let j = 0; j < d; j++) means[c * d + j] /= Math.max(w, 1e-10);
+      const cov = covs[c].fill(0);
+      for (let r = 0; r < n; r++) {
+        const p = resp[r * k + c];
+        if (!p) continue;
+        for (let a = 0; a < d; a++) {
+          const da = data[r * d + a] - means[c * d + a];
+          for (let b = 0; b <= a; b++) cov[a * d + b] += p * da * (data[r * d + b] - means[c * d + b]);
+        }
+      }
+      for (let a = 0; a < d; a++) {
+        for (let b = 0; b <= a; b++) cov[a * d + b] = cov[b * d + a] = cov[a * d + b] / Math.max(w, 1e-10);
+        cov[a * d + a] += ridge;
+      }
+    }
+
+    // E step, in log space
+    const factors = covs.map(cov => cholesky(cov, d));
+    const y = new Float64Array(d);
+    let total = 0;
+    for (let r = 0; r < n; r++) {
+      let top = -Infinity;
+      for (let c = 0; c < k; c++) {
+        const L = factors[c];
+        if (!L) {
+          logDensity[c] = -Infinity;
+          continue;
+        }
+        // Solve L y = x - mean; the Mahalanobis distance is |y|²
+        let maha = 0, logDet = 0;
+        for (let a = 0; a < d; a++) {
+          let s = data[r * d + a] - means[c * d + a];
+          for (let b = 0; b < a; b++) s -= L[a * d + b] * y[b];
+          y[a] = s / L[a * d + a];
+          maha += y[a] * y[a];
+          logDet += Math.log(L[a * d + a]);
+        }
+        logDensity[c] = Math.log(weights[c]) - 0.5 * (d * Math.log(2 * Math.PI) + maha) - logDet;
+        if (logDensity[c] > top) top = logDensity[c];
+      }
+      let sum = 0;
+      for (let c = 0; c < k; c++) sum += Math.exp(logDensity[c] - top);
+      const logSum = top + Math.log(sum);
+      for (let c = 0; c < k; c++) resp[r * k + c] = Math.exp(logDensity[c] - logSum);
+      total += logSum;
+    }
+    const converged = Math.abs(total - logLikelihood) <= TOLERANCE * Math.abs(total);
+    logLikelihood = total;
+    if (converged) break;
+  }
+
+  const labels = new Int32Array(n);
+  for (let r = 0; r < n; r++) {
+    let best = 0;
+    for (let c = 1; c < k; c++) if (resp[r * k + c] > resp[r * k + best]) best = c;
+    labels[r] = best;
+  }
+  const parameters = k - 1 + k * d + (k * d * (d + 1)) / 2;
+  return { labels, logLikelihood, bic: parameters * Math.log(n) - 2 * logLikelihood };
+}
+
+// Renumbers clusters by their mean of the first column, lowest first, so
+// labels do not depend on the random start
+function orderLabels(labels, data, d, k) {
+  const sums = new Float64Array(k);
+  const counts = new Int32Array(k);
+  labels.forEach((c, r) => {
+    sums[c] += data[r * d];
+    counts[c]++;
+  });
+  const order = Array.from({ length: k }, (_, c) => c)
+    .filter(c => counts[c])
+    .sort((a, b) => sums[a] / counts[a] - sums[b] / counts[b]);
+  const rank = new Int32Array(k);
+  order.forEach((c, i) => (rank[c] = i));
+  return labels.map(c => rank[c]);
+}
+
+// PUBLIC_INTERFACE
+export function runClustering({ data, n, d, method, k, seed = 1 }) {
+  /** Cluster labels (Int32Array, 0-based, ordered by the first column's
+   *  cluster mean) of the n rows into k groups by "kmeans" or "gmm"
+   */
+  const fit = method === "gmm" ? gaussianMixture(data, n, d, k, seed) : kmeans(data, n, d, k, seed);
+  return orderLabels(fit.labels, data, d, k);
+}
+
+// PUBLIC_INTERFACE
+export function clusterCurve({ data, n, d, method, maxK = MAX_CLUSTERS, seed = 1 }) {
+  /** [{ k, value }] for k = 1..maxK: the within-cluster sum of squares
+   *  (k-means, look for the elbow) or BIC (Gaussian mixture, lowest is best).
+   *  Files over CURVE_SAMPLE rows are fitted on an evenly spaced sample.
+   */
+  let sample = data, m = n;
+  if (n > CURVE_SAMPLE) {
+    m = CURVE_SAMPLE;
+    sample = new Float64Array(m * d);
+    for (let i = 0; i < m; i++) {
+      const r = Math.floor((i * n) / m);
+      for (let j = 0; j < d; j++) sample[i * d + j] = data[r * d + j];
+    }
+  }
+  const curve = [];
+  for (let k = 1; k <= Math.min(maxK, m); k++) {
+    const value = method === "gmm" ? gaussianMixture(sample, m, d, k, seed).bic : kmeans(sample, m, d, k, seed).inertia;
+    curve.push({ k, value });
+  }
+  return curve;
+}
+
+// PUBLIC_INTERFACE
+export function handleClusterRequest(request) {
+  /** Worker message handler: request { id, kind: "cluster" | "curve", data,
+   *  n, d, method, k, maxK }. Returns { id, labels } or { id, curve }, or
+   *  { id, error } when the rows cannot be clustered.
+   */
+  const { id, kind, n, k } = request;
+  if (kind === "cluster" && n < k) return { id, error: `Only ${n} complete rows for ${k} clusters` };
+  if (!n) return { id, error: "No rows have values in every chosen column" };
+  if (kind === "curve") return { id, curve: clusterCurve(request) };
+  return { id, labels: runClustering(request) };
+}
@@ -0,0 +1,43 @@
+import { clusterMatrix, runClustering, clusterCurve, handleClusterRequest } from "./clustering";
+
+// Three well separated blobs of 30 rows on two columns, in different units
+const rows = [];
+[[0, 0], [10, 500], [20, 0]].forEach(([a, b], blob) => {
+  for (let i = 0; i < 30; i++) rows.push([String(a + ((i * 7) % 10) / 10), String(b + ((i * 3) % 10) * 5), `b${blob}`]);
+});
+rows.push(["5", "", "gap"]);
+
+test("clusterMatrix keeps complete rows and standardizes", () => {
+  const { data, n, d, rowIndices } = clusterMatrix(rows, [0, 1], true);
+  expect([n, d, rowIndices.length]).toEqual([90, 2, 90]);
+  let mean = 0;
+  for (let r = 0; r < n; r++) mean += data[r * d + 1];
+  expect(Math.abs(mean / n)).toBeLessThan(1e-9);
+});
+
+test("k-means and Gaussian mixture recover the blobs", () => {
+  const matrix = clusterMatrix(rows, [0, 1], true);
+  for (const method of ["kmeans", "gmm"]) {
+    const labels = runClustering({ ...matrix, method, k: 3 });
+    // Ordered by the first column's mean: blob 0, then 1, then 2
+    expect([labels[0], labels[30], labels[60]]).toEqual([0, 1, 2]);
+    expect(new Set(labels.slice(0, 30))).toEqual(new Set([0]));
+    expect(new Set(labels.slice(60, 90))).toEqual(new Set([2]));
+  }
+});
+
+test("curves and request errors", () => {
+  const matrix = clusterMatrix(rows, [0, 1], true);
+  const inertia = clusterCurve({ ...matrix, method: "kmeans", maxK: 5 });
+  expect(inertia.map(p => p.k)).toEqual([1, 2, 3, 4, 5]);
+  // The elbow: a large drop up to k = 3, little after
+  expect(inertia[2].value).toBeLessThan(inertia[0].value / 20);
+  expect(inertia[3].value).toBeGreaterThan(inertia[2].value / 3);
+  const bic = clusterCurve({ ...matrix, method: "gmm", maxK: 4 }).map(p => p.value);
+  expect(bic.indexOf(Math.min(...bic))).toBeGreaterThanOrEqual(2);
+  expect(bic[2]).toBeLessThan(bic[1]);
+  expect(handleClusterRequest({ id: 4, kind: "cluster", ...clusterMatrix(rows.slice(0, 2), [0, 1], false), k: 3 })).toEqual({
+    id: 4,
+    error: "Only 2 complete rows for 3 clusters",
+  });
+});
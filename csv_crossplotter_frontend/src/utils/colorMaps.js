@@ -0,0 +1,109 @@
+// Colour mapping of a third column onto the crossplot points. Numeric columns
+// get a continuous colormap, text columns (facies, zones) a categorical palette.
+import { scaleLinear } from "d3-scale";
+
+// Colormap control points, low to high
+export const COLOR_MAPS = {
+  viridis: [
+    "#440154", "#482475", "#414487", "#355f8d", "#2a788e", "#21918c",
+    "#22a884", "#44bf70", "#7ad151", "#bddf26", "#fde725",
+  ],
+  plasma: [
+    "#0d0887", "#41049d", "#6a00a8", "#8f0da4", "#b12a90", "#cc4778",
+    "#e16462", "#f2844b", "#fca636", "#fcce25", "#f0f921",
+  ],
+  diverging: [
+    "#2166ac", "#4393c3", "#92c5de", "#d1e5f0", "#f7f7f7",
+    "#fddbc7", "#f4a582", "#d6604d", "#b2182b",
+  ],
+};
+
+export const CATEGORICAL_PALETTE = [
+  "#4e79a7", "#f28e2c", "#e15759", "#76b7b2", "#59a14f",
+  "#edc949", "#af7aa1", "#ff9da7", "#9c755f", "#bab0ab",
+];
+
+// Colour for missing values and for categories beyond the palette limit
+export const MISSING_COLOR = "#c8c8c8";
+export const MAX_CATEGORIES = 20;
+export const OTHER_CATEGORY = "Other";
+
+// Continuous maps are quantized so the canvas renderer can batch by colour
+const LEVELS = 128;
+
+const isBlank = v => v === undefined || v === null || String(v).trim() === "";
+
+// PUBLIC_INTERFACE
+export function colorMapStops(name) {
+  /** Control-point colours of a named colormap (viridis when unknown) */
+  return COLOR_MAPS[name] || COLOR_MAPS.viridis;
+}
+
+// PUBLIC_INTERFACE
+export function isNumericColumn(values) {
+  /** True when every non-blank value parses as a number (and there is one) */
+  let any = false;
+  for (const v of values) {
+    if (isBlank(v)) continue;
+    if (isNaN(Number(v))) return false;
+    any = true;
+  }
+  return any;
+}
+
+// PUBLIC_INTERFACE
+export function buildColorScale(
+  values,
+  { map = "viridis", min = null, max = null, palette = CATEGORICAL_PALETTE } = {}
+) {
+  /** Builds a colour mapping for the raw column values; categories take the
+   *  palette colours in order of frequency. Returns either
+   *  { type: "continuous", color(v), domain: [lo, hi], dataRange: [min, max], map }
+   *  where values outside domain (the clipping range) are clamped, or
+   *  { type: "categorical", color(v), categories: [{ value, color, count }] }.
+   */
+  if (isNumericColumn(values)) {
+    let lo = Infinity, hi = -Infinity;
+    for (const v of values) {
+      if (isBlank(v)) continue;
+      const n = Number(v);
+      if (n < lo) lo = n;
+      if (n > hi) hi = n;
+    }
+    const dataRange = [lo, hi];
+    const d0 = min !== null && isFinite(min) ? min : lo;
+    const d1 = max !== null && isFinite(max) ? max : hi;
+    const stops = colorMapStops(map);
+    const ramp = scaleLinear()
+      .domain(stops.map((_, i) => i / (stops.length - 1)))
+      .range(stops);
+    const table = Array.from({ length: LEVELS }, (_, i) => ramp(i / (LEVELS - 1)));
+    const span = d1 - d0 || 1;
+    const color = v => {
+      if (isBlank(v)) return MISSING_COLOR;
+      const t = Math.min(1, Math.max(0, (Number(v) - d0) / span));
+      return table[Math.round(t * (LEVELS - 1))];
+    };
+    return { type: "continuous", color, domain: [d0, d1], dataRange, map };
+  }
+
+  // Categorical: most frequent categories first, the tail grouped as "Other"
+  const counts = new Map();
+  for (const v of values) {
+    if (isBlank(v)) continue;
+    const key = String(v).trim();
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  const sorted = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+  const lookup = new Map();
+  const categories = [];
+  sorted.slice(0, MAX_CATEGORIES).forEach(([value, count], i) => {
+    const c = palette[i % palette.length];
+    lookup.set(value, c);
+    categories.push({ value, color: c, count });
+  });
+  const rest = sorted.slice(MAX_CATEGORIES).reduce((n, [, count]) => n + count, 0);
+  if (rest) categories.push({ value: OTHER_CATEGORY, color: MISSING_COLOR, count: rest });
+  const color = v => (isBlank(v) ? MISSING_COLOR : lookup.get(String(v).trim()) || MISSING_COLOR);
+  return { type: "categorical", color, categories };
+}
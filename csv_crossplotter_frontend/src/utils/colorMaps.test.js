@@ -0,0 +1,37 @@
+import { buildColorScale, isNumericColumn, MISSING_COLOR, COLOR_MAPS, MAX_CATEGORIES } from "./colorMaps";
+
+test("numeric columns get a clamped continuous colormap", () => {
+  const cs = buildColorScale(["0", "5", "10", ""], { map: "viridis" });
+  expect(cs.type).toBe("continuous");
+  expect(cs.dataRange).toEqual([0, 10]);
+  expect(cs.color("0")).toBe("rgb(68, 1, 84)");
+  expect(cs.color("10")).toBe("rgb(253, 231, 37)");
+  expect(cs.color("")).toBe(MISSING_COLOR);
+
+  const clipped = buildColorScale(["0", "5", "10"], { min: 2, max: 8 });
+  expect(clipped.domain).toEqual([2, 8]);
+  expect(clipped.color("0")).toBe(clipped.color("2"));
+  expect(clipped.color("10")).toBe(clipped.color("8"));
+});
+
+test("text columns get categorical colours by frequency", () => {
+  const cs = buildColorScale(["sand", "shale", "shale", "", "lime"]);
+  expect(cs.type).toBe("categorical");
+  expect(cs.categories.map(c => c.value)).toEqual(["shale", "sand", "lime"]);
+  expect(cs.color("shale")).toBe(cs.categories[0].color);
+  expect(cs.color("")).toBe(MISSING_COLOR);
+});
+
+test("rare categories beyond the limit are grouped", () => {
+  const values = Array.from({ length: MAX_CATEGORIES + 5 }, (_, i) => "zone" + i);
+  const cs = buildColorScale(values);
+  expect(cs.categories).toHaveLength(MAX_CATEGORIES + 1);
+  expect(cs.categories[MAX_CATEGORIES]).toMatchObject({ value: "Other", count: 5 });
+});
+
+test("numeric detection ignores blanks", () => {
+  expect(isNumericColumn(["1", "", "2.5e3"])).toBe(true);
+  expect(isNumericColumn(["1", "A"])).toBe(false);
+  expect(isNumericColumn(["", " "])).toBe(false);
+  expect(Object.keys(COLOR_MAPS)).toEqual(["viridis", "plasma", "diverging"]);
+});
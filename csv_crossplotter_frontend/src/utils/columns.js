@@ -0,0 +1,36 @@
+// Column access helpers shared by the plot views.
+
+// PUBLIC_INTERFACE
+export function toNumber(value) {
+  /** Cell value -> number; blank cells (e.g. LAS NULL values) count as missing (NaN) */
+  return value === undefined || value === null || String(value).trim() === ""
+    ? NaN
+    : Number(value);
+}
+
+// PUBLIC_INTERFACE
+export function numericColumn(rows, idx) {
+  /** Float64Array of a column's values, NaN where missing or not numeric */
+  const out = new Float64Array(rows.length);
+  for (let i = 0; i < rows.length; i++) out[i] = toNumber(rows[i][idx]);
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export function uniqueColumnName(name, headers) {
+  /** name, or name:1, name:2, ... if already taken (the LAS duplicate convention) */
+  if (!headers.includes(name)) return name;
+  let n = 1;
+  while (headers.includes(`${name}:${n}`)) n++;
+  return `${name}:${n}`;
+}
+
+// PUBLIC_INTERFACE
+export function uniqueHeaders(names) {
+  /** Header row with repeated names made unique in the same way, so each
+   *  column can be found by name
+   */
+  const out = [];
+  for (const name of names) out.push(uniqueColumnName(name, out));
+  return out;
+}
@@ -0,0 +1,255 @@
+// Delimited-text (CSV/TSV) reading: encoding and dialect detection plus an
+// RFC 4180 parser. parseCSVText returns the same { headers, rows } shape as
+// the LAS reader, with an optional units row.
+import { uniqueHeaders } from "./columns";
+
+export const DELIMITER_CANDIDATES = [",", ";", "\t", "|"];
+
+export const ENCODINGS = ["utf-8", "utf-16le", "utf-16be", "windows-1252", "iso-8859-1"];
+
+const NUMBER_RE = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+const DECIMAL_COMMA_RE = /^[-+]?\d+,\d+([eE][-+]?\d+)?$/;
+
+// Number-like cell in either decimal style
+const looksNumeric = v => NUMBER_RE.test(v) || DECIMAL_COMMA_RE.test(v);
+
+// PUBLIC_INTERFACE
+export function readFileBuffer(file) {
+  /** Reads a File object and returns a Promise resolving to its ArrayBuffer */
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = event => resolve(event.target.result);
+    reader.onerror = () => reject(new Error("Failed to read file"));
+    reader.readAsArrayBuffer(file);
+  });
+}
+
+// PUBLIC_INTERFACE
+export function decodeText(buffer, encoding = "auto") {
+  /** Decodes an ArrayBuffer to { text, encoding }.
+   *  "auto" honours a byte-order mark, then tries strict UTF-8 and falls back
+   *  to windows-1252 (the usual encoding of spreadsheet exports).
+   */
+  const bytes = new Uint8Array(buffer);
+  let enc = encoding;
+  if (enc === "auto") {
+    if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) enc = "utf-8";
+    else if (bytes[0] === 0xff && bytes[1] === 0xfe) enc = "utf-16le";
+    else if (bytes[0] === 0xfe && bytes[1] === 0xff) enc = "utf-16be";
+    else {
+      try {
+        const text = new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+        return { text, encoding: "utf-8" };
+      } catch (err) {
+        enc = "windows-1252";
+      }
+    }
+  }
+  // TextDecoder strips the BOM for the matching encoding
+  return { text: new TextDecoder(enc).decode(bytes), encoding: enc };
+}
+
+// PUBLIC_INTERFACE
+export function parseDelimited(text, delimiter = ",") {
+  /** RFC 4180 parser. Returns an array of records (arrays of strings).
+   *  Quoted fields keep their content verbatim, including delimiters, "" escapes
+   *  and line breaks; unquoted fields are trimmed. Empty fields are kept so
+   *  columns never shift. Blank lines produce no record.
+   */
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false; // field started with a quote
+  let inQuotes = false;
+  let i = 0;
+  const n = text.length;
+
+  const endField = () => {
+    record.push(quoted ? field : field.trim());
+    field = "";
+    quoted = false;
+  };
+  const endRecord = () => {
+    // A blank line yields a single empty unquoted field
+    const blank = !record.length && !quoted && field.trim() === "";
+    endField();
+    if (!blank) records.push(record);
+    record = [];
+  };
+
+  while (i < n) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i += 2;
+          continue;
+        }
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+      i++;
+      continue;
+    }
+    if (ch === '"' && field.trim() === "") {
+      field = "";
+      quoted = true;
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      endField();
+    } else if (ch === "\r" || ch === "\n") {
+      endRecord();
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+    } else if (!(quoted && !inQuotes && (ch === " " || ch === "\t"))) {
+      // Anything other than padding after a closing quote belongs to the field
+      field += ch;
+    }
+    i++;
+  }
+  if (field !== "" || quoted || record.length) endRecord();
+  return records;
+}
+
+// Most common value in a list of numbers
+function mode(values) {
+  const counts = {};
+  let best = values[0];
+  for (const v of values) {
+    counts[v] = (counts[v] || 0) + 1;
+    if (counts[v] > counts[best]) best = v;
+  }
+  return best;
+}
+
+// PUBLIC_INTERFACE
+export function detectDelimiter(text) {
+  /** Picks the delimiter among DELIMITER_CANDIDATES that splits the first lines
+   *  into the most consistent number (>1) of fields.
+   */
+  const sample = text.split(/\r?\n/).filter(l => l.trim() !== "").slice(0, 30).join("\n");
+  let best = { delimiter: ",", score: 0 };
+  for (const delimiter of DELIMITER_CANDIDATES) {
+    const counts = parseDelimited(sample, delimiter).map(r => r.length);
+    if (!counts.length) continue;
+    const m = mode(counts);
+    if (m < 2) continue;
+    const consistent = counts.filter(c => c === m).length / counts.length;
+    const score = consistent * Math.log(m + 1);
+    if (score > best.score) best = { delimiter, score };
+  }
+  return best.delimiter;
+}
+
+// Index of the first record of the main table: records before it
+// (titles, export notes) have a different field count.
+function detectPreamble(records) {
+  if (records.length < 3) return 0;
+  const m = mode(records.slice(0, 50).map(r => r.length));
+  const first = records.findIndex(r => r.length === m);
+  return first === -1 ? 0 : first;
+}
+
+// PUBLIC_INTERFACE
+export function detectCSVOptions(text) {
+  /** Guesses import options for delimited text:
+   *  { delimiter, decimalComma, skipLines, hasHeader, unitsRow }
+   */
+  const delimiter = detectDelimiter(text);
+  const records = parseDelimited(text, delimiter);
+  const skipRecords = detectPreamble(records);
+  // Preamble lines are counted as physical lines for the skipLines option
+  const lines = text.split(/\r?\n/);
+  let skipLines = 0;
+  for (let seen = 0; skipLines < lines.length && seen < skipRecords; skipLines++) {
+    if (lines[skipLines].trim() !== "") seen++;
+  }
+
+  const table = records.slice(skipRecords);
+  const numericShare = r =>
+    r.length ? r.filter(v => v !== "" && looksNumeric(v)).length / r.length : 0;
+  const hasHeader = table.length > 1 && numericShare(table[0]) < 0.5;
+  // A units row sits directly under the header and has no numbers, while
+  // the row after it is mostly numeric: "m, API, ohm.m, g/cc"
+  const unitsRow =
+    hasHeader &&
+    table.length > 2 &&
+    numericShare(table[1]) === 0 &&
+    table[1].some(v => v !== "") &&
+    numericShare(table[2]) >= 0.5;
+
+  const body = table.slice((hasHeader ? 1 : 0) + (unitsRow ? 1 : 0), 200);
+  const cells = body.flat();
+  const commaCells = cells.filter(v => DECIMAL_COMMA_RE.test(v)).length;
+  const dotCells = cells.filter(v => /^[-+]?\d*\.\d+/.test(v)).length;
+  const decimalComma = delimiter !== "," && commaCells > 0 && commaCells >= dotCells;
+
+  return { delimiter, decimalComma, skipLines, hasHeader, unitsRow };
+}
+
+// PUBLIC_INTERFACE
+export function parseCSVText(text, options = {}) {
+  /** Parses delimited text using the given options (missing ones are detected).
+   *  Returns { headers, rows, units, options }. Rows are padded to the header width.
+   */
+  const opts = { ...detectCSVOptions(text), ...options };
+  const body = opts.skipLines
+    ? text.split(/\r?\n/).slice(opts.skipLines).join("\n")
+    : text;
+  const records = parseDelimited(body, opts.delimiter);
+  if (!records.length) throw new Error("CSV is empty");
+
+  let headers;
+  let start = 0;
+  if (opts.hasHeader) {
+    headers = records[0];
+    start = 1;
+  } else {
+    const width = Math.max(...records.map(r => r.length));
+    headers = Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+  }
+  // Blank names are numbered and repeated ones get the LAS ":n" suffix, so
+  // every column can be found by name
+  headers = uniqueHeaders(headers.map((h, i) => h.trim() || `Column ${i + 1}`));
+  let units = [];
+  if (opts.hasHeader && opts.unitsRow && records.length > 1) {
+    units = records[1];
+    start = 2;
+  }
+
+  const width = headers.length;
+  const fixDecimal = v => (opts.decimalComma && DECIMAL_COMMA_RE.test(v) ? v.replace(",", ".") : v);
+  const rows = records.slice(start).map(r => {
+    const row = r.slice(0, width).map(fixDecimal);
+    while (row.length < width) row.push("");
+    return row;
+  });
+  return { headers, rows, units: units.slice(0, width), options: opts };
+}
+
+// PUBLIC_INTERFACE
+export async function parseCSV(file, options = {}) {
+  /** Reads a CSV File object and returns a Promise resolving to
+   *  { headers, rows, units, options, encoding }
+   */
+  const buffer = await readFileBuffer(file);
+  const { text, encoding } = decodeText(buffer, options.encoding || "auto");
+  return { ...parseCSVText(text, options), encoding };
+}
+
+// Quote a field when it contains the delimiter, quotes or line breaks
+function quoteField(value, delimiter) {
+  const s = value === undefined || value === null ? "" : String(value);
+  return s.includes(delimiter) || /["\r\n]/.test(s) || s !== s.trim()
+    ? `"${s.replace(/"/g, '""')}"`
+    : s;
+}
+
+// PUBLIC_INTERFACE
+export function toCSV(headers, rows, delimiter = ",") {
+  /** Serializes headers and rows to RFC 4180 text (CRLF line endings) */
+  return [headers, ...rows]
+    .map(r => r.map(v => quoteField(v, delimiter)).join(delimiter))
+    .join("\r\n");
+}
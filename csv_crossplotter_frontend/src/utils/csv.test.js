@@ -0,0 +1,65 @@
+/**
+ * @jest-environment node
+ */
+import { parseDelimited, detectCSVOptions, parseCSVText, decodeText, toCSV } from "./csv";
+
+test("keeps empty fields, quoted delimiters and multi-line quoted values", () => {
+  const records = parseDelimited('a,b,c\n1,,3\n"x, y","line1\nline2", " padded "\r\n');
+  expect(records).toEqual([
+    ["a", "b", "c"],
+    ["1", "", "3"],
+    ["x, y", "line1\nline2", " padded "],
+  ]);
+  expect(parseDelimited('"say ""hi""",2')).toEqual([['say "hi"', "2"]]);
+});
+
+test("detects semicolon delimiter with decimal commas", () => {
+  const text = "Depth;GR;RHOB\n1000;80,5;2,65\n1002;85,1;2,67\n";
+  const opts = detectCSVOptions(text);
+  expect(opts).toMatchObject({ delimiter: ";", decimalComma: true, hasHeader: true, unitsRow: false });
+  expect(parseCSVText(text).rows).toEqual([
+    ["1000", "80.5", "2.65"],
+    ["1002", "85.1", "2.67"],
+  ]);
+});
+
+test("detects tab and pipe delimiters", () => {
+  expect(detectCSVOptions("a\tb\tc\n1\t2\t3\n").delimiter).toBe("\t");
+  expect(detectCSVOptions("a|b\n1|2\n3|4\n").delimiter).toBe("|");
+});
+
+test("skips preamble lines and reads a units row", () => {
+  const text = "Exported by LogTool\nWell A-1\nDepth,GR,RES\nm,API,ohmm\n1000,80,55\n1002,85,50\n";
+  const result = parseCSVText(text);
+  expect(result.options).toMatchObject({ skipLines: 2, unitsRow: true });
+  expect(result.headers).toEqual(["Depth", "GR", "RES"]);
+  expect(result.units).toEqual(["m", "API", "ohmm"]);
+  expect(result.rows).toHaveLength(2);
+});
+
+test("generates headers when the file has none and honours overrides", () => {
+  const result = parseCSVText("1,2\n3,4\n");
+  expect(result.headers).toEqual(["Column 1", "Column 2"]);
+  expect(result.rows).toEqual([["1", "2"], ["3", "4"]]);
+  expect(parseCSVText("1,2\n3,4\n", { hasHeader: true }).headers).toEqual(["1", "2"]);
+});
+
+test("makes blank and repeated header names unique", () => {
+  const result = parseCSVText("DEPT,GR, ,GR,GR:1\n1,2,3,4,5\n");
+  expect(result.headers).toEqual(["DEPT", "GR", "Column 3", "GR:1", "GR:1:1"]);
+  expect(result.rows).toEqual([["1", "2", "3", "4", "5"]]);
+});
+
+test("decodes UTF-8 and falls back to windows-1252", () => {
+  expect(decodeText(new Uint8Array([0xef, 0xbb, 0xbf, 0x61]).buffer).text).toBe("a");
+  const latin = decodeText(new Uint8Array([0x50, 0xe9]).buffer);
+  expect(latin).toEqual({ text: "Pé", encoding: "windows-1252" });
+});
+
+test("toCSV quotes only the fields that need it and round-trips", () => {
+  const headers = ["Depth", "Zone"];
+  const rows = [["1000", 'Upper "A", sand'], ["1002", "line1\nline2"], ["1004", ""]];
+  const text = toCSV(headers, rows);
+  expect(text.split("\r\n")[1]).toBe('1000,"Upper ""A"", sand"');
+  expect(parseDelimited(text)).toEqual([headers, ...rows]);
+});
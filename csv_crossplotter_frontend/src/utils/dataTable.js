@@ -0,0 +1,65 @@
+// Row search, ordering and windowing for the data table. The table works on
+// row indices into the loaded rows, so a large file is searched and sorted
+// without copying it, and only the rows in view are rendered.
+import { toNumber } from "./columns";
+
+// PUBLIC_INTERFACE
+export function searchRows(rows, query, columns) {
+  /** Indices of the rows where any of the given column indices contains
+   *  query (case-insensitive). A blank query matches every row.
+   */
+  const needle = query.trim().toLowerCase();
+  const out = [];
+  for (let i = 0; i < rows.length; i++) {
+    if (!needle || columns.some(c => String(rows[i][c] ?? "").toLowerCase().includes(needle))) out.push(i);
+  }
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export function sortRowIndices(rows, indices, column, direction) {
+  /** New array of row indices ordered by a column ("asc" or "desc"). Numbers
+   *  compare numerically and come before text; blank cells always go last.
+   *  Ties keep their row order.
+   */
+  const sign = direction === "desc" ? -1 : 1;
+  const keys = new Map();
+  for (const i of indices) {
+    const raw = rows[i][column];
+    const text = raw === undefined || raw === null ? "" : String(raw).trim();
+    const num = toNumber(text);
+    keys.set(i, text === "" ? { rank: 2 } : isNaN(num) ? { rank: 1, text } : { rank: 0, num });
+  }
+  return [...indices].sort((a, b) => {
+    const ka = keys.get(a), kb = keys.get(b);
+    if (ka.rank === 2 || kb.rank === 2) return ka.rank - kb.rank || a - b;
+    const order =
+      ka.rank !== kb.rank
+        ? ka.rank - kb.rank
+        : ka.rank === 0
+        ? ka.num - kb.num
+        : ka.text.localeCompare(kb.text, undefined, { numeric: true });
+    return sign * order || a - b;
+  });
+}
+
+// PUBLIC_INTERFACE
+export function visibleRowRange(scrollTop, viewHeight, rowHeight, count, overscan = 6) {
+  /** [start, end) of the rows to render for a scroll position, with overscan
+   *  rows on either side so fast scrolling does not show gaps.
+   */
+  const first = Math.floor(Math.max(0, scrollTop) / rowHeight);
+  const last = Math.ceil((Math.max(0, scrollTop) + viewHeight) / rowHeight);
+  return [Math.max(0, first - overscan), Math.min(count, last + overscan)];
+}
+
+// PUBLIC_INTERFACE
+export function scrollTopForRow(position, scrollTop, viewHeight, rowHeight) {
+  /** Scroll offset that brings the row at position into view, moving as little
+   *  as possible (unchanged if it is already fully visible).
+   */
+  const top = position * rowHeight;
+  if (top < scrollTop) return top;
+  if (top + rowHeight > scrollTop + viewHeight) return top + rowHeight - viewHeight;
+  return scrollTop;
+}
@@ -0,0 +1,33 @@
+import { searchRows, sortRowIndices, visibleRowRange, scrollTopForRow } from "./dataTable";
+
+const rows = [
+  ["Sand", "10"],
+  ["shale", "2"],
+  ["", "x"],
+  ["Limestone", ""],
+  ["sandy shale", "10"],
+];
+
+test("search matches any listed column, ignoring case", () => {
+  expect(searchRows(rows, "SAND", [0])).toEqual([0, 4]);
+  expect(searchRows(rows, "10", [0])).toEqual([]);
+  expect(searchRows(rows, "10", [0, 1])).toEqual([0, 4]);
+  expect(searchRows(rows, "  ", [0])).toEqual([0, 1, 2, 3, 4]);
+});
+
+test("sorting puts numbers before text and blanks last", () => {
+  const all = [0, 1, 2, 3, 4];
+  expect(sortRowIndices(rows, all, 1, "asc")).toEqual([1, 0, 4, 2, 3]);
+  expect(sortRowIndices(rows, all, 1, "desc")).toEqual([2, 0, 4, 1, 3]);
+  expect(sortRowIndices(rows, all, 0, "asc")).toEqual([3, 0, 4, 1, 2]);
+  expect(sortRowIndices(rows, [4, 1], 0, "desc")).toEqual([1, 4]);
+});
+
+test("row window and scroll into view", () => {
+  expect(visibleRowRange(0, 100, 20, 1000, 2)).toEqual([0, 7]);
+  expect(visibleRowRange(410, 100, 20, 1000, 2)).toEqual([18, 28]);
+  expect(visibleRowRange(19900, 100, 20, 1000, 2)).toEqual([993, 1000]);
+  expect(scrollTopForRow(3, 0, 100, 20)).toBe(0);
+  expect(scrollTopForRow(10, 0, 100, 20)).toBe(120);
+  expect(scrollTopForRow(2, 200, 100, 20)).toBe(40);
+});
@@ -0,0 +1,17 @@
+// PUBLIC_INTERFACE
+export function downloadBlob(content, type, fileName) {
+  /** Saves content (string or Blob) as a file through a temporary link */
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// PUBLIC_INTERFACE
+export function baseName(fileName) {
+  /** File name without its extension, for naming derived downloads */
+  return (fileName || "data").replace(/\.[^.]+$/, "");
+}
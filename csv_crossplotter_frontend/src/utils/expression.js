@@ -0,0 +1,214 @@
+// Small sandboxed expression language for user formulas (overlay curves,
+// filters, computed columns). Expressions are parsed into closures; nothing is
+// passed to eval/Function, and only the whitelisted functions below can be
+// called.
+//
+//   numbers     1, 2.5, .5, 1e-3        strings    "sand", 'shale'
+//   names       GR, t, `Bulk Density`   (backticks quote any column name)
+//   operators   ^  unary - + !  * / %  + -  < <= > >= == !=  &&  ||
+//               (also = for ==, and/or/not, and "a between lo and hi")
+//   calls       sqrt(x), pow(x, 2), clamp(x, 0, 1), if(GR > 75, 1, 0), ...
+
+// Whitelisted functions. log is base 10 as on log charts; ln is natural.
+// if() evaluates both branches; that is harmless as nothing has side effects.
+export const FUNCTIONS = {
+  abs: Math.abs,
+  sqrt: Math.sqrt,
+  exp: Math.exp,
+  ln: Math.log,
+  log: Math.log10,
+  log10: Math.log10,
+  pow: Math.pow,
+  min: Math.min,
+  max: Math.max,
+  clamp: (v, lo, hi) => Math.min(Math.max(v, lo), hi),
+  if: (condition, then, otherwise) => (condition ? then : otherwise),
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+};
+
+export const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+const BINARY = {
+  "||": (a, b) => a || b,
+  "&&": (a, b) => a && b,
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "+": (a, b) => a + b,
+  "-": (a, b) => a - b,
+  "*": (a, b) => a * b,
+  "/": (a, b) => a / b,
+  "%": (a, b) => a % b,
+};
+
+// Binary operator levels, loosest first
+const LEVELS = [["||"], ["&&"], ["==", "!=", "<", "<=", ">", ">="], ["+", "-"], ["*", "/", "%"]];
+const COMPARISON_LEVEL = 2;
+
+// Word operators (case-insensitive) and their symbolic equivalents
+const KEYWORDS = { and: "&&", or: "||", not: "!", between: "between" };
+
+const IDENTIFIER_RE = /^[A-Za-z_][A-Za-z0-9_.]*$/;
+
+const TOKEN_RE = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_.]*)|`([^`]*)`|"([^"]*)"|'([^']*)'|(\|\||&&|==|!=|<=|>=|[-+*/%^<>!(),=]))/y;
+
+function tokenize(source) {
+  const tokens = [];
+  let pos = 0;
+  while (source.slice(pos).trim()) {
+    TOKEN_RE.lastIndex = pos;
+    const m = TOKEN_RE.exec(source);
+    if (!m) {
+      const at = source.length - source.slice(pos).trimStart().length;
+      throw new Error(`Unexpected "${source[at]}" at position ${at + 1}`);
+    }
+    const at = m.index + m[0].length - m[0].trimStart().length;
+    if (m[1] !== undefined) tokens.push({ type: "number", value: Number(m[1]), at });
+    else if (m[2] !== undefined) {
+      const word = m[2].toLowerCase();
+      tokens.push(
+        Object.prototype.hasOwnProperty.call(KEYWORDS, word)
+          ? { type: "op", value: KEYWORDS[word], at }
+          : { type: "name", value: m[2], at }
+      );
+    }
+    else if (m[3] !== undefined) tokens.push({ type: "name", value: m[3], at });
+    else if (m[4] !== undefined || m[5] !== undefined) tokens.push({ type: "string", value: m[4] ?? m[5], at });
+    else tokens.push({ type: "op", value: m[6] === "=" ? "==" : m[6], at });
+    pos = TOKEN_RE.lastIndex;
+  }
+  return tokens;
+}
+
+// Recursive-descent parser producing (scope => value) closures
+function parse(source) {
+  const tokens = tokenize(source);
+  const variables = new Set();
+  let i = 0;
+
+  const peek = () => tokens[i];
+  const isOp = value => peek() && peek().type === "op" && peek().value === value;
+  const fail = message => {
+    throw new Error(peek() ? `${message} at position ${peek().at + 1}` : `${message} at end of expression`);
+  };
+  const expect = value => {
+    if (!isOp(value)) fail(`Expected "${value === "&&" ? "and" : value}"`);
+    i++;
+  };
+
+  const binaryLevel = level => {
+    if (level === LEVELS.length) return unary();
+    let left = binaryLevel(level + 1);
+    if (level === COMPARISON_LEVEL && isOp("between")) {
+      i++;
+      const value = left, lo = binaryLevel(level + 1);
+      expect("&&");
+      const hi = binaryLevel(level + 1);
+      return scope => {
+        const v = value(scope);
+        return v >= lo(scope) && v <= hi(scope);
+      };
+    }
+    while (peek() && peek().type === "op" && LEVELS[level].includes(peek().value)) {
+      const op = BINARY[tokens[i++].value];
+      const l = left, r = binaryLevel(level + 1);
+      left = scope => op(l(scope), r(scope));
+    }
+    return left;
+  };
+
+  const unary = () => {
+    if (isOp("-") || isOp("+") || isOp("!")) {
+      const op = tokens[i++].value;
+      const operand = unary();
+      if (op === "-") return scope => -operand(scope);
+      if (op === "!") return scope => !operand(scope);
+      return scope => +operand(scope);
+    }
+    return power();
+  };
+
+  // Right-associative; binds tighter than unary minus (-2^2 is -4)
+  const power = () => {
+    const base = primary();
+    if (!isOp("^")) return base;
+    i++;
+    const exponent = unary();
+    return scope => Math.pow(base(scope), exponent(scope));
+  };
+
+  const primary = () => {
+    const tok = peek();
+    if (!tok) fail("Unexpected end");
+    if (tok.type === "number" || tok.type === "string") {
+      i++;
+      return () => tok.value;
+    }
+    if (isOp("(")) {
+      i++;
+      const inner = binaryLevel(0);
+      expect(")");
+      return inner;
+    }
+    if (tok.type !== "name") fail(`Unexpected "${tok.value}"`);
+    i++;
+    if (isOp("(")) {
+      const fn = Object.prototype.hasOwnProperty.call(FUNCTIONS, tok.value) ? FUNCTIONS[tok.value] : null;
+      if (!fn) throw new Error(`Unknown function "${tok.value}" at position ${tok.at + 1}`);
+      i++;
+      const args = [];
+      if (!isOp(")")) {
+        args.push(binaryLevel(0));
+        while (isOp(",")) {
+          i++;
+          args.push(binaryLevel(0));
+        }
+      }
+      expect(")");
+      return scope => fn(...args.map(a => a(scope)));
+    }
+    const name = tok.value;
+    if (Object.prototype.hasOwnProperty.call(CONSTANTS, name)) return () => CONSTANTS[name];
+    variables.add(name);
+    return scope => {
+      if (!Object.prototype.hasOwnProperty.call(scope, name)) throw new Error(`Unknown name "${name}"`);
+      return scope[name];
+    };
+  };
+
+  if (!tokens.length) throw new Error("Empty expression");
+  const root = binaryLevel(0);
+  if (i < tokens.length) fail(`Unexpected "${peek().value}"`);
+  return { evaluate: root, variables: [...variables] };
+}
+
+// PUBLIC_INTERFACE
+export function compileExpression(source) {
+  /** Parses an expression. Returns { evaluate(scope), variables } where scope
+   *  maps names to values and variables lists the names the expression reads.
+   *  Throws an Error naming the position of a syntax error.
+   */
+  return parse(String(source));
+}
+
+// PUBLIC_INTERFACE
+export function quoteName(name) {
+  /** Column name as written in an expression: bare when it reads as a plain
+   *  name, otherwise in backticks (e.g. `Bulk Density`, `and`, `pi`).
+   */
+  const plain =
+    IDENTIFIER_RE.test(name) &&
+    ![KEYWORDS, CONSTANTS].some(table => Object.prototype.hasOwnProperty.call(table, name.toLowerCase()));
+  return plain ? name : `\`${name}\``;
+}
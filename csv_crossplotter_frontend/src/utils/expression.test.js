@@ -0,0 +1,57 @@
+import { compileExpression, quoteName } from "./expression";
+
+const run = (src, scope = {}) => compileExpression(src).evaluate(scope);
+
+test("arithmetic precedence and associativity", () => {
+  expect(run("1 + 2 * 3")).toBe(7);
+  expect(run("(1 + 2) * 3")).toBe(9);
+  expect(run("2 ^ 3 ^ 2")).toBe(512);
+  expect(run("-2 ^ 2")).toBe(-4);
+  expect(run("10 - 4 - 3")).toBe(3);
+  expect(run(".5e1 % 3")).toBe(2);
+});
+
+test("names, quoted names, functions and constants", () => {
+  const c = compileExpression("sqrt(t) + `Bulk Density` * pi");
+  expect(c.variables).toEqual(["t", "Bulk Density"]);
+  expect(c.evaluate({ t: 4, "Bulk Density": 1 })).toBeCloseTo(2 + Math.PI);
+  expect(run("log(100) + ln(e) + max(1, 5, 3)")).toBeCloseTo(8);
+  expect(() => run("GR + 1")).toThrow('Unknown name "GR"');
+});
+
+test("clamp, if and quoting column names", () => {
+  expect(run("clamp(x, 0, 1)", { x: 1.5 })).toBe(1);
+  expect(run("clamp(x, 0, 1)", { x: -2 })).toBe(0);
+  expect(run("if(GR > 75, 'shale', 'sand')", { GR: 80 })).toBe("shale");
+  expect(run("if(GR > 75, 1, 0) + 1", { GR: 10 })).toBe(1);
+  expect(quoteName("GR")).toBe("GR");
+  expect(quoteName("Bulk Density")).toBe("`Bulk Density`");
+  expect(quoteName("OR")).toBe("`OR`");
+  expect(quoteName("pi")).toBe("`pi`");
+  const c = compileExpression(`${quoteName("and")} + ${quoteName("Bulk Density")}`);
+  expect(c.evaluate({ and: 1, "Bulk Density": 2 })).toBe(3);
+});
+
+test("comparisons, logic and strings", () => {
+  expect(run("GR > 50 && FAC == 'sand'", { GR: 60, FAC: "sand" })).toBe(true);
+  expect(run("!(a < 1) || b", { a: 0, b: false })).toBe(false);
+});
+
+test("word operators and between", () => {
+  const zone = compileExpression("Depth between 1200 and 1350 and GR < 75");
+  expect(zone.variables).toEqual(["Depth", "GR"]);
+  expect(zone.evaluate({ Depth: 1200, GR: 60 })).toBe(true);
+  expect(zone.evaluate({ Depth: 1351, GR: 60 })).toBe(false);
+  expect(zone.evaluate({ Depth: NaN, GR: 60 })).toBe(false);
+  expect(run("not FAC = 'sand' OR x between 1 + 1 and 3", { FAC: "sand", x: 2 })).toBe(true);
+  expect(run("`and` > 1", { and: 2 })).toBe(true);
+  expect(() => compileExpression("x between 1 3")).toThrow('Expected "and"');
+});
+
+test("syntax errors report a position and nothing is evaluated as code", () => {
+  expect(() => compileExpression("1 +")).toThrow("at end of expression");
+  expect(() => compileExpression("1 + * 2")).toThrow("position 5");
+  expect(() => compileExpression("2 $ 3")).toThrow('Unexpected "$" at position 3');
+  expect(() => compileExpression("constructor(1)")).toThrow('Unknown function "constructor"');
+  expect(() => compileExpression("")).toThrow("Empty expression");
+});
@@ -0,0 +1,115 @@
+// Standalone figure files from the export view: SVG markup and PNG
+// rasterization at a chosen DPI. Figure geometry is in CSS pixels
+// (CSS_DPI per inch); PNGs are drawn at dpi / CSS_DPI times that size and
+// carry the DPI in a pHYs chunk so layout software places them at size.
+
+export const CSS_DPI = 96;
+
+const PNG_SIGNATURE_LENGTH = 8;
+const IHDR_CHUNK_LENGTH = 8 + 13 + 4; // length + type, data, CRC
+const METERS_PER_INCH = 0.0254;
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (const b of bytes) crc = crcTable[(crc ^ b) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// PUBLIC_INTERFACE
+export function setPNGDensity(png, dpi) {
+  /** Copy of the PNG bytes (Uint8Array) with a pHYs chunk recording dpi,
+   *  inserted after IHDR. Any existing pHYs chunk is left in place after it,
+   *  which readers ignore as only the first counts.
+   */
+  const ppm = Math.round(dpi / METERS_PER_INCH);
+  const chunk = new Uint8Array(4 + 4 + 9 + 4);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+  view.setUint32(8, ppm);
+  view.setUint32(12, ppm);
+  chunk[16] = 1; // unit: metre
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+  const at = PNG_SIGNATURE_LENGTH + IHDR_CHUNK_LENGTH;
+  const out = new Uint8Array(png.length + chunk.length);
+  out.set(png.subarray(0, at), 0);
+  out.set(chunk, at);
+  out.set(png.subarray(at), at + chunk.length);
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export function svgToPNG(svgText, width, height, dpi) {
+  /** Rasterizes SVG markup of the given CSS-pixel size at dpi; resolves to a
+   *  PNG Blob on a white background.
+   */
+  const scale = dpi / CSS_DPI;
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([svgText], { type: "image/svg+xml" }));
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const ctx = canvas.getContext("2d");
+      ctx.fillStyle = "#fff";
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+      canvas.toBlob(blob => {
+        if (!blob) {
+          reject(new Error("PNG encoding failed (image too large?)"));
+          return;
+        }
+        blob.arrayBuffer().then(
+          buffer => resolve(new Blob([setPNGDensity(new Uint8Array(buffer), dpi)], { type: "image/png" })),
+          reject
+        );
+      }, "image/png");
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Could not render the figure"));
+    };
+    img.src = url;
+  });
+}
+
+// PUBLIC_INTERFACE
+export function wrapText(text, maxChars) {
+  /** Splits text into lines of at most about maxChars, breaking at spaces */
+  const lines = [];
+  let line = "";
+  for (const word of String(text).split(" ")) {
+    if (line && line.length + 1 + word.length > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+// PUBLIC_INTERFACE
+export function figureFileName(parts, extension) {
+  /** File-system safe name from parts, e.g. ["well", "GR vs RES"] -> "well_GR_vs_RES.png" */
+  const stem = parts
+    .filter(Boolean)
+    .join("_")
+    .replace(/[^\w.-]+/g, "_")
+    .replace(/_+/g, "_")
+    .replace(/^_|_$/g, "");
+  return `${stem || "crossplot"}.${extension}`;
+}
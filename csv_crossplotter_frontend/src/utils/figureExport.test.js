@@ -0,0 +1,31 @@
+import { setPNGDensity, wrapText, figureFileName } from "./figureExport";
+
+// Smallest valid PNG header: signature + IHDR chunk (CRC bytes irrelevant here)
+const FAKE_PNG = new Uint8Array([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+  0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52, 0, 0, 0, 1, 0, 0, 0, 1, 8, 2, 0, 0, 0, 1, 2, 3, 4,
+  0, 0, 0, 0, 0x49, 0x45, 0x4e, 0x44, 0xae, 0x42, 0x60, 0x82,
+]);
+
+test("pHYs chunk records the DPI after IHDR", () => {
+  const out = setPNGDensity(FAKE_PNG, 300);
+  expect(out.length).toBe(FAKE_PNG.length + 21);
+  const view = new DataView(out.buffer);
+  expect(view.getUint32(33)).toBe(9);
+  expect(String.fromCharCode(...out.subarray(37, 41))).toBe("pHYs");
+  expect(view.getUint32(41)).toBe(11811); // 300 dpi in pixels per metre
+  expect(out[49]).toBe(1);
+  // CRC-32 of "pHYs" + data, as computed by zlib
+  expect(view.getUint32(50).toString(16)).toBe("78a53f76");
+  expect([...out.subarray(54)]).toEqual([...FAKE_PNG.subarray(33)]);
+});
+
+test("wraps text at spaces", () => {
+  expect(wrapText("y = 1.2 + 3.4·x − 5.6·x^2", 12)).toEqual(["y = 1.2 +", "3.4·x −", "5.6·x^2"]);
+  expect(wrapText("short", 12)).toEqual(["short"]);
+});
+
+test("figure file names are file-system safe", () => {
+  expect(figureFileName(["well 1", "GR vs RES (ohm/m)"], "svg")).toBe("well_1_GR_vs_RES_ohm_m.svg");
+  expect(figureFileName(["", null], "png")).toBe("crossplot.png");
+});
@@ -0,0 +1,78 @@
+// Row filters: named, toggleable conditions that restrict which rows are
+// plotted. A filter is either an expression over column names
+//   { id, name, enabled, type: "expression", expression: "DEPT between 1200 and 1350 and GR < 75" }
+// or a numeric range on one column ("" leaves a side open)
+//   { id, name, enabled, type: "range", column: "DEPT", min: 1200, max: 1350 }
+import { compileRowExpression } from "./formulas";
+import { toNumber } from "./columns";
+
+const bound = v => (v === "" || v === null || v === undefined ? null : Number(v));
+
+// PUBLIC_INTERFACE
+export function compileFilter(filter, headers, numericHeaders) {
+  /** Row predicate for a filter: (row) => boolean. Numeric columns are seen
+   *  by expressions as numbers (NaN when blank), other columns as text.
+   *  Throws an Error for syntax errors and unknown columns.
+   */
+  if (filter.type === "range") {
+    const idx = headers.indexOf(filter.column);
+    if (idx === -1) throw new Error(`Unknown column "${filter.column}"`);
+    const lo = bound(filter.min), hi = bound(filter.max);
+    return row => {
+      const v = toNumber(row[idx]);
+      return !isNaN(v) && (lo === null || v >= lo) && (hi === null || v <= hi);
+    };
+  }
+  const { evaluate } = compileRowExpression(filter.expression, headers, numericHeaders);
+  return row => {
+    try {
+      return Boolean(evaluate(row));
+    } catch (err) {
+      return false;
+    }
+  };
+}
+
+// PUBLIC_INTERFACE
+export function filterRows(rows, filters, headers, numericHeaders) {
+  /** Evaluates the enabled filters over all rows. Returns
+   *  { mask: Uint8Array (1 = row passes every filter), passed,
+   *    removedBy: { [id]: rows failing that filter }, errors: { [id]: message } }.
+   *  Filters with errors are skipped.
+   */
+  const errors = {};
+  const removedBy = {};
+  const active = [];
+  for (const filter of filters) {
+    if (!filter.enabled) continue;
+    try {
+      active.push({ id: filter.id, test: compileFilter(filter, headers, numericHeaders) });
+      removedBy[filter.id] = 0;
+    } catch (err) {
+      errors[filter.id] = err.message;
+    }
+  }
+  const mask = new Uint8Array(rows.length);
+  let passed = 0;
+  for (let i = 0; i < rows.length; i++) {
+    let ok = 1;
+    for (const f of active) {
+      if (!f.test(rows[i])) {
+        removedBy[f.id]++;
+        ok = 0;
+      }
+    }
+    mask[i] = ok;
+    passed += ok;
+  }
+  return { mask, passed, removedBy, errors };
+}
+
+// PUBLIC_INTERFACE
+export function nextFilterName(filters) {
+  /** Default name for a new expression filter: "Filter N", one past the
+   *  highest N in use, so a removed filter's name is not handed out twice
+   */
+  const taken = filters.map(f => /^Filter (\d+)$/.exec(f.name)).filter(Boolean).map(m => Number(m[1]));
+  return `Filter ${Math.max(0, ...taken) + 1}`;
+}
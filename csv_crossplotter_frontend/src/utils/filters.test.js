@@ -0,0 +1,48 @@
+import { compileFilter, filterRows, nextFilterName } from "./filters";
+
+const headers = ["DEPT", "GR", "FAC"];
+const numeric = ["DEPT", "GR"];
+const rows = [
+  ["1190", "50", "sand"],
+  ["1200", "60", "sand"],
+  ["1300", "90", "shale"],
+  ["1350", "", "sand"],
+  ["1400", "40", "sand"],
+];
+
+test("expression filters see numbers and text", () => {
+  const zone = compileFilter({ type: "expression", expression: "DEPT between 1200 and 1350 and GR < 75" }, headers, numeric);
+  expect(rows.map(zone)).toEqual([false, true, false, false, false]);
+  const sand = compileFilter({ type: "expression", expression: "FAC == 'sand'" }, headers, numeric);
+  expect(rows.map(sand)).toEqual([true, true, false, true, true]);
+  expect(() => compileFilter({ type: "expression", expression: "PHI > 0" }, headers, numeric)).toThrow(
+    'Unknown column "PHI"'
+  );
+});
+
+test("range filters allow open ends", () => {
+  const deeper = compileFilter({ type: "range", column: "DEPT", min: 1300, max: "" }, headers, numeric);
+  expect(rows.map(deeper)).toEqual([false, false, true, true, true]);
+  const gr = compileFilter({ type: "range", column: "GR", min: "", max: "" }, headers, numeric);
+  expect(rows.map(gr)).toEqual([true, true, true, false, true]);
+});
+
+test("combines enabled filters and counts removals per filter", () => {
+  const filters = [
+    { id: 1, enabled: true, type: "range", column: "DEPT", min: 1200, max: 1350 },
+    { id: 2, enabled: true, type: "expression", expression: "FAC == 'sand'" },
+    { id: 3, enabled: false, type: "expression", expression: "GR > 1000" },
+    { id: 4, enabled: true, type: "expression", expression: "GR >" },
+  ];
+  const result = filterRows(rows, filters, headers, numeric);
+  expect([...result.mask]).toEqual([0, 1, 0, 1, 0]);
+  expect(result.passed).toBe(2);
+  expect(result.removedBy).toEqual({ 1: 2, 2: 1 });
+  expect(Object.keys(result.errors)).toEqual(["4"]);
+});
+
+test("default filter names do not repeat after a removal", () => {
+  expect(nextFilterName([])).toBe("Filter 1");
+  expect(nextFilterName([{ name: "Filter 2" }, { name: "GR" }])).toBe("Filter 3");
+  expect(nextFilterName([{ name: "Filter 1" }, { name: "Filter 10" }, { name: "My Filter 40" }])).toBe("Filter 11");
+});
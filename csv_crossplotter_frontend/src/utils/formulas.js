@@ -0,0 +1,176 @@
+// Computed columns: formulas over existing columns, evaluated row by row, plus
+// a small library of common petrophysical formulas. Library formulas are
+// templates whose {placeholders} are filled from editable parameters, either
+// a column (the curve to read) or a number (e.g. clean/shale GR picks).
+import { compileExpression, quoteName } from "./expression";
+import { toNumber } from "./columns";
+
+// How many per-row errors a report keeps for display
+const MAX_REPORTED_ERRORS = 5;
+
+export const FORMULA_LIBRARY = [
+  {
+    name: "Vsh, linear (GR)",
+    column: "VSH",
+    description: "Gamma-ray index between clean and shale picks, clamped to 0–1",
+    formula: "clamp(({GR} - {GRclean}) / ({GRshale} - {GRclean}), 0, 1)",
+    params: [
+      { key: "GR", label: "GR", column: /^(GR|SGR|CGR|GAMMA)/i },
+      { key: "GRclean", label: "GR clean", value: 20 },
+      { key: "GRshale", label: "GR shale", value: 120 },
+    ],
+  },
+  {
+    name: "Vsh, Larionov tertiary (GR)",
+    column: "VSH_LAR",
+    description: "0.083·(2^(3.7·IGR) − 1) for young, unconsolidated rocks",
+    formula: "0.083 * (2 ^ (3.7 * clamp(({GR} - {GRclean}) / ({GRshale} - {GRclean}), 0, 1)) - 1)",
+    params: [
+      { key: "GR", label: "GR", column: /^(GR|SGR|CGR|GAMMA)/i },
+      { key: "GRclean", label: "GR clean", value: 20 },
+      { key: "GRshale", label: "GR shale", value: 120 },
+    ],
+  },
+  {
+    name: "Density porosity",
+    column: "PHID",
+    description: "(ρma − ρb) / (ρma − ρfl)",
+    formula: "({RHOma} - {RHOB}) / ({RHOma} - {RHOfl})",
+    params: [
+      { key: "RHOB", label: "Bulk density", column: /^(RHOB|RHOZ|DEN|ZDEN|BULK)/i },
+      { key: "RHOma", label: "ρ matrix", value: 2.65 },
+      { key: "RHOfl", label: "ρ fluid", value: 1 },
+    ],
+  },
+  {
+    name: "log10(resistivity)",
+    column: "LOG_RES",
+    description: "Base-10 logarithm, for linear-axis resistivity crossplots",
+    formula: "log10({RES})",
+    params: [{ key: "RES", label: "Resistivity", column: /^(RES|RT|ILD|LLD|RD|AT90|RDEP)/i }],
+  },
+  {
+    name: "Archie water saturation",
+    column: "SW",
+    description: "Sw = (a·Rw / (φ^m·Rt))^(1/n), clamped to 0–1",
+    formula: "clamp(pow({a} * {Rw} / (pow({PHI}, {m}) * {RT}), 1 / {n}), 0, 1)",
+    params: [
+      { key: "PHI", label: "Porosity", column: /^(PHI|POR|NPHI)/i },
+      { key: "RT", label: "Rt", column: /^(RT|RES|ILD|LLD|RD|AT90|RDEP)/i },
+      { key: "Rw", label: "Rw", value: 0.05 },
+      { key: "a", label: "a", value: 1 },
+      { key: "m", label: "m", value: 2 },
+      { key: "n", label: "n", value: 2 },
+    ],
+  },
+  {
+    name: "Ratio of two columns",
+    column: "RATIO",
+    description: "A / B, e.g. Vp/Vs or Th/K",
+    formula: "{A} / {B}",
+    params: [
+      { key: "A", label: "A", column: /.*/ },
+      { key: "B", label: "B", column: /.*/ },
+    ],
+  },
+];
+
+// PUBLIC_INTERFACE
+export function defaultParams(entry, headers) {
+  /** Starting parameter values for a library entry: for each column parameter
+   *  the first matching column not already taken by an earlier one, and the
+   *  default for numbers.
+   */
+  const params = {};
+  const used = [];
+  for (const p of entry.params) {
+    if (p.column) {
+      const matches = headers.filter(h => p.column.test(h));
+      params[p.key] = matches.find(h => !used.includes(h)) || matches[0] || headers[0] || "";
+      used.push(params[p.key]);
+    } else {
+      params[p.key] = p.value;
+    }
+  }
+  return params;
+}
+
+// PUBLIC_INTERFACE
+export function fillFormula(entry, params) {
+  /** Library formula with its placeholders replaced: columns are quoted as
+   *  needed, numbers are written as given. Throws an Error naming a parameter
+   *  that is not a number.
+   */
+  return entry.formula.replace(/\{(\w+)\}/g, (match, key) => {
+    const p = entry.params.find(q => q.key === key);
+    if (!p) return match;
+    const value = params[key];
+    if (p.column) return quoteName(String(value));
+    if (value === "" || value === undefined || !isFinite(Number(value))) {
+      throw new Error(`${p.label} must be a number`);
+    }
+    const n = Number(value);
+    return n < 0 ? `(${n})` : String(n);
+  });
+}
+
+// PUBLIC_INTERFACE
+export function compileRowExpression(source, headers, numericHeaders) {
+  /** Compiles an expression over column names. Returns { columns, evaluate(row) }
+   *  where numeric columns are seen as numbers (NaN when blank) and other
+   *  columns as text. Throws an Error for syntax errors and unknown columns.
+   */
+  const { evaluate, variables } = compileExpression(source);
+  const columns = variables.map(name => {
+    const idx = headers.indexOf(name);
+    if (idx === -1) throw new Error(`Unknown column "${name}"`);
+    return { name, idx, numeric: numericHeaders.includes(name) };
+  });
+  return {
+    columns,
+    evaluate: row => {
+      const scope = {};
+      for (const c of columns) scope[c.name] = c.numeric ? toNumber(row[c.idx]) : row[c.idx];
+      return evaluate(scope);
+    },
+  };
+}
+
+// PUBLIC_INTERFACE
+export function computeColumn(source, headers, rows, numericHeaders) {
+  /** Evaluates a formula for every row. Returns
+   *  { values, blank, errorCount, errors: [{ row, message }] } where values are
+   *  cell strings; rows missing a numeric input are left blank, and rows whose
+   *  result is not a finite number (log of a negative, division by zero, ...)
+   *  are left blank and reported (first few, 1-based row numbers).
+   *  Throws only for formula errors (syntax, unknown column).
+   */
+  const { columns, evaluate } = compileRowExpression(source, headers, numericHeaders);
+  const numeric = columns.filter(c => c.numeric);
+  const values = new Array(rows.length);
+  const errors = [];
+  let blank = 0, errorCount = 0;
+  rows.forEach((row, i) => {
+    if (numeric.some(c => isNaN(toNumber(row[c.idx])))) {
+      values[i] = "";
+      blank++;
+      return;
+    }
+    let message = null;
+    try {
+      const v = evaluate(row);
+      if (typeof v === "boolean") values[i] = v ? "1" : "0";
+      else if (typeof v === "string") values[i] = v;
+      else if (Number.isFinite(v)) values[i] = String(v);
+      else message = `result is ${v}`;
+    } catch (err) {
+      message = err.message;
+    }
+    if (message !== null) {
+      values[i] = "";
+      errorCount++;
+      if (errors.length < MAX_REPORTED_ERRORS) errors.push({ row: i + 1, message });
+    }
+  });
+  return { values, blank, errorCount, errors };
+}
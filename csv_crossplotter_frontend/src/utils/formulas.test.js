@@ -0,0 +1,45 @@
+import { FORMULA_LIBRARY, defaultParams, fillFormula, computeColumn } from "./formulas";
+
+const headers = ["DEPT", "GR", "RHOB", "ILD", "FAC"];
+const numeric = ["DEPT", "GR", "RHOB", "ILD"];
+const rows = [
+  ["1000", "20", "2.65", "10", "sand"],
+  ["1001", "70", "2.40", "0", "shale"],
+  ["1002", "", "2.30", "-1", "sand"],
+  ["1003", "170", "1.90", "100", "shale"],
+];
+const entry = name => FORMULA_LIBRARY.find(e => e.name === name);
+
+test("library entries pick matching columns and fill their parameters", () => {
+  const vsh = entry("Vsh, linear (GR)");
+  const params = defaultParams(vsh, headers);
+  expect(params).toEqual({ GR: "GR", GRclean: 20, GRshale: 120 });
+  expect(fillFormula(vsh, params)).toBe("clamp((GR - 20) / (120 - 20), 0, 1)");
+  expect(fillFormula(vsh, { ...params, GR: "Gamma Ray", GRclean: -5 })).toBe(
+    "clamp((`Gamma Ray` - (-5)) / (120 - (-5)), 0, 1)"
+  );
+  expect(() => fillFormula(vsh, { ...params, GRshale: "" })).toThrow("GR shale must be a number");
+  expect(defaultParams(entry("Ratio of two columns"), headers)).toEqual({ A: "DEPT", B: "GR" });
+  for (const e of FORMULA_LIBRARY) {
+    expect(() => computeColumn(fillFormula(e, defaultParams(e, headers)), headers, rows, numeric)).not.toThrow();
+  }
+});
+
+test("computes values, leaves missing inputs blank and reports bad rows", () => {
+  const vsh = computeColumn(fillFormula(entry("Vsh, linear (GR)"), { GR: "GR", GRclean: 20, GRshale: 120 }), headers, rows, numeric);
+  expect(vsh.values).toEqual(["0", "0.5", "", "1"]);
+  expect(vsh.blank).toBe(1);
+  expect(vsh.errorCount).toBe(0);
+
+  const logRes = computeColumn("log10(ILD)", headers, rows, numeric);
+  expect(logRes.values).toEqual(["1", "", "", "2"]);
+  expect(logRes.errorCount).toBe(2);
+  expect(logRes.errors).toEqual([
+    { row: 2, message: "result is -Infinity" },
+    { row: 3, message: "result is NaN" },
+  ]);
+
+  expect(computeColumn("if(FAC == 'sand', 1, 0)", headers, rows, numeric).values).toEqual(["1", "0", "1", "0"]);
+  expect(computeColumn("GR > 50", headers, rows, numeric).values).toEqual(["0", "1", "", "1"]);
+  expect(() => computeColumn("PHI * 2", headers, rows, numeric)).toThrow('Unknown column "PHI"');
+});
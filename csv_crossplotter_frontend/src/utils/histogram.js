@@ -0,0 +1,31 @@
+// Fixed-width binning for histograms.
+
+// PUBLIC_INTERFACE
+export function extent(values) {
+  /** [min, max] of the finite values, or null when there are none */
+  let lo = Infinity, hi = -Infinity;
+  for (const v of values) {
+    if (!isFinite(v)) continue;
+    if (v < lo) lo = v;
+    if (v > hi) hi = v;
+  }
+  return lo <= hi ? [lo, hi] : null;
+}
+
+// PUBLIC_INTERFACE
+export function histogram(values, binCount, range = extent(values)) {
+  /** Counts finite values into binCount equal bins over range [lo, hi]
+   *  (values outside are ignored, hi falls in the last bin). Returns
+   *  { counts, edges } with edges.length === binCount + 1.
+   */
+  const counts = new Array(binCount).fill(0);
+  if (!range) return { counts, edges: [] };
+  const [lo, hi] = range;
+  const width = (hi - lo) / binCount || 1;
+  const edges = Array.from({ length: binCount + 1 }, (_, i) => lo + i * width);
+  for (const v of values) {
+    if (!isFinite(v) || v < lo || v > hi) continue;
+    counts[Math.min(binCount - 1, Math.floor((v - lo) / width))]++;
+  }
+  return { counts, edges };
+}
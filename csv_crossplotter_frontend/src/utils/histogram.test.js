@@ -0,0 +1,13 @@
+import { histogram, extent } from "./histogram";
+
+test("bins values with the maximum in the last bin", () => {
+  const { counts, edges } = histogram([0, 1, 2, 3, 4, NaN], 2);
+  expect(edges).toEqual([0, 2, 4]);
+  expect(counts).toEqual([2, 3]);
+});
+
+test("honours an explicit range and handles empty input", () => {
+  expect(histogram([-1, 0.5, 5], 2, [0, 1]).counts).toEqual([0, 1]);
+  expect(histogram([NaN], 3)).toEqual({ counts: [0, 0, 0], edges: [] });
+  expect(extent([3, NaN, -2])).toEqual([-2, 3]);
+});
@@ -0,0 +1,201 @@
+// LAS (Log ASCII Standard) well-log reader.
+// Supports LAS 2.0 and the common subset of LAS 3.0 (~Log_Definition / ~Log_Data
+// sections, COMMA/TAB/SPACE data delimiters). Output mirrors parseCSV's
+// { headers, rows } shape so the rest of the app can treat both the same way.
+import { uniqueHeaders } from "./columns";
+
+const SECTION_ALIASES = {
+  V: "version",
+  W: "well",
+  C: "curves",
+  P: "parameters",
+  O: "other",
+  A: "data",
+  LOG_DEFINITION: "curves",
+  LOG_PARAMETER: "parameters",
+  LOG_DATA: "data",
+};
+
+const DELIMITERS = {
+  SPACE: null,
+  TAB: "\t",
+  COMMA: ",",
+};
+
+// Resolve a "~Xxxx" section title to one of the keys in SECTION_ALIASES.
+function sectionKind(line) {
+  const title = line.slice(1).split("|")[0].trim().toUpperCase();
+  if (SECTION_ALIASES[title]) return SECTION_ALIASES[title];
+  // LAS 3.0 allows data sections with any prefix, e.g. "~Core_Data"; only
+  // the log data is plotted, the rest is kept as "other".
+  if (/_(DEFINITION|PARAMETER|DATA)$/.test(title)) return "other";
+  return SECTION_ALIASES[title.charAt(0)] || "other";
+}
+
+// Index of the colon ending the value field, or -1. Values may contain
+// colons only inside times ("13:45:00"), so a colon between two digits is
+// skipped; later colons belong to the description.
+function descriptionColon(text) {
+  for (let i = text.indexOf(":"); i !== -1; i = text.indexOf(":", i + 1)) {
+    if (!(/\d/.test(text.charAt(i - 1)) && /\d/.test(text.charAt(i + 1)))) return i;
+  }
+  return -1;
+}
+
+// Parse a header line: "MNEM.UNIT   VALUE : DESCRIPTION"
+function parseHeaderLine(line) {
+  const dot = line.indexOf(".");
+  if (dot === -1) return null;
+  const mnemonic = line.slice(0, dot).trim();
+  const rest = line.slice(dot + 1);
+  // Unit runs from the dot up to the first whitespace
+  const unitMatch = /^(\S*)/.exec(rest);
+  const unit = unitMatch ? unitMatch[1] : "";
+  const afterUnit = rest.slice(unit.length);
+  const colon = descriptionColon(afterUnit);
+  let value = colon === -1 ? afterUnit : afterUnit.slice(0, colon);
+  let description = colon === -1 ? "" : afterUnit.slice(colon + 1);
+  // LAS 3.0 adds "{format}" and "| association" to the description
+  description = description.replace(/\{[^}]*\}/, "").split("|")[0];
+  value = value.trim().replace(/^"(.*)"$/, "$1");
+  return { mnemonic, unit, value, description: description.trim() };
+}
+
+// Split a data line on the given delimiter (null = whitespace), honouring
+// double-quoted strings used by LAS 3.0.
+function splitDataLine(line, delimiter) {
+  const out = [];
+  let cur = "";
+  let inQuotes = false;
+  let hasToken = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') {
+      inQuotes = !inQuotes;
+      hasToken = true;
+      continue;
+    }
+    const isSep = delimiter === null ? /\s/.test(ch) : ch === delimiter;
+    if (isSep && !inQuotes) {
+      if (delimiter !== null || hasToken) out.push(cur.trim());
+      cur = "";
+      hasToken = false;
+      continue;
+    }
+    cur += ch;
+    hasToken = true;
+  }
+  if (delimiter !== null || hasToken) out.push(cur.trim());
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export function parseLASText(text) {
+  /** Parses LAS 2.0/3.0 text and returns
+   *  { headers, rows, units, descriptions, well, parameters, version, wrap, nullValue }.
+   *  Values equal to the ~WELL NULL value are replaced by "" (missing).
+   */
+  const lines = text.replace(/^\uFEFF/, "").split(/\r?\n/);
+  const sections = { version: [], well: [], curves: [], parameters: [] };
+  const dataLines = [];
+  let current = null;
+  let dataSeen = false;
+
+  for (const raw of lines) {
+    const line = raw.trim();
+    if (line.startsWith("~")) {
+      const kind = sectionKind(line);
+      // Only the first data section holds the log curves
+      current = kind === "data" && dataSeen ? "other" : kind;
+      if (current === "data") dataSeen = true;
+      continue;
+    }
+    if (!line || line.startsWith("#") || !current || current === "other") continue;
+    if (current === "data") {
+      dataLines.push(line);
+    } else {
+      const entry = parseHeaderLine(line);
+      if (entry) sections[current].push(entry);
+    }
+  }
+
+  if (!sections.curves.length) throw new Error("LAS file has no ~CURVE section");
+  if (!dataSeen) throw new Error("LAS file has no ~ASCII data section");
+
+  const lookup = list =>
+    list.reduce((acc, e) => {
+      acc[e.mnemonic.toUpperCase()] = e;
+      return acc;
+    }, {});
+  const version = lookup(sections.version);
+  const well = lookup(sections.well);
+  const parameters = lookup(sections.parameters);
+
+  const wrap = /^Y/i.test((version.WRAP && version.WRAP.value) || "");
+  const dlm = ((version.DLM && version.DLM.value) || "SPACE").toUpperCase();
+  const delimiter = DELIMITERS[dlm] !== undefined ? DELIMITERS[dlm] : null;
+  const nullValue = well.NULL ? well.NULL.value : "";
+  const nullNumber = nullValue === "" ? NaN : Number(nullValue);
+
+  // Repeated curve mnemonics get a ":n" suffix so every header is unique
+  const headers = uniqueHeaders(sections.curves.map(c => c.mnemonic));
+  const units = sections.curves.map(c => c.unit);
+  const descriptions = sections.curves.map(c => c.description);
+  const nCurves = headers.length;
+
+  const isNull = v =>
+    v === "" || v === nullValue || (!isNaN(nullNumber) && Number(v) === nullNumber);
+
+  // In wrapped files one depth step spans several lines, so read the data as
+  // one stream of values and cut it into rows of nCurves values.
+  let rawRows;
+  if (wrap) {
+    const values = dataLines.flatMap(l => splitDataLine(l, delimiter));
+    rawRows = [];
+    for (let i = 0; i + nCurves <= values.length; i += nCurves) {
+      rawRows.push(values.slice(i, i + nCurves));
+    }
+  } else {
+    rawRows = dataLines.map(l => splitDataLine(l, delimiter));
+  }
+  const rows = rawRows.map(r => {
+    const row = r.slice(0, nCurves);
+    while (row.length < nCurves) row.push("");
+    return row.map(v => (isNull(v) ? "" : v));
+  });
+
+  return {
+    headers,
+    rows,
+    units,
+    descriptions,
+    well,
+    parameters,
+    version: version.VERS ? version.VERS.value : "",
+    wrap,
+    nullValue,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function parseLAS(file) {
+  /** Reads a LAS File object and returns a Promise resolving to the result of parseLASText */
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = event => {
+      try {
+        resolve(parseLASText(event.target.result));
+      } catch (err) {
+        reject(err);
+      }
+    };
+    reader.onerror = () => reject(new Error("Failed to read file"));
+    reader.readAsText(file);
+  });
+}
+
+// PUBLIC_INTERFACE
+export function isLASFileName(name) {
+  /** True when the file name has a .las extension */
+  return /\.las$/i.test(name || "");
+}
@@ -0,0 +1,94 @@
+import { parseLASText, isLASFileName } from "./las";
+
+const LAS20 = `~VERSION INFORMATION
+ VERS.                  2.0 :   CWLS LOG ASCII STANDARD -VERSION 2.0
+ WRAP.                   NO :   ONE LINE PER DEPTH STEP
+~WELL INFORMATION
+ STRT.M              1000.0 :
+ STOP.M              1004.0 :
+ STEP.M                 2.0 :
+ NULL.              -999.25 :
+ WELL.       ANY ET AL 12-34 : WELL
+~CURVE INFORMATION
+ DEPT.M                     :   1  DEPTH
+ GR  .API                   :   2  GAMMA RAY
+ RES .OHMM                  :   3  RESISTIVITY
+~PARAMETER INFORMATION
+ BHT .DEGC             35.5 :   BOTTOM HOLE TEMPERATURE
+~A  DEPT     GR      RES
+1000.0   80.0   55.0
+1002.0  -999.25 50.0
+1004.0   88.0   75.0
+`;
+
+test("parses LAS 2.0 curves, units, well metadata and NULL values", () => {
+  const las = parseLASText(LAS20);
+  expect(las.headers).toEqual(["DEPT", "GR", "RES"]);
+  expect(las.units).toEqual(["M", "API", "OHMM"]);
+  expect(las.well.WELL.value).toBe("ANY ET AL 12-34");
+  expect(las.parameters.BHT.value).toBe("35.5");
+  expect(las.version).toBe("2.0");
+  expect(las.rows).toEqual([
+    ["1000.0", "80.0", "55.0"],
+    ["1002.0", "", "50.0"],
+    ["1004.0", "88.0", "75.0"],
+  ]);
+});
+
+test("reassembles wrapped data lines", () => {
+  const wrapped = LAS20.replace("WRAP.                   NO", "WRAP.                  YES")
+    .replace(/~A[\s\S]*$/, "~A\n1000.0\n 80.0 55.0\n1002.0\n 85.0\n 50.0\n");
+  const las = parseLASText(wrapped);
+  expect(las.wrap).toBe(true);
+  expect(las.rows).toEqual([
+    ["1000.0", "80.0", "55.0"],
+    ["1002.0", "85.0", "50.0"],
+  ]);
+});
+
+test("reads LAS 3.0 log definition and comma-delimited data", () => {
+  const las = parseLASText(`~Version
+VERS.   3.0 : CWLS LOG ASCII STANDARD - VERSION 3.0
+WRAP.    NO :
+DLM .  COMMA : DELIMITING CHARACTER
+~Well
+WELL.   "Test Well" : WELL
+NULL.   -999.25 :
+~Log_Definition
+DEPT.M      : DEPTH {F}
+FACIES.     : FACIES {S}
+~Log_Data | Log_Definition
+1000.0,"shaly sand"
+1002.0,-999.25
+~Core_Data | Core_Definition
+1.0,2.0
+`);
+  expect(las.headers).toEqual(["DEPT", "FACIES"]);
+  expect(las.rows).toEqual([
+    ["1000.0", "shaly sand"],
+    ["1002.0", ""],
+  ]);
+});
+
+test("splits value and description at the first colon outside a time", () => {
+  const las = parseLASText(
+    LAS20.replace(" STRT.M              1000.0 :", " STRT.M              1000.0 : Start depth: top of log").replace(
+      " STEP.M                 2.0 :",
+      " STEP.M                 2.0 :\n TIME.          13:45:00 : Logged at: rig time\n DATE.          2024-05-01"
+    )
+  );
+  expect(las.well.STRT).toMatchObject({ value: "1000.0", description: "Start depth: top of log" });
+  expect(las.well.TIME).toMatchObject({ value: "13:45:00", description: "Logged at: rig time" });
+  expect(las.well.DATE).toMatchObject({ value: "2024-05-01", description: "" });
+});
+
+test("makes duplicate curve mnemonics unique", () => {
+  const las = parseLASText(LAS20.replace("RES .OHMM", "GR  .OHMM"));
+  expect(las.headers).toEqual(["DEPT", "GR", "GR:1"]);
+});
+
+test("rejects files without curves or data", () => {
+  expect(() => parseLASText("~Version\nVERS. 2.0 :\n")).toThrow(/CURVE/);
+  expect(isLASFileName("well.LAS")).toBe(true);
+  expect(isLASFileName("well.csv")).toBe(false);
+});
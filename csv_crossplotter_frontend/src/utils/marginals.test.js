@@ -0,0 +1,29 @@
+import { pixelHistogram, silvermanBandwidth, pixelDensity } from "./marginals";
+
+test("histogram bins pixel positions over a range", () => {
+  expect(pixelHistogram([0, 9.9, 10, 25, 39.9, 40, -1, NaN], 0, 40, 4)).toEqual([2, 1, 1, 1]);
+  expect(pixelHistogram([1, 2], 5, 5, 3)).toEqual([0, 0, 0]);
+});
+
+test("Silverman bandwidth", () => {
+  // Standard normal-ish sample: sd = 1, IQR = 1.34 -> 0.9 * n^-0.2
+  const values = [-1.5, -0.67, -0.67, 0, 0, 0, 0.67, 0.67, 1.5];
+  expect(silvermanBandwidth(values)).toBeGreaterThan(0.4);
+  expect(silvermanBandwidth(values)).toBeLessThan(0.6);
+  expect(silvermanBandwidth([3, 3, 3])).toBeCloseTo(0.9 * Math.pow(3, -0.2));
+  expect(silvermanBandwidth([1])).toBe(1);
+});
+
+test("density integrates to the point count and peaks at the data", () => {
+  const pixels = [100, 100, 100, 140];
+  const { positions, density } = pixelDensity(pixels, 0, 300, { step: 1, bandwidth: 8 });
+  expect(positions[0]).toBe(0);
+  expect(positions[positions.length - 1]).toBe(300);
+  const total = density.reduce((s, d) => s + d, 0);
+  expect(total).toBeCloseTo(4, 1);
+  const peak = positions[density.indexOf(Math.max(...density))];
+  expect(Math.abs(peak - 100)).toBeLessThanOrEqual(2);
+  // Points just off screen still contribute at the edge
+  const edge = pixelDensity([-5], 0, 50, { step: 1, bandwidth: 8 });
+  expect(edge.density[0]).toBeGreaterThan(0.03);
+});
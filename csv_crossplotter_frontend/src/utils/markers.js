@@ -0,0 +1,44 @@
+// Point marker shapes, so several series can share one crossplot. Shapes are
+// unit polygons scaled by the marker radius; "circle" is drawn as an arc.
+
+const polygon = (count, rotation, scale = 1) =>
+  Array.from({ length: count }, (_, i) => {
+    const a = rotation + (2 * Math.PI * i) / count;
+    return [scale * Math.cos(a), scale * Math.sin(a)];
+  });
+
+// Vertices in screen orientation (y down), sized to look about as heavy as
+// the circle of the same radius
+const SHAPES = {
+  square: [[-0.88, -0.88], [0.88, -0.88], [0.88, 0.88], [-0.88, 0.88]],
+  triangle: polygon(3, -Math.PI / 2, 1.25),
+  diamond: polygon(4, -Math.PI / 2, 1.2),
+  "triangle-down": polygon(3, Math.PI / 2, 1.25),
+  cross: [
+    [-0.35, -1], [0.35, -1], [0.35, -0.35], [1, -0.35], [1, 0.35], [0.35, 0.35],
+    [0.35, 1], [-0.35, 1], [-0.35, 0.35], [-1, 0.35], [-1, -0.35], [-0.35, -0.35],
+  ],
+};
+
+export const MARKER_SHAPES = ["circle", "square", "triangle", "diamond", "triangle-down", "cross"];
+
+// PUBLIC_INTERFACE
+export function markerPath(shape, r) {
+  /** SVG path of a marker of radius r centred on (0, 0) */
+  const vertices = SHAPES[shape];
+  if (!vertices) return `M${r},0A${r},${r} 0 1,1 ${-r},0A${r},${r} 0 1,1 ${r},0Z`;
+  return `M${vertices.map(([x, y]) => `${+(x * r).toFixed(2)},${+(y * r).toFixed(2)}`).join("L")}Z`;
+}
+
+// PUBLIC_INTERFACE
+export function traceMarker(path, shape, x, y, r) {
+  /** Adds a marker outline at (x, y) to a canvas Path2D (or context) */
+  const vertices = SHAPES[shape];
+  if (!vertices) {
+    path.moveTo(x + r, y);
+    path.arc(x, y, r, 0, 2 * Math.PI);
+    return;
+  }
+  vertices.forEach(([vx, vy], i) => (i ? path.lineTo : path.moveTo).call(path, x + vx * r, y + vy * r));
+  path.closePath();
+}
@@ -0,0 +1,79 @@
+// Outlier detection on the plotted X/Y pair. Values are tested in each axis'
+// scale space (log10 on a log axis), so a resistivity spike is judged in
+// decades rather than ohm-metres.
+import { quantile } from "./statistics";
+
+// Detection methods: label, threshold meaning and default threshold
+export const OUTLIER_METHODS = {
+  zscore: { label: "Z-score", unit: "standard deviations", threshold: 3 },
+  iqr: { label: "IQR", unit: "× IQR beyond the quartiles", threshold: 1.5 },
+  mahalanobis: { label: "Mahalanobis distance", unit: "distance", threshold: 3 },
+};
+
+const identity = v => v;
+
+// PUBLIC_INTERFACE
+export function outlierThreshold(settings) {
+  /** The settings' threshold as typed, or the method default when it is not
+   *  a positive number
+   */
+  const t = Number(settings.threshold);
+  return settings.threshold !== "" && t > 0 ? t : OUTLIER_METHODS[settings.method].threshold;
+}
+
+function meanStd(values) {
+  const mean = values.reduce((s, v) => s + v, 0) / values.length;
+  const variance = values.reduce((s, v) => s + (v - mean) * (v - mean), 0) / Math.max(1, values.length - 1);
+  return [mean, Math.sqrt(variance)];
+}
+
+// PUBLIC_INTERFACE
+export function detectOutliers(points, settings, transforms = { x: identity, y: identity }) {
+  /** Row indices (idx) of the outlying points ({ x, y, idx }) for settings
+   *  { method, threshold }. A point is an outlier when either coordinate's
+   *  z-score or IQR fence is exceeded, or (Mahalanobis) when its distance
+   *  from the centroid under the X/Y covariance is above the threshold.
+   *  Returns { outliers: Set, error } with an error when the method cannot
+   *  be applied (too few points, no spread).
+   */
+  const outliers = new Set();
+  if (points.length < 3) return { outliers, error: "Too few points" };
+  const t = outlierThreshold(settings);
+  const xs = points.map(p => transforms.x(p.x));
+  const ys = points.map(p => transforms.y(p.y));
+
+  if (settings.method === "iqr") {
+    const fence = values => {
+      const sorted = Float64Array.from(values).sort();
+      const q1 = quantile(sorted, 0.25), q3 = quantile(sorted, 0.75);
+      return [q1 - t * (q3 - q1), q3 + t * (q3 - q1)];
+    };
+    const [[x0, x1], [y0, y1]] = [fence(xs), fence(ys)];
+    points.forEach((p, i) => {
+      if (xs[i] < x0 || xs[i] > x1 || ys[i] < y0 || ys[i] > y1) outliers.add(p.idx);
+    });
+    return { outliers, error: "" };
+  }
+
+  const [mx, sx] = meanStd(xs);
+  const [my, sy] = meanStd(ys);
+  if (settings.method === "mahalanobis") {
+    let cxy = 0;
+    xs.forEach((x, i) => (cxy += (x - mx) * (ys[i] - my)));
+    cxy /= xs.length - 1;
+    const det = sx * sx * sy * sy - cxy * cxy;
+    if (!(det > 1e-12 * sx * sx * sy * sy)) return { outliers, error: "X and Y are collinear" };
+    points.forEach((p, i) => {
+      const dx = xs[i] - mx, dy = ys[i] - my;
+      const d2 = (sy * sy * dx * dx - 2 * cxy * dx * dy + sx * sx * dy * dy) / det;
+      if (Math.sqrt(d2) > t) outliers.add(p.idx);
+    });
+    return { outliers, error: "" };
+  }
+
+  if (!sx && !sy) return { outliers, error: "No spread in X or Y" };
+  points.forEach((p, i) => {
+    if ((sx && Math.abs(xs[i] - mx) / sx > t) || (sy && Math.abs(ys[i] - my) / sy > t)) outliers.add(p.idx);
+  });
+  return { outliers, error: "" };
+}
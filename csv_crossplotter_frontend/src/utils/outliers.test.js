@@ -0,0 +1,31 @@
+import { detectOutliers, outlierThreshold } from "./outliers";
+
+// A tight linear trend with a spike at idx 20 and an off-trend point at 21
+const points = Array.from({ length: 20 }, (_, i) => ({ x: i, y: 2 * i + (i % 2 ? 0.5 : -0.5), idx: i }));
+points.push({ x: 10, y: 500, idx: 20 });
+points.push({ x: 2, y: 36, idx: 21 });
+
+test("z-score and IQR flag the spike", () => {
+  expect([...detectOutliers(points, { method: "zscore", threshold: "3" }).outliers]).toEqual([20]);
+  expect([...detectOutliers(points, { method: "iqr", threshold: "" }).outliers]).toEqual([20]);
+  expect(outlierThreshold({ method: "iqr", threshold: "-1" })).toBe(1.5);
+  expect(outlierThreshold({ method: "zscore", threshold: "2.5" })).toBe(2.5);
+});
+
+test("Mahalanobis distance also flags points off the trend", () => {
+  const trend = points.filter(p => p.idx !== 20);
+  const { outliers } = detectOutliers(trend, { method: "mahalanobis", threshold: "3" });
+  expect([...outliers]).toEqual([21]);
+  // Each coordinate on its own is unremarkable
+  expect(detectOutliers(trend, { method: "zscore", threshold: "3" }).outliers.size).toBe(0);
+});
+
+test("scale transforms and degenerate inputs", () => {
+  const logPoints = [1, 10, 100, 1000, 10000].map((x, idx) => ({ x, y: idx, idx }));
+  expect(detectOutliers(logPoints, { method: "zscore", threshold: "1.5" }).outliers.size).toBe(1);
+  const logged = detectOutliers(logPoints, { method: "zscore", threshold: "1.5" }, { x: Math.log10, y: v => v });
+  expect(logged.outliers.size).toBe(0);
+  expect(detectOutliers(points.slice(0, 2), { method: "zscore", threshold: "" }).error).toBe("Too few points");
+  const line = [0, 1, 2, 3].map(i => ({ x: i, y: 2 * i, idx: i }));
+  expect(detectOutliers(line, { method: "mahalanobis", threshold: "" }).error).toBe("X and Y are collinear");
+});
@@ -0,0 +1,92 @@
+// Built-in overlay definitions (same format as uploaded overlay JSON, see
+// ./overlays). Neutron-density geometry uses limestone-unit NPHI (v/v) and
+// RHOB (g/cc) with straight matrix-to-fresh-water mixing lines; endpoints are
+// typical textbook values, not tool-specific chart-book curves.
+
+// Matrix points (NPHI, RHOB) and the fresh-water point
+const SANDSTONE = [-0.035, 2.65];
+const LIMESTONE = [0, 2.71];
+const DOLOMITE = [0.02, 2.87];
+const WATER = [1, 1];
+const WET_SHALE = [0.35, 2.45];
+
+// Point at porosity phi on a matrix-water mixing line
+const mix = (matrix, phi) => [
+  Number((matrix[0] + phi * (WATER[0] - matrix[0])).toFixed(4)),
+  Number((matrix[1] + phi * (WATER[1] - matrix[1])).toFixed(4)),
+];
+
+// Porosity at which a mixing line reaches the given density
+const phiAtDensity = (matrix, rhob) => (matrix[1] - rhob) / (matrix[1] - WATER[1]);
+
+const ND_BOTTOM = 1.9;
+
+// Archie Sw lines for a Pickett plot: Rt = a·Rw / (phi^m · Sw^n)
+const PICKETT = { a: 1, rw: 0.05, m: 2, n: 2 };
+const swLine = (sw, dash) => ({
+  type: "curve",
+  x: "t",
+  y: `${PICKETT.a} * ${PICKETT.rw} / (t^${PICKETT.m} * ${sw}^${PICKETT.n})`,
+  t: [0.03, 0.4],
+  samples: 60,
+  label: `Sw = ${sw}`,
+  color: "#1565c0",
+  dash,
+});
+
+export const OVERLAY_LIBRARY = [
+  {
+    name: "Neutron-density lithology lines",
+    description: "Sandstone, limestone and dolomite lines to 40% porosity (fresh water)",
+    x: "NPHI",
+    y: "RHOB",
+    items: [
+      { type: "line", from: SANDSTONE, to: mix(SANDSTONE, 0.4), label: "Sandstone", color: "#b8860b" },
+      { type: "line", from: LIMESTONE, to: mix(LIMESTONE, 0.4), label: "Limestone", color: "#1565c0" },
+      { type: "line", from: DOLOMITE, to: mix(DOLOMITE, 0.4), label: "Dolomite", color: "#6a1b9a" },
+    ],
+  },
+  {
+    name: "Neutron-density zones",
+    description: "Gas-effect, clean-matrix and shale/heavy-mineral regions",
+    x: "NPHI",
+    y: "RHOB",
+    items: [
+      {
+        type: "polygon",
+        label: "Gas effect",
+        color: "#c62828",
+        points: [[-0.15, ND_BOTTOM], [-0.15, SANDSTONE[1]], SANDSTONE, mix(SANDSTONE, phiAtDensity(SANDSTONE, ND_BOTTOM))],
+      },
+      {
+        type: "polygon",
+        label: "Clean matrix",
+        color: "#2e7d32",
+        points: [SANDSTONE, DOLOMITE, mix(DOLOMITE, phiAtDensity(DOLOMITE, ND_BOTTOM)), mix(SANDSTONE, phiAtDensity(SANDSTONE, ND_BOTTOM))],
+      },
+      {
+        type: "polygon",
+        label: "Shale / heavy minerals",
+        color: "#6d4c41",
+        points: [DOLOMITE, [0.6, DOLOMITE[1]], [0.6, ND_BOTTOM], mix(DOLOMITE, phiAtDensity(DOLOMITE, ND_BOTTOM))],
+      },
+    ],
+  },
+  {
+    name: "Sand-shale-water triangle",
+    description: "Quartz, wet-shale and fresh-water endpoints on neutron-density",
+    x: "NPHI",
+    y: "RHOB",
+    items: [
+      { type: "polygon", label: "Sand-shale-water", color: "#00838f", fill: "none", points: [SANDSTONE, WET_SHALE, WATER] },
+      { type: "line", from: SANDSTONE, to: WET_SHALE, label: "Shale line", color: "#6d4c41", dash: "5,4" },
+    ],
+  },
+  {
+    name: "Pickett plot Sw lines",
+    description: `Archie a=${PICKETT.a}, m=${PICKETT.m}, n=${PICKETT.n}, Rw=${PICKETT.rw} ohm·m; use log axes`,
+    x: "PHIT",
+    y: "RT",
+    items: [swLine(1), swLine(0.5, "6,4"), swLine(0.25, "2,3")],
+  },
+];
@@ -0,0 +1,127 @@
+// Reference geometry drawn over the crossplot (lithology lines, Sw lines,
+// classification polygons). Overlays are JSON documents in data units:
+//
+// {
+//   "name": "Pickett plot",
+//   "description": "optional text",
+//   "x": "PHIT", "y": "RT",                    optional: intended columns
+//   "items": [
+//     { "type": "line", "from": [x, y], "to": [x, y] },
+//     { "type": "polyline", "points": [[x, y], ...] },
+//     { "type": "curve", "x": "t", "y": "0.05 / t^2", "t": [0.03, 0.4], "samples": 100 },
+//     { "type": "polygon", "points": [[x, y], ...], "label": "Sand" }
+//   ]
+// }
+//
+// Every item may also set "label", "color" and "dash" (an SVG dash array);
+// polygons may set "fill". Curve expressions use the formula language in
+// ./expression with the parameter t.
+import { compileExpression } from "./expression";
+import { pointInPolygon } from "./selection";
+
+const DEFAULT_CURVE_SAMPLES = 100;
+const MAX_CURVE_SAMPLES = 2000;
+
+function isPair(p) {
+  return Array.isArray(p) && p.length === 2 && p.every(v => typeof v === "number" && isFinite(v));
+}
+
+function pairs(value, min, what) {
+  if (!Array.isArray(value) || value.length < min || !value.every(isPair)) {
+    throw new Error(`"${what}" needs at least ${min} [x, y] number pairs`);
+  }
+  return value.map(p => [p[0], p[1]]);
+}
+
+// Samples a parametric curve; points where an expression is not a finite
+// number become null, which breaks the drawn line
+function sampleCurve(item) {
+  if (!Array.isArray(item.t) || item.t.length !== 2 || !item.t.every(v => typeof v === "number" && isFinite(v))) {
+    throw new Error('"t" must be a [start, end] number pair');
+  }
+  const fx = compileExpression(item.x ?? "t");
+  const fy = compileExpression(item.y ?? "t");
+  const unknown = [...fx.variables, ...fy.variables].find(name => name !== "t");
+  if (unknown) throw new Error(`unknown name "${unknown}" in curve (only t is defined)`);
+  const n = Math.min(MAX_CURVE_SAMPLES, Math.max(2, Math.round(item.samples || DEFAULT_CURVE_SAMPLES)));
+  const [t0, t1] = item.t;
+  const points = [];
+  for (let k = 0; k < n; k++) {
+    const t = t0 + ((t1 - t0) * k) / (n - 1);
+    const x = fx.evaluate({ t }), y = fy.evaluate({ t });
+    points.push(typeof x === "number" && typeof y === "number" && isFinite(x) && isFinite(y) ? [x, y] : null);
+  }
+  return points;
+}
+
+function normalizeItem(item, index) {
+  if (!item || typeof item !== "object") throw new Error("not an object");
+  let points;
+  if (item.type === "line") points = pairs([item.from, item.to], 2, "from/to");
+  else if (item.type === "polyline") points = pairs(item.points, 2, "points");
+  else if (item.type === "polygon") points = pairs(item.points, 3, "points");
+  else if (item.type === "curve") points = sampleCurve(item);
+  else throw new Error(`unknown type "${item.type}" (use line, polyline, curve or polygon)`);
+  const closed = item.type === "polygon";
+  return {
+    type: item.type,
+    points,
+    closed,
+    label: item.label !== undefined ? String(item.label) : closed ? `Polygon ${index + 1}` : "",
+    color: typeof item.color === "string" ? item.color : null,
+    fill: typeof item.fill === "string" ? item.fill : null,
+    dash: typeof item.dash === "string" ? item.dash : null,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function parseOverlay(definition, fallbackName = "Overlay") {
+  /** Validates an overlay definition (object or JSON text) and returns
+   *  { name, description, x, y, items: [{ type, points, closed, label, color,
+   *  fill, dash }] } with curves sampled to points. Throws an Error naming the
+   *  offending item.
+   */
+  let def = definition;
+  if (typeof def === "string") {
+    try {
+      def = JSON.parse(def);
+    } catch (err) {
+      throw new Error(`Invalid JSON: ${err.message}`);
+    }
+  }
+  if (!def || typeof def !== "object" || !Array.isArray(def.items)) {
+    throw new Error('Overlay must be an object with an "items" array');
+  }
+  const items = def.items.map((item, i) => {
+    try {
+      return normalizeItem(item, i);
+    } catch (err) {
+      throw new Error(`Item ${i + 1}: ${err.message}`);
+    }
+  });
+  return {
+    name: typeof def.name === "string" && def.name.trim() ? def.name.trim() : fallbackName,
+    description: typeof def.description === "string" ? def.description : "",
+    x: typeof def.x === "string" ? def.x : "",
+    y: typeof def.y === "string" ? def.y : "",
+    items,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function polygonClassifier(items, xScale, yScale) {
+  /** (x, y) => label of the first polygon containing the data point, or "".
+   *  Tests run in pixel space, so polygon edges are straight as drawn on log
+   *  axes too.
+   */
+  const polygons = items
+    .filter(item => item.closed)
+    .map(item => ({ label: item.label, path: item.points.map(([x, y]) => [xScale(x), yScale(y)]) }))
+    .filter(p => p.path.every(([px, py]) => isFinite(px) && isFinite(py)));
+  return (x, y) => {
+    const px = xScale(x), py = yScale(y);
+    if (!isFinite(px) || !isFinite(py)) return "";
+    const hit = polygons.find(p => pointInPolygon(px, py, p.path));
+    return hit ? hit.label : "";
+  };
+}
@@ -0,0 +1,56 @@
+import { parseOverlay, polygonClassifier } from "./overlays";
+import { OVERLAY_LIBRARY } from "./overlayLibrary";
+
+const identity = v => v;
+
+test("parses lines, polylines, curves and polygons", () => {
+  const overlay = parseOverlay(
+    JSON.stringify({
+      name: "Test",
+      items: [
+        { type: "line", from: [0, 0], to: [1, 1], label: "diag" },
+        { type: "polyline", points: [[0, 1], [1, 2], [2, 2]] },
+        { type: "curve", y: "1 / t", t: [-1, 1], samples: 3 },
+        { type: "polygon", points: [[0, 0], [1, 0], [1, 1]] },
+      ],
+    })
+  );
+  expect(overlay.name).toBe("Test");
+  expect(overlay.items.map(i => i.type)).toEqual(["line", "polyline", "curve", "polygon"]);
+  expect(overlay.items[0].points).toEqual([[0, 0], [1, 1]]);
+  // 1/0 is not finite, so the middle sample is a break
+  expect(overlay.items[2].points).toEqual([[-1, -1], null, [1, 1]]);
+  expect(overlay.items[3]).toMatchObject({ closed: true, label: "Polygon 4" });
+});
+
+test("reports the offending item", () => {
+  expect(() => parseOverlay("{")).toThrow("Invalid JSON");
+  expect(() => parseOverlay({})).toThrow('"items" array');
+  expect(() => parseOverlay({ items: [{ type: "line", from: [0, 0] }] })).toThrow("Item 1");
+  expect(() => parseOverlay({ items: [{ type: "polygon", points: [[0, 0], [1, 1]] }] })).toThrow("at least 3");
+  expect(() => parseOverlay({ items: [{ type: "curve", y: "x", t: [0, 1] }] })).toThrow('unknown name "x"');
+  expect(() => parseOverlay({ items: [{ type: "circle" }] })).toThrow('unknown type "circle"');
+});
+
+test("classifies points by the first containing polygon", () => {
+  const { items } = parseOverlay({
+    items: [
+      { type: "polygon", label: "A", points: [[0, 0], [2, 0], [2, 2], [0, 2]] },
+      { type: "polygon", label: "B", points: [[1, 1], [3, 1], [3, 3], [1, 3]] },
+    ],
+  });
+  const classify = polygonClassifier(items, identity, identity);
+  expect(classify(0.5, 0.5)).toBe("A");
+  expect(classify(1.5, 1.5)).toBe("A");
+  expect(classify(2.5, 2.5)).toBe("B");
+  expect(classify(5, 5)).toBe("");
+  expect(classify(NaN, 1)).toBe("");
+});
+
+test("built-in overlays are valid", () => {
+  for (const def of OVERLAY_LIBRARY) {
+    const overlay = parseOverlay(def);
+    expect(overlay.items.length).toBeGreaterThan(0);
+    for (const item of overlay.items) expect(item.points.every(p => p !== null)).toBe(true);
+  }
+});
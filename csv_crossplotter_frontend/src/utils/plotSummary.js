@@ -0,0 +1,63 @@
+// Text alternatives for the crossplot: a summary of the plotted points for
+// screen readers, and keyboard stepping through the points in X order with a
+// readout of the point reached.
+import { pearson } from "./statistics";
+
+const plain = v => String(+v.toPrecision(4));
+
+// PUBLIC_INTERFACE
+export function describePlot({ points, xLabel, yLabel, hidden = 0, format = plain }) {
+  /** One-paragraph summary of the points ({ x, y }): count, how many rows
+   *  are not shown, X and Y ranges and the Pearson correlation.
+   */
+  const head = `Crossplot of ${yLabel} against ${xLabel}`;
+  const notShown = hidden ? `, ${hidden} not shown` : "";
+  if (!points.length) return `${head}: no points${notShown}.`;
+  let x0 = Infinity, x1 = -Infinity, y0 = Infinity, y1 = -Infinity;
+  for (const { x, y } of points) {
+    if (x < x0) x0 = x;
+    if (x > x1) x1 = x;
+    if (y < y0) y0 = y;
+    if (y > y1) y1 = y;
+  }
+  const { r } = pearson(
+    points.map(d => d.x),
+    points.map(d => d.y)
+  );
+  const correlation = Number.isFinite(r) ? `Pearson correlation r = ${r.toFixed(2)}.` : "Too few points for a correlation.";
+  return (
+    `${head}: ${points.length} point${points.length === 1 ? "" : "s"}${notShown}. ` +
+    `${xLabel} ranges from ${format(x0)} to ${format(x1)}; ${yLabel} from ${format(y0)} to ${format(y1)}. ` +
+    correlation
+  );
+}
+
+// PUBLIC_INTERFACE
+export function orderByX(points) {
+  /** The points sorted by X, then Y, for keyboard stepping */
+  return [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+}
+
+// PUBLIC_INTERFACE
+export function stepPoint(ordered, row, step) {
+  /** Position in ordered after moving from the point of row index row by
+   *  step (a number, "first" or "last"); -1 when there are no points. From a
+   *  row not in the list, forward steps start at the first point and
+   *  backward ones at the last. Steps stop at either end.
+   */
+  if (!ordered.length) return -1;
+  if (step === "first") return 0;
+  if (step === "last") return ordered.length - 1;
+  const at = row === null ? -1 : ordered.findIndex(d => d.idx === row);
+  if (at === -1) return step > 0 ? 0 : ordered.length - 1;
+  return Math.max(0, Math.min(ordered.length - 1, at + step));
+}
+
+// PUBLIC_INTERFACE
+export function describePoint(d, { position, count, xLabel, yLabel, details = [], format = plain }) {
+  /** Readout of one point: its place in X order, row number, X and Y, then
+   *  details ([label, text] pairs such as the colour column or a note)
+   */
+  const parts = [`${xLabel} ${format(d.x)}`, `${yLabel} ${format(d.y)}`, ...details.map(([label, text]) => `${label} ${text}`)];
+  return `Point ${position + 1} of ${count}, row ${d.idx + 1}: ${parts.join(", ")}`;
+}
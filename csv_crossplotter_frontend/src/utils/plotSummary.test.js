@@ -0,0 +1,32 @@
+import { describePlot, orderByX, stepPoint, describePoint } from "./plotSummary";
+
+const points = [
+  { x: 85, y: 60, idx: 1 },
+  { x: 80, y: 55, idx: 0 },
+  { x: 88, y: 75, idx: 2 },
+  { x: 80, y: 50, idx: 4 },
+];
+
+test("summary gives count, ranges and correlation", () => {
+  expect(describePlot({ points, xLabel: "GR (API)", yLabel: "RES", hidden: 1 })).toBe(
+    "Crossplot of RES against GR (API): 4 points, 1 not shown. GR (API) ranges from 80 to 88; RES from 50 to 75. " +
+      "Pearson correlation r = 0.94."
+  );
+  expect(describePlot({ points: points.slice(0, 1), xLabel: "A", yLabel: "B" })).toMatch(/1 point\. .*Too few points/);
+  expect(describePlot({ points: [], xLabel: "A", yLabel: "B", hidden: 3 })).toBe("Crossplot of B against A: no points, 3 not shown.");
+});
+
+test("stepping through points in X order", () => {
+  const ordered = orderByX(points);
+  expect(ordered.map(d => d.idx)).toEqual([4, 0, 1, 2]);
+  expect(stepPoint(ordered, null, 1)).toBe(0);
+  expect(stepPoint(ordered, null, -1)).toBe(3);
+  expect(stepPoint(ordered, 0, 1)).toBe(2);
+  expect(stepPoint(ordered, 0, 10)).toBe(3);
+  expect(stepPoint(ordered, 1, -10)).toBe(0);
+  expect(stepPoint(ordered, 1, "last")).toBe(3);
+  expect(stepPoint([], 1, 1)).toBe(-1);
+  expect(
+    describePoint(ordered[1], { position: 1, count: 4, xLabel: "GR", yLabel: "RES", details: [["Note", "washout"]] })
+  ).toBe("Point 2 of 4, row 1: GR 80, RES 55, Note washout");
+});
@@ -0,0 +1,173 @@
+// Column profiling after parsing: null sentinels and inferred column types.
+// Each loaded file has a comma-separated list of null values (detected from
+// COMMON_NULL_VALUES when it loads, editable afterwards); cells matching one
+// are blanked before anything is plotted. Numeric null values match
+// numerically ("-999.250" is -999.25), text ones ignoring case.
+
+// Sentinels detected automatically when a file contains them
+export const COMMON_NULL_VALUES = ["-999.25", "-999", "-9999", "-99999", "NA", "N/A", "NaN", "null", "None", "#N/A"];
+
+// Types a column can be inferred as, with their display names
+export const COLUMN_TYPES = {
+  integer: "integer",
+  numeric: "numeric",
+  datetime: "date/time",
+  categorical: "categorical",
+  text: "text",
+  empty: "empty",
+};
+
+// Types that can go on a plot axis
+export const NUMERIC_TYPES = ["integer", "numeric"];
+
+// A column with at most this many distinct values, some of them repeated,
+// is categorical rather than free text
+const MAX_CATEGORIES = 50;
+// Share of the present values that must be dates for a date/time column
+const DATE_SHARE = 0.9;
+const INVALID_EXAMPLES = 3;
+
+const DATE_RE =
+  /^(\d{4}-\d{1,2}-\d{1,2}([ T]\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?)?(Z|[+-]\d{2}:?\d{2})?|\d{1,2}[/.]\d{1,2}[/.]\d{2,4}( \d{1,2}:\d{2}(:\d{2})?)?|\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?)$/;
+
+const isBlank = v => v === undefined || v === null || String(v).trim() === "";
+
+// PUBLIC_INTERFACE
+export function parseNullValues(text) {
+  /** Null value tokens from a comma- or semicolon-separated list */
+  return String(text || "")
+    .split(/[,;]/)
+    .map(t => t.trim())
+    .filter(Boolean);
+}
+
+// PUBLIC_INTERFACE
+export function nullMatcher(text) {
+  /** Predicate for cells matching the null value list, or null when the list
+   *  is empty
+   */
+  const tokens = parseNullValues(text);
+  if (!tokens.length) return null;
+  const numbers = new Set(tokens.map(Number).filter(n => !isNaN(n)));
+  const words = new Set(tokens.filter(t => isNaN(Number(t))).map(t => t.toLowerCase()));
+  return value => {
+    if (isBlank(value)) return false;
+    const text = String(value).trim();
+    const num = Number(text);
+    return isNaN(num) ? words.has(text.toLowerCase()) : numbers.has(num);
+  };
+}
+
+// Matching key of a null value or cell: the number, or the lower-case text
+const nullKey = text => (isNaN(Number(text)) ? text.toLowerCase() : String(Number(text)));
+
+// PUBLIC_INTERFACE
+export function detectNullValues(rows) {
+  /** The COMMON_NULL_VALUES present in rows, as a null value list */
+  const isCommon = nullMatcher(COMMON_NULL_VALUES.join(","));
+  const found = new Set();
+  for (const row of rows) {
+    for (const value of row) {
+      if (isCommon(value)) found.add(nullKey(String(value).trim()));
+    }
+  }
+  return COMMON_NULL_VALUES.filter(token => found.has(nullKey(token))).join(", ");
+}
+
+// PUBLIC_INTERFACE
+export function applyNullValues(rows, blocks) {
+  /** Blanks the null values of each row block { start, count, nulls }.
+   *  Returns { rows, replaced } where replaced[c] counts blanked cells per
+   *  column. Rows without nulls (and the whole array, if nothing matched) are
+   *  shared with the input.
+   */
+  const replaced = [];
+  let out = rows;
+  for (const { start, count, nulls } of blocks) {
+    const matches = nullMatcher(nulls);
+    if (!matches) continue;
+    for (let i = start; i < Math.min(rows.length, start + count); i++) {
+      let row = null;
+      rows[i].forEach((value, c) => {
+        if (!matches(value)) return;
+        if (!row) row = [...rows[i]];
+        row[c] = "";
+        replaced[c] = (replaced[c] || 0) + 1;
+      });
+      if (!row) continue;
+      if (out === rows) out = [...rows];
+      out[i] = row;
+    }
+  }
+  return { rows: out, replaced };
+}
+
+// PUBLIC_INTERFACE
+export function profileColumns(headers, rows, replaced = []) {
+  /** Per-column profile: { name, type, present, missing, nulls, invalid,
+   *  invalidExamples, distinct }. Columns where most present values are
+   *  numbers are numeric (or integer); their other values are counted as
+   *  invalid. nulls is the number of cells blanked as null values (replaced,
+   *  from applyNullValues) and is included in missing.
+   */
+  return headers.map((name, c) => {
+    let present = 0, numbers = 0, integers = 0, dates = 0;
+    const distinct = new Set();
+    const nonNumeric = new Map();
+    for (const row of rows) {
+      const value = row[c];
+      if (isBlank(value)) continue;
+      present++;
+      const text = String(value).trim();
+      if (distinct.size <= MAX_CATEGORIES) distinct.add(text);
+      const num = Number(text);
+      if (isNaN(num)) {
+        nonNumeric.set(text, (nonNumeric.get(text) || 0) + 1);
+        if (DATE_RE.test(text)) dates++;
+      } else {
+        numbers++;
+        if (Number.isInteger(num)) integers++;
+      }
+    }
+    let type;
+    if (!present) type = "empty";
+    else if (numbers > present / 2) type = integers === numbers ? "integer" : "numeric";
+    else if (dates >= present * DATE_SHARE) type = "datetime";
+    else if (distinct.size <= MAX_CATEGORIES && distinct.size < present) type = "categorical";
+    else type = "text";
+    const numeric = NUMERIC_TYPES.includes(type);
+    return {
+      name,
+      type,
+      present,
+      missing: rows.length - present,
+      nulls: replaced[c] || 0,
+      invalid: numeric ? present - numbers : 0,
+      invalidExamples: numeric ? [...nonNumeric.keys()].slice(0, INVALID_EXAMPLES) : [],
+      distinct: distinct.size > MAX_CATEGORIES ? null : distinct.size, // null: more than MAX_CATEGORIES
+    };
+  });
+}
+
+// PUBLIC_INTERFACE
+export function describeColumnProblem(profile) {
+  /** Why a column cannot be plotted on a numeric axis, or "" if it can */
+  if (!profile) return "";
+  const { name, type, missing } = profile;
+  if (type === "empty") return `${name} has no values (all ${missing} rows are blank or null values).`;
+  if (!NUMERIC_TYPES.includes(type)) {
+    const distinct = profile.distinct === null ? "" : ` with ${profile.distinct} distinct values`;
+    return `${name} is a ${COLUMN_TYPES[type]} column${distinct}, not numbers.`;
+  }
+  return "";
+}
+
+// PUBLIC_INTERFACE
+export function describeInvalidValues(profile) {
+  /** Note on a numeric column's unparsable values, or "" if there are none */
+  if (!profile || !profile.invalid) return "";
+  const examples = profile.invalidExamples.map(v => `"${v}"`).join(", ");
+  return `${profile.name} has ${profile.invalid} ${profile.invalid === 1 ? "value" : "values"} that ${
+    profile.invalid === 1 ? "is" : "are"
+  } not a number (${examples}); add them to the file's null values if they mean missing.`;
+}
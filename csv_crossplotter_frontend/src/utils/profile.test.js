@@ -0,0 +1,49 @@
+import {
+  parseNullValues,
+  nullMatcher,
+  detectNullValues,
+  applyNullValues,
+  profileColumns,
+  describeColumnProblem,
+  describeInvalidValues,
+} from "./profile";
+
+test("null value lists match numerically or ignoring case", () => {
+  expect(parseNullValues(" -999.25, NA;;x ")).toEqual(["-999.25", "NA", "x"]);
+  const isNull = nullMatcher("-999.25, na");
+  expect(["-999.250", "NA", " na ", "-999", "", "5"].map(isNull)).toEqual([true, true, true, false, false, false]);
+  expect(nullMatcher(" , ")).toBeNull();
+  expect(detectNullValues([["1", "-9999"], ["N/A", "2"]])).toBe("-9999, N/A");
+  expect(detectNullValues([["1", "2"]])).toBe("");
+});
+
+test("null values are blanked per row block", () => {
+  const rows = [["1", "-999.25"], ["2", "3"], ["-999.25", "NA"]];
+  const { rows: clean, replaced } = applyNullValues(rows, [
+    { start: 0, count: 2, nulls: "-999.25" },
+    { start: 2, count: 1, nulls: "NA" },
+  ]);
+  expect(clean).toEqual([["1", ""], ["2", "3"], ["-999.25", ""]]);
+  expect(clean[1]).toBe(rows[1]);
+  expect(rows[0][1]).toBe("-999.25");
+  expect(replaced).toEqual([undefined, 2]);
+  expect(applyNullValues(rows, [{ start: 0, count: 3, nulls: "" }]).rows).toBe(rows);
+});
+
+test("column types, missing and invalid counts", () => {
+  const headers = ["ID", "GR", "FACIES", "DATE", "NOTE", "EMPTY"];
+  const rows = [
+    ["1", "80.5", "sand", "2024-01-05", "first", ""],
+    ["2", "bad", "shale", "2024-01-06 10:30", "second", ""],
+    ["3", "", "sand", "05/01/2024", "third", ""],
+    ["4", "75", "sand", "", "fourth", ""],
+  ];
+  const profiles = profileColumns(headers, rows, [0, 1]);
+  expect(profiles.map(p => p.type)).toEqual(["integer", "numeric", "categorical", "datetime", "text", "empty"]);
+  expect(profiles[1]).toMatchObject({ present: 3, missing: 1, nulls: 1, invalid: 1, invalidExamples: ["bad"] });
+  expect(profiles[2].distinct).toBe(2);
+  expect(describeColumnProblem(profiles[1])).toBe("");
+  expect(describeColumnProblem(profiles[2])).toBe("FACIES is a categorical column with 2 distinct values, not numbers.");
+  expect(describeColumnProblem(profiles[5])).toBe("EMPTY has no values (all 4 rows are blank or null values).");
+  expect(describeInvalidValues(profiles[1])).toMatch(/^GR has 1 value that is not a number \("bad"\)/);
+});
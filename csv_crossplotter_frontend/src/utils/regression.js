@@ -0,0 +1,200 @@
+// Trend-line fitting for crossplots: linear, polynomial, power, exponential
+// and logarithmic models. Power/exponential/logarithmic models are fitted as
+// straight lines in transformed space; goodness of fit (R², RMSE) is always
+// reported against the untransformed y values.
+
+export const FIT_MODELS = {
+  linear: "Linear",
+  polynomial: "Polynomial",
+  power: "Power",
+  exponential: "Exponential",
+  logarithmic: "Logarithmic",
+};
+
+// Models whose straight-line form can use reduced-major-axis regression
+export const RMA_MODELS = ["linear", "power", "exponential", "logarithmic"];
+
+// Straight-line form of each model: how x and y are transformed before
+// fitting y' = a' + b·x', and how a' maps back to the reported coefficient a
+const LINEARIZED = {
+  linear: { fx: x => x, fy: y => y, validX: () => true, validY: () => true, a: a => a },
+  power: { fx: Math.log, fy: Math.log, validX: x => x > 0, validY: y => y > 0, a: Math.exp },
+  exponential: { fx: x => x, fy: Math.log, validX: () => true, validY: y => y > 0, a: Math.exp },
+  logarithmic: { fx: Math.log, fy: y => y, validX: x => x > 0, validY: () => true, a: a => a },
+};
+
+const PREDICT = {
+  linear: ([a, b]) => x => a + b * x,
+  power: ([a, b]) => x => a * Math.pow(x, b),
+  exponential: ([a, b]) => x => a * Math.exp(b * x),
+  logarithmic: ([a, b]) => x => a + b * Math.log(x),
+};
+
+// PUBLIC_INTERFACE
+export function formatCoefficient(v) {
+  /** Four significant digits, without trailing zeros */
+  if (!isFinite(v)) return String(v);
+  const a = Math.abs(v);
+  return a !== 0 && (a >= 1e5 || a < 1e-3) ? v.toExponential(3) : String(Number(v.toPrecision(4)));
+}
+
+// Signed term for equations: " + 1.2·x" / " − 1.2·x"
+const term = (v, suffix) => `${v < 0 ? " − " : " + "}${formatCoefficient(Math.abs(v))}${suffix}`;
+
+function mean(values) {
+  let s = 0;
+  for (const v of values) s += v;
+  return s / values.length;
+}
+
+// Straight line through (xs, ys) by ordinary least squares or reduced major axis
+function lineFit(xs, ys, method) {
+  const mx = mean(xs), my = mean(ys);
+  let sxx = 0, syy = 0, sxy = 0;
+  for (let i = 0; i < xs.length; i++) {
+    const dx = xs[i] - mx, dy = ys[i] - my;
+    sxx += dx * dx;
+    syy += dy * dy;
+    sxy += dx * dy;
+  }
+  if (sxx === 0) throw new Error("x values are all equal");
+  const b = method === "rma"
+    ? Math.sign(sxy || 1) * Math.sqrt(syy / sxx)
+    : sxy / sxx;
+  return [my - b * mx, b];
+}
+
+// Solves A·x = b in place by Gaussian elimination with partial pivoting
+function solve(A, b) {
+  const n = b.length;
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) if (Math.abs(A[r][col]) > Math.abs(A[pivot][col])) pivot = r;
+    if (Math.abs(A[pivot][col]) < 1e-12) throw new Error("Not enough distinct x values for this degree");
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+    [b[col], b[pivot]] = [b[pivot], b[col]];
+    for (let r = col + 1; r < n; r++) {
+      const f = A[r][col] / A[col][col];
+      for (let c = col; c < n; c++) A[r][c] -= f * A[col][c];
+      b[r] -= f * b[col];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let s = b[r];
+    for (let c = r + 1; c < n; c++) s -= A[r][c] * x[c];
+    x[r] = s / A[r][r];
+  }
+  return x;
+}
+
+const binomial = (n, k) => {
+  let r = 1;
+  for (let i = 1; i <= k; i++) r = (r * (n - k + i)) / i;
+  return r;
+};
+
+// Least-squares polynomial. Fitted on standardized x for conditioning, then
+// expanded back to coefficients of raw x for display.
+function polynomialFit(xs, ys, degree) {
+  const m = mean(xs);
+  const s = Math.sqrt(mean(xs.map(x => (x - m) * (x - m)))) || 1;
+  const ts = xs.map(x => (x - m) / s);
+  const n = degree + 1;
+  const A = Array.from({ length: n }, () => new Array(n).fill(0));
+  const b = new Array(n).fill(0);
+  for (let i = 0; i < ts.length; i++) {
+    const powers = [1];
+    for (let k = 1; k < 2 * n; k++) powers.push(powers[k - 1] * ts[i]);
+    for (let r = 0; r < n; r++) {
+      b[r] += powers[r] * ys[i];
+      for (let c = 0; c < n; c++) A[r][c] += powers[r + c];
+    }
+  }
+  const scaled = solve(A, b);
+  const predict = x => {
+    const t = (x - m) / s;
+    let y = 0;
+    for (let k = n - 1; k >= 0; k--) y = y * t + scaled[k];
+    return y;
+  };
+  // p(x) = Σ c_k ((x - m)/s)^k = Σ_j x^j Σ_{k>=j} c_k C(k, j) (-m)^(k-j) / s^k
+  const raw = new Array(n).fill(0);
+  for (let k = 0; k < n; k++) {
+    for (let j = 0; j <= k; j++) {
+      raw[j] += (scaled[k] * binomial(k, j) * Math.pow(-m, k - j)) / Math.pow(s, k);
+    }
+  }
+  return { raw, predict };
+}
+
+// PUBLIC_INTERFACE
+export function fitModel(points, { model = "linear", degree = 2, method = "ols" } = {}) {
+  /** Fits a trend model to points ({ x, y }). Returns
+   *  { model, method, degree, coefficients: [{ name, value }], predict(x),
+   *    equation, r2, rmse, n, skipped } where skipped counts points outside the
+   *  model's domain (e.g. x <= 0 for power). Throws when the fit is impossible.
+   */
+  let usable = points;
+  let coefficients, predict, equation;
+
+  if (model === "polynomial") {
+    if (points.length <= degree) throw new Error(`Need more than ${degree} points`);
+    const fit = polynomialFit(points.map(p => p.x), points.map(p => p.y), degree);
+    predict = fit.predict;
+    coefficients = fit.raw.map((value, k) => ({ name: `c${k}`, value }));
+    equation =
+      "y = " +
+      formatCoefficient(fit.raw[0]) +
+      fit.raw.slice(1).map((c, i) => term(c, i === 0 ? "·x" : `·x^${i + 1}`)).join("");
+  } else {
+    const lin = LINEARIZED[model];
+    if (!lin) throw new Error(`Unknown model "${model}"`);
+    usable = points.filter(p => lin.validX(p.x) && lin.validY(p.y));
+    if (usable.length < 2) throw new Error("Need at least two points in the model's domain");
+    const [a0, b] = lineFit(usable.map(p => lin.fx(p.x)), usable.map(p => lin.fy(p.y)), RMA_MODELS.includes(model) ? method : "ols");
+    const a = lin.a(a0);
+    coefficients = [{ name: "a", value: a }, { name: "b", value: b }];
+    predict = PREDICT[model]([a, b]);
+    equation = {
+      linear: `y = ${formatCoefficient(a)}${term(b, "·x")}`,
+      power: `y = ${formatCoefficient(a)}·x^${formatCoefficient(b)}`,
+      exponential: `y = ${formatCoefficient(a)}·e^(${formatCoefficient(b)}·x)`,
+      logarithmic: `y = ${formatCoefficient(a)}${term(b, "·ln(x)")}`,
+    }[model];
+  }
+
+  const my = mean(usable.map(p => p.y));
+  let ssRes = 0, ssTot = 0;
+  for (const p of usable) {
+    const r = p.y - predict(p.x);
+    ssRes += r * r;
+    ssTot += (p.y - my) * (p.y - my);
+  }
+  return {
+    model,
+    method: model === "polynomial" ? "ols" : method,
+    degree: model === "polynomial" ? degree : 1,
+    coefficients,
+    predict,
+    equation,
+    r2: ssTot ? 1 - ssRes / ssTot : 1,
+    rmse: Math.sqrt(ssRes / usable.length),
+    n: usable.length,
+    skipped: points.length - usable.length,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function coefficientsText(fit) {
+  /** Tab-separated coefficient listing for pasting into a spreadsheet */
+  const header = `${FIT_MODELS[fit.model]}${fit.model === "polynomial" ? ` (degree ${fit.degree})` : ""} ${fit.method.toUpperCase()}`;
+  return [
+    header,
+    fit.equation,
+    ...fit.coefficients.map(c => `${c.name}\t${c.value}`),
+    `R2\t${fit.r2}`,
+    `RMSE\t${fit.rmse}`,
+    `n\t${fit.n}`,
+  ].join("\n");
+}
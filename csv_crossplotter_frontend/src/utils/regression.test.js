@@ -0,0 +1,52 @@
+import { fitModel, coefficientsText, formatCoefficient } from "./regression";
+
+const pts = f => [1, 2, 3, 4, 5, 6].map(x => ({ x, y: f(x) }));
+
+test("linear OLS recovers an exact line", () => {
+  const fit = fitModel(pts(x => 2 + 3 * x));
+  expect(fit.coefficients[0].value).toBeCloseTo(2);
+  expect(fit.coefficients[1].value).toBeCloseTo(3);
+  expect(fit.r2).toBeCloseTo(1);
+  expect(fit.rmse).toBeCloseTo(0);
+  expect(fit.equation).toBe("y = 2 + 3·x");
+});
+
+test("reduced major axis slope is sd(y)/sd(x) with the sign of r", () => {
+  const data = [{ x: 0, y: 1 }, { x: 1, y: 0 }, { x: 2, y: 3 }, { x: 3, y: 2 }];
+  const ols = fitModel(data);
+  const rma = fitModel(data, { method: "rma" });
+  expect(ols.coefficients[1].value).toBeCloseTo(0.6);
+  expect(rma.coefficients[1].value).toBeCloseTo(1);
+  expect(rma.method).toBe("rma");
+});
+
+test("polynomial fit works on offset x such as depth", () => {
+  const data = [0, 1, 2, 3, 4, 5, 6].map(i => {
+    const x = 1000 + i;
+    return { x, y: 1 - 0.5 * (x - 1000) + 0.25 * (x - 1000) ** 2 };
+  });
+  const fit = fitModel(data, { model: "polynomial", degree: 2 });
+  expect(fit.r2).toBeCloseTo(1);
+  expect(fit.predict(1010)).toBeCloseTo(1 - 5 + 25);
+  // Raw coefficients evaluate to the same curve
+  const [c0, c1, c2] = fit.coefficients.map(c => c.value);
+  expect(c0 + c1 * 1003 + c2 * 1003 * 1003).toBeCloseTo(fit.predict(1003), 4);
+  expect(() => fitModel(data.slice(0, 2), { model: "polynomial", degree: 2 })).toThrow();
+});
+
+test("power, exponential and logarithmic models", () => {
+  const power = fitModel(pts(x => 2 * Math.pow(x, 1.5)), { model: "power" });
+  expect(power.coefficients.map(c => c.value)).toEqual([expect.closeTo(2), expect.closeTo(1.5)]);
+  const exp = fitModel(pts(x => 3 * Math.exp(0.2 * x)), { model: "exponential" });
+  expect(exp.coefficients[1].value).toBeCloseTo(0.2);
+  const log = fitModel([...pts(x => 1 + 2 * Math.log(x)), { x: -1, y: 0 }], { model: "logarithmic" });
+  expect(log.coefficients[1].value).toBeCloseTo(2);
+  expect(log.skipped).toBe(1);
+});
+
+test("coefficient text and number formatting", () => {
+  const fit = fitModel(pts(x => 2 + 3 * x));
+  expect(coefficientsText(fit).split("\n").slice(0, 2)).toEqual(["Linear OLS", "y = 2 + 3·x"]);
+  expect(formatCoefficient(0.000012345)).toBe("1.234e-5");
+  expect(formatCoefficient(-1.23456)).toBe("-1.235");
+});
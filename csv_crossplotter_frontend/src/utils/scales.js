@@ -0,0 +1,170 @@
+// Data -> pixel mapping for the crossplot. The view box { xmin, xmax, ymin, ymax }
+// holds the visible data domain; these helpers turn it into d3 scales over the
+// plot area inside the axis margins, with y increasing upwards unless the axis
+// is reversed. Per-axis settings select a linear or log10 scale.
+import { scaleLinear, scaleLog } from "d3-scale";
+
+// Space around the plot area for tick labels and axis titles, in pixels
+export const PLOT_MARGIN = { top: 14, right: 18, bottom: 48, left: 64 };
+
+// Per-axis settings. min/max are the raw input strings; "" means automatic.
+export const DEFAULT_AXIS = { scale: "linear", reversed: false, min: "", max: "" };
+
+// Curves conventionally shown on a log axis (resistivities, permeability)
+const LOG_CURVE_RE = /^(RES|RT|RD|RS|RM|RXO|ILD|ILM|IND|LLD|LLS|MSFL|MLL|SFL|AT\d+|PERM|K)\b/i;
+const DEPTH_CURVE_RE = /^(DEPT|DEPTH|MD|TVD|TVDSS)\b/i;
+
+// Forward/inverse value transforms of each scale type
+export const AXIS_TRANSFORMS = {
+  linear: { forward: v => v, inverse: v => v, valid: v => isFinite(v) },
+  log: { forward: v => Math.log10(v), inverse: v => Math.pow(10, v), valid: v => v > 0 },
+};
+
+// PUBLIC_INTERFACE
+export function defaultAxisSettings(column, unit, axis) {
+  /** Initial settings for a newly selected column: log10 for resistivity-like
+   *  curves, and depth increasing downwards when shown on the Y axis.
+   */
+  const name = column || "";
+  return {
+    ...DEFAULT_AXIS,
+    scale: LOG_CURVE_RE.test(name) || /ohm/i.test(unit || "") ? "log" : "linear",
+    reversed: axis === "y" && DEPTH_CURVE_RE.test(name),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function manualBound(settings, key) {
+  /** The user-entered min or max of an axis as a number, or null when unset
+   *  or not valid for the axis scale.
+   */
+  const raw = settings[key];
+  if (raw === "" || raw === undefined || raw === null) return null;
+  const value = Number(raw);
+  return AXIS_TRANSFORMS[settings.scale].valid(value) ? value : null;
+}
+
+// PUBLIC_INTERFACE
+export function plotArea(width, height, margin = PLOT_MARGIN) {
+  /** Pixel rectangle of the plot area: { left, top, right, bottom, width, height } */
+  const left = margin.left;
+  const top = margin.top;
+  const right = Math.max(left + 1, width - margin.right);
+  const bottom = Math.max(top + 1, height - margin.bottom);
+  return { left, top, right, bottom, width: right - left, height: bottom - top };
+}
+
+function axisScale(settings, domain, range) {
+  const scale = settings.scale === "log" ? scaleLog() : scaleLinear();
+  return scale
+    .domain(domain)
+    .range(settings.reversed ? [range[1], range[0]] : range);
+}
+
+// PUBLIC_INTERFACE
+export function createScales(viewBox, area, axes = { x: DEFAULT_AXIS, y: DEFAULT_AXIS }) {
+  /** d3 scales mapping the view box onto the plot area. Returns { x, y }. */
+  return {
+    x: axisScale(axes.x, [viewBox.xmin, viewBox.xmax], [area.left, area.right]),
+    y: axisScale(axes.y, [viewBox.ymin, viewBox.ymax], [area.bottom, area.top]),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function panDomain(scale, deltaPx) {
+  /** Domain after dragging the content by deltaPx pixels along the scale's
+   *  range. Works in the scale's own space, so log and reversed axes pan evenly.
+   */
+  const [r0, r1] = scale.range();
+  return [scale.invert(r0 - deltaPx), scale.invert(r1 - deltaPx)];
+}
+
+// PUBLIC_INTERFACE
+export function zoomDomain(scale, anchorPx, factor) {
+  /** Domain after zooming by factor (<1 zooms in) around the pixel anchorPx,
+   *  which keeps the same data value under it.
+   */
+  const [r0, r1] = scale.range();
+  return [
+    scale.invert(anchorPx + (r0 - anchorPx) * factor),
+    scale.invert(anchorPx + (r1 - anchorPx) * factor),
+  ];
+}
+
+// PUBLIC_INTERFACE
+export function boxDomain(scale, fromPx, toPx) {
+  /** Domain spanning the pixel interval between fromPx and toPx (either
+   *  order), oriented like the current one so reversed axes stay reversed.
+   */
+  const [r0, r1] = scale.range();
+  const lo = Math.min(fromPx, toPx), hi = Math.max(fromPx, toPx);
+  return r0 <= r1 ? [scale.invert(lo), scale.invert(hi)] : [scale.invert(hi), scale.invert(lo)];
+}
+
+// PUBLIC_INTERFACE
+export function pinchDomain(scale, fromPx, toPx, factor) {
+  /** Domain after a touch gesture whose centre moved from fromPx to toPx
+   *  while the finger spread grew by factor (>1 zooms in). Scale is the one
+   *  at the start of the gesture; factor 1 is a plain pan.
+   */
+  const [r0, r1] = scale.range();
+  return [scale.invert(fromPx + (r0 - toPx) / factor), scale.invert(fromPx + (r1 - toPx) / factor)];
+}
+
+// PUBLIC_INTERFACE
+export function tickCount(pixels, spacing) {
+  /** Number of ticks to request for an axis of the given pixel length */
+  return Math.max(2, Math.round(pixels / spacing));
+}
+
+// Pixels beyond the plot area that curve vertices are clamped to, so steep
+// curves stay finite in SVG paths (the plot clip hides the overshoot)
+const CURVE_OVERSHOOT_PX = 2000;
+
+// PUBLIC_INTERFACE
+export function functionPath(f, xScale, yScale, stepPx = 2) {
+  /** SVG path data for y = f(x) sampled every stepPx pixels across the x
+   *  range. The path breaks wherever f is undefined or off the y scale
+   *  (e.g. non-positive values on a log axis).
+   */
+  const [r0, r1] = xScale.range();
+  const [left, right] = [Math.min(r0, r1), Math.max(r0, r1)];
+  const [yLo, yHi] = yScale.range().slice().sort((a, b) => a - b);
+  let d = "";
+  let pen = false;
+  for (let px = left; px <= right + stepPx / 2; px += stepPx) {
+    const x = Math.min(px, right);
+    const py = yScale(f(xScale.invert(x)));
+    if (!isFinite(py)) {
+      pen = false;
+      continue;
+    }
+    const cy = Math.max(yLo - CURVE_OVERSHOOT_PX, Math.min(yHi + CURVE_OVERSHOOT_PX, py));
+    d += `${pen ? "L" : "M"}${x.toFixed(1)},${cy.toFixed(1)}`;
+    pen = true;
+  }
+  return d;
+}
+
+// PUBLIC_INTERFACE
+export function polylinePath(points, xScale, yScale, closed = false) {
+  /** SVG path data through data-space vertices ([x, y] or null). The path
+   *  breaks at null vertices and at vertices the scales cannot place; it is
+   *  closed only when every vertex is drawable.
+   */
+  let d = "";
+  let pen = false;
+  let complete = true;
+  for (const p of points) {
+    const px = p ? xScale(p[0]) : NaN;
+    const py = p ? yScale(p[1]) : NaN;
+    if (!isFinite(px) || !isFinite(py)) {
+      pen = false;
+      complete = false;
+      continue;
+    }
+    d += `${pen ? "L" : "M"}${px.toFixed(1)},${py.toFixed(1)}`;
+    pen = true;
+  }
+  return closed && complete && d ? d + "Z" : d;
+}
@@ -0,0 +1,97 @@
+import {
+  plotArea,
+  createScales,
+  panDomain,
+  zoomDomain,
+  boxDomain,
+  pinchDomain,
+  defaultAxisSettings,
+  manualBound,
+  functionPath,
+  polylinePath,
+  DEFAULT_AXIS,
+  PLOT_MARGIN,
+} from "./scales";
+
+test("plot area sits inside the axis margins", () => {
+  const area = plotArea(500, 320);
+  expect(area).toMatchObject({
+    left: PLOT_MARGIN.left,
+    top: PLOT_MARGIN.top,
+    right: 500 - PLOT_MARGIN.right,
+    bottom: 320 - PLOT_MARGIN.bottom,
+  });
+});
+
+test("y increases upwards and ticks are round numbers", () => {
+  const area = plotArea(500, 320);
+  const { x, y } = createScales({ xmin: 0.13, xmax: 9.87, ymin: 1000, ymax: 1100 }, area);
+  expect(y(1000)).toBe(area.bottom);
+  expect(y(1100)).toBe(area.top);
+  expect(x(0.13)).toBe(area.left);
+  expect(x.ticks(5)).toEqual([2, 4, 6, 8]);
+});
+
+test("log and reversed axes zoom and pan in scale space", () => {
+  const area = plotArea(500, 320);
+  const axes = { x: { ...DEFAULT_AXIS, scale: "log" }, y: { ...DEFAULT_AXIS, reversed: true } };
+  const { x, y } = createScales({ xmin: 1, xmax: 1000, ymin: 1000, ymax: 1100 }, area, axes);
+  expect(x(10)).toBeCloseTo(area.left + area.width / 3);
+  // Reversed y: the minimum is drawn at the top
+  expect(y(1000)).toBe(area.top);
+  // Panning by a third of the width shifts the log domain by one decade
+  const [x0, x1] = panDomain(x, -area.width / 3);
+  expect(x0).toBeCloseTo(10);
+  expect(x1).toBeCloseTo(10000);
+  // Zooming keeps the value under the anchor in place
+  const [z0, z1] = zoomDomain(x, x(10), 0.5);
+  expect(Math.log10(z0)).toBeCloseTo(0.5);
+  expect(Math.log10(z1)).toBeCloseTo(2);
+});
+
+test("box zoom and touch gestures keep the axis orientation", () => {
+  const area = plotArea(500, 320);
+  const { x, y } = createScales({ xmin: 1000, xmax: 1100, ymin: 0, ymax: 10 }, area);
+  const [x0, x1] = boxDomain(x, x(1080), x(1020));
+  expect(x0).toBeCloseTo(1020);
+  expect(x1).toBeCloseTo(1080);
+  // y pixels grow downwards, the domain stays bottom-to-top
+  const [y0, y1] = boxDomain(y, y(2), y(4));
+  expect(y0).toBeCloseTo(2);
+  expect(y1).toBeCloseTo(4);
+  // Spreading the fingers 2x around x(1050) halves the range around it
+  const [p0, p1] = pinchDomain(x, x(1050), x(1050), 2);
+  expect(p0).toBeCloseTo(1025);
+  expect(p1).toBeCloseTo(1075);
+  // Moving the centre without spreading pans with the fingers
+  const [q0, q1] = pinchDomain(x, x(1050), x(1060), 1);
+  expect(q0).toBeCloseTo(990);
+  expect(q1).toBeCloseTo(1090);
+});
+
+test("default axis settings and manual bounds", () => {
+  expect(defaultAxisSettings("RES", "", "x").scale).toBe("log");
+  expect(defaultAxisSettings("GR", "ohmm", "x").scale).toBe("log");
+  expect(defaultAxisSettings("Depth", "m", "y").reversed).toBe(true);
+  expect(defaultAxisSettings("Depth", "m", "x").reversed).toBe(false);
+  expect(manualBound({ ...DEFAULT_AXIS, scale: "log", min: "-1" }, "min")).toBeNull();
+  expect(manualBound({ ...DEFAULT_AXIS, max: "2.5" }, "max")).toBe(2.5);
+});
+
+test("function paths follow the scales and break where undefined", () => {
+  const area = plotArea(118 + 64 + 18, 320);
+  const axes = { x: DEFAULT_AXIS, y: { ...DEFAULT_AXIS, scale: "log" } };
+  const { x, y } = createScales({ xmin: -1, xmax: 1, ymin: 0.1, ymax: 10 }, area, axes);
+  const d = functionPath(v => v, x, y, 59);
+  // x = -1 and x = 0 are off the log axis; the path starts at x = 1
+  expect(d).toBe(`M${area.right.toFixed(1)},${y(1).toFixed(1)}`);
+  const line = functionPath(v => v + 2, x, y, 59);
+  expect(line.match(/[ML]/g)).toEqual(["M", "L", "L"]);
+});
+
+test("polyline paths break at undrawable vertices", () => {
+  const x = v => v * 10;
+  const y = v => (v > 0 ? v : NaN);
+  expect(polylinePath([[0, 1], [1, 2], [2, 3]], x, y, true)).toBe("M0.0,1.0L10.0,2.0L20.0,3.0Z");
+  expect(polylinePath([[0, 1], null, [1, 2], [2, -1], [3, 1]], x, y, true)).toBe("M0.0,1.0M10.0,2.0M30.0,1.0");
+});
@@ -0,0 +1,84 @@
+// Row selection on the crossplot. Selections are Sets of row indices (the
+// `idx` of plot points), so they survive axis and zoom changes.
+
+// How a new box/lasso combines with the current selection, from modifier keys:
+// Shift adds, Alt subtracts, Ctrl/Cmd toggles (inverts) the shape's points.
+// PUBLIC_INTERFACE
+export function selectionOp(e) {
+  /** "replace" | "add" | "subtract" | "toggle" for a mouse event's modifiers */
+  if (e.ctrlKey || e.metaKey) return "toggle";
+  if (e.altKey) return "subtract";
+  if (e.shiftKey) return "add";
+  return "replace";
+}
+
+// PUBLIC_INTERFACE
+export function combineSelection(current, hits, op) {
+  /** New selection Set from the current one and the row indices hit by a shape */
+  if (op === "replace") return new Set(hits);
+  const next = new Set(current);
+  for (const idx of hits) {
+    if (op === "add") next.add(idx);
+    else if (op === "subtract") next.delete(idx);
+    else if (next.has(idx)) next.delete(idx);
+    else next.add(idx);
+  }
+  return next;
+}
+
+// PUBLIC_INTERFACE
+export function invertSelection(current, points) {
+  /** Selects every plotted point that is not currently selected */
+  const next = new Set();
+  for (const p of points) if (!current.has(p.idx)) next.add(p.idx);
+  return next;
+}
+
+// PUBLIC_INTERFACE
+export function pointInPolygon(x, y, polygon) {
+  /** Even-odd ray casting test; polygon is an array of [x, y] vertices */
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+// PUBLIC_INTERFACE
+export function pointsInShape(points, shape, xScale, yScale) {
+  /** Row indices of the points inside a pixel-space shape:
+   *  { type: "box", from: [px, py], to: [px, py] } or { type: "lasso", path: [[px, py], ...] }.
+   */
+  const path = shape.type === "box" ? null : shape.path;
+  const [x0, x1] = shape.type === "box"
+    ? [Math.min(shape.from[0], shape.to[0]), Math.max(shape.from[0], shape.to[0])]
+    : [Math.min(...path.map(p => p[0])), Math.max(...path.map(p => p[0]))];
+  const [y0, y1] = shape.type === "box"
+    ? [Math.min(shape.from[1], shape.to[1]), Math.max(shape.from[1], shape.to[1])]
+    : [Math.min(...path.map(p => p[1])), Math.max(...path.map(p => p[1]))];
+  const hits = [];
+  for (const p of points) {
+    const px = xScale(p.x), py = yScale(p.y);
+    if (px < x0 || px > x1 || py < y0 || py > y1) continue;
+    if (path && !pointInPolygon(px, py, path)) continue;
+    hits.push(p.idx);
+  }
+  return hits;
+}
+
+// PUBLIC_INTERFACE
+export function formatIndexRanges(indices, maxParts = 12) {
+  /** Compact listing of row indices, e.g. "0–4, 9, 12–13"; long lists end in "…" */
+  const sorted = [...indices].sort((a, b) => a - b);
+  const parts = [];
+  let i = 0;
+  while (i < sorted.length && parts.length < maxParts) {
+    let j = i;
+    while (j + 1 < sorted.length && sorted[j + 1] === sorted[j] + 1) j++;
+    parts.push(i === j ? String(sorted[i]) : `${sorted[i]}–${sorted[j]}`);
+    i = j + 1;
+  }
+  return parts.join(", ") + (i < sorted.length ? ", …" : "");
+}
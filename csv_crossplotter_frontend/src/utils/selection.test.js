@@ -0,0 +1,41 @@
+import {
+  combineSelection,
+  invertSelection,
+  pointInPolygon,
+  pointsInShape,
+  formatIndexRanges,
+  selectionOp,
+} from "./selection";
+
+const identity = v => v;
+
+test("box and lasso shapes hit points in pixel space", () => {
+  const points = [
+    { x: 1, y: 1, idx: 0 },
+    { x: 5, y: 5, idx: 1 },
+    { x: 9, y: 1, idx: 2 },
+  ];
+  const box = { type: "box", from: [6, 0], to: [0, 6] };
+  expect(pointsInShape(points, box, identity, identity)).toEqual([0, 1]);
+  const strip = { type: "lasso", path: [[0, 0], [10, 0], [10, 3], [5, 2], [0, 3]] };
+  expect(pointsInShape(points, strip, identity, identity)).toEqual([0, 2]);
+  expect(pointInPolygon(5, 2.5, strip.path)).toBe(false);
+});
+
+test("modifier keys combine selections", () => {
+  const current = new Set([1, 2]);
+  expect([...combineSelection(current, [3], "replace")]).toEqual([3]);
+  expect([...combineSelection(current, [3], "add")]).toEqual([1, 2, 3]);
+  expect([...combineSelection(current, [2], "subtract")]).toEqual([1]);
+  expect([...combineSelection(current, [2, 3], "toggle")]).toEqual([1, 3]);
+  expect(selectionOp({ shiftKey: true })).toBe("add");
+  expect(selectionOp({ altKey: true })).toBe("subtract");
+  expect(selectionOp({ metaKey: true })).toBe("toggle");
+  const all = [0, 1, 2, 3].map(idx => ({ idx }));
+  expect([...invertSelection(current, all)]).toEqual([0, 3]);
+});
+
+test("index ranges are compacted", () => {
+  expect(formatIndexRanges(new Set([9, 0, 1, 2, 3, 4, 12, 13]))).toBe("0–4, 9, 12–13");
+  expect(formatIndexRanges([0, 2, 4, 6], 2)).toBe("0, 2, …");
+});
@@ -0,0 +1,116 @@
+// Several loaded files shown together. Their rows are concatenated into one
+// table whose columns are matched by name (the union of all headers, in order
+// of first appearance); each file is a series owning a contiguous block of
+// rows:
+//   { id, name, fileName, start, count, columns, color, shape, visible, well, nulls }
+// where nulls is the file's null value list (see utils/profile).
+// The series list order is the legend order; the first series is drawn on top.
+import { CATEGORICAL_PALETTE } from "./colorMaps";
+import { MARKER_SHAPES } from "./markers";
+import { detectNullValues } from "./profile";
+
+// PUBLIC_INTERFACE
+export function mergeTables(table, addition) {
+  /** Appends addition's rows to table ({ headers, rows, units }), matching
+   *  columns by name. Columns new to the table are added at the end and
+   *  blank for earlier rows; a column's unit is its first non-empty unit.
+   */
+  const headers = [...table.headers];
+  const units = headers.map((_, i) => table.units[i] || "");
+  const target = addition.headers.map((h, i) => {
+    let idx = headers.indexOf(h);
+    if (idx === -1) {
+      idx = headers.push(h) - 1;
+      units.push("");
+    }
+    if (!units[idx] && addition.units && addition.units[i]) units[idx] = addition.units[i];
+    return idx;
+  });
+  const pad = headers.length - table.headers.length;
+  const rows = pad ? table.rows.map(row => [...row, ...new Array(pad).fill("")]) : [...table.rows];
+  for (const source of addition.rows) {
+    const row = new Array(headers.length).fill("");
+    target.forEach((idx, i) => {
+      row[idx] = source[i] ?? "";
+    });
+    rows.push(row);
+  }
+  return { headers, rows, units };
+}
+
+// PUBLIC_INTERFACE
+export function createSeries(id, fileName, start, data) {
+  /** Series entry for a file whose rows start at row start; colour and marker
+   *  shape cycle with the id, and the null values are the common sentinels
+   *  found in the file.
+   */
+  const well = data.well && data.well.WELL ? data.well.WELL.value : "";
+  return {
+    id,
+    name: well || fileName.replace(/\.[^.]+$/, ""),
+    fileName,
+    start,
+    count: data.rows.length,
+    columns: data.headers.length,
+    color: CATEGORICAL_PALETTE[(id - 1) % CATEGORICAL_PALETTE.length],
+    shape: MARKER_SHAPES[(id - 1) % MARKER_SHAPES.length],
+    visible: true,
+    well,
+    nulls: detectNullValues(data.rows),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function removeSeriesRows(rows, series, id) {
+  /** Drops one series' rows. Returns { rows, series, remap } where later
+   *  series' starts are shifted and remap(oldIdx) gives the new row index
+   *  (-1 for removed rows).
+   */
+  const gone = series.find(s => s.id === id);
+  if (!gone) return { rows, series, remap: idx => idx };
+  const end = gone.start + gone.count;
+  return {
+    rows: [...rows.slice(0, gone.start), ...rows.slice(end)],
+    series: series
+      .filter(s => s.id !== id)
+      .map(s => (s.start >= end ? { ...s, start: s.start - gone.count } : s)),
+    remap: idx => (idx < gone.start ? idx : idx >= end ? idx - gone.count : -1),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function rowSeriesIds(series, rowCount) {
+  /** Int32Array giving the id of the series each row belongs to (0 if none) */
+  const ids = new Int32Array(rowCount);
+  for (const s of series) ids.fill(s.id, s.start, Math.min(rowCount, s.start + s.count));
+  return ids;
+}
+
+// Legend settings, saved with the view so restyling a series does not
+// rewrite the stored rows
+const DISPLAY_FIELDS = ["name", "color", "shape", "visible"];
+
+// PUBLIC_INTERFACE
+export function splitSeries(series) {
+  /** Splits the series list into { layout, display }: layout holds each
+   *  series' row block and file details, in row order; display holds
+   *  { id, name, color, shape, visible } in legend order.
+   */
+  const layout = series
+    .map(s => Object.fromEntries(Object.entries(s).filter(([key]) => !DISPLAY_FIELDS.includes(key))))
+    .sort((a, b) => a.start - b.start);
+  const display = series.map(s => ({ id: s.id, ...Object.fromEntries(DISPLAY_FIELDS.map(key => [key, s[key]])) }));
+  return { layout, display };
+}
+
+// PUBLIC_INTERFACE
+export function joinSeries(layout, display = []) {
+  /** Series list from splitSeries' parts, in display order. Series without
+   *  display settings follow in row order and keep any they carry (sessions
+   *  saved before the split); display entries without rows are dropped.
+   */
+  const byId = new Map(layout.map(s => [s.id, s]));
+  const shown = display.filter(d => byId.has(d.id)).map(d => ({ ...byId.get(d.id), ...d }));
+  const ids = new Set(shown.map(s => s.id));
+  return [...shown, ...layout.filter(s => !ids.has(s.id))];
+}
@@ -0,0 +1,63 @@
+import { mergeTables, createSeries, removeSeriesRows, rowSeriesIds, splitSeries, joinSeries } from "./series";
+import { markerPath, traceMarker, MARKER_SHAPES } from "./markers";
+
+const wellA = { headers: ["DEPT", "GR", "RHOB"], rows: [["1", "50", "2.4"], ["2", "60", "2.5"]], units: ["M", "API", ""] };
+const wellB = { headers: ["DEPT", "NPHI", "RHOB", "GR"], rows: [["5", "0.2", "2.3", "70"]], units: ["", "V/V", "G/CC", ""] };
+
+test("tables merge by column name", () => {
+  const merged = mergeTables(wellA, wellB);
+  expect(merged.headers).toEqual(["DEPT", "GR", "RHOB", "NPHI"]);
+  expect(merged.units).toEqual(["M", "API", "G/CC", "V/V"]);
+  expect(merged.rows).toEqual([
+    ["1", "50", "2.4", ""],
+    ["2", "60", "2.5", ""],
+    ["5", "70", "2.3", "0.2"],
+  ]);
+  expect(wellA.rows[0]).toHaveLength(3);
+});
+
+test("series entries, removal and row lookup", () => {
+  const a = createSeries(1, "a.las", 0, { ...wellA, well: { WELL: { value: "A-1" } } });
+  const b = createSeries(2, "b.csv", 2, wellB);
+  expect(a).toMatchObject({ name: "A-1", start: 0, count: 2, columns: 3, shape: "circle", visible: true });
+  expect(b).toMatchObject({ name: "b", start: 2, count: 1, shape: "square" });
+  expect(a.color).not.toBe(b.color);
+  expect([...rowSeriesIds([a, b], 3)]).toEqual([1, 1, 2]);
+
+  const rows = [["r0"], ["r1"], ["r2"]];
+  const { rows: kept, series, remap } = removeSeriesRows(rows, [b, a], 1);
+  expect(kept).toEqual([["r2"]]);
+  expect(series).toEqual([{ ...b, start: 0 }]);
+  expect([0, 1, 2].map(remap)).toEqual([-1, -1, 0]);
+});
+
+test("series entries list the null values found in the file", () => {
+  const logs = { headers: ["DEPT", "NPHI", "FAC"], rows: [["5", "-999.25", "sand"], ["6", "0.2", "NA"]] };
+  expect(createSeries(1, "c.las", 0, logs).nulls).toBe("-999.25, NA");
+  expect(createSeries(2, "a.las", 0, wellA).nulls).toBe("");
+});
+
+test("series split into row layout and legend settings", () => {
+  const a = createSeries(1, "a.las", 0, wellA);
+  const b = createSeries(2, "b.csv", 2, wellB);
+  const { layout, display } = splitSeries([{ ...b, name: "Offset", visible: false }, a]);
+  expect(layout.map(s => s.id)).toEqual([1, 2]);
+  expect(layout[1]).not.toHaveProperty("name");
+  expect(layout[1]).toMatchObject({ start: 2, count: 1, nulls: "" });
+  expect(display[0]).toEqual({ id: 2, name: "Offset", color: b.color, shape: "square", visible: false });
+  expect(joinSeries(layout, display)).toEqual([{ ...b, name: "Offset", visible: false }, a]);
+  // Older sessions keep everything in the layout; unknown ids are dropped
+  expect(joinSeries([a, b], [{ id: 2, name: "B" }, { id: 9, name: "gone" }]).map(s => s.name)).toEqual(["B", "a"]);
+});
+
+test("marker shapes", () => {
+  expect(markerPath("square", 4)).toBe("M-3.52,-3.52L3.52,-3.52L3.52,3.52L-3.52,3.52Z");
+  expect(markerPath("circle", 2)).toMatch(/^M2,0A2,2/);
+  const calls = [];
+  const recorder = new Proxy({}, { get: (_, name) => (...args) => calls.push([name, ...args]) });
+  traceMarker(recorder, "triangle", 10, 10, 4);
+  expect(calls.map(c => c[0])).toEqual(["moveTo", "lineTo", "lineTo", "closePath"]);
+  expect(calls[0][1]).toBeCloseTo(10);
+  expect(calls[0][2]).toBeCloseTo(5); // apex above the centre
+  expect(MARKER_SHAPES[0]).toBe("circle");
+});
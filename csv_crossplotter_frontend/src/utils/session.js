@@ -0,0 +1,119 @@
+// Exploration sessions: the loaded dataset plus the view state (columns,
+// view box, axis and colour settings, selection, trend lines, overlays).
+// Sessions are stored in IndexedDB, exported as JSON files, and the view part
+// is encoded in the URL hash so a shared link reopens the same view on the
+// same file.
+import { DEFAULT_AXIS } from "./scales";
+
+export const SESSION_KIND = "csv-crossplotter-session";
+export const SESSION_VERSION = 1;
+
+// PUBLIC_INTERFACE
+export function createSession(dataset, view) {
+  /** JSON-ready session document from a dataset { fileName, headers, rows,
+   *  units, well } and a view snapshot.
+   */
+  return {
+    kind: SESSION_KIND,
+    version: SESSION_VERSION,
+    savedAt: new Date().toISOString(),
+    dataset,
+    view,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function parseSession(text) {
+  /** Validates session JSON text; returns { dataset, view }. Throws an Error
+   *  when the file is not a session or comes from a newer version.
+   */
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid JSON: ${err.message}`);
+  }
+  if (!doc || doc.kind !== SESSION_KIND) throw new Error("Not a crossplotter session file");
+  if (!(doc.version <= SESSION_VERSION)) {
+    throw new Error(`Session version ${doc.version} is newer than this app supports`);
+  }
+  const { dataset, view } = doc;
+  if (!dataset || !Array.isArray(dataset.headers) || !Array.isArray(dataset.rows)) {
+    throw new Error("Session has no dataset");
+  }
+  return { dataset, view: view || {} };
+}
+
+const AXIS_SCALES = ["linear", "log"];
+
+// "log,1,0.1," <-> { scale, reversed, min, max }
+function encodeAxis(a) {
+  return [a.scale, a.reversed ? 1 : 0, a.min, a.max].join(",");
+}
+function decodeAxis(text) {
+  const [scale, reversed, min = "", max = ""] = text.split(",");
+  if (!AXIS_SCALES.includes(scale)) return null;
+  return { ...DEFAULT_AXIS, scale, reversed: reversed === "1", min, max };
+}
+
+// Filter fields carried in links (ids are reassigned on load)
+const FILTER_FIELDS = ["name", "enabled", "type", "expression", "column", "min", "max"];
+
+// PUBLIC_INTERFACE
+export function encodeViewHash(view) {
+  /** URL hash (without "#") for the shareable part of a view: columns, view
+   *  box, axis settings, colouring and filters.
+   */
+  const params = new URLSearchParams();
+  params.set("x", view.plotX);
+  params.set("y", view.plotY);
+  const vb = view.viewBox;
+  if (vb) params.set("vb", [vb.xmin, vb.xmax, vb.ymin, vb.ymax].map(v => Number(v.toPrecision(8))).join(","));
+  if (view.axisSettings) {
+    params.set("xa", encodeAxis(view.axisSettings.x));
+    params.set("ya", encodeAxis(view.axisSettings.y));
+  }
+  if (view.colorBy) {
+    params.set("c", view.colorBy);
+    params.set("cm", view.colorSettings.map);
+  }
+  if (view.filters && view.filters.length) {
+    const filters = view.filters.map(f => FILTER_FIELDS.map(key => f[key] ?? null));
+    params.set("f", JSON.stringify(filters));
+  }
+  return params.toString();
+}
+
+// PUBLIC_INTERFACE
+export function decodeViewHash(hash) {
+  /** Partial view from a URL hash written by encodeViewHash, or null when the
+   *  hash holds no view. Malformed parts are ignored.
+   */
+  const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  const plotX = params.get("x"), plotY = params.get("y");
+  if (!plotX || !plotY) return null;
+  const view = { plotX, plotY };
+  const vb = (params.get("vb") || "").split(",").map(Number);
+  if (vb.length === 4 && vb.every(isFinite) && vb[0] !== vb[1] && vb[2] !== vb[3]) {
+    view.viewBox = { xmin: vb[0], xmax: vb[1], ymin: vb[2], ymax: vb[3] };
+  }
+  const xa = decodeAxis(params.get("xa") || ""), ya = decodeAxis(params.get("ya") || "");
+  if (xa && ya) view.axisSettings = { x: xa, y: ya };
+  if (params.get("c")) {
+    view.colorBy = params.get("c");
+    if (params.get("cm")) view.colorSettings = { map: params.get("cm"), min: "", max: "" };
+  }
+  try {
+    const filters = JSON.parse(params.get("f") || "[]");
+    if (Array.isArray(filters) && filters.length) {
+      view.filters = filters
+        .filter(Array.isArray)
+        .map((values, i) => ({ ...Object.fromEntries(FILTER_FIELDS.map((key, k) => [key, values[k] ?? ""])), id: i + 1 }))
+        .filter(f => f.type === "range" || f.type === "expression")
+        .map(f => ({ ...f, enabled: f.enabled !== false }));
+    }
+  } catch (err) {
+    // Ignore a mangled filter list; the rest of the view still applies
+  }
+  return view;
+}
@@ -0,0 +1,50 @@
+import { createSession, parseSession, encodeViewHash, decodeViewHash, SESSION_VERSION } from "./session";
+import { DEFAULT_AXIS } from "./scales";
+
+const view = {
+  plotX: "GR",
+  plotY: "Bulk Density",
+  viewBox: { xmin: 0.1, xmax: 150, ymin: 2.9, ymax: 2.1234567891 },
+  axisSettings: { x: { ...DEFAULT_AXIS, scale: "log", min: "0.1" }, y: { ...DEFAULT_AXIS, reversed: true } },
+  colorBy: "FAC",
+  colorSettings: { map: "plasma", min: "", max: "" },
+  filters: [
+    { id: 7, name: "Zone", enabled: true, type: "expression", expression: "DEPT between 1200 and 1350" },
+    { id: 9, name: "GR", enabled: false, type: "range", column: "GR", min: 10, max: "" },
+  ],
+};
+
+test("sessions round-trip through JSON", () => {
+  const dataset = { fileName: "w.las", headers: ["GR"], rows: [["1"]], units: ["API"], well: null };
+  const doc = createSession(dataset, view);
+  expect(doc.version).toBe(SESSION_VERSION);
+  expect(parseSession(JSON.stringify(doc))).toEqual({ dataset, view });
+});
+
+test("rejects files that are not sessions", () => {
+  expect(() => parseSession("nope")).toThrow("Invalid JSON");
+  expect(() => parseSession("{}")).toThrow("Not a crossplotter session");
+  const future = { ...createSession({ headers: [], rows: [] }, {}), version: SESSION_VERSION + 1 };
+  expect(() => parseSession(JSON.stringify(future))).toThrow("newer");
+});
+
+test("view hash round-trips columns, view box, axes and colour", () => {
+  const hash = encodeViewHash(view);
+  expect(hash).toContain("y=Bulk+Density");
+  const decoded = decodeViewHash("#" + hash);
+  expect(decoded.plotY).toBe("Bulk Density");
+  expect(decoded.viewBox).toEqual({ xmin: 0.1, xmax: 150, ymin: 2.9, ymax: 2.1234568 });
+  expect(decoded.axisSettings).toEqual(view.axisSettings);
+  expect(decoded.colorSettings.map).toBe("plasma");
+  expect(decoded.filters).toEqual([
+    { id: 1, name: "Zone", enabled: true, type: "expression", expression: "DEPT between 1200 and 1350", column: "", min: "", max: "" },
+    { id: 2, name: "GR", enabled: false, type: "range", expression: "", column: "GR", min: 10, max: "" },
+  ]);
+  expect(decodeViewHash("#x=a&y=b&f=%5Bnope").filters).toBeUndefined();
+});
+
+test("ignores hashes without a view and malformed parts", () => {
+  expect(decodeViewHash("")).toBeNull();
+  expect(decodeViewHash("#x=GR")).toBeNull();
+  expect(decodeViewHash("#x=GR&y=RES&vb=1,1,2,3&xa=cubic,0")).toEqual({ plotX: "GR", plotY: "RES" });
+});
@@ -0,0 +1,54 @@
+// Minimal promise wrapper over one IndexedDB object store holding the
+// auto-saved session ("dataset" and "view" records). Every call resolves to
+// null / does nothing where IndexedDB is unavailable (private modes, tests).
+
+const DB_NAME = "csv-crossplotter";
+const DB_VERSION = 1;
+const STORE = "session";
+
+let dbPromise = null;
+
+function openDB() {
+  if (typeof indexedDB === "undefined") return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(() => null);
+  }
+  return dbPromise;
+}
+
+function run(mode, action) {
+  return openDB().then(
+    db =>
+      db &&
+      new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        const request = action(tx.objectStore(STORE));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      })
+  );
+}
+
+// PUBLIC_INTERFACE
+export function storeGet(key) {
+  /** Stored value for key, or null */
+  return run("readonly", store => store.get(key)).then(value => value ?? null);
+}
+
+// PUBLIC_INTERFACE
+export function storePut(key, value) {
+  /** Saves value under key */
+  return run("readwrite", store => store.put(value, key));
+}
+
+// PUBLIC_INTERFACE
+export function storeClear() {
+  /** Removes every saved record */
+  return run("readwrite", store => store.clear());
+}
@@ -0,0 +1,95 @@
+// Point quadtree for hover hit-testing on large crossplots. Built once per
+// point set in data coordinates, so zooming and panning never rebuild it.
+
+const MAX_ITEMS = 16;
+const MAX_DEPTH = 16;
+
+function createNode(x0, y0, x1, y1, depth) {
+  return { x0, y0, x1, y1, depth, items: [], children: null };
+}
+
+function insert(node, p) {
+  if (node.children) {
+    insert(childFor(node, p), p);
+    return;
+  }
+  node.items.push(p);
+  if (node.items.length > MAX_ITEMS && node.depth < MAX_DEPTH) {
+    const { x0, y0, x1, y1, depth } = node;
+    const mx = (x0 + x1) / 2, my = (y0 + y1) / 2;
+    node.children = [
+      createNode(x0, y0, mx, my, depth + 1),
+      createNode(mx, y0, x1, my, depth + 1),
+      createNode(x0, my, mx, y1, depth + 1),
+      createNode(mx, my, x1, y1, depth + 1),
+    ];
+    const items = node.items;
+    node.items = [];
+    items.forEach(item => insert(childFor(node, item), item));
+  }
+}
+
+function childFor(node, p) {
+  const mx = (node.x0 + node.x1) / 2, my = (node.y0 + node.y1) / 2;
+  return node.children[(p.x >= mx ? 1 : 0) + (p.y >= my ? 2 : 0)];
+}
+
+// PUBLIC_INTERFACE
+export function buildQuadtree(points) {
+  /** Builds a quadtree over objects with numeric x/y fields. Returns
+   *  { queryRect(x0, y0, x1, y1) -> points[], size }.
+   */
+  let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+  for (const p of points) {
+    if (p.x < x0) x0 = p.x;
+    if (p.x > x1) x1 = p.x;
+    if (p.y < y0) y0 = p.y;
+    if (p.y > y1) y1 = p.y;
+  }
+  const root = points.length ? createNode(x0, y0, x1, y1, 0) : null;
+  points.forEach(p => insert(root, p));
+
+  const queryRect = (qx0, qy0, qx1, qy1) => {
+    const found = [];
+    if (!root) return found;
+    const stack = [root];
+    while (stack.length) {
+      const node = stack.pop();
+      if (node.x0 > qx1 || node.x1 < qx0 || node.y0 > qy1 || node.y1 < qy0) continue;
+      if (node.children) {
+        stack.push(...node.children);
+        continue;
+      }
+      for (const p of node.items) {
+        if (p.x >= qx0 && p.x <= qx1 && p.y >= qy0 && p.y <= qy1) found.push(p);
+      }
+    }
+    return found;
+  };
+
+  return { queryRect, size: points.length };
+}
+
+// PUBLIC_INTERFACE
+export function findNearest(index, px, py, radius, xScale, yScale) {
+  /** Nearest point to the pixel position (px, py) within radius pixels, or null.
+   *  The scales map data to pixels (any d3 continuous scale, incl. log and
+   *  reversed), so the search box is found by inverting the pixel box.
+   */
+  const xa = xScale.invert(px - radius), xb = xScale.invert(px + radius);
+  const ya = yScale.invert(py - radius), yb = yScale.invert(py + radius);
+  let best = null;
+  let bestDist = radius * radius;
+  const candidates = index.queryRect(
+    Math.min(xa, xb), Math.min(ya, yb), Math.max(xa, xb), Math.max(ya, yb)
+  );
+  for (const p of candidates) {
+    const dx = xScale(p.x) - px, dy = yScale(p.y) - py;
+    const d = dx * dx + dy * dy;
+    if (d <= bestDist) {
+      bestDist = d;
+      best = p;
+    }
+  }
+  return best;
+}
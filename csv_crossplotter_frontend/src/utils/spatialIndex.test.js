@@ -0,0 +1,36 @@
+import { scaleLinear, scaleLog } from "d3-scale";
+import { buildQuadtree, findNearest } from "./spatialIndex";
+
+const grid = [];
+for (let i = 0; i < 100; i++) {
+  for (let j = 0; j < 100; j++) grid.push({ x: i, y: j * 10, idx: i * 100 + j });
+}
+
+test("queryRect returns exactly the points inside the rectangle", () => {
+  const index = buildQuadtree(grid);
+  const found = index.queryRect(10, 100, 12, 120);
+  expect(found).toHaveLength(3 * 3);
+  expect(found.every(p => p.x >= 10 && p.x <= 12 && p.y >= 100 && p.y <= 120)).toBe(true);
+});
+
+test("findNearest searches a pixel radius through the plot scales", () => {
+  const index = buildQuadtree(grid);
+  // 10 px per x unit, 1 px per y unit, y drawn upwards
+  const x = scaleLinear().domain([0, 100]).range([0, 1000]);
+  const y = scaleLinear().domain([0, 1000]).range([1000, 0]);
+  expect(findNearest(index, x(50.2), y(503), 5, x, y).idx).toBe(50 * 100 + 50);
+  expect(findNearest(index, x(50.5), y(505), 2, x, y)).toBeNull();
+  expect(findNearest(buildQuadtree([]), 0, 0, 5, x, y)).toBeNull();
+});
+
+test("findNearest works on log and reversed axes", () => {
+  const pts = [1, 10, 100, 1000].map((v, idx) => ({ x: v, y: v, idx }));
+  const x = scaleLog().domain([1, 1000]).range([0, 300]);
+  const y = scaleLog().domain([1, 1000]).range([0, 300]); // reversed: grows downwards
+  expect(findNearest(buildQuadtree(pts), 198, 203, 6, x, y).idx).toBe(2);
+});
+
+test("handles many duplicate points", () => {
+  const dupes = Array.from({ length: 500 }, (_, idx) => ({ x: 1, y: 1, idx }));
+  expect(buildQuadtree(dupes).queryRect(0, 0, 2, 2)).toHaveLength(500);
+});
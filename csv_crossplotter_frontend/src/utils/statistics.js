@@ -0,0 +1,131 @@
+// Descriptive statistics and correlation matrices of numeric columns, over a
+// subset of rows (the filtered rows or the selection). Column values are
+// Float64Arrays with NaN for missing (see numericColumn in utils/columns).
+
+export const PERCENTILES = [5, 10, 25, 75, 90, 95];
+
+// PUBLIC_INTERFACE
+export function quantile(sorted, p) {
+  /** p-quantile (0..1) of ascending values, interpolating between ranks */
+  if (!sorted.length) return NaN;
+  const h = (sorted.length - 1) * p;
+  const lo = Math.floor(h);
+  return lo + 1 < sorted.length ? sorted[lo] + (h - lo) * (sorted[lo + 1] - sorted[lo]) : sorted[lo];
+}
+
+// PUBLIC_INTERFACE
+export function describeValues(values) {
+  /** { count, missing, min, max, mean, median, std, percentiles: { 5: .., 10: .. } }
+   *  of the finite values; std is the sample standard deviation.
+   */
+  const finite = Float64Array.from(values.filter(Number.isFinite)).sort();
+  const n = finite.length;
+  let sum = 0;
+  for (const v of finite) sum += v;
+  const mean = n ? sum / n : NaN;
+  let squares = 0;
+  for (const v of finite) squares += (v - mean) * (v - mean);
+  const percentiles = {};
+  for (const p of PERCENTILES) percentiles[p] = quantile(finite, p / 100);
+  return {
+    count: n,
+    missing: values.length - n,
+    min: n ? finite[0] : NaN,
+    max: n ? finite[n - 1] : NaN,
+    mean,
+    median: quantile(finite, 0.5),
+    std: n > 1 ? Math.sqrt(squares / (n - 1)) : NaN,
+    percentiles,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function rankValues(values) {
+  /** Ranks (1-based, ties get their average rank) of the finite values; NaN
+   *  stays NaN
+   */
+  const order = [];
+  values.forEach((v, i) => Number.isFinite(v) && order.push(i));
+  order.sort((a, b) => values[a] - values[b]);
+  const ranks = new Float64Array(values.length).fill(NaN);
+  for (let i = 0; i < order.length; ) {
+    let j = i;
+    while (j + 1 < order.length && values[order[j + 1]] === values[order[i]]) j++;
+    const rank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) ranks[order[k]] = rank;
+    i = j + 1;
+  }
+  return ranks;
+}
+
+// PUBLIC_INTERFACE
+export function pearson(a, b) {
+  /** { r, n }: Pearson correlation over the rows where both are finite (r is
+   *  NaN for fewer than 3 rows or a constant column)
+   */
+  let n = 0, sa = 0, sb = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!Number.isFinite(a[i]) || !Number.isFinite(b[i])) continue;
+    n++;
+    sa += a[i];
+    sb += b[i];
+  }
+  if (n < 3) return { r: NaN, n };
+  const ma = sa / n, mb = sb / n;
+  let cov = 0, va = 0, vb = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!Number.isFinite(a[i]) || !Number.isFinite(b[i])) continue;
+    const da = a[i] - ma, db = b[i] - mb;
+    cov += da * db;
+    va += da * da;
+    vb += db * db;
+  }
+  return { r: va && vb ? Math.max(-1, Math.min(1, cov / Math.sqrt(va * vb))) : NaN, n };
+}
+
+// Spearman correlation over the rows where both are finite. Ranks computed
+// over each whole column are reused when neither has rows the other lacks.
+function spearman(a, b, ranksA, ranksB) {
+  const both = [];
+  let onlyA = 0, onlyB = 0;
+  for (let i = 0; i < a.length; i++) {
+    const fa = Number.isFinite(a[i]), fb = Number.isFinite(b[i]);
+    if (fa && fb) both.push(i);
+    else if (fa) onlyA++;
+    else if (fb) onlyB++;
+  }
+  if (!onlyA && !onlyB) return pearson(ranksA, ranksB);
+  return pearson(rankValues(both.map(i => a[i])), rankValues(both.map(i => b[i])));
+}
+
+// PUBLIC_INTERFACE
+export function correlationMatrix(columns, method = "pearson") {
+  /** Symmetric matrix of { r, n } between the value arrays ("pearson" or
+   *  "spearman", the Pearson correlation of the ranks), each pair over the
+   *  rows where both are finite.
+   */
+  const ranks = method === "spearman" ? columns.map(rankValues) : null;
+  const matrix = columns.map(() => new Array(columns.length));
+  for (let i = 0; i < columns.length; i++) {
+    for (let j = i; j < columns.length; j++) {
+      matrix[i][j] = matrix[j][i] = ranks
+        ? spearman(columns[i], columns[j], ranks[i], ranks[j])
+        : pearson(columns[i], columns[j]);
+    }
+  }
+  return matrix;
+}
+
+// PUBLIC_INTERFACE
+export function statisticsTable(names, stats) {
+  /** Headers and rows of the per-column statistics, for CSV export */
+  const headers = ["Column", "Count", "Missing", "Min", "Max", "Mean", "Median", "Std", ...PERCENTILES.map(p => `P${p}`)];
+  const num = v => (Number.isFinite(v) ? String(+v.toPrecision(10)) : "");
+  const rows = stats.map((s, i) => [
+    names[i],
+    String(s.count),
+    String(s.missing),
+    ...[s.min, s.max, s.mean, s.median, s.std, ...PERCENTILES.map(p => s.percentiles[p])].map(num),
+  ]);
+  return { headers, rows };
+}
@@ -0,0 +1,41 @@
+import { quantile, describeValues, rankValues, pearson, correlationMatrix, statisticsTable } from "./statistics";
+
+test("descriptive statistics skip missing values", () => {
+  const s = describeValues([4, NaN, 1, 3, 2, NaN]);
+  expect(s).toMatchObject({ count: 4, missing: 2, min: 1, max: 4, mean: 2.5, median: 2.5 });
+  expect(s.std).toBeCloseTo(Math.sqrt(5 / 3));
+  expect(s.percentiles[25]).toBeCloseTo(1.75);
+  expect(quantile([10], 0.9)).toBe(10);
+  const empty = describeValues([NaN]);
+  expect(empty.count).toBe(0);
+  expect(empty.mean).toBeNaN();
+  expect(empty.std).toBeNaN();
+});
+
+test("ranks average ties", () => {
+  expect([...rankValues([10, 20, 10, NaN, 5])]).toEqual([2.5, 4, 2.5, NaN, 1]);
+});
+
+test("pearson and spearman correlation matrices", () => {
+  const x = [1, 2, 3, 4, 5];
+  const y = [1, 4, 9, 16, 25]; // monotonic, not linear
+  const z = [5, 4, 3, NaN, 1];
+  const { r, n } = pearson(x, y);
+  expect(r).toBeGreaterThan(0.95);
+  expect(r).toBeLessThan(1);
+  expect(n).toBe(5);
+  const spearman = correlationMatrix([x, y, z], "spearman");
+  expect(spearman[0][1].r).toBeCloseTo(1);
+  expect(spearman[0][2]).toEqual(spearman[2][0]);
+  expect(spearman[0][2].r).toBeCloseTo(-1);
+  expect(spearman[0][2].n).toBe(4);
+  expect(pearson([1, 1, 1], [1, 2, 3]).r).toBeNaN();
+  expect(pearson([1, 2], [1, 2]).r).toBeNaN();
+});
+
+test("statistics table for export", () => {
+  const { headers, rows } = statisticsTable(["GR"], [describeValues([1, 2, 3, NaN])]);
+  expect(headers.slice(0, 8)).toEqual(["Column", "Count", "Missing", "Min", "Max", "Mean", "Median", "Std"]);
+  expect(rows[0].slice(0, 8)).toEqual(["GR", "3", "1", "1", "3", "2", "2", "1"]);
+  expect(rows[0]).toHaveLength(headers.length);
+});
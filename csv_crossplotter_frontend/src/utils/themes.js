@@ -0,0 +1,155 @@
+// Colour themes for the app chrome and the plot. Markers are drawn in
+// pointFill outlined with pointStroke; the accessible themes make those
+// differ in lightness, not only in hue. Components take the theme
+// object for plot colours (SVG attributes, canvas, alpha suffixes such as
+// `${theme.primary}33`); panel backgrounds and muted text use the CSS
+// variables from themeVariables, set on the app root.
+import { CATEGORICAL_PALETTE } from "./colorMaps";
+
+// Okabe–Ito palette, distinguishable with the common colour-vision deficiencies
+const OKABE_ITO = ["#0072b2", "#e69f00", "#009e73", "#cc79a7", "#56b4e9", "#d55e00", "#f0e442", "#000000"];
+
+export const THEMES = {
+  light: {
+    label: "Light",
+    dark: false,
+    primary: "#1976d2",
+    secondary: "#424242",
+    accent: "#ff9800",
+    pointFill: "#ff9800",
+    pointStroke: "#1976d2",
+    // Title bar, text on primary/accent fills, and notice boxes
+    header: "#1976d2",
+    onPrimary: "#fff",
+    onAccent: "#fff",
+    notice: "#fff6e8",
+    noticeText: "#7a4a00",
+    background: "#fff",
+    text: "#252525",
+    surface: "#ffffff",
+    surfaceAlt: "#f5f7fa",
+    muted: "#666666",
+    border: "#cfd6de",
+    danger: "#c62828",
+    selected: "#111111",
+    categorical: CATEGORICAL_PALETTE,
+  },
+  dark: {
+    label: "Dark",
+    dark: true,
+    primary: "#64b5f6",
+    secondary: "#d0d4da",
+    accent: "#ffb74d",
+    pointFill: "#ffb74d",
+    pointStroke: "#e3f2fd",
+    header: "#1b2a3a",
+    onPrimary: "#121417",
+    onAccent: "#121417",
+    notice: "#332a1a",
+    noticeText: "#ffd08a",
+    background: "#121417",
+    text: "#eceff1",
+    surface: "#1d2127",
+    surfaceAlt: "#262b33",
+    muted: "#a6adb7",
+    border: "#3d4550",
+    danger: "#ff8a80",
+    selected: "#ffffff",
+    categorical: ["#78a9d6", "#f5a454", "#ef7f81", "#8fd0ca", "#7fc275", "#f2d66b", "#c9a0c0", "#ffb8c0", "#c09a80", "#d0c8c4"],
+  },
+  highContrast: {
+    label: "High contrast",
+    dark: false,
+    primary: "#0033a0",
+    secondary: "#000000",
+    accent: "#000000",
+    pointFill: "#000000",
+    pointStroke: "#ffffff",
+    header: "#000000",
+    onPrimary: "#fff",
+    onAccent: "#fff",
+    notice: "#fff3cc",
+    noticeText: "#000000",
+    background: "#fff",
+    text: "#000000",
+    surface: "#ffffff",
+    surfaceAlt: "#ebebeb",
+    muted: "#333333",
+    border: "#000000",
+    danger: "#b00000",
+    selected: "#d00000",
+    categorical: ["#000000", "#0033a0", "#b00000", "#006400", "#7a00a0", "#8a4b00", "#00707a", "#a0005a"],
+  },
+  colorBlind: {
+    label: "Colour-blind safe",
+    dark: false,
+    primary: "#0072b2",
+    secondary: "#333333",
+    accent: "#d55e00",
+    pointFill: "#e69f00",
+    pointStroke: "#000000",
+    header: "#0072b2",
+    onPrimary: "#fff",
+    onAccent: "#fff",
+    notice: "#fff6e8",
+    noticeText: "#6b3d00",
+    background: "#fff",
+    text: "#1a1a1a",
+    surface: "#ffffff",
+    surfaceAlt: "#f3f5f7",
+    muted: "#5f6368",
+    border: "#b9c2cc",
+    danger: "#a23c00",
+    selected: "#0072b2",
+    categorical: OKABE_ITO,
+  },
+};
+export const DEFAULT_THEME = "light";
+
+// PUBLIC_INTERFACE
+export function systemTheme() {
+  /** Theme name matching the browser's preferences: high contrast, dark or
+   *  light
+   */
+  const prefers = query => typeof window !== "undefined" && window.matchMedia && window.matchMedia(query).matches;
+  if (prefers("(prefers-contrast: more)")) return "highContrast";
+  if (prefers("(prefers-color-scheme: dark)")) return "dark";
+  return DEFAULT_THEME;
+}
+
+// PUBLIC_INTERFACE
+export function themeVariables(theme) {
+  /** CSS custom properties and color-scheme for the app root, so inline
+   *  styles can use var(--surface), var(--surface-alt), var(--muted),
+   *  var(--border), var(--danger), var(--notice) and var(--notice-text), and
+   *  form controls follow dark themes
+   */
+  return {
+    "--surface": theme.surface,
+    "--surface-alt": theme.surfaceAlt,
+    "--muted": theme.muted,
+    "--border": theme.border,
+    "--danger": theme.danger,
+    "--notice": theme.notice,
+    "--notice-text": theme.noticeText,
+    colorScheme: theme.dark ? "dark" : "light",
+  };
+}
+
+// Relative luminance of a #rgb or #rrggbb colour (WCAG 2)
+function luminance(hex) {
+  let h = hex.replace("#", "");
+  if (h.length === 3) h = [...h].map(c => c + c).join("");
+  const channel = i => {
+    const c = parseInt(h.slice(i, i + 2), 16) / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * channel(0) + 0.7152 * channel(2) + 0.0722 * channel(4);
+}
+
+// PUBLIC_INTERFACE
+export function contrastRatio(a, b) {
+  /** WCAG contrast ratio (1 to 21) between two hex colours */
+  const [hi, lo] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (hi + 0.05) / (lo + 0.05);
+}
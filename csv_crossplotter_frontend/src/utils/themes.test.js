@@ -0,0 +1,35 @@
+import { THEMES, contrastRatio, themeVariables } from "./themes";
+
+test("contrast ratio follows WCAG", () => {
+  expect(contrastRatio("#000", "#fff")).toBeCloseTo(21, 5);
+  expect(contrastRatio("#777777", "#ffffff")).toBeCloseTo(4.48, 2);
+  expect(contrastRatio("#fff", "#fff")).toBe(1);
+});
+
+test("every theme keeps text and plot marks readable", () => {
+  const failures = [];
+  const check = (name, pair, a, b, min) => contrastRatio(a, b) < min && failures.push(`${name}: ${pair}`);
+  for (const [name, t] of Object.entries(THEMES)) {
+    // Body, muted and error text (WCAG AA) on the page and on panels
+    check(name, "text", t.text, t.background, 4.5);
+    check(name, "muted", t.muted, t.surface, 4.5);
+    check(name, "danger", t.danger, t.surface, 4.5);
+    check(name, "axis text", t.secondary, t.surface, 4.5);
+    // Point outlines, selection rings and controls (3:1 for graphics)
+    check(name, "primary", t.primary, t.surface, 3);
+    check(name, "selected", t.selected, t.surface, 3);
+    check(name, "title bar", "#ffffff", t.header, 4.5);
+    check(name, "on primary", t.onPrimary, t.primary, 3);
+    check(name, "notice", t.noticeText, t.notice, 4.5);
+    expect(themeVariables(t).colorScheme).toBe(t.dark ? "dark" : "light");
+  }
+  expect(failures).toEqual([]);
+});
+
+test("accessible themes tell marker fill from outline by lightness", () => {
+  for (const t of [THEMES.highContrast, THEMES.colorBlind]) {
+    expect(contrastRatio(t.pointFill, t.pointStroke)).toBeGreaterThanOrEqual(4.5);
+  }
+  expect(contrastRatio(THEMES.light.pointFill, THEMES.light.pointStroke)).toBeLessThan(3);
+  expect(THEMES.colorBlind.categorical).toContain("#e69f00");
+});
@@ -0,0 +1,39 @@
+// Helpers for the plot's data-space view box { xmin, xmax, ymin, ymax }.
+import { AXIS_TRANSFORMS, DEFAULT_AXIS, manualBound } from "./scales";
+
+const PAD_FRAC = 0.05;
+
+// [min, max] of one axis padded by 5% in the axis' scale space (decades on
+// a log axis), with user-entered bounds taking precedence
+function axisExtent(values, settings) {
+  const { forward, inverse } = AXIS_TRANSFORMS[settings.scale];
+  let lo = Infinity, hi = -Infinity;
+  for (const v of values) {
+    const t = forward(v);
+    if (t < lo) lo = t;
+    if (t > hi) hi = t;
+  }
+  if (lo > hi) {
+    // No data: show a default range
+    lo = settings.scale === "log" ? 0 : -1;
+    hi = 1;
+  }
+  const pad = (hi - lo) * PAD_FRAC || (settings.scale === "log" ? 0.1 : 1);
+  const min = manualBound(settings, "min");
+  const max = manualBound(settings, "max");
+  return [
+    min !== null ? min : inverse(lo - pad),
+    max !== null ? max : inverse(hi + pad),
+  ];
+}
+
+// PUBLIC_INTERFACE
+export function autoViewBox(points, axes = { x: DEFAULT_AXIS, y: DEFAULT_AXIS }) {
+  /** View box enclosing all points with 5% padding on each side, overridden by
+   *  any manual axis bounds. Uses loops rather than Math.min(...xs), which
+   *  overflows the call stack for a few hundred thousand points.
+   */
+  const [xmin, xmax] = axisExtent(points.map(p => p.x), axes.x);
+  const [ymin, ymax] = axisExtent(points.map(p => p.y), axes.y);
+  return { xmin, xmax, ymin, ymax };
+}
@@ -0,0 +1,17 @@
+import { autoViewBox } from "./viewBox";
+import { DEFAULT_AXIS } from "./scales";
+
+test("pads linear extents by 5% and honours manual bounds", () => {
+  const pts = [{ x: 0, y: 10 }, { x: 100, y: 20 }];
+  expect(autoViewBox(pts)).toEqual({ xmin: -5, xmax: 105, ymin: 9.5, ymax: 20.5 });
+  const vb = autoViewBox(pts, { x: { ...DEFAULT_AXIS, min: "0" }, y: { ...DEFAULT_AXIS, max: "30" } });
+  expect(vb.xmin).toBe(0);
+  expect(vb.ymax).toBe(30);
+});
+
+test("pads log extents in decades", () => {
+  const pts = [{ x: 1, y: 1 }, { x: 1000, y: 1 }];
+  const vb = autoViewBox(pts, { x: { ...DEFAULT_AXIS, scale: "log" }, y: DEFAULT_AXIS });
+  expect(Math.log10(vb.xmin)).toBeCloseTo(-0.15);
+  expect(Math.log10(vb.xmax)).toBeCloseTo(3.15);
+});
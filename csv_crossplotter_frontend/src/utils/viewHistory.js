@@ -0,0 +1,52 @@
+// Back/forward history of plot views for undo/redo of navigation. Views are
+// view boxes { xmin, xmax, ymin, ymax }; a history is
+//   { past: [older views...], present, future: [newer views...] }
+// and is replaced, never mutated.
+
+const MAX_VIEWS = 100;
+
+// PUBLIC_INTERFACE
+export function sameView(a, b) {
+  /** True if two view boxes (or nulls) are identical */
+  if (!a || !b) return a === b;
+  return a.xmin === b.xmin && a.xmax === b.xmax && a.ymin === b.ymin && a.ymax === b.ymax;
+}
+
+// PUBLIC_INTERFACE
+export function createViewHistory(view = null) {
+  /** History holding just the given view */
+  return { past: [], present: view, future: [] };
+}
+
+// PUBLIC_INTERFACE
+export function recordView(history, view) {
+  /** History after navigating to view: the present view moves to the past
+   *  (keeping the last MAX_VIEWS) and the redo list is dropped. Recording the
+   *  present view again changes nothing.
+   */
+  if (sameView(history.present, view)) return history;
+  const past = history.present ? [...history.past, history.present].slice(-MAX_VIEWS) : history.past;
+  return { past, present: view, future: [] };
+}
+
+// PUBLIC_INTERFACE
+export function undoView(history) {
+  /** History stepped back one view (unchanged at the oldest view) */
+  if (!history.past.length) return history;
+  return {
+    past: history.past.slice(0, -1),
+    present: history.past[history.past.length - 1],
+    future: [history.present, ...history.future],
+  };
+}
+
+// PUBLIC_INTERFACE
+export function redoView(history) {
+  /** History stepped forward one view (unchanged at the newest view) */
+  if (!history.future.length) return history;
+  return {
+    past: [...history.past, history.present],
+    present: history.future[0],
+    future: history.future.slice(1),
+  };
+}
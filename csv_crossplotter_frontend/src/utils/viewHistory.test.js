@@ -0,0 +1,30 @@
+import { createViewHistory, recordView, undoView, redoView, sameView } from "./viewHistory";
+
+const view = n => ({ xmin: n, xmax: n + 1, ymin: 0, ymax: 1 });
+
+test("undo and redo walk the recorded views", () => {
+  let h = createViewHistory(view(0));
+  h = recordView(h, view(1));
+  h = recordView(h, view(2));
+  expect(recordView(h, view(2))).toBe(h);
+  h = undoView(undoView(h));
+  expect(h.present).toEqual(view(0));
+  expect(undoView(h)).toBe(h);
+  h = redoView(h);
+  expect(h.present).toEqual(view(1));
+  expect(h.future).toEqual([view(2)]);
+  // Navigating after an undo drops the redo list
+  h = recordView(h, view(5));
+  expect(h.future).toEqual([]);
+  expect(h.past).toEqual([view(0), view(1)]);
+  expect(redoView(h)).toBe(h);
+});
+
+test("history length is bounded", () => {
+  let h = createViewHistory();
+  for (let i = 0; i < 150; i++) h = recordView(h, view(i));
+  expect(h.past).toHaveLength(100);
+  expect(h.past[0]).toEqual(view(49));
+  expect(sameView(view(3), { ...view(3) })).toBe(true);
+  expect(sameView(null, view(3))).toBe(false);
+});
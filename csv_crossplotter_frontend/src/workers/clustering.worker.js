@@ -0,0 +1,15 @@
+// Runs clustering requests off the main thread (see hooks/useClusterWorker)
+import { handleClusterRequest } from "../utils/clustering";
+
+// The worker's global scope
+const ctx = globalThis;
+
+ctx.onmessage = ({ data: request }) => {
+  let reply;
+  try {
+    reply = handleClusterRequest(request);
+  } catch (err) {
+    reply = { id: request.id, error: `Clustering failed: ${err.message}` };
+  }
+  ctx.postMessage(reply, reply.labels ? [reply.labels.buffer] : []);
+};
@@ -0,0 +1,8 @@
+// Kept in its own module and loaded on demand: import.meta is understood by
+// the bundler but not by the test runner, which has no Worker anyway.
+
+// PUBLIC_INTERFACE
+export default function createClusteringWorker() {
+  /** A new Web Worker running workers/clustering.worker.js */
+  return new Worker(new URL("./clustering.worker.js", import.meta.url));
+}